@@ -161,11 +161,8 @@ contract FundingRateCalculator is Initializable, OwnableUpgradeable, UUPSUpgrade
         int256 currentIndex = isLong ? longIndexPreview : shortIndexPreview;
         int256 indexDelta = currentIndex - entryFundingIndex;
 
-        int256 payment = (int256(size) * indexDelta) / int256(PRECISION);
-        if (!isLong) {
-            payment = -payment;
-        }
-        return payment;
+        // The short index already moves opposite to the long one, so no sign flip here.
+        return (int256(size) * indexDelta) / int256(PRECISION);
     }
 
     function updateOpenInterest(
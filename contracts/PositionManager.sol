@@ -6,6 +6,8 @@ import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 
 import "./interfaces/IVault.sol";
 import "./interfaces/IIndexOracle.sol";
@@ -32,6 +34,8 @@ contract PositionManager is
     ReentrancyGuardUpgradeable,
     PausableUpgradeable
 {
+    using SafeERC20 for IERC20;
+
     // ============================================================================
     // ROLES
     // ============================================================================
@@ -39,6 +43,7 @@ contract PositionManager is
     bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
     bytes32 public constant LIQUIDATOR_ROLE = keccak256("LIQUIDATOR_ROLE");
     bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
+    bytes32 public constant KEEPER_ROLE = keccak256("KEEPER_ROLE");
 
     // ============================================================================
     // STRUCTS
@@ -92,6 +97,8 @@ contract PositionManager is
     // Protocol settings
     uint256 public minCollateral;         // Minimum collateral required
     address public feeRecipient;          // Address receiving protocol fees
+    uint256 public pnlPoolBalance;        // Collateral held for trader PnL (see fundPnlPool)
+    bool public liquidationRemainderToPnlPool; // Liquidation remainder refills the PnL pool instead of feeRecipient
 
     // Constants
     uint256 public constant PRECISION = 1e18;
@@ -149,6 +156,13 @@ contract PositionManager is
         uint256 newCollateral
     );
 
+    event FundingSettled(
+        uint256 markPrice,
+        uint256 indexPrice,
+        int256 fundingRate,
+        uint256 timestamp
+    );
+
     event RiskParametersUpdated(
         uint256 maxLeverage,
         uint256 maintenanceMargin,
@@ -164,6 +178,10 @@ contract PositionManager is
 
     event FeeRecipientUpdated(address indexed oldRecipient, address indexed newRecipient); // FIX #9
     event MinCollateralUpdated(uint256 oldAmount, uint256 newAmount); // FIX #9
+    event PnlPoolFunded(address indexed funder, uint256 amount, uint256 poolBalance);
+    event PnlPoolWithdrawn(address indexed to, uint256 amount, uint256 poolBalance);
+    event PnlPoolShortfall(bytes32 indexed positionId, address indexed trader, uint256 unpaid);
+    event LiquidationRemainderDestinationUpdated(bool toPnlPool);
 
     // ============================================================================
     // ERRORS
@@ -184,6 +202,7 @@ contract PositionManager is
     error InvalidMaintenanceMargin(); // FIX #10
     error SwapFailed(bytes data); // FIX #13
     error FundingIndexOverflow();
+    error InsufficientPnlPool();
 
     // ============================================================================
     // INITIALIZATION
@@ -227,6 +246,7 @@ contract PositionManager is
         _grantRole(DEFAULT_ADMIN_ROLE, _admin);
         _grantRole(ADMIN_ROLE, _admin);
         _grantRole(OPERATOR_ROLE, _admin);
+        _grantRole(KEEPER_ROLE, _admin);
 
         // Initialize contract references
         vault = IVault(_vault);
@@ -328,25 +348,6 @@ contract PositionManager is
         // FIX #1: Validate position size doesn't exceed maximum
         if (size > MAX_POSITION_SIZE) revert PositionTooLarge();
 
-        // ========================================================================
-        // STEP 3: GET MARK PRICE FROM vAMM
-        // ========================================================================
-
-        // Get current market price from virtual AMM
-        // This is the price at which the position will be opened
-        // Price has 1e18 precision (e.g., 2000e18 = $2000)
-        uint256 entryPrice = vamm.getMarkPrice();
-
-        // ========================================================================
-        // STEP 3.5: SLIPPAGE PROTECTION (FIX #2)
-        // ========================================================================
-
-        // Protect users from front-running and price manipulation
-        // Long positions: revert if price is too high (exceeds maxPrice)
-        // Short positions: revert if price is too low (below minPrice)
-        if (isLong && entryPrice > maxPrice) revert SlippageExceeded();
-        if (!isLong && entryPrice < minPrice) revert SlippageExceeded();
-
         // ========================================================================
         // STEP 4: CALCULATE AND DEDUCT TRADING FEE
         // ========================================================================
@@ -399,6 +400,22 @@ contract PositionManager is
         // Note: updateReserves adjusts the virtual pool balances to reflect the trade.
         _executeVammTrade(isLong ? int256(size) : -int256(size));
 
+        // ========================================================================
+        // STEP 7.5: ENTRY PRICE AND SLIPPAGE PROTECTION (FIX #2)
+        // ========================================================================
+
+        // The position enters at the mark its own trade produced, not the mark before
+        // it. Entering at the pre-trade mark would credit the trader with their own
+        // price impact: an immediate close would show a profit on the reverse trade.
+        // Price has 1e18 precision (e.g., 2000e18 = $2000)
+        uint256 entryPrice = vamm.getMarkPrice();
+
+        // Protect users from front-running and price manipulation
+        // Long positions: revert if price is too high (exceeds maxPrice)
+        // Short positions: revert if price is too low (below minPrice)
+        if (isLong && entryPrice > maxPrice) revert SlippageExceeded();
+        if (!isLong && entryPrice < minPrice) revert SlippageExceeded();
+
         // ========================================================================
         // STEP 8: GET CURRENT FUNDING INDEX
         // ========================================================================
@@ -449,8 +466,8 @@ contract PositionManager is
             isLong: isLong                             // Direction (long/short)
         });
 
-        // Update funding open interest tracking
-        fundingCalculator.updateOpenInterest(isLong, size, true);
+        // Update open interest tracking (funding calculator and vAMM)
+        _updateOpenInterest(isLong, size, true);
 
         // ========================================================================
         // STEP 11: UPDATE USER POSITION TRACKING
@@ -736,26 +753,15 @@ contract PositionManager is
         // STEP 8: RELEASE NET SETTLEMENT TO TRADER
         // ========================================================================
 
-        // Release the calculated final amount to trader
-        // Only release if there's something to return
-        // On total loss scenarios, nothing is returned
-        if (finalAmount > 0) {
-            vault.unlockCollateral(posTrader, positionId, finalAmount);
-        }
-
-        uint256 collateralAfterFee = posCollateral > closingFee ? posCollateral - closingFee : 0;
-        if (collateralAfterFee > finalAmount) {
-            uint256 residual = collateralAfterFee - finalAmount;
-            if (residual > 0) {
-                vault.writeOffCollateral(posTrader, residual);
-            }
-        }
+        // Release the position's remaining collateral and settle the P&L against the
+        // fee recipient (see _settleCollateral)
+        _settleCollateral(posTrader, positionId, posCollateral, closingFee, finalAmount);
 
         // ========================================================================
         // STEP 9: UPDATE OPEN INTEREST
         // ========================================================================
 
-        fundingCalculator.updateOpenInterest(posIsLong, posSize, false);
+        _updateOpenInterest(posIsLong, posSize, false);
 
         // ========================================================================
         // STEP 10: REMOVE FROM USER TRACKING
@@ -887,19 +893,9 @@ contract PositionManager is
             }
 
             // Release settlement to trader
-            if (finalAmount > 0) {
-                vault.unlockCollateral(msg.sender, positionId, finalAmount);
-            }
+            _settleCollateral(msg.sender, positionId, posCollateral, closingFee, finalAmount);
 
-            uint256 collateralAfterFee = posCollateral > closingFee ? posCollateral - closingFee : 0;
-            if (collateralAfterFee > finalAmount) {
-                uint256 residual = collateralAfterFee - finalAmount;
-                if (residual > 0) {
-                    vault.writeOffCollateral(msg.sender, residual);
-                }
-            }
-
-            fundingCalculator.updateOpenInterest(posIsLong, posSize, false);
+            _updateOpenInterest(posIsLong, posSize, false);
 
             // Remove from user tracking
             _removeUserPosition(msg.sender, positionId);
@@ -1135,7 +1131,8 @@ contract PositionManager is
         // ========================================================================
 
         // Calculate remaining collateral after liquidator reward
-        // Remaining goes to protocol treasury/insurance fund
+        // Remaining goes to the fee recipient, or to the PnL pool when
+        // liquidationRemainderToPnlPool is set
         //
         // Example:
         // - Total collateral: 1000 USDC
@@ -1158,20 +1155,25 @@ contract PositionManager is
             vault.transferCollateral(trader, msg.sender, reward);
         }
 
-        // Release remaining collateral to protocol fee recipient
-        // This goes to insurance fund or protocol treasury
-        // Helps cover potential protocol losses and fund development
+        // Release remaining collateral to the protocol
+        // With liquidationRemainderToPnlPool set it is treated as the trader's realized
+        // loss and backs the other side's profits; otherwise it is a protocol fee
         if (remaining > 0) {
-            vault.transferCollateral(trader, feeRecipient, remaining);
+            if (liquidationRemainderToPnlPool) {
+                pnlPoolBalance += remaining;
+                vault.transferCollateral(trader, address(this), remaining);
+            } else {
+                vault.transferCollateral(trader, feeRecipient, remaining);
+            }
         }
 
         // ========================================================================
         // STEP 9: UPDATE OPEN INTEREST
         // ========================================================================
 
-        // Update FundingRateCalculator to decrease open interest
+        // Decrease open interest in FundingRateCalculator and the vAMM
         // This affects funding rate calculations for remaining positions
-        fundingCalculator.updateOpenInterest(position.isLong, position.size, false);
+        _updateOpenInterest(position.isLong, position.size, false);
 
         // ========================================================================
         // STEP 10: REMOVE FROM USER TRACKING
@@ -1211,6 +1213,107 @@ contract PositionManager is
         );
     }
 
+    // ============================================================================
+    // FUNDING
+    // ============================================================================
+
+    /**
+     * @notice Settle the funding interval that has just elapsed and set the next funding rate
+     * @dev FundingRateCalculator.updateFundingRate only accepts calls from this contract, so this
+     * is the path keepers use to roll funding forward. It passes the current vAMM mark and oracle
+     * index price through; the calculator accrues funding for the elapsed time and derives the new
+     * rate from the premium.
+     *
+     * Requirements:
+     * - Contract must not be paused
+     * - Caller must have KEEPER_ROLE
+     * - At least `fundingInterval` must have passed since the last update
+     *
+     * Reverts:
+     * - FundingUpdateTooSoon (from FundingRateCalculator): if the interval has not elapsed
+     * - OracleDataStale (from IndexOracle): if the index price is stale
+     *
+     * Events:
+     * - FundingSettled: Emitted with the prices the new rate was derived from
+     */
+    function settleFunding()
+        external
+        nonReentrant
+        whenNotPaused
+        onlyRole(KEEPER_ROLE)
+    {
+        uint256 markPrice = vamm.getMarkPrice();
+        uint256 indexPrice = oracle.getIndexPrice();
+
+        fundingCalculator.updateFundingRate(markPrice, indexPrice);
+
+        emit FundingSettled(
+            markPrice,
+            indexPrice,
+            fundingCalculator.currentFundingRate(),
+            block.timestamp
+        );
+    }
+
+    // ============================================================================
+    // PNL POOL
+    // ============================================================================
+
+    /**
+     * @notice Add collateral from the caller's wallet to the PnL pool
+     * @dev The PnL pool is collateral this contract holds in the vault in its own name, tracked in
+     * `pnlPoolBalance`. Closed and liquidated positions' losses flow into it and winning positions'
+     * profits are paid out of it, so trader PnL never touches the fee recipient's balance or the
+     * vault's accumulated fees.
+     *
+     * The collateral token is pulled from the caller (who must have approved this contract) and
+     * deposited into the vault, so no vault balance or position lock of the caller's is involved.
+     *
+     * Requirements:
+     * - Contract must not be paused
+     * - Amount must be greater than zero
+     * - Caller must hold and have approved `amount` of the vault's collateral token
+     *
+     * Events:
+     * - PnlPoolFunded: Emitted with the pool balance after funding
+     *
+     * @param amount Collateral to add (in collateral token decimals)
+     */
+    function fundPnlPool(uint256 amount) external nonReentrant whenNotPaused {
+        if (amount == 0) revert InvalidAmount();
+
+        IERC20 collateral = IERC20(vault.asset());
+        collateral.safeTransferFrom(msg.sender, address(this), amount);
+        collateral.forceApprove(address(vault), amount);
+        vault.deposit(address(collateral), amount);
+        pnlPoolBalance += amount;
+
+        emit PnlPoolFunded(msg.sender, amount, pnlPoolBalance);
+    }
+
+    /**
+     * @notice Move collateral out of the PnL pool to an account's vault balance
+     * @dev Admin only. The amount leaves the pool the way trader profits do, as a vault balance
+     * `to` can trade with or withdraw. Profits the pool no longer holds cannot be paid out, so
+     * leave enough behind to cover open positions.
+     *
+     * Events:
+     * - PnlPoolWithdrawn: Emitted with the pool balance after the withdrawal
+     *
+     * @param to Account credited in the vault
+     * @param amount Collateral to take out (in collateral token decimals)
+     */
+    function withdrawPnlPool(address to, uint256 amount) external nonReentrant onlyRole(ADMIN_ROLE) {
+        if (to == address(0)) revert ZeroAddress();
+        if (amount == 0) revert InvalidAmount();
+        if (amount > pnlPoolBalance) revert InsufficientPnlPool();
+
+        pnlPoolBalance -= amount;
+        vault.transferCollateral(address(this), to, amount);
+
+        emit PnlPoolWithdrawn(to, amount, pnlPoolBalance);
+    }
+
     // ============================================================================
     // VIEW FUNCTIONS
     // ============================================================================
@@ -1303,7 +1406,7 @@ contract PositionManager is
      * healthRatio = (equity / positionValue) * BASIS_POINTS
      * Where:
      * - equity = collateral + unrealized P&L
-     * - positionValue = size * entryPrice / PRECISION
+     * - positionValue = size (notional, in collateral units)
      *
      * @param positionId The unique identifier of the position to check
      * @return bool True if position can be liquidated, false otherwise
@@ -1509,7 +1612,7 @@ contract PositionManager is
      * ┌──────────────────────────────────────────────────────────┐
      * │ indexDelta = currentFundingIndex - entryFundingIndex    │
      * │ payment = (positionSize * indexDelta) / PRECISION       │
-     * │ For shorts: payment is inverted (multiplied by -1)       │
+     * │ indexDelta uses the position's own side index            │
      * └──────────────────────────────────────────────────────────┘
      *
      * Examples:
@@ -1549,21 +1652,15 @@ contract PositionManager is
         payment = (signedSize * indexDelta) / int256(PRECISION);
 
         // ====================================================================
-        // STEP 4: ADJUST FOR POSITION DIRECTION
+        // STEP 4: DIRECTION IS ALREADY IN THE INDEX
         // ====================================================================
 
-        // Long positions:
-        // - When funding is positive (mark > index): longs PAY
-        // - Payment is positive (reduces P&L)
-        // - Keep payment as-is
-        //
-        // Short positions:
-        // - When funding is positive (mark > index): shorts RECEIVE
-        // - Payment should be negative (increases P&L)
-        // - Invert payment (multiply by -1)
-    if (!position.isLong) {
-        payment = -payment;
-    }
+        // No sign flip for shorts: each side has its own index, and the short index
+        // moves opposite to the long one (FundingRateCalculator._accrueFunding).
+        // - When funding is positive (mark > index): the long index rises, so longs
+        //   PAY (positive payment); the short index falls, so shorts RECEIVE
+        //   (negative payment) the same amount for the same size.
+        // Inverting the short payment here as well would make both sides pay.
 
     // ====================================================================
     // STEP 5: RETURN FUNDING PAYMENT
@@ -1584,6 +1681,63 @@ contract PositionManager is
         return isLong ? fundingCalculator.longFundingIndex() : fundingCalculator.shortFundingIndex();
     }
 
+    /**
+     * @dev Settle a closed position's collateral once the closing fee has been taken from it
+     *
+     * The position still has `collateral - closingFee` locked in the vault; the trader is owed
+     * `finalAmount` (collateral + P&L - fee, floored at zero). Only the position's own collateral
+     * is unlocked, so locked balances keep matching open positions' collateral:
+     * - Profit beyond it is paid from the PnL pool, up to what the pool holds. The close always
+     *   goes through, so the trader gets their collateral back even from an empty pool; any
+     *   profit the pool could not cover is forfeited and reported in PnlPoolShortfall
+     * - A loss moves the unreturned collateral into the PnL pool, so losing positions fund
+     *   winning ones
+     *
+     * Only the closing fee, taken before this, reaches the fee recipient.
+     */
+    function _settleCollateral(
+        address trader,
+        bytes32 positionId,
+        uint256 collateral,
+        uint256 closingFee,
+        uint256 finalAmount
+    ) internal {
+        uint256 collateralAfterFee = collateral > closingFee ? collateral - closingFee : 0;
+
+        if (finalAmount > collateralAfterFee) {
+            if (collateralAfterFee > 0) {
+                vault.unlockCollateral(trader, positionId, collateralAfterFee);
+            }
+            uint256 profit = finalAmount - collateralAfterFee;
+            uint256 paid = profit < pnlPoolBalance ? profit : pnlPoolBalance;
+            if (paid > 0) {
+                pnlPoolBalance -= paid;
+                vault.transferCollateral(address(this), trader, paid);
+            }
+            if (paid < profit) {
+                emit PnlPoolShortfall(positionId, trader, profit - paid);
+            }
+        } else {
+            if (finalAmount > 0) {
+                vault.unlockCollateral(trader, positionId, finalAmount);
+            }
+            uint256 loss = collateralAfterFee - finalAmount;
+            if (loss > 0) {
+                pnlPoolBalance += loss;
+                vault.transferCollateral(trader, address(this), loss);
+            }
+        }
+    }
+
+    /**
+     * @dev Record a position opening or closing in both open interest trackers, which count
+     * gross open interest per side
+     */
+    function _updateOpenInterest(bool isLong, uint256 size, bool isIncrease) internal {
+        fundingCalculator.updateOpenInterest(isLong, size, isIncrease);
+        vamm.updateOpenInterest(isLong, size, isIncrease);
+    }
+
     function _executeVammTrade(int256 sizeDelta) internal {
         if (sizeDelta == 0) {
             return;
@@ -1777,7 +1931,7 @@ contract PositionManager is
      * 1. Calculate current unrealized P&L
      * 2. Calculate equity = collateral + P&L
      * 3. If equity <= 0, position is bankrupt (return 0)
-     * 4. Calculate position value = size * entry price
+     * 4. Position value = notional size (already in collateral units)
      * 5. Health ratio = (equity / position value) * BASIS_POINTS
      *
      * @param position Storage pointer to the position struct
@@ -1852,14 +2006,14 @@ contract PositionManager is
         // STEP 4: CALCULATE POSITION VALUE
         // ====================================================================
 
-        // Position value = notional size * entry price
-        // This represents the full position exposure
+        // Position value = notional size
+        // Size is already denominated in collateral (collateral * leverage), so it
+        // must not be scaled by the entry price again
         //
         // Example:
         // - Size: 5000 USDC (1000 * 5x leverage)
-        // - Entry price: 2000 (in 1e18 precision)
         // - Position value: 5000 USDC
-        uint256 positionValue = (position.size * position.entryPrice) / PRECISION;
+        uint256 positionValue = position.size;
 
         // ====================================================================
         // STEP 5: CALCULATE HEALTH RATIO
@@ -2003,6 +2157,15 @@ contract PositionManager is
         emit FeeRecipientUpdated(oldRecipient, _feeRecipient); // FIX #9
     }
 
+    /**
+     * @notice Choose where a liquidated position's remaining collateral goes
+     * @param toPnlPool True to refill the PnL pool, false to pay feeRecipient (the default)
+     */
+    function setLiquidationRemainderToPnlPool(bool toPnlPool) external onlyRole(ADMIN_ROLE) {
+        liquidationRemainderToPnlPool = toPnlPool;
+        emit LiquidationRemainderDestinationUpdated(toPnlPool);
+    }
+
     /**
      * @notice Update minimum collateral requirement
      */
@@ -2048,6 +2211,7 @@ contract PositionManager is
      * 1. Add them BEFORE this gap
      * 2. Reduce the gap size by the number of slots used
      * Example: If you add 2 new uint256 variables, change [50] to [48]
+     * pnlPoolBalance and liquidationRemainderToPnlPool took one slot each: [50] -> [48]
      */
-    uint256[50] private __gap;
+    uint256[48] private __gap;
 }
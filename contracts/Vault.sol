@@ -413,9 +413,9 @@ contract Vault is
     // ------------------------------------------------------------
 
     /**
-     * @return Current primary collateral token address.
+     * @inheritdoc IVault
      */
-    function asset() external view returns (address) {
+    function asset() external view override returns (address) {
         return _primaryCollateral;
     }
 
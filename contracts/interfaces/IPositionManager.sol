@@ -47,23 +47,28 @@ interface IPositionManager {
      * - SLOT 4: isLong (bool, 1 byte)
      *
      * @param trader Address of the position owner
-     * @param collateral Amount of USDC locked as collateral (in USDC decimals, e.g., 1000e6)
+     * @param timestamp Block timestamp when the position was opened
      * @param size Notional position size = collateral × leverage (in USDC)
+     * @param collateral Amount of USDC locked as collateral (in USDC decimals, e.g., 1000e6)
+     * @param leverage Leverage multiplier (scaled by 1e18, e.g., 5e18 = 5x leverage)
      * @param entryPrice Mark price at position opening (scaled by 1e18, e.g., 2000e18 = $2000)
-     * @param entryFundingRate Cumulative funding index at entry (for calculating funding payments)
+     * @param entryFundingIndex Cumulative funding index at entry (for calculating funding payments)
+     * @param liquidationPrice Mark price at which the position becomes liquidatable
      * @param isLong True for long (bull), false for short (bear)
-     * @param lastUpdateTimestamp Block timestamp when position was last updated
-     * @param leverage Leverage multiplier (scaled by 1e18, e.g., 5e18 = 5x leverage)
+     *
+     * Field order and types must match PositionManager.Position exactly: callers such as the
+     * Liquidator ABI-decode getPosition() return data into this struct.
      */
     struct Position {
         address trader;
-        uint256 collateral;
-        uint256 size;
-        uint256 entryPrice;
-        uint256 entryFundingRate;
+        uint96 timestamp;
+        uint128 size;
+        uint128 collateral;
+        uint128 leverage;
+        uint128 entryPrice;
+        int128 entryFundingIndex;
+        uint128 liquidationPrice;
         bool isLong;
-        uint256 lastUpdateTimestamp;
-        uint256 leverage;
     }
 
     // ============================================================================
@@ -200,7 +200,8 @@ interface IVault {
      * Use cases:
      * - Liquidation rewards: Transfer collateral from liquidated position to liquidator
      * - Protocol fees: Transfer collateral to fee recipient
-     * - P&L settlement: Transfer profits from vault reserves to trader
+     * - P&L settlement: Transfer profits from the PnL pool to the trader, and losses from the
+     *   trader to the PnL pool
      *
      * Requirements:
      * - Caller must be authorized (only PositionManager)
@@ -274,6 +275,12 @@ interface IVault {
      */
     function totalBalance(address user, address token) external view returns (uint256 balance);
 
+    /**
+     * @notice Get the primary collateral token, the one positions lock and settle in
+     * @return token Address of the collateral token (e.g., USDC)
+     */
+    function asset() external view returns (address token);
+
     /**
      * @notice Get total liquidity available in the vault
      * @dev Returns the amount of liquid assets available for withdrawals and settlements
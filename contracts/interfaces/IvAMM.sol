@@ -89,6 +89,16 @@ interface IvAMM {
      */
     function updateReserves(int256 size) external;
 
+    /**
+     * @notice Update open interest after a position opens or closes
+     * @param isLong Side of the position
+     * @param sizeDelta Notional size opened or closed
+     * @param isIncrease True when the position opens, false when it closes
+     * @dev Only callable by PositionManager
+     * @dev Gross per side, as FundingRateCalculator tracks it: one side never nets off the other
+     */
+    function updateOpenInterest(bool isLong, uint256 sizeDelta, bool isIncrease) external;
+
     /**
      * @notice Rebalance reserves to anchor toward Index Price
      * @param indexPrice Current oracle price
@@ -152,6 +162,13 @@ interface IvAMM {
      */
     event VammInitialized(uint256 baseReserve, uint256 quoteReserve);
 
+    /**
+     * @notice Emitted when open interest changes
+     * @param totalLong New long open interest
+     * @param totalShort New short open interest
+     */
+    event OpenInterestUpdated(uint256 totalLong, uint256 totalShort);
+
     /**
      * @notice Emitted when max price impact changes
      * @param oldImpact Previous max impact
@@ -0,0 +1,96 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
+
+/**
+ * @title MockAggregatorV3
+ * @notice Minimal Chainlink aggregator used as a CPI / Treasury feed on local networks.
+ * @dev Each call to updateAnswer starts a new round stamped with the current block time. Tests
+ * script feed behaviour with pushRound (delayed, backdated or unstamped rounds, any answer
+ * including zero and negative) and setDecimals.
+ */
+contract MockAggregatorV3 is AggregatorV3Interface {
+    struct Round {
+        int256 answer;
+        uint256 startedAt;
+        uint256 updatedAt;
+    }
+
+    uint8 private _decimals;
+    string private _description;
+
+    uint80 private _latestRoundId;
+    mapping(uint80 => Round) private _rounds;
+
+    error RoundNotFound(uint80 roundId);
+
+    event AnswerUpdated(int256 indexed current, uint256 indexed roundId, uint256 updatedAt);
+    event DecimalsUpdated(uint8 decimals);
+
+    constructor(uint8 decimals_, string memory description_, int256 initialAnswer) {
+        _decimals = decimals_;
+        _description = description_;
+        updateAnswer(initialAnswer);
+    }
+
+    function decimals() external view override returns (uint8) {
+        return _decimals;
+    }
+
+    function description() external view override returns (string memory) {
+        return _description;
+    }
+
+    function version() external pure override returns (uint256) {
+        return 4;
+    }
+
+    function getRoundData(uint80 roundId)
+        public
+        view
+        override
+        returns (uint80, int256, uint256, uint256, uint80)
+    {
+        Round memory round = _rounds[roundId];
+        if (roundId == 0 || roundId > _latestRoundId) revert RoundNotFound(roundId);
+        return (roundId, round.answer, round.startedAt, round.updatedAt, roundId);
+    }
+
+    function latestRoundData() external view override returns (uint80, int256, uint256, uint256, uint80) {
+        return getRoundData(_latestRoundId);
+    }
+
+    function latestRound() external view returns (uint80) {
+        return _latestRoundId;
+    }
+
+    /**
+     * @notice Publish a new answer as the latest round.
+     * @param answer Feed answer scaled by `decimals()`.
+     */
+    function updateAnswer(int256 answer) public {
+        pushRound(answer, block.timestamp, block.timestamp);
+    }
+
+    /**
+     * @notice Publish a new latest round with explicit timestamps.
+     * @param answer Feed answer scaled by `decimals()`; zero and negative answers are allowed.
+     * @param startedAt Round start time.
+     * @param updatedAt Round update time; 0 mimics a round that never completed.
+     */
+    function pushRound(int256 answer, uint256 startedAt, uint256 updatedAt) public {
+        _latestRoundId += 1;
+        _rounds[_latestRoundId] = Round({answer: answer, startedAt: startedAt, updatedAt: updatedAt});
+        emit AnswerUpdated(answer, _latestRoundId, updatedAt);
+    }
+
+    /**
+     * @notice Change the precision the feed reports, as when a feed is migrated. Existing rounds
+     * keep their raw answers.
+     */
+    function setDecimals(uint8 decimals_) external {
+        _decimals = decimals_;
+        emit DecimalsUpdated(decimals_);
+    }
+}
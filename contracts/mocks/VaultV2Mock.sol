@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "../Vault.sol";
+
+/**
+ * @title VaultV2Mock
+ * @notice Storage-compatible Vault successor used to exercise the upgrade scripts.
+ * @dev Appends one variable after Vault's layout and initializes it through a reinitializer.
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ */
+contract VaultV2Mock is Vault {
+    uint256 public upgradeMarker;
+
+    function initializeV2(uint256 marker) external reinitializer(2) {
+        upgradeMarker = marker;
+    }
+}
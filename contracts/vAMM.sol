@@ -140,11 +140,10 @@ contract vAMM is Initializable, OwnableUpgradeable, UUPSUpgradeable, ReentrancyG
             }
         }
 
-        _applyOpenInterest(size);
-
+        // k stays as set: the out-side reserve is rounded down from k, so recomputing it from the
+        // new reserves would let it drift down trade by trade. Only rebalanceToIndex changes k.
         _baseReserve = newBase;
         _quoteReserve = newQuote;
-        _k = _baseReserve * _quoteReserve;
 
         _updateMarkPrice();
 
@@ -152,6 +151,22 @@ contract vAMM is Initializable, OwnableUpgradeable, UUPSUpgradeable, ReentrancyG
         emit MarkPriceUpdated(_lastMarkPrice, _lastPriceUpdate);
     }
 
+    function updateOpenInterest(
+        bool isLong,
+        uint256 sizeDelta,
+        bool isIncrease
+    ) external override onlyPositionManager {
+        if (sizeDelta == 0) return;
+
+        if (isLong) {
+            _totalLongOI = isIncrease ? _totalLongOI + sizeDelta : _decrease(_totalLongOI, sizeDelta);
+        } else {
+            _totalShortOI = isIncrease ? _totalShortOI + sizeDelta : _decrease(_totalShortOI, sizeDelta);
+        }
+
+        emit OpenInterestUpdated(_totalLongOI, _totalShortOI);
+    }
+
     function rebalanceToIndex(uint256 indexPrice) external override onlyPositionManager {
         if (indexPrice == 0) revert InvalidReserves();
         _lastMarkPrice = indexPrice;
@@ -193,22 +208,8 @@ contract vAMM is Initializable, OwnableUpgradeable, UUPSUpgradeable, ReentrancyG
         }
     }
 
-    function _applyOpenInterest(int256 size) internal {
-        if (size > 0) {
-            uint256 delta = uint256(size);
-            if (delta > _totalShortOI) {
-                _totalLongOI += delta;
-            } else {
-                _totalShortOI -= delta;
-            }
-        } else {
-            uint256 delta = uint256(-size);
-            if (delta > _totalLongOI) {
-                _totalShortOI += delta;
-            } else {
-                _totalLongOI -= delta;
-            }
-        }
+    function _decrease(uint256 value, uint256 delta) private pure returns (uint256) {
+        return delta >= value ? 0 : value - delta;
     }
 
     function _updateMarkPrice() internal {
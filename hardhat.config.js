@@ -7,10 +7,20 @@ require("hardhat-deploy");
 require("hardhat-gas-reporter");
 require("solidity-coverage");
 
+const ZERO_PRIVATE_KEY = "0x0000000000000000000000000000000000000000000000000000000000000000";
+
 const SEPOLIA_RPC_URL = process.env.SEPOLIA_RPC_URL || "https://eth-sepolia.g.alchemy.com/v2/your-api-key";
-const PRIVATE_KEY = process.env.PRIVATE_KEY || "0x0000000000000000000000000000000000000000000000000000000000000000";
+const ARBITRUM_SEPOLIA_RPC_URL = process.env.ARBITRUM_SEPOLIA_RPC_URL || "https://sepolia-rollup.arbitrum.io/rpc";
+const ARBITRUM_MAINNET_RPC_URL = process.env.ARBITRUM_MAINNET_RPC_URL || "https://arb1.arbitrum.io/rpc";
+const PRIVATE_KEY = process.env.PRIVATE_KEY || ZERO_PRIVATE_KEY;
+const TESTNET_PRIVATE_KEY = process.env.TESTNET_PRIVATE_KEY || PRIVATE_KEY;
+const MAINNET_PRIVATE_KEY = process.env.MAINNET_PRIVATE_KEY || ZERO_PRIVATE_KEY;
 const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY || "your-etherscan-api-key";
 
+function accountsFor(privateKey) {
+  return privateKey !== ZERO_PRIVATE_KEY ? [privateKey] : [];
+}
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
@@ -35,12 +45,22 @@ module.exports = {
     },
     sepolia: {
       url: SEPOLIA_RPC_URL,
-      accounts: PRIVATE_KEY !== "0x0000000000000000000000000000000000000000000000000000000000000000"
-        ? [PRIVATE_KEY]
-        : [],
+      accounts: accountsFor(PRIVATE_KEY),
       chainId: 11155111,
       blockConfirmations: 6,
     },
+    arbitrumSepolia: {
+      url: ARBITRUM_SEPOLIA_RPC_URL,
+      accounts: accountsFor(TESTNET_PRIVATE_KEY),
+      chainId: 421614,
+      blockConfirmations: 2,
+    },
+    arbitrum: {
+      url: ARBITRUM_MAINNET_RPC_URL,
+      accounts: accountsFor(MAINNET_PRIVATE_KEY),
+      chainId: 42161,
+      blockConfirmations: 2,
+    },
   },
 
   paths: {
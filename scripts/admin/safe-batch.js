@@ -0,0 +1,133 @@
+/**
+ * Builds Safe Transaction Builder batch files for admin operations.
+ *
+ * Admin control of the protocol sits with a multisig, so scripts that would otherwise send admin
+ * transactions from the deployer can collect them into a batch instead. The output loads directly
+ * into the Safe{Wallet} Transaction Builder app ("Load batch") and can be rehearsed first with
+ * scripts/admin/simulate-batch.js.
+ */
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const TX_BUILDER_VERSION = "1.16.5";
+
+// Transaction Builder stores scalar inputs as strings and composite inputs as JSON strings.
+function formatInput(value) {
+  if (Array.isArray(value)) return JSON.stringify(value.map(formatInput));
+  return value.toString();
+}
+
+/**
+ * Mirrors the Transaction Builder's key-sorted serialization so the app accepts our checksum.
+ */
+function serialize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(serialize).join(",")}]`;
+  }
+  if (value !== null && typeof value === "object") {
+    const keys = Object.keys(value).sort();
+    return `{${JSON.stringify(keys)}${keys.map((key) => `${serialize(value[key])},`).join("")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function checksum(batch) {
+  const unnamed = { ...batch, meta: { ...batch.meta, name: null } };
+  return ethers.keccak256(ethers.toUtf8Bytes(serialize(unnamed)));
+}
+
+class SafeBatch {
+  /**
+   * @param {object} options
+   * @param {bigint|number|string} options.chainId Chain the Safe lives on.
+   * @param {string} options.safeAddress Safe that will execute the batch.
+   * @param {string} options.name Batch name shown in the Transaction Builder.
+   * @param {string} [options.description]
+   */
+  constructor({ chainId, safeAddress, name, description = "" }) {
+    if (!ethers.isAddress(safeAddress)) {
+      throw new Error(`Invalid Safe address: ${safeAddress}`);
+    }
+    this.chainId = chainId.toString();
+    this.safeAddress = ethers.getAddress(safeAddress);
+    this.name = name;
+    this.description = description;
+    this.transactions = [];
+  }
+
+  get length() {
+    return this.transactions.length;
+  }
+
+  /**
+   * Queues `contract.method(...args)` as a batch entry.
+   * @param {import("ethers").BaseContract} contract Contract instance with the target ABI.
+   */
+  async add(contract, method, args = [], value = 0n) {
+    const fragment = contract.interface.getFunction(method, args);
+    const inputs = fragment.inputs.map((input, index) => ({
+      internalType: input.type,
+      name: input.name || `arg${index}`,
+      type: input.type,
+    }));
+
+    this.transactions.push({
+      to: ethers.getAddress(await contract.getAddress()),
+      value: value.toString(),
+      data: contract.interface.encodeFunctionData(fragment, args),
+      contractMethod: { inputs, name: fragment.name, payable: fragment.payable },
+      contractInputsValues: Object.fromEntries(inputs.map((input, index) => [input.name, formatInput(args[index])])),
+    });
+  }
+
+  toJSON() {
+    const batch = {
+      version: "1.0",
+      chainId: this.chainId,
+      createdAt: Date.now(),
+      meta: {
+        name: this.name,
+        description: this.description,
+        txBuilderVersion: TX_BUILDER_VERSION,
+        createdFromSafeAddress: this.safeAddress,
+        createdFromOwnerAddress: "",
+      },
+      transactions: this.transactions,
+    };
+    batch.meta.checksum = checksum(batch);
+    return batch;
+  }
+
+  write(file) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(this.toJSON(), null, 2) + "\n");
+    console.log(`✓ Wrote ${this.length} Safe transactions to ${file}`);
+  }
+}
+
+/**
+ * Returns `execute(contract, method, args)`: sends and waits when no batch is given, otherwise
+ * queues the call on the batch and returns null.
+ */
+function createAdminExecutor(batch) {
+  return async function execute(contract, method, args = []) {
+    if (batch) {
+      await batch.add(contract, method, args);
+      return null;
+    }
+    return (await contract[method](...args)).wait();
+  };
+}
+
+function defaultBatchFile(network, label) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  return path.join("safe-batches", `${network}-${label}-${stamp}.json`);
+}
+
+module.exports = {
+  SafeBatch,
+  createAdminExecutor,
+  defaultBatchFile,
+  checksum,
+};
@@ -0,0 +1,116 @@
+/**
+ * Replays a Safe Transaction Builder batch against a Hardhat fork before signers see it.
+ *
+ * Usage:
+ *   node scripts/admin/simulate-batch.js <batch.json> --fork <network> [--block <number>]
+ *   node scripts/admin/simulate-batch.js <batch.json> --rpc <url>
+ *
+ * The in-process Hardhat network is reset to fork the target chain, the batch's Safe is
+ * impersonated and every transaction is executed in order. A Safe batch executes atomically, so
+ * simulation stops at the first revert. Exits 1 if any transaction fails.
+ */
+const fs = require("fs");
+const { parseArgs } = require("util");
+
+const CLI_OPTIONS = {
+  fork: { type: "string" },
+  rpc: { type: "string" },
+  block: { type: "string" },
+};
+const cli = require.main === module
+  ? parseArgs({ options: CLI_OPTIONS, allowPositionals: true })
+  : { values: {}, positionals: [] };
+const args = cli.values;
+
+// Always simulate on the in-process network; --fork only names the chain to copy.
+if (require.main === module) {
+  process.env.HARDHAT_NETWORK = "hardhat";
+}
+
+const hre = require("hardhat");
+const { errorMessage, runScript } = require("../deploy/utils");
+
+function resolveRpcUrl() {
+  if (args.rpc) return args.rpc;
+  const network = hre.config.networks[args.fork];
+  if (!network || !network.url) {
+    throw new Error(`Unknown fork network "${args.fork}". Pass --rpc <url> or a network from hardhat.config.js.`);
+  }
+  return network.url;
+}
+
+async function forkChain(jsonRpcUrl, blockNumber) {
+  const remote = new hre.ethers.JsonRpcProvider(jsonRpcUrl);
+  const { chainId } = await remote.getNetwork();
+  await hre.network.provider.request({
+    method: "hardhat_reset",
+    params: [{ forking: { jsonRpcUrl, ...(blockNumber ? { blockNumber } : {}) } }],
+  });
+  remote.destroy();
+  return chainId;
+}
+
+/**
+ * Executes the batch on the current Hardhat network as its Safe.
+ *
+ * @returns {Promise<{ok: boolean, results: Array<{index: number, to: string, method: string|null,
+ *   ok: boolean, gasUsed?: string, error?: string}>}>}
+ */
+async function simulateBatch(batch) {
+  const safe = batch.meta.createdFromSafeAddress;
+  await hre.network.provider.request({ method: "hardhat_impersonateAccount", params: [safe] });
+  await hre.network.provider.request({ method: "hardhat_setBalance", params: [safe, "0x56BC75E2D63100000"] }); // 100 ETH
+  const signer = await hre.ethers.getSigner(safe);
+
+  const results = [];
+  try {
+    for (const [index, tx] of batch.transactions.entries()) {
+      const result = { index, to: tx.to, method: tx.contractMethod?.name ?? null, ok: false };
+      results.push(result);
+      try {
+        const response = await signer.sendTransaction({ to: tx.to, value: BigInt(tx.value || 0), data: tx.data || "0x" });
+        const receipt = await response.wait();
+        result.ok = true;
+        result.gasUsed = receipt.gasUsed.toString();
+      } catch (error) {
+        result.error = errorMessage(error);
+        break;
+      }
+    }
+  } finally {
+    await hre.network.provider.request({ method: "hardhat_stopImpersonatingAccount", params: [safe] });
+  }
+
+  return { ok: results.length === batch.transactions.length && results.every((result) => result.ok), results };
+}
+
+async function main() {
+  const [file] = cli.positionals;
+  if (!file || (!args.fork && !args.rpc)) {
+    throw new Error("Usage: simulate-batch.js <batch.json> --fork <network> | --rpc <url> [--block <number>]");
+  }
+
+  const batch = JSON.parse(fs.readFileSync(file, "utf-8"));
+  const chainId = await forkChain(resolveRpcUrl(), args.block ? Number(args.block) : undefined);
+  if (chainId.toString() !== batch.chainId) {
+    throw new Error(`Batch targets chain ${batch.chainId} but the fork source reports ${chainId}.`);
+  }
+
+  console.log(`Simulating ${batch.transactions.length} transactions from Safe ${batch.meta.createdFromSafeAddress}...`);
+  const { ok, results } = await simulateBatch(batch);
+  for (const result of results) {
+    const label = `#${result.index} ${result.method ?? "raw call"} → ${result.to}`;
+    console.log(result.ok ? `✓ ${label} (gas ${result.gasUsed})` : `✗ ${label}: ${result.error}`);
+  }
+
+  if (!ok) {
+    throw new Error("Batch simulation failed; do not submit this batch.");
+  }
+  console.log("Batch simulation succeeded.");
+}
+
+module.exports = { simulateBatch };
+
+if (require.main === module) {
+  runScript(main);
+}
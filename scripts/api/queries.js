@@ -0,0 +1,343 @@
+/**
+ * Read model behind the protocol API (./server.js): paginated queries over the event indexer's
+ * SQLite database (scripts/indexer) and a few live contract reads.
+ *
+ * Every list is ordered by (block_number, log_index) and paged with an opaque cursor, so pages
+ * stay stable while the indexer appends. uint256/int256 values are returned as decimal strings,
+ * exactly as the indexer stores them.
+ */
+const { ethers } = require("ethers");
+const { INDEX_ORACLE_ABI, VAULT_ABI } = require("../../sdk/abi");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// IndexOracle keeps at most this many entries in priceHistory (MAX_HISTORY).
+const MAX_ONCHAIN_HISTORY = 90;
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+  }
+}
+
+function encodeCursor({ block_number: blockNumber, log_index: logIndex }) {
+  return Buffer.from(`${blockNumber}:${logIndex}`).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  const match = /^(\d+):(\d+)$/.exec(Buffer.from(cursor, "base64url").toString());
+  if (!match) throw new ApiError(400, `Invalid cursor "${cursor}".`);
+  return { blockNumber: Number(match[1]), logIndex: Number(match[2]) };
+}
+
+/**
+ * Validates `limit`, `cursor` and `order` from a request.
+ */
+function pageOptions({ limit, cursor, order } = {}) {
+  const size = limit === undefined || limit === null || limit === "" ? DEFAULT_LIMIT : Number(limit);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_LIMIT) {
+    throw new ApiError(400, `limit must be an integer from 1 to ${MAX_LIMIT}.`);
+  }
+  const direction = order ?? "desc";
+  if (direction !== "asc" && direction !== "desc") {
+    throw new ApiError(400, 'order must be "asc" or "desc".');
+  }
+  return { limit: size, cursor: cursor ? decodeCursor(cursor) : null, order: direction };
+}
+
+function address(value, name) {
+  if (value === undefined || value === null || value === "") return undefined;
+  if (!ethers.isAddress(value)) throw new ApiError(400, `${name} is not an address: "${value}".`);
+  return ethers.getAddress(value);
+}
+
+function oneOf(value, name, allowed) {
+  if (value === undefined || value === null || value === "") return undefined;
+  if (!allowed.includes(value)) throw new ApiError(400, `${name} must be one of ${allowed.join(", ")}.`);
+  return value;
+}
+
+function toPage(rows, limit, map) {
+  const hasMore = rows.length > limit;
+  const data = rows.slice(0, limit);
+  return {
+    data: data.map(map),
+    page: { limit, hasMore, nextCursor: hasMore ? encodeCursor(data[data.length - 1]) : null },
+  };
+}
+
+function logFields(row) {
+  return {
+    blockNumber: row.block_number,
+    logIndex: row.log_index,
+    timestamp: row.timestamp,
+    transactionHash: row.transaction_hash,
+  };
+}
+
+const toPosition = (row) => ({
+  positionId: row.position_id,
+  trader: row.trader,
+  isLong: row.is_long === 1,
+  size: row.size,
+  collateral: row.collateral,
+  leverage: row.leverage,
+  entryPrice: row.entry_price,
+  status: row.status,
+  openedAt: row.opened_at,
+  openedBlock: row.opened_block,
+  closedAt: row.closed_at,
+  closedBlock: row.closed_block,
+  pnl: row.pnl,
+  exitPrice: row.exit_price,
+  liquidator: row.liquidator,
+  liquidationReward: row.liquidation_reward,
+});
+
+class ProtocolQueries {
+  /**
+   * @param {object} options
+   * @param {import("better-sqlite3").Database} options.db Indexer database (scripts/indexer/schema.js).
+   * @param {import("ethers").Provider} [options.provider] For the live reads; they throw 503 without one.
+   * @param {{indexOracle?: string, vault?: string}} [options.deployments]
+   */
+  constructor({ db, provider, deployments = {} }) {
+    this.db = db;
+    this.provider = provider;
+    this.deployments = deployments;
+  }
+
+  /**
+   * SELECT over `source` (a table or subquery with block_number and log_index) with equality
+   * filters, paged by cursor.
+   */
+  _page(source, filters, options, map) {
+    const { limit, cursor, order } = pageOptions(options);
+    const clauses = Object.entries(filters)
+      .filter(([, value]) => value !== undefined)
+      .map(([column]) => `${column} = @${column}`);
+    const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined));
+    if (cursor) {
+      clauses.push(`(block_number, log_index) ${order === "asc" ? ">" : "<"} (@cursorBlock, @cursorLog)`);
+      params.cursorBlock = cursor.blockNumber;
+      params.cursorLog = cursor.logIndex;
+    }
+    const direction = order.toUpperCase();
+    const sql =
+      `SELECT * FROM ${source}${clauses.length > 0 ? ` WHERE ${clauses.join(" AND ")}` : ""} ` +
+      `ORDER BY block_number ${direction}, log_index ${direction} LIMIT ${limit + 1}`;
+    return toPage(this.db.prepare(sql).all(params), limit, map);
+  }
+
+  /**
+   * Pages an already ordered (ascending) series computed in memory.
+   */
+  _pageSeries(series, options, map) {
+    const { limit, cursor, order } = pageOptions(options);
+    let rows = order === "asc" ? series : [...series].reverse();
+    if (cursor) {
+      const after = (row) =>
+        row.block_number > cursor.blockNumber || (row.block_number === cursor.blockNumber && row.log_index > cursor.logIndex);
+      const before = (row) =>
+        row.block_number < cursor.blockNumber || (row.block_number === cursor.blockNumber && row.log_index < cursor.logIndex);
+      rows = rows.filter(order === "asc" ? after : before);
+    }
+    return toPage(rows.slice(0, limit + 1), limit, map);
+  }
+
+  _lastIndexedBlock() {
+    const row = this.db.prepare("SELECT value FROM sync_state WHERE key = 'last_block'").get();
+    return row ? Number(row.value) : null;
+  }
+
+  async status() {
+    const chainId = this.provider ? Number((await this.provider.getNetwork()).chainId) : null;
+    return { chainId, lastIndexedBlock: this._lastIndexedBlock() };
+  }
+
+  /**
+   * Positions, newest first by default, optionally for one trader and/or status.
+   */
+  positions({ trader, status, ...options } = {}) {
+    const source =
+      "(SELECT p.*, o.block_number, o.log_index FROM positions p JOIN position_opens o ON o.position_id = p.position_id)";
+    const filters = {
+      trader: address(trader, "trader"),
+      status: oneOf(status, "status", ["open", "closed", "liquidated"]),
+    };
+    return this._page(source, filters, options, toPosition);
+  }
+
+  position(positionId) {
+    const row = this.db.prepare("SELECT * FROM positions WHERE position_id = ?").get(String(positionId).toLowerCase());
+    return row ? toPosition(row) : null;
+  }
+
+  /**
+   * Long and short open interest (sum of open position sizes) after every open, close and
+   * liquidation.
+   */
+  openInterest(options = {}) {
+    const events = this.db
+      .prepare(
+        `SELECT block_number, log_index, timestamp, transaction_hash, 'open' AS event, position_id, is_long, size
+           FROM position_opens
+         UNION ALL
+         SELECT c.block_number, c.log_index, c.timestamp, c.transaction_hash, 'close', c.position_id, o.is_long, o.size
+           FROM position_closes c JOIN position_opens o ON o.position_id = c.position_id
+         UNION ALL
+         SELECT l.block_number, l.log_index, l.timestamp, l.transaction_hash, 'liquidation', l.position_id, o.is_long, o.size
+           FROM position_liquidations l JOIN position_opens o ON o.position_id = l.position_id
+         ORDER BY block_number, log_index`,
+      )
+      .all();
+
+    let long = 0n;
+    let short = 0n;
+    const series = events.map((row) => {
+      const delta = row.event === "open" ? BigInt(row.size) : -BigInt(row.size);
+      if (row.is_long === 1) long += delta;
+      else short += delta;
+      return { ...row, long_open_interest: long.toString(), short_open_interest: short.toString() };
+    });
+
+    return this._pageSeries(series, options, (row) => ({
+      ...logFields(row),
+      event: row.event,
+      positionId: row.position_id,
+      longOpenInterest: row.long_open_interest,
+      shortOpenInterest: row.short_open_interest,
+    }));
+  }
+
+  fundingRates(options = {}) {
+    return this._page("funding_rate_updates", {}, options, (row) => ({
+      ...logFields(row),
+      rate: row.rate,
+      fundingTime: row.funding_time,
+    }));
+  }
+
+  indexPrices({ source, ...options } = {}) {
+    const filters = { source: oneOf(source, "source", ["feeds", "manual"]) };
+    return this._page("index_price_updates", filters, options, (row) => ({
+      ...logFields(row),
+      source: row.source,
+      price: row.price,
+      realYield: row.real_yield,
+    }));
+  }
+
+  liquidations({ trader, liquidator, ...options } = {}) {
+    const source =
+      "(SELECT l.*, o.is_long, o.size, o.entry_price FROM position_liquidations l " +
+      "JOIN position_opens o ON o.position_id = l.position_id)";
+    const filters = { trader: address(trader, "trader"), liquidator: address(liquidator, "liquidator") };
+    return this._page(source, filters, options, (row) => ({
+      ...logFields(row),
+      positionId: row.position_id,
+      trader: row.trader,
+      liquidator: row.liquidator,
+      isLong: row.is_long === 1,
+      size: row.size,
+      entryPrice: row.entry_price,
+      liquidationPrice: row.liquidation_price,
+      reward: row.reward,
+    }));
+  }
+
+  /**
+   * Vault deposits and withdrawals, each with the vault's net deposits (its TVL) after it.
+   */
+  vaultFlows({ user, direction, ...options } = {}) {
+    const rows = this.db.prepare("SELECT * FROM vault_transfers ORDER BY block_number, log_index").all();
+    let net = 0n;
+    const series = rows.map((row) => {
+      net += row.direction === "deposit" ? BigInt(row.amount) : -BigInt(row.amount);
+      return { ...row, net_deposits: net.toString() };
+    });
+
+    const filters = { user: address(user, "user"), direction: oneOf(direction, "direction", ["deposit", "withdraw"]) };
+    const filtered = series.filter(
+      (row) => (!filters.user || row.user === filters.user) && (!filters.direction || row.direction === filters.direction),
+    );
+    return this._pageSeries(filtered, options, (row) => ({
+      ...logFields(row),
+      direction: row.direction,
+      user: row.user,
+      token: row.token,
+      amount: row.amount,
+      shares: row.shares,
+      netDeposits: row.net_deposits,
+    }));
+  }
+
+  /**
+   * Vault TVL: indexed net deposits, plus the live totals when a provider is configured.
+   */
+  async vaultTvl() {
+    const totals = this.db
+      .prepare("SELECT direction, amount FROM vault_transfers")
+      .all()
+      .reduce((sum, row) => sum + (row.direction === "deposit" ? BigInt(row.amount) : -BigInt(row.amount)), 0n);
+    const fees = this.db
+      .prepare("SELECT amount FROM vault_fees")
+      .all()
+      .reduce((sum, row) => sum + BigInt(row.amount), 0n);
+
+    const tvl = {
+      asOfBlock: this._lastIndexedBlock(),
+      netDeposits: totals.toString(),
+      feesCollected: fees.toString(),
+      totalAssets: null,
+      availableLiquidity: null,
+    };
+    if (this.provider && this.deployments.vault) {
+      const vault = new ethers.Contract(this.deployments.vault, VAULT_ABI, this.provider);
+      const [totalAssets, availableLiquidity] = await Promise.all([vault.getTotalAssets(), vault.getAvailableLiquidity()]);
+      tvl.totalAssets = totalAssets.toString();
+      tvl.availableLiquidity = availableLiquidity.toString();
+    }
+    return tvl;
+  }
+
+  _indexOracle() {
+    if (!this.provider || !this.deployments.indexOracle) {
+      throw new ApiError(503, "Live oracle reads need a provider and an indexOracle deployment.");
+    }
+    return new ethers.Contract(this.deployments.indexOracle, INDEX_ORACLE_ABI, this.provider);
+  }
+
+  /**
+   * IndexOracle.priceHistory (oldest first, at most 90 entries) and getTWAP(periods), read live.
+   */
+  async onchainIndexPrices({ periods } = {}) {
+    const samples = periods === undefined || periods === null || periods === "" ? 24 : Number(periods);
+    if (!Number.isInteger(samples) || samples < 1 || samples > MAX_ONCHAIN_HISTORY) {
+      throw new ApiError(400, `periods must be an integer from 1 to ${MAX_ONCHAIN_HISTORY}.`);
+    }
+    const oracle = this._indexOracle();
+
+    const reads = await Promise.allSettled(
+      Array.from({ length: MAX_ONCHAIN_HISTORY }, (_, index) => oracle.priceHistory(index)),
+    );
+    // priceHistory reverts past the end of the array.
+    const end = reads.findIndex(({ status }) => status === "rejected");
+    const history = reads.slice(0, end === -1 ? reads.length : end).map(({ value }) => value.toString());
+    const [twap, lastUpdateTime] = await Promise.all([
+      history.length > 0 ? oracle.getTWAP(samples) : null,
+      oracle.lastUpdateTime(),
+    ]);
+    return { history, periods: samples, twap: twap === null ? null : twap.toString(), lastUpdateTime: Number(lastUpdateTime) };
+  }
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  ApiError,
+  ProtocolQueries,
+};
@@ -0,0 +1,253 @@
+/**
+ * Response schemas for the protocol API (./server.js): a JSON Schema (draft 2020-12) document
+ * describing every REST response, served at GET /v1/schema, and the GraphQL SDL served at
+ * POST /graphql. Both describe the objects built in ./queries.js.
+ */
+const { MAX_LIMIT } = require("./queries");
+
+const uint = { type: "string", pattern: "^[0-9]+$", description: "uint256 as a decimal string" };
+const int = { type: "string", pattern: "^-?[0-9]+$", description: "int256 as a decimal string" };
+const address = { type: "string", pattern: "^0x[0-9a-fA-F]{40}$" };
+const bytes32 = { type: "string", pattern: "^0x[0-9a-f]{64}$" };
+const nullable = (schema) => ({ anyOf: [schema, { type: "null" }] });
+
+function object(properties) {
+  return { type: "object", additionalProperties: false, required: Object.keys(properties), properties };
+}
+
+const LOG = {
+  blockNumber: { type: "integer" },
+  logIndex: { type: "integer" },
+  timestamp: { type: "integer", description: "Block timestamp (seconds)" },
+  transactionHash: bytes32,
+};
+
+const DEFS = {
+  Page: object({
+    limit: { type: "integer", minimum: 1, maximum: MAX_LIMIT },
+    hasMore: { type: "boolean" },
+    nextCursor: nullable({ type: "string" }),
+  }),
+  Position: object({
+    positionId: bytes32,
+    trader: address,
+    isLong: { type: "boolean" },
+    size: uint,
+    collateral: uint,
+    leverage: uint,
+    entryPrice: uint,
+    status: { enum: ["open", "closed", "liquidated"] },
+    openedAt: { type: "integer" },
+    openedBlock: { type: "integer" },
+    closedAt: nullable({ type: "integer" }),
+    closedBlock: nullable({ type: "integer" }),
+    pnl: nullable(int),
+    exitPrice: nullable(uint),
+    liquidator: nullable(address),
+    liquidationReward: nullable(uint),
+  }),
+  OpenInterestPoint: object({
+    ...LOG,
+    event: { enum: ["open", "close", "liquidation"] },
+    positionId: bytes32,
+    longOpenInterest: uint,
+    shortOpenInterest: uint,
+  }),
+  FundingRate: object({ ...LOG, rate: int, fundingTime: { type: "integer" } }),
+  IndexPrice: object({ ...LOG, source: { enum: ["feeds", "manual"] }, price: uint, realYield: nullable(int) }),
+  OnchainIndexPrices: object({
+    history: { type: "array", items: uint, maxItems: 90, description: "IndexOracle.priceHistory, oldest first" },
+    periods: { type: "integer" },
+    twap: nullable(uint),
+    lastUpdateTime: { type: "integer" },
+  }),
+  Liquidation: object({
+    ...LOG,
+    positionId: bytes32,
+    trader: address,
+    liquidator: address,
+    isLong: { type: "boolean" },
+    size: uint,
+    entryPrice: uint,
+    liquidationPrice: uint,
+    reward: uint,
+  }),
+  VaultFlow: object({
+    ...LOG,
+    direction: { enum: ["deposit", "withdraw"] },
+    user: address,
+    token: address,
+    amount: uint,
+    shares: uint,
+    netDeposits: uint,
+  }),
+  VaultTvl: object({
+    asOfBlock: nullable({ type: "integer" }),
+    netDeposits: int,
+    feesCollected: uint,
+    totalAssets: nullable(uint),
+    availableLiquidity: nullable(uint),
+  }),
+  Status: object({
+    chainId: nullable({ type: "integer" }),
+    lastIndexedBlock: nullable({ type: "integer" }),
+  }),
+  Error: object({ error: object({ status: { type: "integer" }, message: { type: "string" } }) }),
+};
+
+const listOf = (def) => object({ data: { type: "array", items: { $ref: `#/$defs/${def}` } }, page: { $ref: "#/$defs/Page" } });
+const one = (def) => object({ data: { $ref: `#/$defs/${def}` } });
+
+const PAGE_PARAMS = ["limit", "cursor", "order"];
+
+// Path -> query parameters and the schema of a 200 response.
+const ENDPOINTS = {
+  "/v1/status": { params: [], response: one("Status") },
+  "/v1/positions": { params: ["trader", "status", ...PAGE_PARAMS], response: listOf("Position") },
+  "/v1/positions/{positionId}": { params: [], response: one("Position") },
+  "/v1/traders/{address}/positions": { params: ["status", ...PAGE_PARAMS], response: listOf("Position") },
+  "/v1/open-interest": { params: PAGE_PARAMS, response: listOf("OpenInterestPoint") },
+  "/v1/funding-rates": { params: PAGE_PARAMS, response: listOf("FundingRate") },
+  "/v1/index-prices": { params: ["source", ...PAGE_PARAMS], response: listOf("IndexPrice") },
+  "/v1/index-prices/onchain": { params: ["periods"], response: one("OnchainIndexPrices") },
+  "/v1/liquidations": { params: ["trader", "liquidator", ...PAGE_PARAMS], response: listOf("Liquidation") },
+  "/v1/vault/tvl": { params: [], response: one("VaultTvl") },
+  "/v1/vault/flows": { params: ["user", "direction", ...PAGE_PARAMS], response: listOf("VaultFlow") },
+};
+
+const JSON_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  $id: "urn:inflation-market:protocol-api:v1",
+  title: "Protocol API responses",
+  description:
+    "Lists are ordered by (blockNumber, logIndex), newest first unless order=asc, and paged with " +
+    `limit (default 50, max ${MAX_LIMIT}) and the opaque page.nextCursor. Errors use #/$defs/Error.`,
+  $defs: DEFS,
+  endpoints: ENDPOINTS,
+};
+
+const GRAPHQL_SDL = `
+enum Order { asc desc }
+enum PositionStatus { open closed liquidated }
+enum PriceSource { feeds manual }
+enum FlowDirection { deposit withdraw }
+enum OpenInterestEvent { open close liquidation }
+
+"Cursor paging, as in the REST API: endCursor is passed back as 'after'."
+type PageInfo { endCursor: String, hasNextPage: Boolean! }
+
+type Position {
+  positionId: ID!
+  trader: String!
+  isLong: Boolean!
+  size: String!
+  collateral: String!
+  leverage: String!
+  entryPrice: String!
+  status: PositionStatus!
+  openedAt: Int!
+  openedBlock: Int!
+  closedAt: Int
+  closedBlock: Int
+  pnl: String
+  exitPrice: String
+  liquidator: String
+  liquidationReward: String
+}
+
+type OpenInterestPoint {
+  blockNumber: Int!
+  logIndex: Int!
+  timestamp: Int!
+  transactionHash: String!
+  event: OpenInterestEvent!
+  positionId: ID!
+  longOpenInterest: String!
+  shortOpenInterest: String!
+}
+
+type FundingRate {
+  blockNumber: Int!
+  logIndex: Int!
+  timestamp: Int!
+  transactionHash: String!
+  rate: String!
+  fundingTime: Int!
+}
+
+type IndexPrice {
+  blockNumber: Int!
+  logIndex: Int!
+  timestamp: Int!
+  transactionHash: String!
+  source: PriceSource!
+  price: String!
+  realYield: String
+}
+
+type OnchainIndexPrices { history: [String!]!, periods: Int!, twap: String, lastUpdateTime: Int! }
+
+type Liquidation {
+  blockNumber: Int!
+  logIndex: Int!
+  timestamp: Int!
+  transactionHash: String!
+  positionId: ID!
+  trader: String!
+  liquidator: String!
+  isLong: Boolean!
+  size: String!
+  entryPrice: String!
+  liquidationPrice: String!
+  reward: String!
+}
+
+type VaultFlow {
+  blockNumber: Int!
+  logIndex: Int!
+  timestamp: Int!
+  transactionHash: String!
+  direction: FlowDirection!
+  user: String!
+  token: String!
+  amount: String!
+  shares: String!
+  netDeposits: String!
+}
+
+type VaultTvl {
+  asOfBlock: Int
+  netDeposits: String!
+  feesCollected: String!
+  totalAssets: String
+  availableLiquidity: String
+}
+
+type Status { chainId: Int, lastIndexedBlock: Int }
+
+type PositionConnection { nodes: [Position!]!, pageInfo: PageInfo! }
+type OpenInterestConnection { nodes: [OpenInterestPoint!]!, pageInfo: PageInfo! }
+type FundingRateConnection { nodes: [FundingRate!]!, pageInfo: PageInfo! }
+type IndexPriceConnection { nodes: [IndexPrice!]!, pageInfo: PageInfo! }
+type LiquidationConnection { nodes: [Liquidation!]!, pageInfo: PageInfo! }
+type VaultFlowConnection { nodes: [VaultFlow!]!, pageInfo: PageInfo! }
+
+type Query {
+  status: Status!
+  positions(trader: String, status: PositionStatus, first: Int, after: String, order: Order): PositionConnection!
+  position(positionId: ID!): Position
+  openInterest(first: Int, after: String, order: Order): OpenInterestConnection!
+  fundingRates(first: Int, after: String, order: Order): FundingRateConnection!
+  indexPrices(source: PriceSource, first: Int, after: String, order: Order): IndexPriceConnection!
+  onchainIndexPrices(periods: Int): OnchainIndexPrices!
+  liquidations(trader: String, liquidator: String, first: Int, after: String, order: Order): LiquidationConnection!
+  vaultTvl: VaultTvl!
+  vaultFlows(user: String, direction: FlowDirection, first: Int, after: String, order: Order): VaultFlowConnection!
+}
+`;
+
+module.exports = {
+  JSON_SCHEMA,
+  ENDPOINTS,
+  GRAPHQL_SDL,
+};
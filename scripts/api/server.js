@@ -0,0 +1,208 @@
+/**
+ * Protocol API: read-only REST and GraphQL over the event indexer's database (scripts/indexer),
+ * plus live IndexOracle and Vault reads.
+ *
+ * Usage:
+ *   node scripts/api/server.js --network <name> [--db indexer-data/<network>.sqlite]
+ *     [--port 8787] [--host 127.0.0.1] [--follow [--confirmations <n>] [--poll-interval 4000]]
+ *
+ * REST routes are listed at GET /v1 and their responses described by the JSON Schema at
+ * GET /v1/schema; GraphQL is served at POST /graphql ({"query": ..., "variables": ...}) with the
+ * same data. Lists are cursor-paged: pass page.nextCursor back as ?cursor= (REST) or
+ * pageInfo.endCursor as `after` (GraphQL).
+ *
+ * The API only reads the database. Keep it current with `npm run indexer:sync -- --follow` in
+ * another terminal, or pass --follow to run the indexer in this process (confirmations default to
+ * 0 on localhost/hardhat and 12 elsewhere).
+ */
+const { parseScriptArgs, loadDeployments, runScript, errorMessage } = require("../deploy/utils");
+
+const CLI_OPTIONS = {
+  network: { type: "string" },
+  db: { type: "string" },
+  port: { type: "string", default: "8787" },
+  host: { type: "string", default: "127.0.0.1" },
+  follow: { type: "boolean", default: false },
+  confirmations: { type: "string" },
+  "poll-interval": { type: "string", default: "4000" },
+};
+const args = parseScriptArgs(module, CLI_OPTIONS).values;
+
+const http = require("http");
+const path = require("path");
+const hre = require("hardhat");
+const { buildSchema, graphql } = require("graphql");
+const { shutdownSignal } = require("../keepers/loop");
+const { openDatabase } = require("../indexer/schema");
+const { EventIndexer, artifactSources, deployBlock } = require("../indexer/index-events");
+const { ApiError, ProtocolQueries } = require("./queries");
+const { ENDPOINTS, GRAPHQL_SDL, JSON_SCHEMA } = require("./schema");
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+const MAX_BODY_BYTES = 1 << 20;
+
+// [method, path pattern, handler(queries, pathParams, searchParams)]
+const ROUTES = [
+  ["GET", /^\/v1\/?$/, () => ({ endpoints: Object.keys(ENDPOINTS), graphql: "/graphql", schema: "/v1/schema" })],
+  ["GET", /^\/v1\/schema$/, () => JSON_SCHEMA],
+  ["GET", /^\/v1\/status$/, async (q) => ({ data: await q.status() })],
+  ["GET", /^\/v1\/positions$/, (q, _, query) => q.positions(query)],
+  [
+    "GET",
+    /^\/v1\/positions\/([^/]+)$/,
+    (q, [positionId]) => {
+      const position = q.position(positionId);
+      if (!position) throw new ApiError(404, `No position ${positionId}.`);
+      return { data: position };
+    },
+  ],
+  ["GET", /^\/v1\/traders\/([^/]+)\/positions$/, (q, [trader], query) => q.positions({ ...query, trader })],
+  ["GET", /^\/v1\/open-interest$/, (q, _, query) => q.openInterest(query)],
+  ["GET", /^\/v1\/funding-rates$/, (q, _, query) => q.fundingRates(query)],
+  ["GET", /^\/v1\/index-prices$/, (q, _, query) => q.indexPrices(query)],
+  ["GET", /^\/v1\/index-prices\/onchain$/, async (q, _, query) => ({ data: await q.onchainIndexPrices(query) })],
+  ["GET", /^\/v1\/liquidations$/, (q, _, query) => q.liquidations(query)],
+  ["GET", /^\/v1\/vault\/tvl$/, async (q) => ({ data: await q.vaultTvl() })],
+  ["GET", /^\/v1\/vault\/flows$/, (q, _, query) => q.vaultFlows(query)],
+];
+
+function connection({ data, page }) {
+  return { nodes: data, pageInfo: { endCursor: page.nextCursor, hasNextPage: page.hasMore } };
+}
+
+// GraphQL paging arguments map onto the REST ones.
+const paged = ({ first, after, ...filters }) => ({ ...filters, limit: first ?? undefined, cursor: after ?? undefined });
+
+function graphqlRoot(queries) {
+  return {
+    status: () => queries.status(),
+    positions: (args) => connection(queries.positions(paged(args))),
+    position: ({ positionId }) => queries.position(positionId),
+    openInterest: (args) => connection(queries.openInterest(paged(args))),
+    fundingRates: (args) => connection(queries.fundingRates(paged(args))),
+    indexPrices: (args) => connection(queries.indexPrices(paged(args))),
+    onchainIndexPrices: (args) => queries.onchainIndexPrices(args),
+    liquidations: (args) => connection(queries.liquidations(paged(args))),
+    vaultTvl: () => queries.vaultTvl(),
+    vaultFlows: (args) => connection(queries.vaultFlows(paged(args))),
+  };
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "content-type": "application/json; charset=utf-8",
+    "access-control-allow-origin": "*",
+  });
+  res.end(JSON.stringify(body));
+}
+
+function decodePathParam(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    throw new ApiError(400, `Malformed percent-encoding in ${segment}.`);
+  }
+}
+
+async function readJson(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new ApiError(413, "Request body too large.");
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch {
+    throw new ApiError(400, "Request body is not JSON.");
+  }
+}
+
+/**
+ * Creates (but does not start) the API server.
+ *
+ * @param {object} options
+ * @param {import("better-sqlite3").Database} options.db Indexer database.
+ * @param {import("ethers").Provider} [options.provider] Enables the live oracle/vault reads.
+ * @param {object} [options.deployments] deployments/<network>.json contents.
+ * @param {(message: string) => void} [options.log]
+ * @returns {import("http").Server}
+ */
+function createApiServer({ db, provider, deployments, log = console.log }) {
+  const queries = new ProtocolQueries({ db, provider, deployments });
+  const schema = buildSchema(GRAPHQL_SDL);
+  const rootValue = graphqlRoot(queries);
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    try {
+      if (req.method === "OPTIONS") {
+        res.writeHead(204, {
+          "access-control-allow-origin": "*",
+          "access-control-allow-methods": "GET, POST",
+          "access-control-allow-headers": "content-type",
+        });
+        return res.end();
+      }
+
+      if (url.pathname === "/graphql") {
+        if (req.method !== "POST") throw new ApiError(405, "POST a GraphQL request to /graphql.");
+        const { query, variables, operationName } = await readJson(req);
+        if (typeof query !== "string") throw new ApiError(400, 'Body needs a "query" string.');
+        const result = await graphql({ schema, source: query, rootValue, variableValues: variables, operationName });
+        return send(res, 200, result);
+      }
+
+      for (const [method, pattern, handler] of ROUTES) {
+        const match = pattern.exec(url.pathname);
+        if (!match) continue;
+        if (req.method !== method) throw new ApiError(405, `${url.pathname} only supports ${method}.`);
+        const params = match.slice(1).map(decodePathParam);
+        return send(res, 200, await handler(queries, params, Object.fromEntries(url.searchParams)));
+      }
+      throw new ApiError(404, `No route for ${url.pathname}.`);
+    } catch (error) {
+      const status = error instanceof ApiError ? error.status : 500;
+      if (status === 500) log(`⚠ ${req.method} ${url.pathname}: ${errorMessage(error)}`);
+      send(res, status, { error: { status, message: status === 500 ? "Internal error." : error.message } });
+    }
+  });
+}
+
+async function main() {
+  const network = hre.network.name;
+  const deployments = loadDeployments(network);
+  const file = args.db || path.join("indexer-data", `${network}.sqlite`);
+  const db = openDatabase(file);
+  const provider = hre.ethers.provider;
+
+  const server = createApiServer({ db, provider, deployments });
+  await new Promise((resolve) => server.listen(Number(args.port), args.host, resolve));
+  console.log(`Protocol API for ${network} (${file}) on http://${args.host}:${server.address().port}/v1`);
+
+  const signal = shutdownSignal();
+  try {
+    if (args.follow) {
+      const indexer = new EventIndexer({
+        provider,
+        db,
+        sources: await artifactSources(hre, deployments),
+        fromBlock: deployBlock(deployments),
+        confirmations: Number(args.confirmations ?? (LOCAL_NETWORKS.includes(network) ? 0 : 12)),
+      });
+      await indexer.run({ pollIntervalMs: Number(args["poll-interval"]), signal });
+    } else {
+      await new Promise((resolve) => signal.addEventListener("abort", resolve, { once: true }));
+    }
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    db.close();
+  }
+}
+
+module.exports = { createApiServer };
+
+if (require.main === module) {
+  runScript(main);
+}
@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+/**
+ * `im`: trader portfolio CLI for inspecting and managing positions.
+ *
+ * Usage:
+ *   im positions [address]                  open positions with PnL, funding and health
+ *   im open --side long|short --collateral <amount> --leverage <x> [--slippage 50] [--deposit]
+ *   im close <positionId>
+ *   im margin add|remove <positionId> <amount>
+ *   im deposit <amount>
+ *   im withdraw <amount>
+ *
+ *   Options for every command: --network <name> [--account <index>] [--json]
+ *
+ * Run as `npx im ...` or `npm run im -- ...`. Contract addresses come from
+ * deployments/<network>.json and transactions are signed by the network's account number
+ * --account (0 by default) from hardhat.config.js. Amounts are in collateral token units
+ * (e.g. 150.5 for USDC) and leverage is a multiple (5 for 5x). --json prints the result as JSON
+ * with integers as base-unit strings; prices carry 18 decimals.
+ *
+ * Everything goes through the SDK TradingClient: getUserPositions/getPosition/calculatePnL and
+ * Vault.availableBalance for reads, and its open/close/margin/deposit/withdraw helpers for writes.
+ */
+const { parseScriptArgs, loadDeployments, runScript } = require("../deploy/utils");
+
+const CLI_OPTIONS = {
+  network: { type: "string" },
+  account: { type: "string", default: "0" },
+  json: { type: "boolean", default: false },
+  side: { type: "string" },
+  collateral: { type: "string" },
+  leverage: { type: "string" },
+  slippage: { type: "string", default: "50" },
+  deposit: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+const cli = parseScriptArgs(module, CLI_OPTIONS, { allowPositionals: true });
+
+const hre = require("hardhat");
+const { ethers } = require("ethers");
+const { TradingClient } = require("../../sdk/client");
+const { revertName } = require("../../sdk/oracle-math");
+
+const USAGE = `Usage: im <command> [options] --network <name> [--account <index>] [--json]
+
+  positions [address]                  Open positions of address (default: the account)
+  open --side long|short --collateral <amount> --leverage <x> [--slippage <bps>] [--deposit]
+  close <positionId>
+  margin add|remove <positionId> <amount>
+  deposit <amount>
+  withdraw <amount>`;
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+// JSON.stringify replacer: bigints as decimal strings.
+function jsonValue(_, value) {
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+function signed(text) {
+  return text.startsWith("-") ? text : `+${text}`;
+}
+
+function shortId(id) {
+  return `${id.slice(0, 10)}…${id.slice(-4)}`;
+}
+
+// Left-aligns every column of `rows` (arrays of strings).
+function table(rows) {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+  return rows.map((row) => row.map((cell, column) => cell.padEnd(widths[column])).join("  ").trimEnd()).join("\n");
+}
+
+function positionId(value) {
+  if (!value || !ethers.isHexString(value, 32)) throw new UsageError(`Expected a bytes32 position id, got "${value ?? ""}".`);
+  return value;
+}
+
+class PortfolioCli {
+  /**
+   * @param {object} options
+   * @param {TradingClient} options.client Client whose runner signs transactions.
+   * @param {string} options.network Network name, for messages.
+   * @param {boolean} [options.json] Print results as JSON.
+   * @param {(text: string) => void} [options.print]
+   */
+  constructor({ client, network, json = false, print = console.log }) {
+    this.client = client;
+    this.network = network;
+    this.json = json;
+    this.print = print;
+    this._token = null;
+  }
+
+  async _collateral() {
+    if (!this._token) {
+      const token = await this.client.collateralToken();
+      this._token = { address: token.target, decimals: Number(await token.decimals()) };
+    }
+    return this._token;
+  }
+
+  async _amount(value, name = "amount") {
+    if (!value) throw new UsageError(`Missing ${name}.`);
+    const { decimals } = await this._collateral();
+    let amount;
+    try {
+      amount = ethers.parseUnits(value, decimals);
+    } catch {
+      throw new UsageError(`Invalid ${name} "${value}".`);
+    }
+    if (amount <= 0n) throw new UsageError(`${name} must be positive.`);
+    return amount;
+  }
+
+  async _format(amount) {
+    return ethers.formatUnits(amount, (await this._collateral()).decimals);
+  }
+
+  /**
+   * Runs one command and prints its result. Returns the result object either way.
+   *
+   * @param {string[]} positionals Command and its arguments, e.g. ["margin", "add", id, "10"].
+   * @param {object} [options] Parsed flags (side, collateral, leverage, slippage, deposit).
+   */
+  async run([command, ...rest], options = {}) {
+    const handler = {
+      positions: () => this.positions(rest[0]),
+      open: () => this.open(options),
+      close: () => this.close(rest[0]),
+      margin: () => this.margin(rest[0], rest[1], rest[2]),
+      deposit: () => this.deposit(rest[0]),
+      withdraw: () => this.withdraw(rest[0]),
+    }[command];
+    if (!handler) throw new UsageError(command ? `Unknown command "${command}".` : "Missing command.");
+
+    let result;
+    try {
+      result = await handler();
+    } catch (error) {
+      const reason = revertName(this.client.positionManager.interface, error);
+      if (reason) throw new Error(`${command} reverted with ${reason}.`);
+      throw error;
+    }
+    this.print(this.json ? JSON.stringify(result.data, jsonValue, 2) : result.text);
+    return result.data;
+  }
+
+  async positions(address) {
+    if (address !== undefined && !ethers.isAddress(address)) throw new UsageError(`Invalid address "${address}".`);
+    const trader = address ? ethers.getAddress(address) : await this.client.runner.getAddress();
+    const [collateral, balances, positions] = await Promise.all([
+      this._collateral(),
+      this.client.balances(trader),
+      this.client.getPositionDetails(trader),
+    ]);
+    const data = { network: this.network, trader, collateral, balances, positions };
+
+    const header =
+      `${trader} on ${this.network}: ${await this._format(balances.available)} available, ` +
+      `${await this._format(balances.locked)} locked in the vault.`;
+    if (positions.length === 0) return { data, text: `${header}\nNo open positions.` };
+
+    const rows = [["POSITION", "SIDE", "SIZE", "COLLATERAL", "LEVERAGE", "ENTRY", "LIQ. PRICE", "MARK", "UNREALIZED PNL", "FUNDING", "HEALTH"]];
+    for (const p of positions) {
+      rows.push([
+        shortId(p.id),
+        p.isLong ? "long" : "short",
+        await this._format(p.size),
+        await this._format(p.collateral),
+        `${ethers.formatEther(p.leverage)}x`,
+        ethers.formatEther(p.entryPrice),
+        ethers.formatEther(p.liquidationPrice),
+        ethers.formatEther(p.markPrice),
+        signed(await this._format(p.unrealizedPnl)),
+        signed(await this._format(p.fundingAccrued)),
+        `${(Number(p.healthBps) / 100).toFixed(2)}%${p.liquidatable ? " LIQUIDATABLE" : ""}`,
+      ]);
+    }
+    const footer = `Maintenance margin ${(Number(positions[0].maintenanceMarginBps) / 100).toFixed(2)}%; funding is owed when positive.`;
+    return { data, text: `${header}\n${table(rows)}\n${footer}` };
+  }
+
+  async open({ side, collateral, leverage, slippage = "50", deposit = false }) {
+    if (side !== "long" && side !== "short") throw new UsageError('--side must be "long" or "short".');
+    const amount = await this._amount(collateral, "--collateral");
+    let leverageWad;
+    try {
+      leverageWad = ethers.parseEther(leverage ?? "");
+    } catch {
+      throw new UsageError(`Invalid --leverage "${leverage ?? ""}".`);
+    }
+    if (!/^\d+$/.test(slippage)) throw new UsageError(`Invalid --slippage "${slippage}"; give basis points.`);
+    const request = { isLong: side === "long", collateral: amount, leverage: leverageWad, slippageBps: BigInt(slippage) };
+
+    const opened = deposit ? await this.client.depositAndOpen(request) : await this.client.openPosition(request);
+    const data = {
+      action: "open",
+      positionId: opened.positionId,
+      isLong: opened.isLong,
+      size: opened.size,
+      collateral: opened.collateral,
+      leverage: opened.leverage,
+      entryPrice: opened.entryPrice,
+      fee: opened.quote.fee,
+      deposited: opened.deposited ?? 0n,
+      transactionHash: opened.receipt.hash,
+    };
+    const text =
+      `Opened ${side} ${opened.positionId}: size ${await this._format(opened.size)} at ${ethers.formatEther(opened.entryPrice)}, ` +
+      `fee ${await this._format(opened.quote.fee)}${data.deposited > 0n ? `, deposited ${await this._format(data.deposited)}` : ""}.`;
+    return { data, text };
+  }
+
+  async close(id) {
+    const closed = await this.client.closePosition(positionId(id));
+    const data = { action: "close", positionId: id, pnl: closed.pnl, closingPrice: closed.closingPrice, transactionHash: closed.receipt.hash };
+    return {
+      data,
+      text: `Closed ${id} at ${ethers.formatEther(closed.closingPrice)}: realized PnL ${signed(await this._format(closed.pnl))}.`,
+    };
+  }
+
+  async margin(direction, id, value) {
+    if (direction !== "add" && direction !== "remove") throw new UsageError('Use "margin add" or "margin remove".');
+    positionId(id);
+    const amount = await this._amount(value);
+    const changed = direction === "add" ? await this.client.addMargin(id, amount) : await this.client.removeMargin(id, amount);
+    const data = { action: `margin-${direction}`, positionId: id, amount, newCollateral: changed.newCollateral, transactionHash: changed.receipt.hash };
+    const verb = direction === "add" ? "Added" : "Removed";
+    return { data, text: `${verb} ${await this._format(amount)} margin; ${id} now has ${await this._format(changed.newCollateral)} collateral.` };
+  }
+
+  async deposit(value) {
+    const amount = await this._amount(value);
+    const receipt = await this.client.deposit(amount);
+    const { available } = await this.client.balances();
+    return {
+      data: { action: "deposit", amount, available, transactionHash: receipt.hash },
+      text: `Deposited ${await this._format(amount)}; ${await this._format(available)} available.`,
+    };
+  }
+
+  async withdraw(value) {
+    const amount = await this._amount(value);
+    const receipt = await this.client.withdraw(amount);
+    const { available } = await this.client.balances();
+    return {
+      data: { action: "withdraw", amount, available, transactionHash: receipt.hash },
+      text: `Withdrew ${await this._format(amount)}; ${await this._format(available)} still available.`,
+    };
+  }
+}
+
+async function main() {
+  const { values, positionals } = cli;
+  if (values.help || positionals.length === 0) {
+    console.log(USAGE);
+    return;
+  }
+
+  const network = hre.network.name;
+  const signers = await hre.ethers.getSigners();
+  const signer = signers[Number(values.account)];
+  if (!signer) {
+    throw new UsageError(`No account ${values.account} on ${network}; it has ${signers.length}.`);
+  }
+
+  const deployments = loadDeployments(network);
+  if (!deployments.positionManager) {
+    throw new Error(`No PositionManager recorded in deployments/${network}.json.`);
+  }
+  const client = TradingClient.fromDeployments(signer, deployments);
+  const portfolio = new PortfolioCli({ client, network, json: values.json });
+  try {
+    await portfolio.run(positionals, values);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+}
+
+module.exports = { PortfolioCli, UsageError };
+
+if (require.main === module) {
+  runScript(main);
+}
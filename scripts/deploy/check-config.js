@@ -0,0 +1,30 @@
+/**
+ * Validates the deployment config for a network without touching the chain.
+ *
+ * Usage:
+ *   node scripts/deploy/check-config.js [network ...]
+ *
+ * Checks every network known to scripts/deploy/config.js when none is given and exits non-zero
+ * if any of them has missing or invalid variables.
+ */
+const { NETWORKS, resolveNetworkConfig, formatIssues } = require("./config");
+
+function main() {
+  const requested = process.argv.slice(2);
+  const networks = requested.length > 0 ? requested : Object.keys(NETWORKS);
+
+  let failures = 0;
+  for (const network of networks) {
+    const { issues } = resolveNetworkConfig(network);
+    if (issues.length === 0) {
+      console.log(`✓ ${network} deployment config is valid`);
+      continue;
+    }
+    failures += 1;
+    console.error(`✗ ${formatIssues(network, issues)}`);
+  }
+
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+main();
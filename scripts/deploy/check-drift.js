@@ -0,0 +1,228 @@
+/**
+ * Detects configuration drift between deployed contracts and scripts/deploy/config.js.
+ *
+ * Usage:
+ *   node scripts/deploy/check-drift.js --network <name> [--calldata] [--json] [--safe <address> [--out batch.json]]
+ *
+ * Reads every admin-configurable parameter from the contracts in deployments/<network>.json and
+ * prints expected vs actual. --calldata also prints the admin transactions that would reconcile
+ * the drift; --safe writes them as a Safe Transaction Builder batch. Nothing is ever sent. Exits 1
+ * when drift is found.
+ */
+const { parseScriptArgs, loadDeployments, mockConfigOverrides, readStorageValue, errorMessage } = require("./utils");
+
+const CLI_OPTIONS = {
+  network: { type: "string" },
+  calldata: { type: "boolean", default: false },
+  json: { type: "boolean", default: false },
+  safe: { type: "string" },
+  out: { type: "string" },
+};
+const args = parseScriptArgs(module, CLI_OPTIONS).values;
+
+const hre = require("hardhat");
+const { getNetworkConfig } = require("./config");
+const { SafeBatch, defaultBatchFile } = require("../admin/safe-batch");
+
+const CONTRACTS = {
+  vault: "Vault",
+  indexOracle: "IndexOracle",
+  vamm: "vAMM",
+  fundingCalculator: "FundingRateCalculator",
+  positionManager: "PositionManager",
+  liquidator: "Liquidator",
+};
+
+function getPath(cfg, path) {
+  return path.split(".").reduce((node, key) => (node === undefined ? undefined : node[key]), cfg);
+}
+
+/**
+ * A parameter whose config value maps 1:1 onto a single-argument admin setter. `expected` is
+ * undefined when the config leaves the value unset; such rows are reported but never count as drift.
+ */
+function parameter(component, name, configPath, read, setterFn) {
+  return {
+    component,
+    name,
+    expected: (cfg) => getPath(cfg, configPath),
+    read,
+    setter: { fn: setterFn, args: (cfg) => [getPath(cfg, configPath)] },
+  };
+}
+
+// PositionManager sets its four risk parameters together, so any of them drifting reconciles with one call.
+const riskParameters = {
+  fn: "setRiskParameters",
+  args: (cfg) => [
+    cfg.positionManager.maxLeverage,
+    cfg.positionManager.maintenanceMarginBps,
+    cfg.positionManager.tradingFeeBps,
+    cfg.positionManager.liquidationFeeBps,
+  ],
+};
+
+const PARAMETERS = [
+  parameter("vault", "tradingFeeRate", "vault.tradingFeeRate", (c) => c.tradingFeeRate(), "setTradingFeeRate"),
+  parameter("vault", "feeRecipient", "vault.feeRecipient", (c) => c.feeRecipient(), "setFeeRecipient"),
+
+  parameter("indexOracle", "updateInterval", "chainlink.updateInterval", (c) => c.updateInterval(), "setUpdateInterval"),
+  parameter(
+    "indexOracle",
+    "maxPriceDeviation",
+    "chainlink.maxDeviation",
+    // No getter; read the private variable directly.
+    (c, address) => readStorageValue(hre, "contracts/IndexOracle.sol:IndexOracle", "_maxPriceDeviation", address),
+    "setMaxPriceDeviation",
+  ),
+
+  parameter("vamm", "maxPriceImpact", "vamm.maxPriceImpactBps", (c) => c.maxPriceImpact(), "setMaxPriceImpact"),
+
+  parameter("fundingCalculator", "fundingInterval", "funding.interval", (c) => c.fundingInterval(), "setFundingInterval"),
+  parameter("fundingCalculator", "fundingRateCoefficient", "funding.coefficient", (c) => c.fundingRateCoefficient(), "setFundingRateCoefficient"),
+  parameter("fundingCalculator", "maxFundingRate", "funding.maxRate", (c) => c.maxFundingRate(), "setMaxFundingRate"),
+  parameter("fundingCalculator", "minFundingRate", "funding.minRate", (c) => c.minFundingRate(), "setMinFundingRate"),
+
+  { ...parameter("positionManager", "maxLeverage", "positionManager.maxLeverage", (c) => c.maxLeverage()), setter: riskParameters },
+  { ...parameter("positionManager", "maintenanceMargin", "positionManager.maintenanceMarginBps", (c) => c.maintenanceMargin()), setter: riskParameters },
+  { ...parameter("positionManager", "tradingFee", "positionManager.tradingFeeBps", (c) => c.tradingFee()), setter: riskParameters },
+  { ...parameter("positionManager", "liquidationFee", "positionManager.liquidationFeeBps", (c) => c.liquidationFee()), setter: riskParameters },
+  parameter("positionManager", "minCollateral", "positionManager.minCollateral", (c) => c.minCollateral(), "setMinCollateral"),
+  parameter(
+    "positionManager",
+    "liquidationRemainderToPnlPool",
+    "positionManager.liquidationRemainderToPnlPool",
+    (c) => c.liquidationRemainderToPnlPool(),
+    "setLiquidationRemainderToPnlPool",
+  ),
+  // initialize-system.js points PositionManager fees at the vault fee recipient as well.
+  parameter("positionManager", "feeRecipient", "vault.feeRecipient", (c) => c.feeRecipient(), "setFeeRecipient"),
+
+  parameter("liquidator", "insuranceFund", "liquidator.insuranceFund", (c) => c.insuranceFund(), "setInsuranceFund"),
+  parameter("liquidator", "liquidationFeePercent", "liquidator.liquidationFeeBps", (c) => c.liquidationFeePercent(), "setLiquidationFee"),
+  parameter("liquidator", "liquidatorRewardPercent", "liquidator.liquidatorRewardBps", (c) => c.liquidatorRewardPercent(), "setLiquidatorReward"),
+];
+
+function normalize(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === "string" && hre.ethers.isAddress(value)) return value.toLowerCase();
+  return value.toString();
+}
+
+/**
+ * Reads each parameter and compares it with the network config.
+ *
+ * @returns {Promise<Array<{component: string, parameter: string, address: string, expected: string|null,
+ *   actual: string|null, drift: boolean, error?: string}>>}
+ */
+async function detectDrift({ cfg, deployments }) {
+  const instances = {};
+  const rows = [];
+
+  for (const parameter of PARAMETERS) {
+    const address = deployments[parameter.component];
+    if (!address) continue;
+
+    instances[parameter.component] =
+      instances[parameter.component] || (await hre.ethers.getContractAt(CONTRACTS[parameter.component], address));
+    const expected = normalize(parameter.expected(cfg));
+    const row = { component: parameter.component, parameter: parameter.name, address, expected, actual: null, drift: false };
+
+    try {
+      row.actual = normalize(await parameter.read(instances[parameter.component], address));
+      row.drift = expected !== null && expected !== row.actual;
+    } catch (error) {
+      row.error = errorMessage(error);
+      row.drift = true;
+    }
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Builds the admin calls that would bring drifted parameters back to config. Returned calls are
+ * plain {to, contract, fn, args, data} objects; nothing is signed or sent.
+ */
+function reconciliationCalls({ cfg, rows }) {
+  const calls = [];
+  const seen = new Set();
+
+  for (const row of rows) {
+    if (!row.drift || row.error) continue;
+    const parameter = PARAMETERS.find((item) => item.component === row.component && item.name === row.parameter);
+    const key = `${row.component}.${parameter.setter.fn}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const contractName = CONTRACTS[row.component];
+    const callArgs = parameter.setter.args(cfg);
+    const { abi } = hre.artifacts.readArtifactSync(contractName);
+    const data = new hre.ethers.Interface(abi).encodeFunctionData(parameter.setter.fn, callArgs);
+    calls.push({ to: row.address, contract: contractName, fn: parameter.setter.fn, args: callArgs, data });
+  }
+
+  return calls;
+}
+
+function printTable(rows) {
+  const header = ["", "contract", "parameter", "expected", "actual"];
+  const body = rows.map((row) => [
+    row.drift ? "✗" : "✓",
+    row.component,
+    row.parameter,
+    row.expected ?? "(unset)",
+    row.error ? `error: ${row.error}` : row.actual,
+  ]);
+  const widths = header.map((_, column) => Math.max(...[header, ...body].map((line) => String(line[column]).length)));
+  for (const line of [header, ...body]) {
+    console.log(line.map((cell, column) => String(cell).padEnd(widths[column])).join("  ").trimEnd());
+  }
+}
+
+async function main() {
+  const network = hre.network.name;
+  const deployments = loadDeployments(network);
+  const cfg = getNetworkConfig(network, { overrides: mockConfigOverrides(deployments) });
+
+  const rows = await detectDrift({ cfg, deployments });
+  const calls = args.calldata || args.safe ? reconciliationCalls({ cfg, rows }) : undefined;
+  const drifted = rows.filter((row) => row.drift).length;
+
+  if (args.json) {
+    console.log(JSON.stringify({ network, drifted, rows, calls }, null, 2));
+  } else {
+    printTable(rows);
+    console.log(`\n${drifted} of ${rows.length} parameters drifted from config on ${network}.`);
+    if (calls && calls.length > 0) {
+      console.log("\nReconciliation calls (not sent):");
+      for (const call of calls) {
+        console.log(`  ${call.contract}.${call.fn}(${call.args.join(", ")})`);
+        console.log(`    to:   ${call.to}`);
+        console.log(`    data: ${call.data}`);
+      }
+    }
+  }
+
+  if (args.safe && calls.length > 0) {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const batch = new SafeBatch({ chainId, safeAddress: args.safe, name: `Reconcile config drift (${network})` });
+    for (const call of calls) {
+      await batch.add(await hre.ethers.getContractAt(call.contract, call.to), call.fn, call.args);
+    }
+    batch.write(args.out || defaultBatchFile(network, "reconcile"));
+  }
+  return drifted === 0;
+}
+
+module.exports = { PARAMETERS, detectDrift, reconciliationCalls };
+
+if (require.main === module) {
+  main()
+    .then((clean) => process.exit(clean ? 0 : 1))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
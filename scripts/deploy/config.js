@@ -1,57 +1,282 @@
 require("dotenv").config();
+const { isAddress } = require("ethers");
 
-const REQUIRED_ENV_MESSAGE =
-  "Missing required environment variable for Arbitrum Sepolia deployment. Please review scripts/deploy/config.js.";
+/**
+ * Per-network deployment configuration.
+ *
+ * Nothing is read from the environment at require-time: call `getNetworkConfig(network)` to
+ * resolve a network's values, apply defaults, and validate them against SCHEMA. Every problem is
+ * collected and reported together, so a deploy aborts with the full list of missing or invalid
+ * variables before any transaction is sent.
+ *
+ * Variables are named `<envPrefix>_<env>`, e.g. ARB_SEPOLIA_USDC or SEPOLIA_POSITION_MAX_LEVERAGE.
+ * Networks with a `legacyEnvPrefix` also accept the older names (e.g. ARB_VAULT_TRADING_FEE_BPS).
+ */
 
-function getEnv(name, optional = false) {
-  const value = process.env[name];
-  if (!value && !optional) {
-    throw new Error(`${REQUIRED_ENV_MESSAGE} Variable: ${name}`);
-  }
-  return value;
-}
+// Mirrors on-chain bounds so invalid values fail here instead of mid-deployment.
+const BASIS_POINTS = 10_000;
+const MIN_LEVERAGE = 10n ** 18n; // PositionManager.MIN_LEVERAGE
+const MAX_LEVERAGE_CAP = 20n * 10n ** 18n; // PositionManager.MAX_LEVERAGE_CAP
+const MAX_FEE_BPS = 1_000; // PositionManager.setRiskParameters
+const MAX_VAULT_FEE_BPS = 999; // Vault requires tradingFeeRate < 1000
+const MIN_MAINTENANCE_MARGIN = 100; // PositionManager.MIN_MAINTENANCE_MARGIN
+const MAX_MAINTENANCE_MARGIN = 2_000; // PositionManager.MAX_MAINTENANCE_MARGIN
+
+// First Hardhat default account; the deployer on local networks.
+const HARDHAT_DEFAULT_ACCOUNT = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+
+const SCHEMA = [
+  { path: "collateral.token", env: "USDC", type: "address", required: true },
+  { path: "collateral.decimals", env: "USDC_DECIMALS", type: "integer", default: 6, min: 0, max: 18 },
+
+  { path: "vault.tradingFeeRate", env: "VAULT_TRADING_FEE_BPS", type: "integer", default: 10, min: 0, max: MAX_VAULT_FEE_BPS },
+  { path: "vault.feeRecipient", env: "VAULT_FEE_RECIPIENT", type: "address" },
+
+  { path: "chainlink.cpiFeed", env: "CHAINLINK_CPI_FEED", type: "address", required: true },
+  { path: "chainlink.treasuryFeed", env: "CHAINLINK_TREASURY_FEED", type: "address", required: true },
+  { path: "chainlink.updateInterval", env: "ORACLE_UPDATE_INTERVAL", type: "integer", default: 3600, min: 1 },
+  { path: "chainlink.maxDeviation", env: "ORACLE_MAX_DEVIATION_BPS", type: "integer", default: 500, min: 1, max: BASIS_POINTS },
+
+  // Reserves are whole-token amounts, scaled by 1e18 at deploy time.
+  { path: "vamm.baseReserve", env: "VAMM_BASE_RESERVE", type: "decimal", default: "1000000" },
+  { path: "vamm.quoteReserve", env: "VAMM_QUOTE_RESERVE", type: "decimal", default: "2000000000" },
+  { path: "vamm.maxPriceImpactBps", env: "VAMM_MAX_PRICE_IMPACT_BPS", type: "integer", default: 1500, min: 1, max: BASIS_POINTS },
+
+  { path: "funding.interval", env: "FUNDING_INTERVAL", type: "integer", default: 3600, min: 1 },
+  { path: "funding.coefficient", env: "FUNDING_COEFFICIENT", type: "uint", default: "1000000000000000000", min: 1n }, // 1e18
+  { path: "funding.maxRate", env: "FUNDING_MAX_RATE", type: "uint", default: "1000000000000000", min: 1n }, // 0.001 * 1e18
+  { path: "funding.minRate", env: "FUNDING_MIN_RATE", type: "uint", default: "1000000000000000", min: 1n },
+
+  { path: "liquidator.insuranceFund", env: "INSURANCE_FUND_ADDRESS", type: "address", required: true },
+  { path: "liquidator.liquidationFeeBps", env: "LIQUIDATION_FEE_BPS", type: "integer", default: 500, min: 0, max: BASIS_POINTS },
+  { path: "liquidator.liquidatorRewardBps", env: "LIQUIDATOR_REWARD_BPS", type: "integer", default: 500, min: 0, max: BASIS_POINTS },
+
+  { path: "positionManager.tradingFeeBps", env: "POSITION_TRADING_FEE_BPS", type: "integer", default: 10, min: 0, max: MAX_FEE_BPS },
+  { path: "positionManager.liquidationFeeBps", env: "POSITION_LIQUIDATION_FEE_BPS", type: "integer", default: 500, min: 0, max: MAX_FEE_BPS },
+  {
+    path: "positionManager.maxLeverage",
+    env: "POSITION_MAX_LEVERAGE",
+    type: "uint",
+    default: "10000000000000000000", // 10e18
+    min: MIN_LEVERAGE,
+    max: MAX_LEVERAGE_CAP,
+  },
+  {
+    path: "positionManager.maintenanceMarginBps",
+    env: "POSITION_MAINTENANCE_MARGIN_BPS",
+    type: "integer",
+    default: 500,
+    min: MIN_MAINTENANCE_MARGIN,
+    max: MAX_MAINTENANCE_MARGIN,
+  },
+  { path: "positionManager.minCollateral", env: "POSITION_MIN_COLLATERAL", type: "uint", default: "10000000" }, // 10 USDC
+  // Account the funding keeper sends settleFunding from; granted KEEPER_ROLE during initialization.
+  { path: "positionManager.fundingKeeper", env: "POSITION_FUNDING_KEEPER", type: "address" },
+  // Collateral (base units) initialization tops PositionManager's PnL pool up to, from the admin's
+  // wallet. Profits beyond the pool are not paid out, so set this before opening a market; 0 skips it.
+  { path: "positionManager.pnlPoolTarget", env: "POSITION_PNL_POOL_TARGET", type: "uint", default: "0" },
+  // Where a liquidation's collateral past the liquidator's reward goes: the fee recipient (false,
+  // the contract default) or the PnL pool (true), where it backs other traders' profits.
+  { path: "positionManager.liquidationRemainderToPnlPool", env: "POSITION_LIQUIDATION_REMAINDER_TO_PNL_POOL", type: "boolean", default: false },
+];
+
+const CROSS_FIELD_RULES = [
+  {
+    paths: ["funding.minRate", "funding.maxRate"],
+    check: (cfg) => BigInt(cfg.funding.minRate) <= BigInt(cfg.funding.maxRate),
+    message: "funding.minRate must be less than or equal to funding.maxRate",
+  },
+];
 
-const config = {
+const NETWORKS = {
+  hardhat: {
+    chainId: 31337,
+    envPrefix: "LOCAL",
+    defaults: { "liquidator.insuranceFund": HARDHAT_DEFAULT_ACCOUNT },
+  },
+  localhost: {
+    chainId: 31337,
+    envPrefix: "LOCAL",
+    defaults: { "liquidator.insuranceFund": HARDHAT_DEFAULT_ACCOUNT },
+  },
+  sepolia: {
+    chainId: 11155111,
+    envPrefix: "SEPOLIA",
+  },
   arbitrumSepolia: {
     chainId: 421614,
-    collateral: {
-      token: getEnv("ARB_SEPOLIA_USDC"),
-      decimals: Number(process.env.ARB_SEPOLIA_USDC_DECIMALS || 6),
-    },
-    vault: {
-      tradingFeeRate: Number(process.env.ARB_VAULT_TRADING_FEE_BPS || 10),
-      feeRecipient: process.env.ARB_VAULT_FEE_RECIPIENT,
-    },
-    chainlink: {
-      cpiFeed: getEnv("ARB_SEPOLIA_CHAINLINK_CPI_FEED"),
-      treasuryFeed: getEnv("ARB_SEPOLIA_CHAINLINK_TREASURY_FEED"),
-      updateInterval: Number(process.env.ARB_ORACLE_UPDATE_INTERVAL || 3600),
-      maxDeviation: Number(process.env.ARB_ORACLE_MAX_DEVIATION_BPS || 500),
-    },
-    vamm: {
-      baseReserve: process.env.ARB_VAMM_BASE_RESERVE || "1000000", // expressed in ETH with 18 decimals
-      quoteReserve: process.env.ARB_VAMM_QUOTE_RESERVE || "2000000000", // expressed with 18 decimals
-      maxPriceImpactBps: Number(process.env.ARB_VAMM_MAX_PRICE_IMPACT_BPS || 1500),
-    },
-    funding: {
-      interval: Number(process.env.ARB_FUNDING_INTERVAL || 3600),
-      coefficient: process.env.ARB_FUNDING_COEFFICIENT || "1000000000000000000", // 1e18
-      maxRate: process.env.ARB_FUNDING_MAX_RATE || "1000000000000000", // 0.001 * 1e18
-      minRate: process.env.ARB_FUNDING_MIN_RATE || "1000000000000000",
-    },
-    liquidator: {
-      insuranceFund: getEnv("ARB_INSURANCE_FUND_ADDRESS"),
-      liquidationFeeBps: Number(process.env.ARB_LIQUIDATION_FEE_BPS || 500),
-      liquidatorRewardBps: Number(process.env.ARB_LIQUIDATOR_REWARD_BPS || 500),
-    },
-    positionManager: {
-      tradingFeeBps: Number(process.env.ARB_POSITION_TRADING_FEE_BPS || 10),
-      liquidationFeeBps: Number(process.env.ARB_POSITION_LIQUIDATION_FEE_BPS || 500),
-      maxLeverage: process.env.ARB_POSITION_MAX_LEVERAGE || "10000000000000000000", // 10e18 default
-      maintenanceMarginBps: Number(process.env.ARB_POSITION_MAINTENANCE_MARGIN_BPS || 500),
-      minCollateral: process.env.ARB_POSITION_MIN_COLLATERAL || "10000000", // 10 USDC default
-    },
+    envPrefix: "ARB_SEPOLIA",
+    legacyEnvPrefix: "ARB",
+  },
+  arbitrum: {
+    chainId: 42161,
+    envPrefix: "ARB_ONE",
+    defaults: { "collateral.token": "0xaf88d065e77c8cC2239327C5EDb3A432268e5831" }, // native USDC
   },
 };
 
-module.exports = config;
+class ConfigValidationError extends Error {
+  constructor(network, issues) {
+    super(formatIssues(network, issues));
+    this.name = "ConfigValidationError";
+    this.network = network;
+    this.issues = issues;
+  }
+}
+
+function envNames(definition, field) {
+  const names = [`${definition.envPrefix}_${field.env}`];
+  if (definition.legacyEnvPrefix) {
+    names.push(`${definition.legacyEnvPrefix}_${field.env}`);
+  }
+  return names;
+}
+
+function setPath(target, path, value) {
+  const keys = path.split(".");
+  let cursor = target;
+  for (const key of keys.slice(0, -1)) {
+    cursor[key] = cursor[key] || {};
+    cursor = cursor[key];
+  }
+  cursor[keys[keys.length - 1]] = value;
+}
+
+function parseField(field, raw) {
+  const text = String(raw).trim();
+  switch (field.type) {
+    case "address":
+      if (!isAddress(text)) return { error: "must be a valid address" };
+      return { value: text };
+    case "integer": {
+      if (!/^\d+$/.test(text)) return { error: "must be a non-negative integer" };
+      const value = Number(text);
+      if (field.min !== undefined && value < field.min) return { error: `must be ≥ ${field.min}` };
+      if (field.max !== undefined && value > field.max) return { error: `must be ≤ ${field.max}` };
+      return { value };
+    }
+    case "uint": {
+      if (!/^\d+$/.test(text)) return { error: "must be a non-negative integer (base units, no decimals)" };
+      const value = BigInt(text);
+      if (field.min !== undefined && value < field.min) return { error: `must be ≥ ${field.min}` };
+      if (field.max !== undefined && value > field.max) return { error: `must be ≤ ${field.max}` };
+      return { value: text };
+    }
+    case "boolean":
+      if (!/^(true|false)$/i.test(text)) return { error: "must be true or false" };
+      return { value: text.toLowerCase() === "true" };
+    case "decimal":
+      if (!/^\d+(\.\d+)?$/.test(text) || Number(text) <= 0) return { error: "must be a positive number" };
+      return { value: text };
+    default:
+      throw new Error(`Unknown config field type ${field.type}`);
+  }
+}
+
+/**
+ * Resolve and validate a network's configuration without throwing.
+ * @param {string} network Hardhat network name.
+ * @param {object} [options]
+ * @param {object} [options.env] Environment to read from (defaults to process.env).
+ * @param {object} [options.overrides] Values keyed by schema path that take precedence over env.
+ * @returns {{ network: string, config: object|null, issues: object[] }}
+ */
+function resolveNetworkConfig(network, { env = process.env, overrides = {} } = {}) {
+  const definition = NETWORKS[network];
+  if (!definition) {
+    return {
+      network,
+      config: null,
+      issues: [{ kind: "unknown-network", message: `No deployment config defined for ${network}. Known networks: ${Object.keys(NETWORKS).join(", ")}` }],
+    };
+  }
+
+  const config = { chainId: definition.chainId };
+  const issues = [];
+
+  for (const field of SCHEMA) {
+    const names = envNames(definition, field);
+    const variable = names.find((name) => env[name] !== undefined && env[name] !== "");
+    let raw;
+    if (overrides[field.path] !== undefined) {
+      raw = overrides[field.path];
+    } else if (variable) {
+      raw = env[variable];
+    } else if (definition.defaults?.[field.path] !== undefined) {
+      raw = definition.defaults[field.path];
+    } else {
+      raw = field.default;
+    }
+
+    if (raw === undefined || raw === null || raw === "") {
+      if (field.required) {
+        issues.push({ kind: "missing", path: field.path, variable: names[0] });
+      }
+      setPath(config, field.path, undefined);
+      continue;
+    }
+
+    const parsed = parseField(field, raw);
+    if (parsed.error) {
+      issues.push({ kind: "invalid", path: field.path, variable: variable || names[0], value: String(raw), message: parsed.error });
+      continue;
+    }
+    setPath(config, field.path, parsed.value);
+  }
+
+  const invalidPaths = new Set(issues.map((issue) => issue.path));
+  for (const rule of CROSS_FIELD_RULES) {
+    if (rule.paths.some((path) => invalidPaths.has(path))) continue;
+    if (!rule.check(config)) {
+      issues.push({ kind: "invalid", path: rule.paths.join(", "), message: rule.message });
+    }
+  }
+
+  return { network, config, issues };
+}
+
+/**
+ * Resolve a network's configuration, throwing a ConfigValidationError that lists every
+ * missing or invalid variable when validation fails.
+ */
+function getNetworkConfig(network, options) {
+  const { config, issues } = resolveNetworkConfig(network, options);
+  if (issues.length > 0) {
+    throw new ConfigValidationError(network, issues);
+  }
+  return config;
+}
+
+function formatIssues(network, issues) {
+  const lines = [`Deployment config for ${network} is invalid. Please review scripts/deploy/config.js.`];
+  const missing = issues.filter((issue) => issue.kind === "missing");
+  const invalid = issues.filter((issue) => issue.kind === "invalid");
+  const other = issues.filter((issue) => issue.kind !== "missing" && issue.kind !== "invalid");
+
+  for (const issue of other) {
+    lines.push(`  ${issue.message}`);
+  }
+  if (missing.length > 0) {
+    lines.push("  Missing variables:");
+    for (const issue of missing) {
+      lines.push(`    - ${issue.variable} (${issue.path})`);
+    }
+  }
+  if (invalid.length > 0) {
+    lines.push("  Invalid values:");
+    for (const issue of invalid) {
+      const source = issue.variable ? `${issue.variable}=${issue.value} ` : "";
+      lines.push(`    - ${source}(${issue.path}): ${issue.message}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  NETWORKS,
+  SCHEMA,
+  ConfigValidationError,
+  resolveNetworkConfig,
+  getNetworkConfig,
+  formatIssues,
+};
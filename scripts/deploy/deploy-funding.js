@@ -1,23 +1,27 @@
 const hre = require("hardhat");
-const config = require("./config");
-const { loadDeployments, saveDeployments, verifyProxyImplementation, logPostDeploymentCheck } = require("./utils");
+const { getNetworkConfig } = require("./config");
+const { loadDeployments, saveDeployments, verifyProxyImplementation, logPostDeploymentCheck, runScript } = require("./utils");
 
-async function main() {
-  const network = hre.network.name;
-  const cfg = config[network];
-  if (!cfg) {
-    throw new Error(`No deployment config defined for ${network}.`);
-  }
+async function resolveArgs({ cfg, deployments }) {
+  const { funding } = cfg;
+  return [
+    deployments.vamm,
+    deployments.indexOracle,
+    hre.ethers.ZeroAddress, // PositionManager wired later
+    funding.interval,
+    funding.coefficient,
+    funding.maxRate,
+    funding.minRate,
+  ];
+}
 
-  const deployments = loadDeployments(network);
+async function deployFunding({ network, cfg, deployments }) {
   if (deployments.fundingCalculator) {
     console.log(`FundingRateCalculator already deployed at ${deployments.fundingCalculator}. Skipping.`);
     return;
   }
 
-  const vammAddress = deployments.vamm;
-  const oracleAddress = deployments.indexOracle;
-  if (!vammAddress || !oracleAddress) {
+  if (!deployments.vamm || !deployments.indexOracle) {
     throw new Error("Funding calculator deployment requires vAMM and IndexOracle addresses. Deploy them first.");
   }
 
@@ -28,18 +32,11 @@ async function main() {
   const FundingRateCalculator = await hre.ethers.getContractFactory("FundingRateCalculator");
   const fundingCalculator = await hre.upgrades.deployProxy(
     FundingRateCalculator,
-    [
-      vammAddress,
-      oracleAddress,
-      hre.ethers.ZeroAddress, // PositionManager wired later
-      funding.interval,
-      funding.coefficient,
-      funding.maxRate,
-      funding.minRate,
-    ],
+    await resolveArgs({ cfg, deployments }),
     { kind: "uups" },
   );
   await fundingCalculator.waitForDeployment();
+  const deployReceipt = await fundingCalculator.deploymentTransaction()?.wait();
 
   const proxyAddress = await fundingCalculator.getAddress();
   console.log(`FundingRateCalculator proxy deployed at ${proxyAddress}`);
@@ -48,6 +45,7 @@ async function main() {
 
   deployments.fundingCalculator = proxyAddress;
   deployments.fundingCalculatorImplementation = implementationAddress;
+  deployments.fundingCalculatorDeployBlock = deployReceipt?.blockNumber;
   saveDeployments(network, deployments);
 
   const storedInterval = await fundingCalculator.fundingInterval();
@@ -56,9 +54,21 @@ async function main() {
   console.log("FundingRateCalculator deployment complete.");
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+async function main() {
+  const network = hre.network.name;
+  const cfg = getNetworkConfig(network);
+
+  await deployFunding({ network, cfg, deployments: loadDeployments(network) });
+}
+
+module.exports = {
+  name: "fundingCalculator",
+  deploymentKey: "fundingCalculator",
+  dependsOn: ["vamm", "indexOracle"],
+  resolveArgs,
+  run: deployFunding,
+};
+
+if (require.main === module) {
+  runScript(main);
+}
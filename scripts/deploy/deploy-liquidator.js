@@ -1,34 +1,33 @@
 const hre = require("hardhat");
-const config = require("./config");
-const { loadDeployments, saveDeployments, verifyProxyImplementation, logPostDeploymentCheck } = require("./utils");
+const { getNetworkConfig } = require("./config");
+const { loadDeployments, saveDeployments, verifyProxyImplementation, logPostDeploymentCheck, runScript } = require("./utils");
 
-async function main() {
-  const network = hre.network.name;
-  const cfg = config[network];
-  if (!cfg) {
-    throw new Error(`No deployment config defined for ${network}.`);
-  }
+async function resolveArgs({ cfg, deployments }) {
+  const { liquidator } = cfg;
+  return [
+    deployments.positionManager,
+    deployments.vault,
+    deployments.indexOracle,
+    liquidator.insuranceFund,
+    liquidator.liquidationFeeBps,
+    liquidator.liquidatorRewardBps,
+  ];
+}
 
-  const deployments = loadDeployments(network);
+async function deployLiquidator({ network, cfg, deployments }) {
   if (deployments.liquidator) {
     console.log(`Liquidator already deployed at ${deployments.liquidator}. Skipping.`);
     return;
   }
 
-  const positionManager = deployments.positionManager;
-  const vault = deployments.vault;
-  const oracle = deployments.indexOracle;
-  if (!positionManager || !vault || !oracle) {
+  const { positionManager, vault, indexOracle } = deployments;
+  if (!positionManager || !vault || !indexOracle) {
     throw new Error("Liquidator deployment requires position manager, vault, and oracle addresses. Deploy them first.");
   }
 
-  const { liquidator } = cfg;
-  const insuranceFund = liquidator.insuranceFund;
-  const liquidationFee = liquidator.liquidationFeeBps;
-  const rewardFee = liquidator.liquidatorRewardBps;
-
+  const insuranceFund = cfg.liquidator.insuranceFund;
   if (!insuranceFund) {
-    throw new Error("Insurance fund address must be configured via ARB_INSURANCE_FUND_ADDRESS env var.");
+    throw new Error("Insurance fund address must be configured (liquidator.insuranceFund in scripts/deploy/config.js).");
   }
 
   const [deployer] = await hre.ethers.getSigners();
@@ -37,14 +36,7 @@ async function main() {
   const Liquidator = await hre.ethers.getContractFactory("Liquidator");
   const liquidatorProxy = await hre.upgrades.deployProxy(
     Liquidator,
-    [
-      positionManager,
-      vault,
-      oracle,
-      insuranceFund,
-      liquidationFee,
-      rewardFee,
-    ],
+    await resolveArgs({ cfg, deployments }),
     { kind: "uups" },
   );
   await liquidatorProxy.waitForDeployment();
@@ -69,9 +61,21 @@ async function main() {
   console.log("Liquidator deployment complete.");
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+async function main() {
+  const network = hre.network.name;
+  const cfg = getNetworkConfig(network);
+
+  await deployLiquidator({ network, cfg, deployments: loadDeployments(network) });
+}
+
+module.exports = {
+  name: "liquidator",
+  deploymentKey: "liquidator",
+  dependsOn: ["positionManager", "vault", "indexOracle"],
+  resolveArgs,
+  run: deployLiquidator,
+};
+
+if (require.main === module) {
+  runScript(main);
+}
@@ -1,34 +1,30 @@
 const hre = require("hardhat");
-const config = require("./config");
-const { loadDeployments, saveDeployments, verifyProxyImplementation, logPostDeploymentCheck } = require("./utils");
+const { getNetworkConfig } = require("./config");
+const { loadDeployments, saveDeployments, verifyProxyImplementation, logPostDeploymentCheck, runScript } = require("./utils");
 
-async function main() {
-  const network = hre.network.name;
-  const cfg = config[network];
-  if (!cfg) {
-    throw new Error(`No deployment config defined for ${network}.`);
-  }
+async function resolveArgs({ cfg }) {
+  const { chainlink } = cfg;
+  const updateInterval = chainlink.updateInterval ?? 3600;
+  const maxDeviation = chainlink.maxDeviation ?? 500;
+  return [chainlink.cpiFeed, chainlink.treasuryFeed, updateInterval, maxDeviation];
+}
 
-  const deployments = loadDeployments(network);
+async function deployOracle({ network, cfg, deployments }) {
   if (deployments.indexOracle) {
     console.log(`IndexOracle already deployed at ${deployments.indexOracle}. Skipping.`);
     return;
   }
 
-  const { chainlink } = cfg;
-  const updateInterval = chainlink.updateInterval ?? 3600;
-  const maxDeviation = chainlink.maxDeviation ?? 500;
+  const args = await resolveArgs({ cfg });
+  const [cpiFeed, treasuryFeed, updateInterval] = args;
 
   const [deployer] = await hre.ethers.getSigners();
   console.log(`Deploying IndexOracle from ${deployer.address} to ${network}...`);
 
   const IndexOracle = await hre.ethers.getContractFactory("IndexOracle");
-  const oracle = await hre.upgrades.deployProxy(
-    IndexOracle,
-    [chainlink.cpiFeed, chainlink.treasuryFeed, updateInterval, maxDeviation],
-    { kind: "uups" },
-  );
+  const oracle = await hre.upgrades.deployProxy(IndexOracle, args, { kind: "uups" });
   await oracle.waitForDeployment();
+  const deployReceipt = await oracle.deploymentTransaction()?.wait();
 
   const proxyAddress = await oracle.getAddress();
   console.log(`IndexOracle proxy deployed at ${proxyAddress}`);
@@ -38,9 +34,10 @@ async function main() {
   deployments.indexOracle = proxyAddress;
   deployments.indexOracleImplementation = implementationAddress;
   deployments.indexOracleFeeds = {
-    cpi: chainlink.cpiFeed,
-    treasury: chainlink.treasuryFeed,
+    cpi: cpiFeed,
+    treasury: treasuryFeed,
   };
+  deployments.indexOracleDeployBlock = deployReceipt?.blockNumber;
   saveDeployments(network, deployments);
 
   const storedInterval = await oracle.updateInterval();
@@ -49,9 +46,21 @@ async function main() {
   console.log("IndexOracle deployment complete.");
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+async function main() {
+  const network = hre.network.name;
+  const cfg = getNetworkConfig(network);
+
+  await deployOracle({ network, cfg, deployments: loadDeployments(network) });
+}
+
+module.exports = {
+  name: "indexOracle",
+  deploymentKey: "indexOracle",
+  dependsOn: [],
+  resolveArgs,
+  run: deployOracle,
+};
+
+if (require.main === module) {
+  runScript(main);
+}
@@ -1,39 +1,40 @@
 const hre = require("hardhat");
-const config = require("./config");
-const { loadDeployments, saveDeployments, verifyProxyImplementation, logPostDeploymentCheck } = require("./utils");
+const { getNetworkConfig } = require("./config");
+const { loadDeployments, saveDeployments, verifyProxyImplementation, logPostDeploymentCheck, runScript } = require("./utils");
 
-async function main() {
-  const network = hre.network.name;
-  const cfg = config[network];
-  if (!cfg) {
-    throw new Error(`No deployment config defined for ${network}.`);
-  }
+async function resolveArgs({ cfg, deployments }) {
+  const [deployer] = await hre.ethers.getSigners();
+  const feeRecipient = cfg.vault.feeRecipient || deployer.address;
+  return [
+    deployments.vault,
+    deployments.indexOracle,
+    deployments.fundingCalculator,
+    deployments.vamm,
+    feeRecipient,
+    deployer.address,
+  ];
+}
 
-  const deployments = loadDeployments(network);
+async function deployPositionManager({ network, cfg, deployments }) {
   if (deployments.positionManager) {
     console.log(`PositionManager already deployed at ${deployments.positionManager}. Skipping.`);
     return;
   }
 
-  const vault = deployments.vault;
-  const oracle = deployments.indexOracle;
-  const fundingCalculator = deployments.fundingCalculator;
-  const vamm = deployments.vamm;
-  if (!vault || !oracle || !fundingCalculator || !vamm) {
+  const { vault, indexOracle, fundingCalculator, vamm } = deployments;
+  if (!vault || !indexOracle || !fundingCalculator || !vamm) {
     throw new Error("PositionManager deployment requires vault, oracle, fundingCalculator, and vAMM addresses.");
   }
 
   const [deployer] = await hre.ethers.getSigners();
-  const feeRecipient = cfg.vault.feeRecipient || deployer.address;
+  const args = await resolveArgs({ cfg, deployments });
+  const feeRecipient = args[4];
   console.log(`Deploying PositionManager from ${deployer.address} to ${network}...`);
 
   const PositionManager = await hre.ethers.getContractFactory("PositionManager");
-  const positionManager = await hre.upgrades.deployProxy(
-    PositionManager,
-    [vault, oracle, fundingCalculator, vamm, feeRecipient, deployer.address],
-    { kind: "uups" },
-  );
+  const positionManager = await hre.upgrades.deployProxy(PositionManager, args, { kind: "uups" });
   await positionManager.waitForDeployment();
+  const deployReceipt = await positionManager.deploymentTransaction()?.wait();
 
   const proxyAddress = await positionManager.getAddress();
   console.log(`PositionManager proxy deployed at ${proxyAddress}`);
@@ -43,6 +44,8 @@ async function main() {
   deployments.positionManager = proxyAddress;
   deployments.positionManagerImplementation = implementationAddress;
   deployments.feeRecipient = feeRecipient;
+  // Keepers and indexers start their event scans here.
+  deployments.positionManagerDeployBlock = deployReceipt?.blockNumber;
   saveDeployments(network, deployments);
 
   const storedVault = await positionManager.vault();
@@ -51,9 +54,21 @@ async function main() {
   console.log("PositionManager deployment complete.");
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+async function main() {
+  const network = hre.network.name;
+  const cfg = getNetworkConfig(network);
+
+  await deployPositionManager({ network, cfg, deployments: loadDeployments(network) });
+}
+
+module.exports = {
+  name: "positionManager",
+  deploymentKey: "positionManager",
+  dependsOn: ["vault", "indexOracle", "fundingCalculator", "vamm"],
+  resolveArgs,
+  run: deployPositionManager,
+};
+
+if (require.main === module) {
+  runScript(main);
+}
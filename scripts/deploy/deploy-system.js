@@ -0,0 +1,225 @@
+/**
+ * Orchestrates the full protocol deployment in dependency order.
+ *
+ * Usage:
+ *   node scripts/deploy/deploy-system.js --network <name> [--only a,b] [--from step] [--dry-run]
+ *
+ * Each step is one of the deploy-*.js scripts (plus initialize-system.js). Per-step status is
+ * recorded under `steps` in deployments/<network>.json, so re-running after a failure resumes at
+ * the step that failed; completed steps are skipped unless explicitly selected.
+ */
+const { parseScriptArgs, loadDeployments, saveDeployments, runScript } = require("./utils");
+
+const CLI_OPTIONS = {
+  network: { type: "string" },
+  only: { type: "string" },
+  from: { type: "string" },
+  "dry-run": { type: "boolean", default: false },
+};
+const args = parseScriptArgs(module, CLI_OPTIONS).values;
+
+const hre = require("hardhat");
+const { getNetworkConfig } = require("./config");
+
+const STEPS = [
+  require("./deploy-vault"),
+  require("./deploy-oracle"),
+  require("./deploy-vamm"),
+  require("./deploy-funding"),
+  require("./deploy-position-manager"),
+  require("./deploy-liquidator"),
+  require("./initialize-system"),
+];
+
+/**
+ * Kahn's algorithm over `dependsOn` (hard) and `runsAfter` (ordering only) edges.
+ * Ties keep declaration order so the plan is stable between runs.
+ */
+function topologicalOrder(steps) {
+  const byName = new Map(steps.map((step) => [step.name, step]));
+  const edges = new Map(steps.map((step) => [step.name, []]));
+  const inDegree = new Map(steps.map((step) => [step.name, 0]));
+
+  for (const step of steps) {
+    for (const dependency of [...step.dependsOn, ...(step.runsAfter || [])]) {
+      if (!byName.has(dependency)) {
+        if (step.dependsOn.includes(dependency)) {
+          throw new Error(`Step ${step.name} depends on unknown step ${dependency}.`);
+        }
+        continue;
+      }
+      edges.get(dependency).push(step.name);
+      inDegree.set(step.name, inDegree.get(step.name) + 1);
+    }
+  }
+
+  const ordered = [];
+  const ready = steps.filter((step) => inDegree.get(step.name) === 0).map((step) => step.name);
+  while (ready.length > 0) {
+    const name = ready.shift();
+    ordered.push(byName.get(name));
+    for (const next of edges.get(name)) {
+      inDegree.set(next, inDegree.get(next) - 1);
+      if (inDegree.get(next) === 0) {
+        ready.push(next);
+        ready.sort((a, b) => steps.indexOf(byName.get(a)) - steps.indexOf(byName.get(b)));
+      }
+    }
+  }
+
+  if (ordered.length !== steps.length) {
+    const cyclic = steps.filter((step) => !ordered.includes(step)).map((step) => step.name);
+    throw new Error(`Deployment graph contains a cycle between: ${cyclic.join(", ")}`);
+  }
+  return ordered;
+}
+
+// A recorded status wins: a step can save its address and still fail afterwards. The address alone
+// only counts for records written before per-step status existed.
+function isStepDone(step, deployments) {
+  const entry = deployments.steps?.[step.name];
+  if (entry) {
+    return entry.status === "completed";
+  }
+  return Boolean(step.deploymentKey && deployments[step.deploymentKey]);
+}
+
+function selectSteps(ordered, deployments, { only, from }) {
+  if (only && from) {
+    throw new Error("--only and --from cannot be combined.");
+  }
+
+  const names = ordered.map((step) => step.name);
+  let selected;
+  if (only) {
+    const requested = only.split(",").map((name) => name.trim()).filter(Boolean);
+    for (const name of requested) {
+      if (!names.includes(name)) {
+        throw new Error(`Unknown step "${name}". Available steps: ${names.join(", ")}`);
+      }
+    }
+    selected = ordered.filter((step) => requested.includes(step.name));
+  } else if (from) {
+    const start = names.indexOf(from);
+    if (start === -1) {
+      throw new Error(`Unknown step "${from}". Available steps: ${names.join(", ")}`);
+    }
+    selected = ordered.slice(start);
+  } else {
+    return ordered.map((step) => ({ step, explicit: false }));
+  }
+
+  const selectedNames = new Set(selected.map((step) => step.name));
+  for (const step of selected) {
+    for (const dependency of step.dependsOn) {
+      const dependencyStep = ordered.find((candidate) => candidate.name === dependency);
+      if (!selectedNames.has(dependency) && !isStepDone(dependencyStep, deployments)) {
+        throw new Error(`Step ${step.name} depends on ${dependency}, which is neither deployed nor selected.`);
+      }
+    }
+  }
+  return selected.map((step) => ({ step, explicit: true }));
+}
+
+function recordStatus(network, deployments, name, status, error) {
+  deployments.steps = deployments.steps || {};
+  deployments.steps[name] = {
+    status,
+    updatedAt: new Date().toISOString(),
+    ...(error ? { error: error.message || String(error) } : {}),
+  };
+  saveDeployments(network, deployments);
+}
+
+function formatValue(value) {
+  return JSON.stringify(value, (_, inner) => (typeof inner === "bigint" ? inner.toString() : inner), 2);
+}
+
+async function printPlan(network, cfg, deployments, plan) {
+  // Fill in addresses that earlier steps in the plan would produce so later arguments resolve.
+  const projected = { ...deployments };
+  for (const { step } of plan) {
+    if (step.deploymentKey && !projected[step.deploymentKey]) {
+      projected[step.deploymentKey] = `<${step.deploymentKey} from this run>`;
+    }
+  }
+
+  console.log(`Deployment plan for ${network} (dry run, no transactions sent):`);
+  let index = 1;
+  for (const { step, explicit } of plan) {
+    const done = isStepDone(step, deployments);
+    const action = done && !explicit ? "skip (completed)" : done ? "run (already deployed, step will no-op)" : "run";
+    console.log(`\n${index}. ${step.name} → ${action}`);
+    if (step.dependsOn.length > 0) {
+      console.log(`   depends on: ${step.dependsOn.join(", ")}`);
+    }
+    const resolved = await step.resolveArgs({ network, cfg, deployments: projected });
+    console.log(`   arguments: ${formatValue(resolved).replace(/\n/g, "\n   ")}`);
+    index += 1;
+  }
+}
+
+/**
+ * Run each planned step in order, recording its status in the deployments file.
+ * Completed steps are skipped unless they were explicitly selected.
+ */
+async function executePlan({ network, cfg, deployments, plan }) {
+  for (const { step, explicit } of plan) {
+    if (!explicit && isStepDone(step, deployments)) {
+      console.log(`↷ ${step.name} already completed. Skipping.`);
+      if (deployments.steps?.[step.name]?.status !== "completed") {
+        recordStatus(network, deployments, step.name, "completed");
+      }
+      continue;
+    }
+
+    console.log(`\n▶ Running step ${step.name}`);
+    recordStatus(network, deployments, step.name, "running");
+    try {
+      await step.run({ network, cfg, deployments });
+    } catch (error) {
+      recordStatus(network, deployments, step.name, "failed", error);
+      console.error(`✗ Step ${step.name} failed. Re-run the same command to resume from this step.`);
+      throw error;
+    }
+    recordStatus(network, deployments, step.name, "completed");
+  }
+}
+
+async function main() {
+  const network = hre.network.name;
+  const cfg = getNetworkConfig(network);
+
+  const deployments = loadDeployments(network);
+  const ordered = topologicalOrder(STEPS);
+  const plan = selectSteps(ordered, deployments, args);
+
+  if (args["dry-run"]) {
+    await printPlan(network, cfg, deployments, plan);
+    return;
+  }
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (chainId !== BigInt(cfg.chainId)) {
+    throw new Error(`Connected chain id ${chainId} does not match the ${network} config (${cfg.chainId}).`);
+  }
+
+  const failed = Object.entries(deployments.steps || {}).find(([, entry]) => entry.status === "failed");
+  if (failed && !args.only && !args.from) {
+    console.log(`Resuming deployment on ${network}; previous run failed at step ${failed[0]}.`);
+  }
+
+  await executePlan({ network, cfg, deployments, plan });
+  console.log(`\nDeployment on ${network} complete.`);
+}
+
+module.exports = {
+  STEPS,
+  topologicalOrder,
+  selectSteps,
+  executePlan,
+};
+
+if (require.main === module) {
+  runScript(main);
+}
@@ -1,32 +1,26 @@
 const hre = require("hardhat");
-const config = require("./config");
-const { loadDeployments, saveDeployments, verifyProxyImplementation, logPostDeploymentCheck } = require("./utils");
+const { getNetworkConfig } = require("./config");
+const { loadDeployments, saveDeployments, verifyProxyImplementation, logPostDeploymentCheck, runScript } = require("./utils");
 
-async function main() {
-  const network = hre.network.name;
-  const cfg = config[network];
-  if (!cfg) {
-    throw new Error(`No deployment config defined for ${network}.`);
-  }
+async function resolveArgs({ cfg }) {
+  const baseReserve = hre.ethers.parseEther(cfg.vamm.baseReserve.toString());
+  const quoteReserve = hre.ethers.parseEther(cfg.vamm.quoteReserve.toString());
+  return [baseReserve, quoteReserve];
+}
 
-  const deployments = loadDeployments(network);
+async function deployVamm({ network, cfg, deployments }) {
   if (deployments.vamm) {
     console.log(`vAMM already deployed at ${deployments.vamm}. Skipping.`);
     return;
   }
 
-  const baseReserve = hre.ethers.parseEther(cfg.vamm.baseReserve.toString());
-  const quoteReserve = hre.ethers.parseEther(cfg.vamm.quoteReserve.toString());
+  const args = await resolveArgs({ cfg });
 
   const [deployer] = await hre.ethers.getSigners();
   console.log(`Deploying vAMM from ${deployer.address} to ${network}...`);
 
   const VAMM = await hre.ethers.getContractFactory("vAMM");
-  const vamm = await hre.upgrades.deployProxy(
-    VAMM,
-    [baseReserve, quoteReserve],
-    { kind: "uups" },
-  );
+  const vamm = await hre.upgrades.deployProxy(VAMM, args, { kind: "uups" });
   await vamm.waitForDeployment();
 
   const proxyAddress = await vamm.getAddress();
@@ -44,9 +38,21 @@ async function main() {
   console.log("vAMM deployment complete.");
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+async function main() {
+  const network = hre.network.name;
+  const cfg = getNetworkConfig(network);
+
+  await deployVamm({ network, cfg, deployments: loadDeployments(network) });
+}
+
+module.exports = {
+  name: "vamm",
+  deploymentKey: "vamm",
+  dependsOn: [],
+  resolveArgs,
+  run: deployVamm,
+};
+
+if (require.main === module) {
+  runScript(main);
+}
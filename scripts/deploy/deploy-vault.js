@@ -1,15 +1,15 @@
 const hre = require("hardhat");
-const config = require("./config");
-const { loadDeployments, saveDeployments, verifyProxyImplementation, logPostDeploymentCheck } = require("./utils");
+const { getNetworkConfig } = require("./config");
+const { loadDeployments, saveDeployments, verifyProxyImplementation, logPostDeploymentCheck, runScript } = require("./utils");
 
-async function main() {
-  const network = hre.network.name;
-  const networkConfig = config[network];
-  if (!networkConfig) {
-    throw new Error(`No configuration found for network ${network}.`);
-  }
+async function resolveArgs({ cfg }) {
+  const [deployer] = await hre.ethers.getSigners();
+  const feeRecipient = cfg.vault.feeRecipient || deployer.address;
+  const tradingFeeRate = cfg.vault.tradingFeeRate ?? 10;
+  return [deployer.address, feeRecipient, tradingFeeRate];
+}
 
-  const deployments = loadDeployments(network);
+async function deployVault({ network, cfg, deployments }) {
   if (deployments.vault) {
     console.log(`Vault already deployed at ${deployments.vault}. Skipping.`);
     return;
@@ -18,16 +18,13 @@ async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log(`Deploying Vault with deployer ${deployer.address} to ${network}...`);
 
-  const feeRecipient = networkConfig.vault.feeRecipient || deployer.address;
-  const tradingFeeRate = networkConfig.vault.tradingFeeRate ?? 10;
+  const args = await resolveArgs({ cfg });
+  const [, feeRecipient, tradingFeeRate] = args;
 
   const Vault = await hre.ethers.getContractFactory("Vault");
-  const vault = await hre.upgrades.deployProxy(
-    Vault,
-    [deployer.address, feeRecipient, tradingFeeRate],
-    { kind: "uups" },
-  );
+  const vault = await hre.upgrades.deployProxy(Vault, args, { kind: "uups" });
   await vault.waitForDeployment();
+  const deployReceipt = await vault.deploymentTransaction()?.wait();
 
   const proxyAddress = await vault.getAddress();
   console.log(`Vault proxy deployed at ${proxyAddress}`);
@@ -38,6 +35,7 @@ async function main() {
   deployments.vaultImplementation = implementationAddress;
   deployments.vaultFeeRecipient = feeRecipient;
   deployments.vaultTradingFeeRate = tradingFeeRate;
+  deployments.vaultDeployBlock = deployReceipt?.blockNumber;
   saveDeployments(network, deployments);
 
   const storedFee = await vault.tradingFeeRate();
@@ -50,9 +48,21 @@ async function main() {
   console.log("Vault deployment complete.");
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+async function main() {
+  const network = hre.network.name;
+  const networkConfig = getNetworkConfig(network);
+
+  await deployVault({ network, cfg: networkConfig, deployments: loadDeployments(network) });
+}
+
+module.exports = {
+  name: "vault",
+  deploymentKey: "vault",
+  dependsOn: [],
+  resolveArgs,
+  run: deployVault,
+};
+
+if (require.main === module) {
+  runScript(main);
+}
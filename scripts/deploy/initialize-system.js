@@ -1,17 +1,53 @@
+/**
+ * Wires and configures deployed contracts from scripts/deploy/config.js.
+ *
+ * Usage:
+ *   node scripts/deploy/initialize-system.js --network <name>
+ *   node scripts/deploy/initialize-system.js --network <name> --safe <address> [--out batch.json]
+ *
+ * With --safe, every admin call is written to a Safe Transaction Builder batch instead of being
+ * sent from the deployer. Rehearse the batch with scripts/admin/simulate-batch.js.
+ */
+const { parseScriptArgs, loadDeployments, saveDeployments, logPostDeploymentCheck, mockConfigOverrides, runScript } = require("./utils");
+
+const CLI_OPTIONS = {
+  network: { type: "string" },
+  safe: { type: "string" },
+  out: { type: "string" },
+};
+const args = parseScriptArgs(module, CLI_OPTIONS).values;
+
 const hre = require("hardhat");
-const config = require("./config");
-const { loadDeployments, saveDeployments, logPostDeploymentCheck } = require("./utils");
+const { getNetworkConfig } = require("./config");
+const { SafeBatch, createAdminExecutor, defaultBatchFile } = require("../admin/safe-batch");
 
-async function main() {
-  const network = hre.network.name;
-  const cfg = config[network];
-  if (!cfg) {
-    throw new Error(`No deployment config defined for ${network}.`);
-  }
+const REQUIRED_DEPLOYMENTS = ["vault", "indexOracle", "fundingCalculator", "vamm", "positionManager"];
 
-  const deployments = loadDeployments(network);
-  const required = ["vault", "indexOracle", "fundingCalculator", "vamm", "positionManager"];
-  for (const key of required) {
+async function resolveArgs({ cfg, deployments }) {
+  const risk = cfg.positionManager;
+  return {
+    collateral: [cfg.collateral.token, cfg.collateral.decimals],
+    vaultFeeRecipient: cfg.vault.feeRecipient,
+    oracle: [cfg.chainlink.updateInterval, cfg.chainlink.maxDeviation],
+    vammPositionManager: deployments.positionManager,
+    vammMaxPriceImpact: cfg.vamm.maxPriceImpactBps,
+    riskParameters: [risk.maxLeverage, risk.maintenanceMarginBps, risk.tradingFeeBps, risk.liquidationFeeBps],
+    minCollateral: risk.minCollateral,
+    pnlPoolTarget: risk.pnlPoolTarget,
+    liquidationRemainderToPnlPool: risk.liquidationRemainderToPnlPool,
+    liquidator: deployments.liquidator
+      ? [cfg.liquidator.insuranceFund, cfg.liquidator.liquidationFeeBps, cfg.liquidator.liquidatorRewardBps]
+      : null,
+  };
+}
+
+/**
+ * @param {object} context
+ * @param {SafeBatch} [context.batch] When set, admin calls are queued on the batch (executed by
+ *   its Safe) instead of being sent by the deployer.
+ */
+async function initializeSystem({ network, cfg, deployments, batch }) {
+  for (const key of REQUIRED_DEPLOYMENTS) {
     if (!deployments[key]) {
       throw new Error(`Missing ${key} deployment. Deploy contracts before initialization.`);
     }
@@ -27,109 +63,134 @@ async function main() {
     : null;
 
   const [deployer] = await hre.ethers.getSigners();
-  console.log(`Initializing protocol components on ${network} with signer ${deployer.address}...`);
+  const admin = {
+    address: batch ? batch.safeAddress : deployer.address,
+    batch,
+    execute: createAdminExecutor(batch),
+    done: (message) => console.log(`${batch ? "+ queued:" : "✓"} ${message}`),
+  };
+  console.log(
+    batch
+      ? `Building initialization batch for Safe ${admin.address} on ${network}...`
+      : `Initializing protocol components on ${network} with signer ${deployer.address}...`,
+  );
 
-  await configureVault(cfg, vault, positionManager);
-  await configureOracle(cfg, indexOracle);
-  await configureVamm(cfg, vamm, positionManager);
-  await configureFunding(cfg, fundingCalculator, positionManager);
-  await configurePositionManager(cfg, positionManager, vault, liquidator);
+  await configureVault(cfg, admin, vault, positionManager);
+  await configureOracle(cfg, admin, indexOracle);
+  await configureVamm(cfg, admin, vamm, positionManager);
+  await configureFunding(cfg, admin, fundingCalculator, positionManager);
+  await configurePositionManager(cfg, admin, positionManager, vault, liquidator);
+  await seedPnlPool(cfg, admin, positionManager);
   if (liquidator) {
-    await configureLiquidator(cfg, liquidator, positionManager);
+    await configureLiquidator(cfg, admin, liquidator, positionManager);
   } else {
     console.log("⚠ Liquidator deployment not found. Skipping Liquidator initialization.");
   }
 
+  if (batch) {
+    console.log(`Initialization batch holds ${batch.length} transactions.`);
+    return;
+  }
   saveDeployments(network, deployments);
   console.log("System initialization complete.");
 }
 
-async function configureVault(cfg, vault, positionManager) {
+async function main() {
+  const network = hre.network.name;
+  const deployments = loadDeployments(network);
+  const cfg = getNetworkConfig(network, { overrides: mockConfigOverrides(deployments) });
+
+  if (!args.safe) {
+    await initializeSystem({ network, cfg, deployments });
+    return;
+  }
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const batch = new SafeBatch({ chainId, safeAddress: args.safe, name: `Initialize protocol (${network})` });
+  await initializeSystem({ network, cfg, deployments, batch });
+  batch.write(args.out || defaultBatchFile(network, "initialize"));
+}
+
+async function configureVault(cfg, admin, vault, positionManager) {
   const collateralToken = cfg.collateral.token;
   const decimals = cfg.collateral.decimals;
   const positionManagerAddress = await positionManager.getAddress();
 
+  // Registering with setAsPrimary covers both a new token and promoting an already supported one,
+  // so a batch never needs a second call that depends on the first having executed.
   const supported = await vault.supportedCollateral(collateralToken);
-  const assetAddress = await vault.asset();
-
-  if (!supported) {
-    const setAsPrimary = assetAddress === hre.ethers.ZeroAddress;
-    await (await vault.addCollateral(collateralToken, decimals, setAsPrimary)).wait();
-    console.log(`✓ Vault collateral registered: ${collateralToken}`);
+  const isPrimary = (await vault.asset()).toLowerCase() === collateralToken.toLowerCase();
+  if (!supported || !isPrimary) {
+    await admin.execute(vault, "addCollateral", [collateralToken, decimals, true]);
+    admin.done(`Vault primary collateral registered: ${collateralToken}`);
   } else {
     console.log("ℹ Vault collateral already registered");
   }
 
-  if ((await vault.asset()).toLowerCase() !== collateralToken.toLowerCase()) {
-    await (await vault.addCollateral(collateralToken, decimals, true)).wait();
-    console.log("✓ Vault primary collateral updated");
-  }
-
   if (!(await vault.depositsEnabled())) {
-    await (await vault.setDepositsEnabled(true)).wait();
-    console.log("✓ Deposits enabled");
+    await admin.execute(vault, "setDepositsEnabled", [true]);
+    admin.done("Deposits enabled");
   }
 
   if (!(await vault.withdrawalsEnabled())) {
-    await (await vault.setWithdrawalsEnabled(true)).wait();
-    console.log("✓ Withdrawals enabled");
+    await admin.execute(vault, "setWithdrawalsEnabled", [true]);
+    admin.done("Withdrawals enabled");
   }
 
   const vaultFeeRecipient = cfg.vault.feeRecipient;
   if (vaultFeeRecipient && (await vault.feeRecipient()).toLowerCase() !== vaultFeeRecipient.toLowerCase()) {
-    await (await vault.setFeeRecipient(vaultFeeRecipient)).wait();
-    console.log(`✓ Vault fee recipient set to ${vaultFeeRecipient}`);
+    await admin.execute(vault, "setFeeRecipient", [vaultFeeRecipient]);
+    admin.done(`Vault fee recipient set to ${vaultFeeRecipient}`);
   }
 
   const role = await vault.POSITION_MANAGER_ROLE();
   if (!(await vault.hasRole(role, positionManagerAddress))) {
-    await (await vault.grantRole(role, positionManagerAddress)).wait();
-    console.log("✓ PositionManager granted vault role");
+    await admin.execute(vault, "grantRole", [role, positionManagerAddress]);
+    admin.done("PositionManager granted vault role");
   }
 
   logPostDeploymentCheck("Vault configuration", true);
 }
 
-async function configureOracle(cfg, oracle) {
+async function configureOracle(cfg, admin, oracle) {
   const { chainlink } = cfg;
   const storedInterval = Number(await oracle.updateInterval());
   if (storedInterval !== chainlink.updateInterval) {
-    await (await oracle.setUpdateInterval(chainlink.updateInterval)).wait();
-    console.log(`✓ Oracle update interval set to ${chainlink.updateInterval}`);
+    await admin.execute(oracle, "setUpdateInterval", [chainlink.updateInterval]);
+    admin.done(`Oracle update interval set to ${chainlink.updateInterval}`);
   }
 
   if (oracle.setMaxPriceDeviation) {
-    await (await oracle.setMaxPriceDeviation(chainlink.maxDeviation)).wait();
-    console.log(`✓ Oracle max price deviation set to ${chainlink.maxDeviation}`);
+    await admin.execute(oracle, "setMaxPriceDeviation", [chainlink.maxDeviation]);
+    admin.done(`Oracle max price deviation set to ${chainlink.maxDeviation}`);
   }
 }
 
-async function configureVamm(cfg, vamm, positionManager) {
+async function configureVamm(cfg, admin, vamm, positionManager) {
   const positionManagerAddress = await positionManager.getAddress();
-  await (await vamm.setPositionManager(positionManagerAddress)).wait();
-  console.log("✓ vAMM position manager wired");
+  await admin.execute(vamm, "setPositionManager", [positionManagerAddress]);
+  admin.done("vAMM position manager wired");
 
   if (vamm.setMaxPriceImpact) {
-    await (await vamm.setMaxPriceImpact(cfg.vamm.maxPriceImpactBps)).wait();
-    console.log(`✓ vAMM max price impact set to ${cfg.vamm.maxPriceImpactBps}`);
+    await admin.execute(vamm, "setMaxPriceImpact", [cfg.vamm.maxPriceImpactBps]);
+    admin.done(`vAMM max price impact set to ${cfg.vamm.maxPriceImpactBps}`);
   }
 }
 
-async function configureFunding(cfg, fundingCalculator, positionManager) {
+async function configureFunding(cfg, admin, fundingCalculator, positionManager) {
   const positionManagerAddress = await positionManager.getAddress();
   const currentPM = await fundingCalculator.positionManager();
   if (currentPM.toLowerCase() !== positionManagerAddress.toLowerCase()) {
-    await (await fundingCalculator.setPositionManager(positionManagerAddress)).wait();
-    console.log("✓ Funding calculator wired to position manager");
+    await admin.execute(fundingCalculator, "setPositionManager", [positionManagerAddress]);
+    admin.done("Funding calculator wired to position manager");
   }
 }
 
-async function configurePositionManager(cfg, positionManager, vault, liquidator) {
+async function configurePositionManager(cfg, admin, positionManager, vault, liquidator) {
   const adminRole = await positionManager.ADMIN_ROLE();
-  const [deployer] = await hre.ethers.getSigners();
-  if (!(await positionManager.hasRole(adminRole, deployer.address))) {
-    await (await positionManager.grantRole(adminRole, deployer.address)).wait();
-    console.log("✓ PositionManager admin role granted to deployer");
+  if (!(await positionManager.hasRole(adminRole, admin.address))) {
+    await admin.execute(positionManager, "grantRole", [adminRole, admin.address]);
+    admin.done(`PositionManager admin role granted to ${admin.address}`);
   }
 
   const risk = cfg.positionManager;
@@ -144,21 +205,26 @@ async function configurePositionManager(cfg, positionManager, vault, liquidator)
     currentTradingFee !== BigInt(risk.tradingFeeBps) ||
     currentLiqFee !== BigInt(risk.liquidationFeeBps)
   ) {
-    await (
-      await positionManager.setRiskParameters(
-        risk.maxLeverage,
-        risk.maintenanceMarginBps,
-        risk.tradingFeeBps,
-        risk.liquidationFeeBps,
-      )
-    ).wait();
-    console.log("✓ PositionManager risk parameters configured");
+    await admin.execute(positionManager, "setRiskParameters", [
+      risk.maxLeverage,
+      risk.maintenanceMarginBps,
+      risk.tradingFeeBps,
+      risk.liquidationFeeBps,
+    ]);
+    admin.done("PositionManager risk parameters configured");
   }
 
   const currentMinCollateral = await positionManager.minCollateral();
   if (currentMinCollateral !== BigInt(risk.minCollateral)) {
-    await (await positionManager.setMinCollateral(risk.minCollateral)).wait();
-    console.log(`✓ PositionManager min collateral set to ${risk.minCollateral}`);
+    await admin.execute(positionManager, "setMinCollateral", [risk.minCollateral]);
+    admin.done(`PositionManager min collateral set to ${risk.minCollateral}`);
+  }
+
+  if ((await positionManager.liquidationRemainderToPnlPool()) !== risk.liquidationRemainderToPnlPool) {
+    await admin.execute(positionManager, "setLiquidationRemainderToPnlPool", [risk.liquidationRemainderToPnlPool]);
+    admin.done(
+      `PositionManager liquidation remainder sent to the ${risk.liquidationRemainderToPnlPool ? "PnL pool" : "fee recipient"}`,
+    );
   }
 
   // Grant liquidator contract the LIQUIDATOR_ROLE if present.
@@ -166,36 +232,83 @@ async function configurePositionManager(cfg, positionManager, vault, liquidator)
     const role = await positionManager.LIQUIDATOR_ROLE();
     const liquidatorAddress = await liquidator.getAddress();
     if (!(await positionManager.hasRole(role, liquidatorAddress))) {
-      await (await positionManager.grantRole(role, liquidatorAddress)).wait();
-      console.log("✓ Liquidator contract granted LIQUIDATOR_ROLE");
+      await admin.execute(positionManager, "grantRole", [role, liquidatorAddress]);
+      admin.done("Liquidator contract granted LIQUIDATOR_ROLE");
+    }
+  }
+
+  // Grant the funding keeper account KEEPER_ROLE so it can call settleFunding.
+  const fundingKeeper = cfg.positionManager.fundingKeeper;
+  if (fundingKeeper) {
+    const role = await positionManager.KEEPER_ROLE();
+    if (!(await positionManager.hasRole(role, fundingKeeper))) {
+      await admin.execute(positionManager, "grantRole", [role, fundingKeeper]);
+      admin.done(`Funding keeper ${fundingKeeper} granted KEEPER_ROLE`);
     }
   }
 
   // Ensure fee recipient matches configuration if provided.
   const desiredFeeRecipient = cfg.vault.feeRecipient;
   if (desiredFeeRecipient && (await positionManager.feeRecipient()).toLowerCase() !== desiredFeeRecipient.toLowerCase()) {
-    await (await positionManager.setFeeRecipient(desiredFeeRecipient)).wait();
-    console.log("✓ PositionManager fee recipient updated");
+    await admin.execute(positionManager, "setFeeRecipient", [desiredFeeRecipient]);
+    admin.done("PositionManager fee recipient updated");
   }
 }
 
-async function configureLiquidator(cfg, liquidator, positionManager) {
+// Tops the PnL pool up to positionManager.pnlPoolTarget from the admin's wallet. A batch queues the
+// approval and the funding for the Safe; sent directly, the deployer must already hold the top-up.
+async function seedPnlPool(cfg, admin, positionManager) {
+  const target = BigInt(cfg.positionManager.pnlPoolTarget);
+  if (target === 0n) {
+    console.log("⚠ positionManager.pnlPoolTarget is 0; the PnL pool is not seeded and profits are paid only from losses.");
+    return;
+  }
+
+  const balance = await positionManager.pnlPoolBalance();
+  if (balance >= target) {
+    console.log(`ℹ PnL pool already holds ${balance} (target ${target})`);
+    return;
+  }
+
+  const topUp = target - balance;
+  const collateral = await hre.ethers.getContractAt(
+    "@openzeppelin/contracts/token/ERC20/IERC20.sol:IERC20",
+    cfg.collateral.token,
+  );
+  const positionManagerAddress = await positionManager.getAddress();
+  if (!admin.batch) {
+    const held = await collateral.balanceOf(admin.address);
+    if (held < topUp) {
+      throw new Error(
+        `Seeding the PnL pool to ${target} needs ${topUp} collateral from ${admin.address}, which holds ${held}. ` +
+          "Fund the deployer or lower positionManager.pnlPoolTarget.",
+      );
+    }
+  }
+  if (admin.batch || (await collateral.allowance(admin.address, positionManagerAddress)) < topUp) {
+    await admin.execute(collateral, "approve", [positionManagerAddress, topUp]);
+  }
+  await admin.execute(positionManager, "fundPnlPool", [topUp]);
+  admin.done(`PnL pool topped up by ${topUp} to ${target}`);
+}
+
+async function configureLiquidator(cfg, admin, liquidator, positionManager) {
   const insuranceFund = cfg.liquidator.insuranceFund;
   if ((await liquidator.insuranceFund()).toLowerCase() !== insuranceFund.toLowerCase()) {
-    await (await liquidator.setInsuranceFund(insuranceFund)).wait();
-    console.log("✓ Liquidator insurance fund updated");
+    await admin.execute(liquidator, "setInsuranceFund", [insuranceFund]);
+    admin.done("Liquidator insurance fund updated");
   }
 
   const liquidationFee = BigInt(cfg.liquidator.liquidationFeeBps);
   if (await liquidator.liquidationFeePercent() !== liquidationFee) {
-    await (await liquidator.setLiquidationFee(cfg.liquidator.liquidationFeeBps)).wait();
-    console.log("✓ Liquidator fee updated");
+    await admin.execute(liquidator, "setLiquidationFee", [cfg.liquidator.liquidationFeeBps]);
+    admin.done("Liquidator fee updated");
   }
 
   const rewardFee = BigInt(cfg.liquidator.liquidatorRewardBps);
   if (await liquidator.liquidatorRewardPercent() !== rewardFee) {
-    await (await liquidator.setLiquidatorReward(cfg.liquidator.liquidatorRewardBps)).wait();
-    console.log("✓ Liquidator reward updated");
+    await admin.execute(liquidator, "setLiquidatorReward", [cfg.liquidator.liquidatorRewardBps]);
+    admin.done("Liquidator reward updated");
   }
 
   const vaultAddress = await liquidator.vault();
@@ -203,9 +316,16 @@ async function configureLiquidator(cfg, liquidator, positionManager) {
   logPostDeploymentCheck("Liquidator vault wiring", vaultAddress.toLowerCase() === expectedVault.toLowerCase(), expectedVault, vaultAddress);
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+module.exports = {
+  name: "initialize",
+  deploymentKey: null,
+  dependsOn: REQUIRED_DEPLOYMENTS,
+  // Liquidator is optional, but when it is part of the run it must exist before roles are granted.
+  runsAfter: ["liquidator"],
+  resolveArgs,
+  run: initializeSystem,
+};
+
+if (require.main === module) {
+  runScript(main);
+}
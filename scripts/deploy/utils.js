@@ -1,17 +1,24 @@
 const fs = require("fs");
 const path = require("path");
+const { parseArgs } = require("util");
 
-const deploymentsDir = path.join(__dirname, "..", "..", "deployments");
+const defaultDeploymentsDir = path.join(__dirname, "..", "..", "deployments");
+
+// DEPLOYMENTS_DIR lets tests and throwaway runs keep their records out of the repository.
+function getDeploymentsDir() {
+  return process.env.DEPLOYMENTS_DIR || defaultDeploymentsDir;
+}
 
 function ensureDeploymentsDir() {
+  const deploymentsDir = getDeploymentsDir();
   if (!fs.existsSync(deploymentsDir)) {
     fs.mkdirSync(deploymentsDir, { recursive: true });
   }
+  return deploymentsDir;
 }
 
 function getDeploymentFile(network) {
-  ensureDeploymentsDir();
-  return path.join(deploymentsDir, `${network}.json`);
+  return path.join(ensureDeploymentsDir(), `${network}.json`);
 }
 
 function loadDeployments(network) {
@@ -67,10 +74,82 @@ function logPostDeploymentCheck(name, assertion, expected, actual) {
   }
 }
 
+/**
+ * Config overrides for systems brought up by dev:up, which records its mock collateral and feeds
+ * in the deployments file instead of env variables.
+ */
+function mockConfigOverrides(deployments) {
+  const { mocks } = deployments;
+  if (!mocks) return {};
+  return {
+    "collateral.token": mocks.collateral,
+    "chainlink.cpiFeed": mocks.cpiFeed,
+    "chainlink.treasuryFeed": mocks.treasuryFeed,
+  };
+}
+
+/**
+ * Reads a state variable that has no getter, using the slot and offset the compiler assigned.
+ * Returns the raw value as a bigint; callers convert addresses and booleans themselves.
+ */
+async function readStorageValue(hre, fullyQualifiedName, label, address) {
+  const [source, contractName] = fullyQualifiedName.split(":");
+  const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName);
+  const layout = buildInfo?.output.contracts[source][contractName].storageLayout;
+  const entry = layout?.storage.find((item) => item.label === label);
+  if (!entry) {
+    throw new Error(`No storage layout entry for ${fullyQualifiedName}.${label}; recompile contracts.`);
+  }
+
+  const word = BigInt(await hre.ethers.provider.getStorage(address, BigInt(entry.slot)));
+  const bits = BigInt(layout.types[entry.type].numberOfBytes) * 8n;
+  return (word >> BigInt(entry.offset * 8)) & ((1n << bits) - 1n);
+}
+
+/**
+ * Parses a script's command line and points Hardhat at its --network. Call it before
+ * require("hardhat"), which picks the HRE network as it loads. A script that is required by a test
+ * or another script rather than run gets no values, since the command line is not its own.
+ *
+ * @param {NodeJS.Module} scriptModule The calling script's `module`.
+ * @param {object} options util.parseArgs option definitions.
+ * @param {{allowPositionals?: boolean}} [settings]
+ * @returns {{values: object, positionals: string[]}}
+ */
+function parseScriptArgs(scriptModule, options, { allowPositionals = false } = {}) {
+  if (require.main !== scriptModule) {
+    return { values: {}, positionals: [] };
+  }
+  const parsed = parseArgs({ options, allowPositionals });
+  if (parsed.values.network) {
+    process.env.HARDHAT_NETWORK = parsed.values.network;
+  }
+  return parsed;
+}
+
+// ethers errors carry a one-line shortMessage; anything else falls back to the full message.
+function errorMessage(error) {
+  return error.shortMessage || error.message;
+}
+
+function runScript(main) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
 module.exports = {
   loadDeployments,
   saveDeployments,
   verifyContract,
   verifyProxyImplementation,
   logPostDeploymentCheck,
+  mockConfigOverrides,
+  readStorageValue,
+  parseScriptArgs,
+  errorMessage,
+  runScript,
 };
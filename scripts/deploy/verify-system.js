@@ -0,0 +1,237 @@
+/**
+ * Asserts the full wiring graph of a deployed system and emits a machine-readable report.
+ *
+ * Usage:
+ *   node scripts/deploy/verify-system.js --network <name> [--out report.json]
+ *
+ * The JSON report goes to stdout (and to --out when given); progress lines go to stderr. The
+ * process exits non-zero when any check fails, so it can gate CI and deployment pipelines.
+ */
+const fs = require("fs");
+const { parseScriptArgs, loadDeployments, mockConfigOverrides, readStorageValue, errorMessage } = require("./utils");
+
+const CLI_OPTIONS = {
+  network: { type: "string" },
+  out: { type: "string" },
+};
+const args = parseScriptArgs(module, CLI_OPTIONS).values;
+
+const hre = require("hardhat");
+const { getNetworkConfig } = require("./config");
+
+const PROXIES = [
+  { key: "vault", contract: "Vault" },
+  { key: "indexOracle", contract: "IndexOracle" },
+  { key: "vamm", contract: "vAMM" },
+  { key: "fundingCalculator", contract: "FundingRateCalculator" },
+  { key: "positionManager", contract: "PositionManager" },
+  { key: "liquidator", contract: "Liquidator" },
+];
+
+function normalize(value) {
+  if (typeof value === "string" && hre.ethers.isAddress(value)) return value.toLowerCase();
+  if (value === null || value === undefined) return null;
+  return value.toString();
+}
+
+function serialize(value) {
+  if (typeof value === "bigint") return value.toString();
+  return value ?? null;
+}
+
+/**
+ * Collects check results. A read that reverts or throws is recorded as a failed check rather than
+ * aborting the run, so one broken contract does not hide the state of the others.
+ */
+function createReport(network, chainId) {
+  const checks = [];
+
+  async function check(id, expected, readActual, matches) {
+    try {
+      const actual = await readActual();
+      checks.push({
+        id,
+        ok: expected !== undefined && matches(actual),
+        expected: serialize(expected),
+        actual: serialize(actual),
+      });
+    } catch (error) {
+      checks.push({ id, ok: false, expected: serialize(expected), actual: null, error: errorMessage(error) });
+    }
+  }
+
+  function expectEqual(id, expected, readActual) {
+    return check(id, expected, readActual, (actual) => normalize(expected) === normalize(actual));
+  }
+
+  // For amounts that only have a floor; the report's `expected` is the minimum.
+  function expectAtLeast(id, minimum, readActual) {
+    return check(id, minimum, readActual, (actual) => BigInt(actual) >= BigInt(minimum));
+  }
+
+  function fail(id, error) {
+    checks.push({ id, ok: false, expected: null, actual: null, error });
+  }
+
+  function finish() {
+    const failed = checks.filter((check) => !check.ok).length;
+    return {
+      network,
+      chainId: chainId.toString(),
+      generatedAt: new Date().toISOString(),
+      ok: failed === 0,
+      summary: { total: checks.length, passed: checks.length - failed, failed },
+      checks,
+    };
+  }
+
+  return { expectEqual, expectAtLeast, fail, finish };
+}
+
+async function checkImplementations(report, deployments) {
+  for (const { key } of PROXIES) {
+    if (!deployments[key]) continue;
+    await report.expectEqual(`${key}.implementation`, deployments[`${key}Implementation`], () =>
+      hre.upgrades.erc1967.getImplementationAddress(deployments[key]),
+    );
+  }
+}
+
+async function checkWiring(report, deployments, contracts) {
+  const { vault, indexOracle, vamm, fundingCalculator, positionManager, liquidator } = contracts;
+
+  // vAMM keeps its position manager in a private variable with no getter.
+  await report.expectEqual("vamm.positionManager", deployments.positionManager, async () =>
+    hre.ethers.getAddress(
+      hre.ethers.toBeHex(await readStorageValue(hre, "contracts/vAMM.sol:vAMM", "_positionManager", deployments.vamm), 20),
+    ),
+  );
+
+  await report.expectEqual("fundingCalculator.positionManager", deployments.positionManager, () =>
+    fundingCalculator.positionManager(),
+  );
+  await report.expectEqual("fundingCalculator.vamm", deployments.vamm, () => fundingCalculator.vamm());
+
+  await report.expectEqual("vault.positionManagerRole", true, async () =>
+    vault.hasRole(await vault.POSITION_MANAGER_ROLE(), deployments.positionManager),
+  );
+
+  await report.expectEqual("positionManager.vault", deployments.vault, () => positionManager.vault());
+  await report.expectEqual("positionManager.oracle", deployments.indexOracle, () => positionManager.oracle());
+  await report.expectEqual("positionManager.fundingCalculator", deployments.fundingCalculator, () =>
+    positionManager.fundingCalculator(),
+  );
+  await report.expectEqual("positionManager.vamm", deployments.vamm, () => positionManager.vamm());
+  // The pool PositionManager records has to be backed by the vault balance it holds.
+  await report.expectEqual("positionManager.pnlPoolHeld", await positionManager.pnlPoolBalance().catch(() => undefined), async () =>
+    vault.totalBalance(deployments.positionManager, await vault.asset()),
+  );
+
+  const feeds = deployments.indexOracleFeeds || {};
+  await report.expectEqual("indexOracle.cpiFeed", feeds.cpi, () => indexOracle.cpiDataFeed());
+  await report.expectEqual("indexOracle.treasuryFeed", feeds.treasury, () => indexOracle.treasuryYieldFeed());
+
+  if (!liquidator) {
+    report.fail("liquidator.deployment", "No liquidator recorded in the deployments file.");
+    return;
+  }
+
+  await report.expectEqual("positionManager.liquidatorRole", true, async () =>
+    positionManager.hasRole(await positionManager.LIQUIDATOR_ROLE(), deployments.liquidator),
+  );
+  await report.expectEqual("liquidator.positionManager", deployments.positionManager, () => liquidator.positionManager());
+  await report.expectEqual("liquidator.vault", await positionManager.vault().catch(() => undefined), () => liquidator.vault());
+}
+
+async function checkParameters(report, cfg, contracts) {
+  const { indexOracle, vamm, positionManager, liquidator } = contracts;
+  const risk = cfg.positionManager;
+
+  await report.expectEqual("positionManager.maxLeverage", risk.maxLeverage, () => positionManager.maxLeverage());
+  await report.expectEqual("positionManager.maintenanceMargin", risk.maintenanceMarginBps, () =>
+    positionManager.maintenanceMargin(),
+  );
+  await report.expectEqual("positionManager.tradingFee", risk.tradingFeeBps, () => positionManager.tradingFee());
+  await report.expectEqual("positionManager.liquidationFee", risk.liquidationFeeBps, () => positionManager.liquidationFee());
+  await report.expectEqual("positionManager.minCollateral", risk.minCollateral, () => positionManager.minCollateral());
+  await report.expectEqual("positionManager.liquidationRemainderToPnlPool", risk.liquidationRemainderToPnlPool, () =>
+    positionManager.liquidationRemainderToPnlPool(),
+  );
+  await report.expectAtLeast("positionManager.pnlPool", risk.pnlPoolTarget, () => positionManager.pnlPoolBalance());
+  if (risk.fundingKeeper) {
+    await report.expectEqual("positionManager.fundingKeeperRole", true, async () =>
+      positionManager.hasRole(await positionManager.KEEPER_ROLE(), risk.fundingKeeper),
+    );
+  }
+
+  await report.expectEqual("vamm.maxPriceImpact", cfg.vamm.maxPriceImpactBps, () => vamm.maxPriceImpact());
+  await report.expectEqual("indexOracle.updateInterval", cfg.chainlink.updateInterval, () => indexOracle.updateInterval());
+
+  if (liquidator) {
+    await report.expectEqual("liquidator.insuranceFund", cfg.liquidator.insuranceFund, () => liquidator.insuranceFund());
+    await report.expectEqual("liquidator.liquidationFee", cfg.liquidator.liquidationFeeBps, () =>
+      liquidator.liquidationFeePercent(),
+    );
+    await report.expectEqual("liquidator.liquidatorReward", cfg.liquidator.liquidatorRewardBps, () =>
+      liquidator.liquidatorRewardPercent(),
+    );
+  }
+}
+
+/**
+ * Runs every check against the recorded deployments and returns the report object.
+ */
+async function verifySystem({ network, cfg, deployments }) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const report = createReport(network, chainId);
+
+  const contracts = {};
+  let missing = false;
+  for (const { key, contract } of PROXIES) {
+    if (deployments[key]) {
+      contracts[key] = await hre.ethers.getContractAt(contract, deployments[key]);
+    } else if (key !== "liquidator") {
+      report.fail(`${key}.deployment`, `No ${key} recorded in the deployments file.`);
+      missing = true;
+    }
+  }
+  if (missing) {
+    return report.finish();
+  }
+
+  await checkImplementations(report, deployments);
+  await checkWiring(report, deployments, contracts);
+  await checkParameters(report, cfg, contracts);
+  return report.finish();
+}
+
+async function main() {
+  const network = hre.network.name;
+  const deployments = loadDeployments(network);
+  const cfg = getNetworkConfig(network, { overrides: mockConfigOverrides(deployments) });
+  const report = await verifySystem({ network, cfg, deployments });
+
+  for (const check of report.checks) {
+    const detail = check.error ? check.error : `expected ${check.expected}, got ${check.actual}`;
+    console.error(`${check.ok ? "✓" : "✗"} ${check.id}${check.ok ? "" : ` (${detail})`}`);
+  }
+  console.error(`${report.summary.passed}/${report.summary.total} checks passed on ${network}.`);
+
+  const json = JSON.stringify(report, null, 2);
+  if (args.out) {
+    fs.writeFileSync(args.out, json + "\n");
+  }
+  console.log(json);
+  return report.ok;
+}
+
+module.exports = { verifySystem };
+
+if (require.main === module) {
+  main()
+    .then((ok) => process.exit(ok ? 0 : 1))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,177 @@
+/**
+ * Stands up the full protocol on a local Hardhat network with mock collateral and mock feeds.
+ *
+ * Usage:
+ *   npx hardhat node                      # terminal 1
+ *   npm run dev:up                        # terminal 2 (defaults to --network localhost)
+ *   node scripts/dev/dev-up.js --network localhost --mint 250000 --deposit 100000 --pnl-pool 500000
+ *
+ * Deploys MockERC20 (6-decimal USDC) and two MockAggregatorV3 feeds, runs every deploy step plus
+ * initialize-system.js through the orchestrator, then mints, approves and deposits test USDC for the
+ * Hardhat default accounts listed in .env.example. The deployer also tops PositionManager's PnL pool
+ * up to --pnl-pool, so closes in profit have something to pay out of before any trader has lost.
+ * The result is written to deployments/<network>.json.
+ */
+const { parseArgs } = require("util");
+
+const { values: args } = parseArgs({
+  options: {
+    network: { type: "string", default: "localhost" },
+    mint: { type: "string", default: "100000" },
+    deposit: { type: "string", default: "50000" },
+    "pnl-pool": { type: "string", default: "100000" },
+  },
+});
+process.env.HARDHAT_NETWORK = args.network;
+
+const hre = require("hardhat");
+const { getNetworkConfig } = require("../deploy/config");
+const { loadDeployments, saveDeployments, runScript } = require("../deploy/utils");
+const { STEPS, topologicalOrder, selectSteps, executePlan } = require("../deploy/deploy-system");
+
+const LOCAL_CHAIN_ID = 31337n;
+const COLLATERAL_DECIMALS = 6;
+const FEED_DECIMALS = 8;
+
+// IndexOracle prices the index as treasury - CPI (scaled to 1e18). These readings put the index at
+// 2000, matching the default vAMM reserves (2B quote / 1M base) so funding starts near zero.
+const INITIAL_CPI_ANSWER = 300n * 10n ** BigInt(FEED_DECIMALS);
+const INITIAL_TREASURY_ANSWER = 2300n * 10n ** BigInt(FEED_DECIMALS);
+
+const DEFAULT_TEST_WALLETS = [
+  "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266",
+  "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+  "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC",
+];
+
+function testWallets() {
+  return DEFAULT_TEST_WALLETS.map((fallback, index) => process.env[`TEST_WALLET_${index + 1}`] || fallback);
+}
+
+async function hasCode(address) {
+  if (!address) return false;
+  return (await hre.ethers.provider.getCode(address)) !== "0x";
+}
+
+/**
+ * A restarted `hardhat node` forgets every contract, so a deployments file from an earlier session
+ * points at empty addresses. Start over in that case instead of skipping every step.
+ */
+async function loadLiveDeployments(network) {
+  const deployments = loadDeployments(network);
+  const recorded = [deployments.mocks?.collateral, deployments.vault].filter(Boolean);
+  for (const address of recorded) {
+    if (!(await hasCode(address))) {
+      console.log(`ℹ ${address} has no code on ${network}; discarding stale deployments file.`);
+      return {};
+    }
+  }
+  return deployments;
+}
+
+async function deployMocks(network, deployments) {
+  deployments.mocks = deployments.mocks || {};
+  const { mocks } = deployments;
+
+  if (!mocks.collateral) {
+    const MockERC20 = await hre.ethers.getContractFactory("MockERC20");
+    const usdc = await MockERC20.deploy("USD Coin", "USDC", COLLATERAL_DECIMALS);
+    await usdc.waitForDeployment();
+    mocks.collateral = await usdc.getAddress();
+    console.log(`✓ Mock USDC deployed at ${mocks.collateral}`);
+  }
+
+  const MockAggregatorV3 = await hre.ethers.getContractFactory("MockAggregatorV3");
+  if (!mocks.cpiFeed) {
+    const feed = await MockAggregatorV3.deploy(FEED_DECIMALS, "CPI / USD (mock)", INITIAL_CPI_ANSWER);
+    await feed.waitForDeployment();
+    mocks.cpiFeed = await feed.getAddress();
+    console.log(`✓ Mock CPI feed deployed at ${mocks.cpiFeed}`);
+  }
+  if (!mocks.treasuryFeed) {
+    const feed = await MockAggregatorV3.deploy(FEED_DECIMALS, "Treasury Yield (mock)", INITIAL_TREASURY_ANSWER);
+    await feed.waitForDeployment();
+    mocks.treasuryFeed = await feed.getAddress();
+    console.log(`✓ Mock Treasury feed deployed at ${mocks.treasuryFeed}`);
+  }
+
+  saveDeployments(network, deployments);
+  return mocks;
+}
+
+async function fundTestWallets(network, deployments) {
+  const usdc = await hre.ethers.getContractAt("MockERC20", deployments.mocks.collateral);
+  const vault = await hre.ethers.getContractAt("Vault", deployments.vault);
+  const vaultAddress = await vault.getAddress();
+  const mintAmount = hre.ethers.parseUnits(args.mint, COLLATERAL_DECIMALS);
+  const depositAmount = hre.ethers.parseUnits(args.deposit, COLLATERAL_DECIMALS);
+  if (depositAmount > mintAmount) {
+    throw new Error(`--deposit (${args.deposit}) cannot exceed --mint (${args.mint}).`);
+  }
+
+  deployments.testAccounts = [];
+  for (const address of testWallets()) {
+    const signer = await hre.ethers.getSigner(address);
+
+    await (await usdc.mint(address, mintAmount)).wait();
+    await (await usdc.connect(signer).approve(vaultAddress, hre.ethers.MaxUint256)).wait();
+    if (depositAmount > 0n) {
+      await (await vault.connect(signer).deposit(deployments.mocks.collateral, depositAmount)).wait();
+    }
+
+    const available = await vault.availableBalance(address, deployments.mocks.collateral);
+    console.log(`✓ ${address}: minted ${args.mint} USDC, vault balance ${hre.ethers.formatUnits(available, COLLATERAL_DECIMALS)}`);
+    deployments.testAccounts.push(address);
+  }
+
+  saveDeployments(network, deployments);
+}
+
+async function seedPnlPool(deployments) {
+  const [deployer] = await hre.ethers.getSigners();
+  const usdc = await hre.ethers.getContractAt("MockERC20", deployments.mocks.collateral);
+  const positionManager = await hre.ethers.getContractAt("PositionManager", deployments.positionManager);
+  const target = hre.ethers.parseUnits(args["pnl-pool"], COLLATERAL_DECIMALS);
+
+  const balance = await positionManager.pnlPoolBalance();
+  if (balance >= target) {
+    console.log(`ℹ PnL pool already holds ${hre.ethers.formatUnits(balance, COLLATERAL_DECIMALS)} USDC`);
+    return;
+  }
+  const topUp = target - balance;
+  await (await usdc.mint(deployer.address, topUp)).wait();
+  await (await usdc.approve(deployments.positionManager, topUp)).wait();
+  await (await positionManager.fundPnlPool(topUp)).wait();
+  console.log(`✓ PnL pool funded to ${args["pnl-pool"]} USDC`);
+}
+
+async function main() {
+  const network = hre.network.name;
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (chainId !== LOCAL_CHAIN_ID) {
+    throw new Error(`dev:up only runs against a local Hardhat chain (31337); ${network} reports ${chainId}.`);
+  }
+
+  const deployments = await loadLiveDeployments(network);
+  saveDeployments(network, deployments);
+
+  const mocks = await deployMocks(network, deployments);
+  const cfg = getNetworkConfig(network, {
+    overrides: {
+      "collateral.token": mocks.collateral,
+      "collateral.decimals": COLLATERAL_DECIMALS,
+      "chainlink.cpiFeed": mocks.cpiFeed,
+      "chainlink.treasuryFeed": mocks.treasuryFeed,
+    },
+  });
+
+  const plan = selectSteps(topologicalOrder(STEPS), deployments, {});
+  await executePlan({ network, cfg, deployments, plan });
+
+  await fundTestWallets(network, deployments);
+  await seedPnlPool(deployments);
+
+  console.log(`\nLocal protocol is up. Addresses written to deployments/${network}.json`);
+}
+
+runScript(main);
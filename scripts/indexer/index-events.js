@@ -0,0 +1,361 @@
+/**
+ * Event indexer: backfills protocol history into a local SQLite database and keeps it current.
+ *
+ * Usage:
+ *   node scripts/indexer/index-events.js --network <name> [--db indexer-data/<network>.sqlite]
+ *     [--from-block <n>] [--confirmations 12] [--follow] [--poll-interval 4000]
+ *
+ * Indexes PositionOpened/Closed/Liquidated and MarginAdded/Removed (PositionManager),
+ * FundingRateUpdated (FundingRateCalculator), IndexPriceUpdated and ManualPriceUpdate
+ * (IndexOracle), and Deposit, Withdraw and FeesCollected (Vault), decoded with the ABIs in
+ * artifacts/. See ./schema.js for the tables.
+ *
+ * The first run starts at --from-block, by default the earliest deploy block recorded in
+ * deployments/<network>.json; later runs resume after the last indexed block. Only blocks at
+ * least --confirmations deep are indexed. If a block the database already holds has been
+ * replaced anyway, everything after the last block still on the chain is rolled back and
+ * indexed again. --follow keeps indexing new blocks until SIGINT.
+ */
+const { parseScriptArgs, loadDeployments, runScript } = require("../deploy/utils");
+
+const CLI_OPTIONS = {
+  network: { type: "string" },
+  db: { type: "string" },
+  "from-block": { type: "string" },
+  confirmations: { type: "string", default: "12" },
+  follow: { type: "boolean", default: false },
+  "poll-interval": { type: "string", default: "4000" },
+};
+const args = parseScriptArgs(module, CLI_OPTIONS).values;
+
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = require("ethers");
+const { runEveryBlock, shutdownSignal } = require("../keepers/loop");
+const { EVENT_TABLES, openDatabase } = require("./schema");
+
+/**
+ * Contracts and events the indexer follows, keyed by their deployments/<network>.json entry.
+ */
+const INDEXED_CONTRACTS = {
+  positionManager: {
+    artifact: "PositionManager",
+    events: ["PositionOpened", "PositionClosed", "PositionLiquidated", "MarginAdded", "MarginRemoved"],
+  },
+  fundingCalculator: { artifact: "FundingRateCalculator", events: ["FundingRateUpdated"] },
+  indexOracle: { artifact: "IndexOracle", events: ["IndexPriceUpdated", "ManualPriceUpdate"] },
+  vault: { artifact: "Vault", events: ["Deposit", "Withdraw", "FeesCollected"] },
+};
+
+const DEPLOY_BLOCK_KEYS = [
+  "vaultDeployBlock",
+  "indexOracleDeployBlock",
+  "fundingCalculatorDeployBlock",
+  "positionManagerDeployBlock",
+];
+
+// Decoded event args -> [table, row]. Rows get the block/log columns added on insert.
+const EVENT_ROWS = {
+  PositionOpened: (a) => [
+    "position_opens",
+    {
+      position_id: a.positionId,
+      trader: a.trader,
+      is_long: a.isLong ? 1 : 0,
+      collateral: a.collateral,
+      size: a.size,
+      leverage: a.leverage,
+      entry_price: a.entryPrice,
+    },
+  ],
+  PositionClosed: (a) => [
+    "position_closes",
+    { position_id: a.positionId, trader: a.trader, pnl: a.pnl, closing_price: a.closingPrice },
+  ],
+  PositionLiquidated: (a) => [
+    "position_liquidations",
+    {
+      position_id: a.positionId,
+      trader: a.trader,
+      liquidator: a.liquidator,
+      liquidation_price: a.liquidationPrice,
+      reward: a.reward,
+    },
+  ],
+  MarginAdded: (a) => [
+    "margin_changes",
+    { position_id: a.positionId, trader: a.trader, direction: "add", amount: a.amount, new_collateral: a.newCollateral },
+  ],
+  MarginRemoved: (a) => [
+    "margin_changes",
+    { position_id: a.positionId, trader: a.trader, direction: "remove", amount: a.amount, new_collateral: a.newCollateral },
+  ],
+  FundingRateUpdated: (a) => ["funding_rate_updates", { rate: a.rate, funding_time: Number(a.timestamp) }],
+  IndexPriceUpdated: (a) => ["index_price_updates", { source: "feeds", price: a.price, real_yield: a.annualRealYield }],
+  ManualPriceUpdate: (a) => ["index_price_updates", { source: "manual", price: a.price, real_yield: null }],
+  Deposit: (a) => [
+    "vault_transfers",
+    { direction: "deposit", user: a.user, token: a.token, amount: a.amount, shares: a.shares },
+  ],
+  Withdraw: (a) => [
+    "vault_transfers",
+    { direction: "withdraw", user: a.user, token: a.token, amount: a.amount, shares: a.shares },
+  ],
+  FeesCollected: (a) => ["vault_fees", { amount: a.amount }],
+};
+
+// SQLite integers are 64-bit, so uint256/int256 values are stored as decimal strings.
+function toColumn(value) {
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+/**
+ * Builds the indexer's contract list from recorded deployments and artifact ABIs. Contracts
+ * missing from `deployments` are skipped.
+ *
+ * @returns {Promise<Array<{name: string, address: string, abi: object[], events: string[]}>>}
+ */
+async function artifactSources(hre, deployments) {
+  const sources = [];
+  for (const [name, { artifact, events }] of Object.entries(INDEXED_CONTRACTS)) {
+    if (!deployments[name]) continue;
+    const { abi } = await hre.artifacts.readArtifact(artifact);
+    sources.push({ name, address: deployments[name], abi, events });
+  }
+  return sources;
+}
+
+/**
+ * Earliest deploy block recorded in deployments/<network>.json, or 0.
+ */
+function deployBlock(deployments) {
+  const blocks = DEPLOY_BLOCK_KEYS.map((key) => deployments[key]).filter((block) => Number.isInteger(block));
+  return blocks.length > 0 ? Math.min(...blocks) : 0;
+}
+
+class EventIndexer {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Provider} options.provider
+   * @param {import("better-sqlite3").Database} options.db From openDatabase.
+   * @param {Array<{name: string, address: string, abi: object[], events: string[]}>} options.sources
+   *   From artifactSources.
+   * @param {number} [options.fromBlock] First block of a fresh database; ignored once it has
+   *   indexed anything.
+   * @param {number} [options.confirmations] Blocks behind the head to stay.
+   * @param {number} [options.maxBlockRange] Blocks per eth_getLogs request.
+   * @param {(message: string) => void} [options.log]
+   */
+  constructor({ provider, db, sources, fromBlock = 0, confirmations = 12, maxBlockRange = 5000, log = console.log }) {
+    this.provider = provider;
+    this.db = db;
+    this.fromBlock = fromBlock;
+    this.confirmations = confirmations;
+    this.maxBlockRange = maxBlockRange;
+    this.log = log;
+
+    // "<address>:<topic>" -> decoder; one getLogs call covers every contract.
+    this.decoders = new Map();
+    for (const source of sources) {
+      const iface = new ethers.Interface(source.abi);
+      for (const name of source.events) {
+        if (!EVENT_ROWS[name]) throw new Error(`No table for ${source.name}.${name}`);
+        this.decoders.set(`${ethers.getAddress(source.address)}:${iface.getEvent(name).topicHash}`, { source, iface });
+      }
+    }
+    this.addresses = sources.map(({ address }) => ethers.getAddress(address));
+    this.topics = [...new Set([...this.decoders.keys()].map((key) => key.split(":")[1]))];
+
+    this.statements = {
+      getState: db.prepare("SELECT value FROM sync_state WHERE key = ?"),
+      setState: db.prepare("INSERT INTO sync_state (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value"),
+      putBlock: db.prepare("INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)"),
+      blockAt: db.prepare("SELECT number, hash FROM blocks WHERE number = ?"),
+      blocksFrom: db.prepare("SELECT number, hash FROM blocks WHERE number <= ? ORDER BY number DESC"),
+      inserts: new Map(),
+    };
+  }
+
+  /**
+   * Last indexed block, or null for a fresh database.
+   */
+  get lastBlock() {
+    const row = this.statements.getState.get("last_block");
+    return row ? Number(row.value) : null;
+  }
+
+  _insert(table, row) {
+    const columns = Object.keys(row);
+    const key = `${table}:${columns.join(",")}`;
+    if (!this.statements.inserts.has(key)) {
+      this.statements.inserts.set(
+        key,
+        this.db.prepare(`INSERT INTO ${table} (${columns.join(", ")}) VALUES (${columns.map((column) => `@${column}`).join(", ")})`),
+      );
+    }
+    this.statements.inserts.get(key).run(Object.fromEntries(columns.map((column) => [column, toColumn(row[column])])));
+  }
+
+  _setCheckpoint(block) {
+    this.statements.setState.run("last_block", String(block.number));
+    this.statements.putBlock.run(block.number, block.hash, block.timestamp);
+  }
+
+  /**
+   * Deletes everything above `blockNumber` and makes it the last indexed block.
+   */
+  rollback(blockNumber) {
+    this.db.transaction(() => {
+      for (const table of EVENT_TABLES) {
+        this.db.prepare(`DELETE FROM ${table} WHERE block_number > ?`).run(blockNumber);
+      }
+      this.db.prepare("DELETE FROM blocks WHERE number > ?").run(blockNumber);
+      if (blockNumber < this.fromBlock) {
+        this.db.prepare("DELETE FROM sync_state WHERE key = 'last_block'").run();
+      } else {
+        this.statements.setState.run("last_block", String(blockNumber));
+      }
+    })();
+  }
+
+  /**
+   * Compares the stored hash of the last indexed block with the chain. On a mismatch, walks
+   * back through stored blocks to the newest one still on the chain and rolls back to it.
+   *
+   * @returns {Promise<number|null>} The block rolled back to, or null when there was no reorg.
+   */
+  async checkReorg() {
+    const lastBlock = this.lastBlock;
+    if (lastBlock === null) return null;
+    const stored = this.statements.blockAt.get(lastBlock);
+    const onChain = await this.provider.getBlock(lastBlock);
+    if (stored && onChain?.hash === stored.hash) return null;
+
+    let ancestor = this.fromBlock - 1;
+    for (const block of this.statements.blocksFrom.iterate(lastBlock)) {
+      if ((await this.provider.getBlock(block.number))?.hash === block.hash) {
+        ancestor = block.number;
+        break;
+      }
+    }
+    this.log(`⚠ Block ${lastBlock} was reorganized; rolling back to block ${ancestor} and re-indexing.`);
+    this.rollback(ancestor);
+    return ancestor;
+  }
+
+  async _indexRange(fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({ fromBlock, toBlock, address: this.addresses, topics: [this.topics] });
+
+    const numbers = [...new Set([...logs.map((log) => log.blockNumber), toBlock])];
+    const blocks = new Map();
+    for (const block of await Promise.all(numbers.map((number) => this.provider.getBlock(number)))) {
+      blocks.set(block.number, block);
+    }
+    // A reorg between getLogs and getBlock would mix logs from two chains. Nothing is stored,
+    // so the next sync starts this range again.
+    const mismatch = logs.find((log) => blocks.get(log.blockNumber).hash !== log.blockHash);
+    if (mismatch) {
+      throw new Error(`Block ${mismatch.blockNumber} changed while indexing blocks ${fromBlock}-${toBlock}; nothing was stored.`);
+    }
+
+    const counts = {};
+    this.db.transaction(() => {
+      for (const log of logs) {
+        const decoder = this.decoders.get(`${ethers.getAddress(log.address)}:${log.topics[0]}`);
+        if (!decoder) continue;
+        const event = decoder.iface.parseLog(log);
+        const block = blocks.get(log.blockNumber);
+        const [table, row] = EVENT_ROWS[event.name](event.args);
+        this._insert(table, {
+          block_number: log.blockNumber,
+          log_index: log.index,
+          transaction_hash: log.transactionHash,
+          timestamp: block.timestamp,
+          ...row,
+        });
+        this.statements.putBlock.run(block.number, block.hash, block.timestamp);
+        counts[event.name] = (counts[event.name] ?? 0) + 1;
+      }
+      this._setCheckpoint(blocks.get(toBlock));
+    })();
+    return counts;
+  }
+
+  /**
+   * Indexes every confirmed block after the last indexed one, after rolling back any reorg.
+   *
+   * @param {object} [options]
+   * @param {number} [options.toBlock] Stop here instead of at head - confirmations.
+   * @returns {Promise<{fromBlock: number, toBlock: number, rolledBackTo: number|null, counts: Record<string, number>}>}
+   */
+  async sync({ toBlock } = {}) {
+    const rolledBackTo = await this.checkReorg();
+    const head = await this.provider.getBlockNumber();
+    const target = Math.min(toBlock ?? Infinity, head - this.confirmations);
+    const lastBlock = this.lastBlock;
+    const fromBlock = lastBlock === null ? this.fromBlock : lastBlock + 1;
+
+    const counts = {};
+    for (let start = fromBlock; start <= target; start += this.maxBlockRange) {
+      const end = Math.min(target, start + this.maxBlockRange - 1);
+      for (const [name, count] of Object.entries(await this._indexRange(start, end))) {
+        counts[name] = (counts[name] ?? 0) + count;
+      }
+    }
+    return { fromBlock, toBlock: Math.max(target, fromBlock - 1), rolledBackTo, counts };
+  }
+
+  run({ pollIntervalMs, signal } = {}) {
+    return runEveryBlock(
+      this.provider,
+      async (blockNumber) => {
+        const { fromBlock, toBlock, counts } = await this.sync();
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        if (toBlock >= fromBlock) {
+          this.log(`Block ${blockNumber}: indexed ${fromBlock}-${toBlock} (${total} events).`);
+        }
+      },
+      { pollIntervalMs, signal, log: this.log },
+    );
+  }
+}
+
+async function main() {
+  const network = hre.network.name;
+  const deployments = loadDeployments(network);
+  const sources = await artifactSources(hre, deployments);
+  if (sources.length === 0) {
+    throw new Error(`No indexed contracts recorded in deployments/${network}.json.`);
+  }
+
+  const file = args.db || path.join("indexer-data", `${network}.sqlite`);
+  const db = openDatabase(file);
+  const indexer = new EventIndexer({
+    provider: hre.ethers.provider,
+    db,
+    sources,
+    fromBlock: Number(args["from-block"] ?? deployBlock(deployments)),
+    confirmations: Number(args.confirmations),
+  });
+
+  const resume = indexer.lastBlock;
+  console.log(
+    `Indexing ${sources.map(({ name }) => name).join(", ")} on ${network} into ${file} ` +
+      `(${resume === null ? `from block ${indexer.fromBlock}` : `resuming after block ${resume}`}).`,
+  );
+  try {
+    const { fromBlock, toBlock, counts } = await indexer.sync();
+    console.log(`✓ Indexed blocks ${fromBlock}-${toBlock}: ${JSON.stringify(counts)}`);
+    if (args.follow) {
+      await indexer.run({ pollIntervalMs: Number(args["poll-interval"]), signal: shutdownSignal() });
+    }
+  } finally {
+    db.close();
+  }
+}
+
+module.exports = { INDEXED_CONTRACTS, EventIndexer, artifactSources, deployBlock };
+
+if (require.main === module) {
+  runScript(main);
+}
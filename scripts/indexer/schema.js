@@ -0,0 +1,185 @@
+/**
+ * SQLite schema for the protocol event indexer (see ./index-events.js).
+ *
+ * Every event table is append-only and keyed by (block_number, log_index), so rolling back a
+ * reorg is a DELETE of everything above the common ancestor. Position state is a view over the
+ * lifecycle tables rather than a mutable row, for the same reason.
+ *
+ * uint256/int256 values are stored as decimal TEXT (prices and sizes overflow SQLite's 64-bit
+ * INTEGER); cast with CAST(x AS REAL) for approximate aggregates. Block numbers, log indexes and
+ * timestamps are INTEGER. `timestamp` is the block timestamp of the log.
+ */
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+const SCHEMA_VERSION = 1;
+
+const LOG_COLUMNS = `
+  block_number INTEGER NOT NULL,
+  log_index INTEGER NOT NULL,
+  transaction_hash TEXT NOT NULL,
+  timestamp INTEGER NOT NULL`;
+
+const SCHEMA = `
+CREATE TABLE sync_state (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL
+);
+
+-- Hashes of indexed blocks that had logs, plus every sync checkpoint, for reorg detection.
+CREATE TABLE blocks (
+  number INTEGER PRIMARY KEY,
+  hash TEXT NOT NULL,
+  timestamp INTEGER NOT NULL
+);
+
+CREATE TABLE position_opens (${LOG_COLUMNS},
+  position_id TEXT NOT NULL,
+  trader TEXT NOT NULL,
+  is_long INTEGER NOT NULL,
+  collateral TEXT NOT NULL,
+  size TEXT NOT NULL,
+  leverage TEXT NOT NULL,
+  entry_price TEXT NOT NULL,
+  PRIMARY KEY (block_number, log_index)
+);
+CREATE UNIQUE INDEX position_opens_position ON position_opens (position_id);
+CREATE INDEX position_opens_trader ON position_opens (trader);
+
+CREATE TABLE position_closes (${LOG_COLUMNS},
+  position_id TEXT NOT NULL,
+  trader TEXT NOT NULL,
+  pnl TEXT NOT NULL,
+  closing_price TEXT NOT NULL,
+  PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX position_closes_position ON position_closes (position_id);
+
+CREATE TABLE position_liquidations (${LOG_COLUMNS},
+  position_id TEXT NOT NULL,
+  trader TEXT NOT NULL,
+  liquidator TEXT NOT NULL,
+  liquidation_price TEXT NOT NULL,
+  reward TEXT NOT NULL,
+  PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX position_liquidations_position ON position_liquidations (position_id);
+
+CREATE TABLE margin_changes (${LOG_COLUMNS},
+  position_id TEXT NOT NULL,
+  trader TEXT NOT NULL,
+  direction TEXT NOT NULL CHECK (direction IN ('add', 'remove')),
+  amount TEXT NOT NULL,
+  new_collateral TEXT NOT NULL,
+  PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX margin_changes_position ON margin_changes (position_id);
+
+CREATE TABLE funding_rate_updates (${LOG_COLUMNS},
+  rate TEXT NOT NULL,
+  funding_time INTEGER NOT NULL,
+  PRIMARY KEY (block_number, log_index)
+);
+
+CREATE TABLE index_price_updates (${LOG_COLUMNS},
+  source TEXT NOT NULL CHECK (source IN ('feeds', 'manual')),
+  price TEXT NOT NULL,
+  real_yield TEXT,
+  PRIMARY KEY (block_number, log_index)
+);
+
+CREATE TABLE vault_transfers (${LOG_COLUMNS},
+  direction TEXT NOT NULL CHECK (direction IN ('deposit', 'withdraw')),
+  user TEXT NOT NULL,
+  token TEXT NOT NULL,
+  amount TEXT NOT NULL,
+  shares TEXT NOT NULL,
+  PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX vault_transfers_user ON vault_transfers (user);
+
+CREATE TABLE vault_fees (${LOG_COLUMNS},
+  amount TEXT NOT NULL,
+  PRIMARY KEY (block_number, log_index)
+);
+
+-- Current state of every position ever opened. Collateral follows the latest margin change;
+-- closed and liquidated positions keep the values they had when they left the book.
+CREATE VIEW positions AS
+SELECT
+  o.position_id,
+  o.trader,
+  o.is_long,
+  o.size,
+  o.leverage,
+  o.entry_price,
+  COALESCE(
+    (SELECT m.new_collateral FROM margin_changes m WHERE m.position_id = o.position_id
+     ORDER BY m.block_number DESC, m.log_index DESC LIMIT 1),
+    o.collateral
+  ) AS collateral,
+  CASE
+    WHEN l.position_id IS NOT NULL THEN 'liquidated'
+    WHEN c.position_id IS NOT NULL THEN 'closed'
+    ELSE 'open'
+  END AS status,
+  o.timestamp AS opened_at,
+  o.block_number AS opened_block,
+  COALESCE(c.timestamp, l.timestamp) AS closed_at,
+  COALESCE(c.block_number, l.block_number) AS closed_block,
+  c.pnl,
+  COALESCE(c.closing_price, l.liquidation_price) AS exit_price,
+  l.liquidator,
+  l.reward AS liquidation_reward
+FROM position_opens o
+LEFT JOIN position_closes c ON c.position_id = o.position_id
+LEFT JOIN position_liquidations l ON l.position_id = o.position_id;
+`;
+
+// Tables holding indexed logs; a rollback deletes from each of these.
+const EVENT_TABLES = [
+  "position_opens",
+  "position_closes",
+  "position_liquidations",
+  "margin_changes",
+  "funding_rate_updates",
+  "index_price_updates",
+  "vault_transfers",
+  "vault_fees",
+];
+
+/**
+ * Creates the schema in a new database, or checks an existing one was made by this version.
+ */
+function migrate(db) {
+  const version = db.pragma("user_version", { simple: true });
+  if (version === SCHEMA_VERSION) return;
+  if (version !== 0) {
+    throw new Error(`Indexer database has schema version ${version}; this indexer needs ${SCHEMA_VERSION}. Re-index into a new file.`);
+  }
+  db.transaction(() => {
+    db.exec(SCHEMA);
+    db.pragma(`user_version = ${SCHEMA_VERSION}`);
+  })();
+}
+
+/**
+ * Opens (creating if needed) an indexer database. Pass ":memory:" for a throwaway one.
+ */
+function openDatabase(file) {
+  if (file !== ":memory:") {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  }
+  const db = new Database(file);
+  if (file !== ":memory:") db.pragma("journal_mode = WAL");
+  migrate(db);
+  return db;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  EVENT_TABLES,
+  migrate,
+  openDatabase,
+};
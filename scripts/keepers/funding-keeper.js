@@ -0,0 +1,295 @@
+/**
+ * Funding keeper: settles funding through PositionManager.settleFunding whenever an interval has
+ * elapsed, records every funding update, and alerts when funding falls behind.
+ *
+ * Usage:
+ *   node scripts/keepers/funding-keeper.js --network <name> [--dry-run] [--once]
+ *     [--record-file funding.jsonl] [--alert-webhook <url>] [--stale-intervals 2]
+ *     [--from-block <n>] [--poll-interval 4000]
+ *
+ * Each block the keeper compares the block timestamp with FundingRateCalculator.lastFundingTime
+ * and fundingInterval, and calls settleFunding once an interval is due (the keeper account needs
+ * KEEPER_ROLE on PositionManager). Every FundingRateUpdated log since --from-block (default: the
+ * PositionManager deployment block) is recorded with the mark and index prices it was computed
+ * from, one JSON object per line in --record-file. When funding has not been updated for more
+ * than --stale-intervals intervals an alert is logged, and POSTed to --alert-webhook if set.
+ */
+const { parseScriptArgs, loadDeployments, runScript, errorMessage } = require("../deploy/utils");
+
+const CLI_OPTIONS = {
+  network: { type: "string" },
+  "dry-run": { type: "boolean", default: false },
+  once: { type: "boolean", default: false },
+  "record-file": { type: "string" },
+  "alert-webhook": { type: "string" },
+  "stale-intervals": { type: "string", default: "2" },
+  "from-block": { type: "string" },
+  "poll-interval": { type: "string", default: "4000" },
+};
+const args = parseScriptArgs(module, CLI_OPTIONS).values;
+
+const fs = require("fs");
+const hre = require("hardhat");
+const { ethers } = require("ethers");
+const { runEveryBlock, shutdownSignal } = require("./loop");
+const { POSITION_MANAGER_ABI, FUNDING_CALCULATOR_ABI, VAMM_ABI, INDEX_ORACLE_ABI } = require("../../sdk/abi");
+
+/**
+ * Appends records to a JSON-lines file. BigInts are written as decimal strings.
+ */
+function jsonLinesWriter(file) {
+  return (record) => {
+    const line = JSON.stringify(record, (_, value) => (typeof value === "bigint" ? value.toString() : value));
+    fs.appendFileSync(file, `${line}\n`);
+  };
+}
+
+/**
+ * Sends alerts to a webhook as `{ text, ...alert }`, the shape Slack and Discord incoming
+ * webhooks accept.
+ */
+function webhookAlerter(url, log = console.log) {
+  return async (alert) => {
+    try {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ text: alert.message, ...alert }),
+      });
+      if (!response.ok) {
+        log(`⚠ Alert webhook returned HTTP ${response.status}`);
+      }
+    } catch (error) {
+      log(`⚠ Alert webhook failed: ${error.message}`);
+    }
+  };
+}
+
+class FundingKeeper {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Signer} options.signer Keeper account; needs KEEPER_ROLE to settle.
+   * @param {{positionManager: string, fundingCalculator: string}} options.addresses
+   * @param {boolean} [options.dryRun] Report when funding is due without sending.
+   * @param {number} [options.staleIntervals] Alert once funding is older than this many intervals.
+   * @param {number} [options.fromBlock] First block to record FundingRateUpdated logs from.
+   * @param {number} [options.maxBlockRange] Blocks per eth_getLogs request while recording.
+   * @param {(record: object) => void} [options.record] Receives each funding update.
+   * @param {(alert: object) => void|Promise<void>} [options.alert] Receives stale-funding alerts
+   *   and the matching recovery notice.
+   * @param {(message: string) => void} [options.log]
+   */
+  constructor({
+    signer,
+    addresses,
+    dryRun = false,
+    staleIntervals = 2,
+    fromBlock = 0,
+    maxBlockRange = 5000,
+    record = () => {},
+    alert = () => {},
+    log = console.log,
+  }) {
+    if (!addresses.fundingCalculator) {
+      throw new Error("No fundingCalculator address; deploy the FundingRateCalculator first.");
+    }
+
+    this.provider = signer.provider;
+    this.dryRun = dryRun;
+    this.staleIntervals = BigInt(staleIntervals);
+    this.maxBlockRange = maxBlockRange;
+    this.nextBlock = fromBlock;
+    this.record = record;
+    this.alert = alert;
+    this.log = log;
+    this.stale = false;
+
+    this.positionManager = new ethers.Contract(addresses.positionManager, POSITION_MANAGER_ABI, signer);
+    this.fundingCalculator = new ethers.Contract(addresses.fundingCalculator, FUNDING_CALCULATOR_ABI, this.provider);
+  }
+
+  /**
+   * Funding schedule as of `blockTag`.
+   *
+   * @returns {Promise<{timestamp: bigint, lastFundingTime: bigint, fundingInterval: bigint, nextFundingTime: bigint, due: boolean}>}
+   */
+  async status(blockTag) {
+    const overrides = { blockTag };
+    const [block, lastFundingTime, fundingInterval] = await Promise.all([
+      this.provider.getBlock(blockTag),
+      this.fundingCalculator.lastFundingTime(overrides),
+      this.fundingCalculator.fundingInterval(overrides),
+    ]);
+    const timestamp = BigInt(block.timestamp);
+    const nextFundingTime = lastFundingTime + fundingInterval;
+    return { timestamp, lastFundingTime, fundingInterval, nextFundingTime, due: timestamp >= nextFundingTime };
+  }
+
+  /**
+   * Sends settleFunding and waits for it. Returns the transaction hash, or throws with the
+   * decoded revert reason.
+   */
+  async settle() {
+    const tx = await this.positionManager.settleFunding();
+    await tx.wait();
+    return tx.hash;
+  }
+
+  /**
+   * Mark and index prices at the end of `blockNumber`, for updates that did not come through
+   * settleFunding. Either is null when it cannot be read (e.g. the oracle was stale).
+   */
+  async _pricesAt(blockNumber) {
+    const overrides = { blockTag: blockNumber };
+    const [vammAddress, oracleAddress] = await Promise.all([
+      this.positionManager.vamm(overrides),
+      this.positionManager.oracle(overrides),
+    ]);
+    const vamm = new ethers.Contract(vammAddress, VAMM_ABI, this.provider);
+    const oracle = new ethers.Contract(oracleAddress, INDEX_ORACLE_ABI, this.provider);
+    const [markPrice, indexPrice] = await Promise.all([
+      vamm.getMarkPrice(overrides).catch(() => null),
+      oracle.getIndexPrice(overrides).catch(() => null),
+    ]);
+    return { markPrice, indexPrice };
+  }
+
+  /**
+   * Records every FundingRateUpdated log up to and including `toBlock`. Prices come from the
+   * FundingSettled event in the same transaction when there is one.
+   *
+   * @returns {Promise<object[]>} The records, in log order.
+   */
+  async recordUpdates(toBlock) {
+    const records = [];
+    const updatedTopic = this.fundingCalculator.interface.getEvent("FundingRateUpdated").topicHash;
+    const settledTopic = this.positionManager.interface.getEvent("FundingSettled").topicHash;
+
+    while (this.nextBlock <= toBlock) {
+      const range = { fromBlock: this.nextBlock, toBlock: Math.min(toBlock, this.nextBlock + this.maxBlockRange - 1) };
+      const [updates, settlements] = await Promise.all([
+        this.provider.getLogs({ ...range, address: this.fundingCalculator.target, topics: [updatedTopic] }),
+        this.provider.getLogs({ ...range, address: this.positionManager.target, topics: [settledTopic] }),
+      ]);
+      const settledIn = new Map(
+        settlements.map((log) => [log.transactionHash, this.positionManager.interface.parseLog(log).args]),
+      );
+
+      for (const log of updates) {
+        const { rate, timestamp } = this.fundingCalculator.interface.parseLog(log).args;
+        const settled = settledIn.get(log.transactionHash);
+        const prices = settled
+          ? { markPrice: settled.markPrice, indexPrice: settled.indexPrice }
+          : await this._pricesAt(log.blockNumber);
+        const record = {
+          blockNumber: log.blockNumber,
+          transactionHash: log.transactionHash,
+          timestamp: Number(timestamp),
+          fundingRate: rate,
+          ...prices,
+          source: settled ? "settleFunding" : "direct",
+        };
+        this.record(record);
+        records.push(record);
+      }
+      this.nextBlock = range.toBlock + 1;
+    }
+    return records;
+  }
+
+  async _checkStaleness(status, blockNumber) {
+    const age = status.timestamp - status.lastFundingTime;
+    const limit = status.fundingInterval * this.staleIntervals;
+
+    if (age > limit && !this.stale) {
+      this.stale = true;
+      const message =
+        `Funding has not been updated for ${age}s (more than ${this.staleIntervals} intervals of ` +
+        `${status.fundingInterval}s); last update at ${status.lastFundingTime}.`;
+      this.log(`ALERT: ${message}`);
+      await this.alert({ type: "funding-stale", blockNumber, lastFundingTime: Number(status.lastFundingTime), ageSeconds: Number(age), message });
+    } else if (age <= limit && this.stale) {
+      this.stale = false;
+      const message = `Funding updated again at ${status.lastFundingTime}.`;
+      this.log(`Resolved: ${message}`);
+      await this.alert({ type: "funding-recovered", blockNumber, lastFundingTime: Number(status.lastFundingTime), message });
+    }
+  }
+
+  /**
+   * One keeper pass at `blockNumber`: settle funding if it is due (or only report it, in dry-run
+   * mode), record new funding updates, and raise or clear the stale-funding alert.
+   */
+  async tick(blockNumber) {
+    blockNumber = blockNumber ?? (await this.provider.getBlockNumber());
+    let status = await this.status(blockNumber);
+    const summary = { blockNumber, due: status.due, settled: null, error: null, records: [], stale: false };
+
+    let latestBlock = blockNumber;
+    if (status.due && this.dryRun) {
+      this.log(`[dry-run] Funding due since ${status.nextFundingTime}; would call settleFunding.`);
+    } else if (status.due) {
+      try {
+        summary.settled = await this.settle();
+        latestBlock = await this.provider.getBlockNumber();
+        status = await this.status(latestBlock);
+        this.log(`Block ${blockNumber}: settled funding in ${summary.settled}.`);
+      } catch (error) {
+        summary.error = errorMessage(error);
+        this.log(`✗ settleFunding failed: ${summary.error}`);
+      }
+    }
+
+    summary.records = await this.recordUpdates(latestBlock);
+    await this._checkStaleness(status, latestBlock);
+    summary.stale = this.stale;
+    return summary;
+  }
+
+  run({ pollIntervalMs, signal } = {}) {
+    return runEveryBlock(this.provider, (blockNumber) => this.tick(blockNumber), { pollIntervalMs, signal, log: this.log });
+  }
+}
+
+async function main() {
+  const network = hre.network.name;
+  const deployments = loadDeployments(network);
+  if (!deployments.positionManager) {
+    throw new Error(`No PositionManager recorded in deployments/${network}.json.`);
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  const keeper = new FundingKeeper({
+    signer,
+    addresses: deployments,
+    dryRun: args["dry-run"],
+    staleIntervals: Number(args["stale-intervals"]),
+    fromBlock: Number(args["from-block"] ?? deployments.positionManagerDeployBlock ?? 0),
+    record: args["record-file"] ? jsonLinesWriter(args["record-file"]) : () => {},
+    alert: args["alert-webhook"] ? webhookAlerter(args["alert-webhook"]) : () => {},
+  });
+
+  const positionManager = keeper.positionManager;
+  if (!args["dry-run"] && !(await positionManager.hasRole(await positionManager.KEEPER_ROLE(), signer.address))) {
+    console.log(`⚠ ${signer.address} does not hold KEEPER_ROLE; settleFunding will revert until it is granted.`);
+  }
+
+  console.log(`Funding keeper on ${network} as ${signer.address}${args["dry-run"] ? " (dry run)" : ""}.`);
+  if (args.once) {
+    const summary = await keeper.tick();
+    for (const record of summary.records) {
+      console.log(
+        `Block ${record.blockNumber}: rate ${record.fundingRate}, mark ${record.markPrice ?? "?"}, index ${record.indexPrice ?? "?"}`,
+      );
+    }
+    console.log(`Block ${summary.blockNumber}: funding ${summary.due ? "due" : "not due"}${summary.stale ? ", STALE" : ""}.`);
+    return;
+  }
+  await keeper.run({ pollIntervalMs: Number(args["poll-interval"]), signal: shutdownSignal() });
+}
+
+module.exports = { FundingKeeper, jsonLinesWriter, webhookAlerter };
+
+if (require.main === module) {
+  runScript(main);
+}
@@ -0,0 +1,382 @@
+/**
+ * Liquidation keeper: tracks open positions and liquidates unhealthy ones every block.
+ *
+ * Usage:
+ *   node scripts/keepers/liquidation-keeper.js --network <name> [--dry-run] [--once]
+ *     [--strategy onchain|offchain] [--target liquidator|positionManager]
+ *     [--batch-size 25] [--gas-limit 6000000] [--from-block <n>] [--poll-interval 4000]
+ *
+ * The open-position set is rebuilt from PositionOpened/PositionClosed/PositionLiquidated logs,
+ * starting at the PositionManager deployment block recorded in deployments/<network>.json. Each
+ * block, positions are checked with PositionManager.isPositionLiquidatable (or, with
+ * --strategy offchain, with sdk/position-math against one read of the market) and liquidated
+ * through Liquidator.batchLiquidate in gas-bounded chunks. --target positionManager calls
+ * PositionManager.liquidatePosition one position per transaction instead, which requires the
+ * keeper account to hold LIQUIDATOR_ROLE. --dry-run plans and estimates without sending.
+ */
+const { parseScriptArgs, loadDeployments, runScript, errorMessage } = require("../deploy/utils");
+
+const CLI_OPTIONS = {
+  network: { type: "string" },
+  "dry-run": { type: "boolean", default: false },
+  once: { type: "boolean", default: false },
+  strategy: { type: "string", default: "onchain" },
+  target: { type: "string", default: "liquidator" },
+  "batch-size": { type: "string", default: "25" },
+  "gas-limit": { type: "string", default: "6000000" },
+  "from-block": { type: "string" },
+  "poll-interval": { type: "string", default: "4000" },
+};
+const args = parseScriptArgs(module, CLI_OPTIONS).values;
+
+const hre = require("hardhat");
+const { ethers } = require("ethers");
+const { runEveryBlock, shutdownSignal } = require("./loop");
+const { POSITION_MANAGER_ABI, LIQUIDATOR_ABI, FUNDING_CALCULATOR_ABI, VAMM_ABI } = require("../../sdk/abi");
+const positionMath = require("../../sdk/position-math");
+
+const READ_CONCURRENCY = 50;
+const GAS_HEADROOM_PERCENT = 120n;
+
+async function mapInChunks(items, fn) {
+  const results = [];
+  for (let i = 0; i < items.length; i += READ_CONCURRENCY) {
+    results.push(...(await Promise.all(items.slice(i, i + READ_CONCURRENCY).map(fn))));
+  }
+  return results;
+}
+
+/**
+ * Maintains the set of open position IDs from PositionManager's lifecycle events.
+ */
+class PositionTracker {
+  constructor(positionManager, { fromBlock = 0, maxBlockRange = 5000 } = {}) {
+    this.positionManager = positionManager;
+    this.maxBlockRange = maxBlockRange;
+    this.nextBlock = fromBlock;
+    this.positions = new Map();
+
+    const { interface: iface } = positionManager;
+    this.topics = ["PositionOpened", "PositionClosed", "PositionLiquidated"].map((name) => iface.getEvent(name).topicHash);
+  }
+
+  get ids() {
+    return [...this.positions.keys()];
+  }
+
+  remove(positionId) {
+    this.positions.delete(positionId);
+  }
+
+  /**
+   * Applies every lifecycle log up to and including `toBlock`, in block ranges of maxBlockRange.
+   */
+  async sync(toBlock) {
+    const { interface: iface, runner } = this.positionManager;
+    const address = await this.positionManager.getAddress();
+
+    while (this.nextBlock <= toBlock) {
+      const rangeEnd = Math.min(toBlock, this.nextBlock + this.maxBlockRange - 1);
+      const logs = await runner.provider.getLogs({ address, fromBlock: this.nextBlock, toBlock: rangeEnd, topics: [this.topics] });
+      for (const log of logs) {
+        const { name, args: event } = iface.parseLog(log);
+        if (name === "PositionOpened") {
+          this.positions.set(event.positionId, { trader: event.trader, isLong: event.isLong, openedAt: log.blockNumber });
+        } else {
+          this.positions.delete(event.positionId);
+        }
+      }
+      this.nextBlock = rangeEnd + 1;
+    }
+  }
+}
+
+class LiquidationKeeper {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Signer} options.signer Keeper account; wrapped in a NonceManager.
+   * @param {{positionManager: string, liquidator?: string}} options.addresses
+   * @param {"liquidator"|"positionManager"} [options.target] Contract that receives liquidation calls.
+   * @param {"onchain"|"offchain"} [options.strategy] How liquidatable positions are found.
+   * @param {boolean} [options.dryRun] Plan and estimate only.
+   * @param {number} [options.maxBatchSize] Position IDs per batchLiquidate call before gas splitting.
+   * @param {bigint} [options.gasLimit] Batches estimated above this are split.
+   * @param {number} [options.fromBlock] First block to index lifecycle events from.
+   * @param {number} [options.maxBlockRange] Blocks per eth_getLogs request while indexing.
+   * @param {number} [options.retryAfterBlocks] Blocks to skip a position whose liquidation failed.
+   * @param {number} [options.confirmTimeoutMs] How long to wait for a sent batch to be mined
+   *   before giving up on it.
+   * @param {(message: string) => void} [options.log]
+   */
+  constructor({
+    signer,
+    addresses,
+    target = "liquidator",
+    strategy = "onchain",
+    dryRun = false,
+    maxBatchSize = 25,
+    gasLimit = 6_000_000n,
+    fromBlock = 0,
+    maxBlockRange = 5000,
+    retryAfterBlocks = 10,
+    confirmTimeoutMs = 120_000,
+    log = console.log,
+  }) {
+    if (!["liquidator", "positionManager"].includes(target)) {
+      throw new Error(`Unknown liquidation target "${target}"; use liquidator or positionManager.`);
+    }
+    if (!["onchain", "offchain"].includes(strategy)) {
+      throw new Error(`Unknown strategy "${strategy}"; use onchain or offchain.`);
+    }
+    if (target === "liquidator" && !addresses.liquidator) {
+      throw new Error("No liquidator address; deploy the Liquidator or use --target positionManager.");
+    }
+
+    this.signer = new ethers.NonceManager(signer);
+    this.provider = signer.provider;
+    this.target = target;
+    this.strategy = strategy;
+    this.dryRun = dryRun;
+    this.maxBatchSize = target === "positionManager" ? 1 : maxBatchSize;
+    this.gasLimit = BigInt(gasLimit);
+    this.retryAfterBlocks = retryAfterBlocks;
+    this.confirmTimeoutMs = confirmTimeoutMs;
+    this.log = log;
+
+    this.positionManager = new ethers.Contract(addresses.positionManager, POSITION_MANAGER_ABI, this.signer);
+    this.liquidator = addresses.liquidator ? new ethers.Contract(addresses.liquidator, LIQUIDATOR_ABI, this.signer) : null;
+    this.tracker = new PositionTracker(this.positionManager, { fromBlock, maxBlockRange });
+    this.cooldown = new Map();
+  }
+
+  async _marketState(blockTag) {
+    const overrides = { blockTag };
+    const [vammAddress, fundingAddress, maintenanceMarginBps] = await Promise.all([
+      this.positionManager.vamm(overrides),
+      this.positionManager.fundingCalculator(overrides),
+      this.positionManager.maintenanceMargin(overrides),
+    ]);
+    const vamm = new ethers.Contract(vammAddress, VAMM_ABI, this.provider);
+    const funding = new ethers.Contract(fundingAddress, FUNDING_CALCULATOR_ABI, this.provider);
+    const [markPrice, longFundingIndex, shortFundingIndex] = await Promise.all([
+      vamm.getMarkPrice(overrides),
+      funding.longFundingIndex(overrides),
+      funding.shortFundingIndex(overrides),
+    ]);
+    return { markPrice, longFundingIndex, shortFundingIndex, maintenanceMarginBps };
+  }
+
+  /**
+   * Returns the tracked position IDs that are liquidatable at `blockTag`, skipping any still in
+   * cooldown after a failed attempt.
+   */
+  async findLiquidatable(blockTag) {
+    const candidates = this.tracker.ids.filter((id) => !(this.cooldown.get(id) > blockTag));
+    if (candidates.length === 0) return [];
+
+    if (this.strategy === "onchain") {
+      const flags = await mapInChunks(candidates, (id) => this.positionManager.isPositionLiquidatable(id, { blockTag }));
+      return candidates.filter((_, index) => flags[index]);
+    }
+
+    const market = await this._marketState(blockTag);
+    const positions = await mapInChunks(candidates, (id) => this.positionManager.getPosition(id, { blockTag }));
+    return candidates.filter((_, index) =>
+      positionMath.isLiquidatable(positions[index], {
+        markPrice: market.markPrice,
+        fundingIndex: positions[index].isLong ? market.longFundingIndex : market.shortFundingIndex,
+        maintenanceMarginBps: market.maintenanceMarginBps,
+      }),
+    );
+  }
+
+  _call(ids) {
+    return this.target === "liquidator"
+      ? { contract: this.liquidator, method: "batchLiquidate", args: [ids] }
+      : { contract: this.positionManager, method: "liquidatePosition", args: [ids[0]] };
+  }
+
+  /**
+   * Splits `ids` into batches whose estimated gas fits gasLimit. A batch whose estimate reverts
+   * is halved until the reverting position is isolated; that batch is returned with `error`.
+   *
+   * @returns {Promise<Array<{ids: string[], gas?: bigint, error?: string}>>}
+   */
+  async planBatches(ids) {
+    const batches = [];
+    for (let i = 0; i < ids.length; i += this.maxBatchSize) {
+      await this._planBatch(ids.slice(i, i + this.maxBatchSize), batches);
+    }
+    return batches;
+  }
+
+  async _planBatch(ids, batches) {
+    const { contract, method, args: callArgs } = this._call(ids);
+    let gas;
+    try {
+      gas = await contract[method].estimateGas(...callArgs);
+    } catch (error) {
+      if (ids.length === 1) {
+        batches.push({ ids, error: errorMessage(error) });
+        return;
+      }
+      await this._split(ids, batches);
+      return;
+    }
+
+    if (gas > this.gasLimit && ids.length > 1) {
+      await this._split(ids, batches);
+      return;
+    }
+    batches.push({ ids, gas });
+  }
+
+  async _split(ids, batches) {
+    const middle = Math.ceil(ids.length / 2);
+    await this._planBatch(ids.slice(0, middle), batches);
+    await this._planBatch(ids.slice(middle), batches);
+  }
+
+  _liquidatedIn(receipt) {
+    const address = this.positionManager.target.toLowerCase();
+    const liquidated = [];
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== address) continue;
+      const parsed = this.positionManager.interface.parseLog(log);
+      if (parsed?.name === "PositionLiquidated") {
+        liquidated.push(parsed.args.positionId);
+      }
+    }
+    return liquidated;
+  }
+
+  _fail(ids, blockNumber, error) {
+    for (const id of ids) {
+      this.cooldown.set(id, blockNumber + this.retryAfterBlocks);
+    }
+    this.log(`✗ ${ids.length} position(s) failed: ${error}`);
+  }
+
+  /**
+   * Sends planned batches back to back with consecutive nonces, then waits for all of them.
+   * Positions in batches that fail are put in cooldown. NonceManager counts a nonce for every send
+   * it attempts, so any failed send, and any batch not mined within confirmTimeoutMs, resyncs the
+   * nonce from the node's pending count.
+   *
+   * @returns {Promise<{liquidated: string[], failed: string[], transactions: string[]}>}
+   */
+  async execute(batches, blockNumber) {
+    const result = { liquidated: [], failed: [], transactions: [] };
+    const sent = [];
+
+    for (const batch of batches) {
+      if (batch.error) {
+        this._fail(batch.ids, blockNumber, batch.error);
+        result.failed.push(...batch.ids);
+        continue;
+      }
+      const { contract, method, args: callArgs } = this._call(batch.ids);
+      try {
+        const tx = await contract[method](...callArgs, { gasLimit: (batch.gas * GAS_HEADROOM_PERCENT) / 100n });
+        sent.push({ batch, tx });
+        result.transactions.push(tx.hash);
+      } catch (error) {
+        this.signer.reset();
+        this._fail(batch.ids, blockNumber, errorMessage(error));
+        result.failed.push(...batch.ids);
+      }
+    }
+
+    for (const { batch, tx } of sent) {
+      try {
+        const receipt = await tx.wait(1, this.confirmTimeoutMs);
+        for (const id of this._liquidatedIn(receipt)) {
+          this.tracker.remove(id);
+          result.liquidated.push(id);
+        }
+      } catch (error) {
+        if (error.code === "TIMEOUT") {
+          this.signer.reset();
+        }
+        this._fail(batch.ids, blockNumber, errorMessage(error));
+        result.failed.push(...batch.ids);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * One keeper pass at `blockNumber`: index new events, find liquidatable positions, and
+   * liquidate them (or only plan, in dry-run mode).
+   */
+  async tick(blockNumber) {
+    blockNumber = blockNumber ?? (await this.provider.getBlockNumber());
+    await this.tracker.sync(blockNumber);
+    for (const [id, until] of this.cooldown) {
+      if (until <= blockNumber) this.cooldown.delete(id);
+    }
+
+    const liquidatable = await this.findLiquidatable(blockNumber);
+    const summary = { blockNumber, open: this.tracker.positions.size, liquidatable, batches: [], liquidated: [], failed: [] };
+    if (liquidatable.length === 0) return summary;
+
+    summary.batches = await this.planBatches(liquidatable);
+    if (this.dryRun) {
+      for (const batch of summary.batches) {
+        this.log(batch.error
+          ? `[dry-run] ${batch.ids.join(", ")} would revert: ${batch.error}`
+          : `[dry-run] ${this._call(batch.ids).method} ${batch.ids.length} position(s), ~${batch.gas} gas`);
+      }
+      return summary;
+    }
+
+    const { liquidated, failed, transactions } = await this.execute(summary.batches, blockNumber);
+    summary.liquidated = liquidated;
+    summary.failed = failed;
+    summary.transactions = transactions;
+    summary.open = this.tracker.positions.size;
+    this.log(`Block ${blockNumber}: liquidated ${liquidated.length} of ${liquidatable.length} liquidatable position(s).`);
+    return summary;
+  }
+
+  run({ pollIntervalMs, signal } = {}) {
+    return runEveryBlock(this.provider, (blockNumber) => this.tick(blockNumber), { pollIntervalMs, signal, log: this.log });
+  }
+}
+
+async function main() {
+  const network = hre.network.name;
+  const deployments = loadDeployments(network);
+  if (!deployments.positionManager) {
+    throw new Error(`No PositionManager recorded in deployments/${network}.json.`);
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  const keeper = new LiquidationKeeper({
+    signer,
+    addresses: deployments,
+    target: args.target,
+    strategy: args.strategy,
+    dryRun: args["dry-run"],
+    maxBatchSize: Number(args["batch-size"]),
+    gasLimit: BigInt(args["gas-limit"]),
+    fromBlock: Number(args["from-block"] ?? deployments.positionManagerDeployBlock ?? 0),
+  });
+
+  console.log(
+    `Liquidation keeper on ${network} as ${signer.address} (target ${args.target}, strategy ${args.strategy}` +
+      `${args["dry-run"] ? ", dry run" : ""}).`,
+  );
+  if (args.once) {
+    const summary = await keeper.tick();
+    console.log(`Block ${summary.blockNumber}: ${summary.open} open, ${summary.liquidatable.length} liquidatable.`);
+    return;
+  }
+  await keeper.run({ pollIntervalMs: Number(args["poll-interval"]), signal: shutdownSignal() });
+}
+
+module.exports = { PositionTracker, LiquidationKeeper };
+
+if (require.main === module) {
+  runScript(main);
+}
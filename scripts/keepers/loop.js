@@ -0,0 +1,67 @@
+/**
+ * Shared run loop for the long-running keeper services in this directory.
+ */
+const { errorMessage } = require("../deploy/utils");
+
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Returns an AbortSignal that fires on SIGINT/SIGTERM so a keeper can finish its current block
+ * before exiting.
+ */
+function shutdownSignal(log = console.log) {
+  const controller = new AbortController();
+  for (const event of ["SIGINT", "SIGTERM"]) {
+    process.once(event, () => {
+      log(`${event} received; stopping after the current block.`);
+      controller.abort();
+    });
+  }
+  return controller.signal;
+}
+
+/**
+ * Polls for new blocks and calls `onBlock(blockNumber)` for the latest one each time the chain
+ * advances. Blocks that arrive while a call is in progress are coalesced into the next call.
+ * Errors are logged and the loop carries on, so one bad RPC response does not stop the keeper.
+ *
+ * @param {import("ethers").Provider} provider
+ * @param {(blockNumber: number) => Promise<void>} onBlock
+ * @param {object} [options]
+ * @param {number} [options.pollIntervalMs]
+ * @param {AbortSignal} [options.signal] Stops the loop when aborted.
+ * @param {(message: string) => void} [options.log]
+ */
+async function runEveryBlock(provider, onBlock, { pollIntervalMs = 4000, signal, log = console.log } = {}) {
+  let lastBlock = -1;
+  while (!signal?.aborted) {
+    try {
+      const blockNumber = await provider.getBlockNumber();
+      if (blockNumber > lastBlock) {
+        await onBlock(blockNumber);
+        lastBlock = blockNumber;
+      }
+    } catch (error) {
+      log(`⚠ ${errorMessage(error)}`);
+    }
+    await sleep(pollIntervalMs, signal);
+  }
+}
+
+module.exports = {
+  sleep,
+  shutdownSignal,
+  runEveryBlock,
+};
@@ -0,0 +1,305 @@
+/**
+ * Oracle keeper: calls IndexOracle.updateIndexPrice once each update interval has elapsed, but
+ * only when the update would succeed, and prepares a manual fallback for the multisig when it
+ * keeps failing.
+ *
+ * Usage:
+ *   node scripts/keepers/oracle-keeper.js --network <name> [--dry-run] [--once]
+ *     [--max-deviation <bps>] [--incident-after 5] [--safe <address>] [--batch-out batch.json]
+ *     [--fallback-payload payload.json [--allowed-signer <address> ...]]
+ *     [--alert-webhook <url>] [--poll-interval 60000]
+ *
+ * Each check reads both feeds' latestRoundData and previews the update with sdk/oracle-math,
+ * which reproduces the contract's UpdateTooSoon, InvalidPrice, OracleDataStale and
+ * PriceDeviationTooHigh checks. `_maxPriceDeviation` has no getter and is read from storage
+ * unless --max-deviation is given. Updates that would revert are never sent.
+ *
+ * After --incident-after consecutive checks on which a due update would revert, the keeper
+ * raises an incident: it logs and alerts, and writes a Safe Transaction Builder batch calling
+ * setIndexPriceManual for the oracle owner (or --safe) to review. The batch price is the value of
+ * --fallback-payload, a signed CPI pipeline payload, when given, and otherwise the price the feeds
+ * currently give. The batch is never sent. The incident resolves once the oracle updates again.
+ */
+const { parseScriptArgs, loadDeployments, readStorageValue, runScript, errorMessage } = require("../deploy/utils");
+
+const CLI_OPTIONS = {
+  network: { type: "string" },
+  "dry-run": { type: "boolean", default: false },
+  once: { type: "boolean", default: false },
+  "max-deviation": { type: "string" },
+  "incident-after": { type: "string", default: "5" },
+  safe: { type: "string" },
+  "batch-out": { type: "string" },
+  "fallback-payload": { type: "string" },
+  "allowed-signer": { type: "string", multiple: true, default: [] },
+  "alert-webhook": { type: "string" },
+  "poll-interval": { type: "string", default: "60000" },
+};
+const args = parseScriptArgs(module, CLI_OPTIONS).values;
+
+const fs = require("fs");
+const hre = require("hardhat");
+const { ethers } = require("ethers");
+const { SafeBatch, defaultBatchFile } = require("../admin/safe-batch");
+const { fromJson, recoverPayloadSigner } = require("../oracle/payload");
+const { runEveryBlock, shutdownSignal } = require("./loop");
+const { webhookAlerter } = require("./funding-keeper");
+const { previewUpdate, readOracleState, revertName } = require("../../sdk/oracle-math");
+const { INDEX_ORACLE_ABI, AGGREGATOR_V3_ABI } = require("../../sdk/abi");
+
+// Reverts that mean the oracle cannot update itself; UpdateTooSoon only means "not yet".
+const FAILURES = ["InvalidPrice", "OracleDataStale", "PriceDeviationTooHigh"];
+
+function formatPrice(price) {
+  return price === null ? "?" : ethers.formatEther(price);
+}
+
+class OracleKeeper {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Signer} options.signer Keeper account; updateIndexPrice is permissionless.
+   * @param {string} options.indexOracle IndexOracle address.
+   * @param {bigint|(() => Promise<bigint>)} options.maxDeviationBps The oracle's
+   *   `_maxPriceDeviation`, or a function that reads it (it can change with setMaxPriceDeviation).
+   * @param {boolean} [options.dryRun] Report due updates without sending.
+   * @param {number} [options.incidentAfter] Consecutive failing checks before an incident.
+   * @param {string} [options.safeAddress] Safe for the fallback batch; defaults to the oracle owner.
+   * @param {object} [options.fallbackEnvelope] Signed CPI payload (scripts/oracle/payload.js)
+   *   whose value the fallback sets.
+   * @param {string[]} [options.allowedSigners] When non-empty, the payload signer must be one of these.
+   * @param {(batch: SafeBatch, incident: object) => string|null} [options.writeFallback] Stores the
+   *   fallback batch and returns where it went.
+   * @param {(alert: object) => void|Promise<void>} [options.alert] Receives incidents and the
+   *   matching recovery notice.
+   * @param {(message: string) => void} [options.log]
+   */
+  constructor({
+    signer,
+    indexOracle,
+    maxDeviationBps,
+    dryRun = false,
+    incidentAfter = 5,
+    safeAddress,
+    fallbackEnvelope,
+    allowedSigners = [],
+    writeFallback = () => null,
+    alert = () => {},
+    log = console.log,
+  }) {
+    if (maxDeviationBps === undefined) {
+      throw new Error("maxDeviationBps is required; read it with readStorageValue or pass --max-deviation.");
+    }
+    if (fallbackEnvelope) {
+      const payloadSigner = recoverPayloadSigner(fallbackEnvelope);
+      const allowed = allowedSigners.map((address) => ethers.getAddress(address));
+      if (allowed.length > 0 && !allowed.includes(payloadSigner)) {
+        throw new Error(`Fallback payload signer ${payloadSigner} is not an allowed signer.`);
+      }
+    }
+
+    this.provider = signer.provider;
+    this.readMaxDeviation = typeof maxDeviationBps === "function" ? maxDeviationBps : async () => BigInt(maxDeviationBps);
+    this.dryRun = dryRun;
+    this.incidentAfter = incidentAfter;
+    this.safeAddress = safeAddress;
+    this.fallbackEnvelope = fallbackEnvelope;
+    this.writeFallback = writeFallback;
+    this.alert = alert;
+    this.log = log;
+    this.failures = 0;
+    this.incident = null;
+
+    this.indexOracle = new ethers.Contract(indexOracle, INDEX_ORACLE_ABI, signer);
+  }
+
+  /**
+   * Oracle and feed state at `blockTag` and the update preview for that block's timestamp.
+   *
+   * @returns {Promise<{timestamp: bigint, state: import("../../sdk/oracle-math").OracleState, preview: object}>}
+   */
+  async status(blockTag) {
+    const [block, maxDeviationBps] = await Promise.all([this.provider.getBlock(blockTag), this.readMaxDeviation()]);
+    const state = await readOracleState(this.indexOracle, {
+      maxDeviationBps,
+      feedAt: (address) => new ethers.Contract(address, AGGREGATOR_V3_ABI, this.provider),
+      blockTag,
+    });
+    const timestamp = BigInt(block.timestamp);
+    return { timestamp, state, preview: previewUpdate(state, timestamp) };
+  }
+
+  /**
+   * Simulates updateIndexPrice first, so a preview made stale by a new block costs no gas, then
+   * sends it and waits. Returns the transaction hash, or throws with the decoded revert reason.
+   */
+  async update() {
+    await this.indexOracle.updateIndexPrice.staticCall();
+    const tx = await this.indexOracle.updateIndexPrice();
+    await tx.wait();
+    return tx.hash;
+  }
+
+  /**
+   * Builds the setIndexPriceManual batch for the multisig. Returns null when there is no price
+   * to propose (no payload, and the feeds give an invalid or zero price).
+   */
+  async prepareFallback(preview, reason) {
+    const fromPayload = Boolean(this.fallbackEnvelope);
+    const price = fromPayload ? this.fallbackEnvelope.payload.value : preview.price;
+    if (!price) return null;
+
+    const [{ chainId }, owner] = await Promise.all([this.provider.getNetwork(), this.indexOracle.owner()]);
+    const source = fromPayload ? `CPI payload ${this.fallbackEnvelope.payloadHash}` : "current feed answers";
+    const batch = new SafeBatch({
+      chainId,
+      safeAddress: this.safeAddress ?? owner,
+      name: "Index price fallback",
+      description: `updateIndexPrice keeps reverting with ${reason}; sets ${formatPrice(price)} from ${source}.`,
+    });
+    await batch.add(this.indexOracle, "setIndexPriceManual", [price]);
+    return { batch, price, source: fromPayload ? "payload" : "feeds" };
+  }
+
+  async _raiseIncident(blockNumber, preview, reason) {
+    const fallback = await this.prepareFallback(preview, reason);
+    const incident = {
+      type: "oracle-incident",
+      blockNumber,
+      reason,
+      failures: this.failures,
+      feedPrice: preview.price,
+      deviationBps: preview.deviationBps,
+      staleFeeds: preview.staleFeeds,
+      fallbackPrice: fallback?.price ?? null,
+      fallbackSource: fallback?.source ?? null,
+      fallbackBatch: null,
+    };
+    if (fallback) {
+      incident.fallbackBatch = this.writeFallback(fallback.batch, incident) ?? null;
+    }
+
+    const proposal = fallback
+      ? `prepared setIndexPriceManual(${formatPrice(fallback.price)}) from the ${fallback.source}` +
+        `${incident.fallbackBatch ? ` in ${incident.fallbackBatch}` : ""} for the multisig`
+      : "no fallback price available; provide a signed payload with --fallback-payload";
+    incident.message =
+      `updateIndexPrice would revert with ${reason} on ${this.failures} consecutive checks ` +
+      `(feeds give ${formatPrice(preview.price)}${preview.deviationBps === null ? "" : `, ${preview.deviationBps} bps from the index`}); ` +
+      `${proposal}.`;
+
+    this.incident = incident;
+    this.log(`INCIDENT: ${incident.message}`);
+    await this.alert(incident);
+    return incident;
+  }
+
+  async _resolveIncident(blockNumber, state) {
+    const message = `Index price updated again at ${state.lastUpdateTime} (${formatPrice(state.indexPrice)}).`;
+    this.incident = null;
+    this.log(`Resolved: ${message}`);
+    await this.alert({ type: "oracle-recovered", blockNumber, lastUpdateTime: Number(state.lastUpdateTime), message });
+  }
+
+  /**
+   * One keeper pass at `blockNumber`: update the index price if it is due and the preview says it
+   * would succeed (or only report it, in dry-run mode), and count the due checks that would not.
+   */
+  async tick(blockNumber) {
+    blockNumber = blockNumber ?? (await this.provider.getBlockNumber());
+    const { state, preview } = await this.status(blockNumber);
+    const summary = {
+      blockNumber,
+      due: preview.due,
+      price: preview.price,
+      deviationBps: preview.deviationBps,
+      revertReason: preview.revertReason,
+      updated: null,
+      error: null,
+      failures: 0,
+      incident: null,
+    };
+
+    let failure = FAILURES.includes(preview.revertReason) ? preview.revertReason : null;
+    if (!preview.due) {
+      // Someone (this keeper, another caller or the multisig) updated the oracle since last time.
+      this.failures = 0;
+      if (this.incident) await this._resolveIncident(blockNumber, state);
+    } else if (failure) {
+      this.log(`Block ${blockNumber}: update due but would revert with ${failure}; not sending.`);
+    } else if (this.dryRun) {
+      this.log(`[dry-run] Update due since ${preview.nextUpdateTime}; would set the index to ${formatPrice(preview.price)}.`);
+    } else {
+      try {
+        summary.updated = await this.update();
+        this.failures = 0;
+        this.log(`Block ${blockNumber}: index price set to ${formatPrice(preview.price)} in ${summary.updated}.`);
+        if (this.incident) await this._resolveIncident(blockNumber, (await this.status("latest")).state);
+      } catch (error) {
+        summary.error = revertName(this.indexOracle.interface, error) || errorMessage(error);
+        failure = FAILURES.includes(summary.error) ? summary.error : null;
+        this.log(`✗ updateIndexPrice failed: ${summary.error}`);
+      }
+    }
+
+    if (failure) {
+      this.failures += 1;
+      if (this.failures >= this.incidentAfter && !this.incident) {
+        await this._raiseIncident(blockNumber, preview, failure);
+      }
+    }
+    summary.failures = this.failures;
+    summary.incident = this.incident;
+    return summary;
+  }
+
+  run({ pollIntervalMs = 60000, signal } = {}) {
+    return runEveryBlock(this.provider, (blockNumber) => this.tick(blockNumber), { pollIntervalMs, signal, log: this.log });
+  }
+}
+
+async function main() {
+  const network = hre.network.name;
+  const deployments = loadDeployments(network);
+  if (!deployments.indexOracle) {
+    throw new Error(`No IndexOracle recorded in deployments/${network}.json.`);
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  const maxDeviationBps = args["max-deviation"]
+    ? BigInt(args["max-deviation"])
+    : () => readStorageValue(hre, "contracts/IndexOracle.sol:IndexOracle", "_maxPriceDeviation", deployments.indexOracle);
+
+  const keeper = new OracleKeeper({
+    signer,
+    indexOracle: deployments.indexOracle,
+    maxDeviationBps,
+    dryRun: args["dry-run"],
+    incidentAfter: Number(args["incident-after"]),
+    safeAddress: args.safe,
+    fallbackEnvelope: args["fallback-payload"] ? fromJson(fs.readFileSync(args["fallback-payload"], "utf8")) : undefined,
+    allowedSigners: args["allowed-signer"],
+    writeFallback: (batch) => {
+      const file = args["batch-out"] || defaultBatchFile(network, "index-price-fallback");
+      batch.write(file);
+      return file;
+    },
+    alert: args["alert-webhook"] ? webhookAlerter(args["alert-webhook"]) : () => {},
+  });
+
+  console.log(`Oracle keeper on ${network} as ${signer.address}${args["dry-run"] ? " (dry run)" : ""}.`);
+  if (args.once) {
+    const summary = await keeper.tick();
+    const status = summary.revertReason ? `would revert with ${summary.revertReason}` : "would succeed";
+    console.log(
+      `Block ${summary.blockNumber}: update ${summary.due ? "due" : "not due"}, feeds give ${formatPrice(summary.price)}, ${status}.`,
+    );
+    return;
+  }
+  await keeper.run({ pollIntervalMs: Number(args["poll-interval"]), signal: shutdownSignal() });
+}
+
+module.exports = { OracleKeeper };
+
+if (require.main === module) {
+  runScript(main);
+}
@@ -0,0 +1,236 @@
+/**
+ * CPI data pipeline: raw source documents in, one canonical index payload out.
+ *
+ *   inputs -> source adapters -> observations -> validation -> fusion -> payload
+ *
+ * The payload is the format described in docs/oracle/hybrid-oracle-plan.md:
+ *
+ *   { region, metric, value, timestamp, sources[], rawHash }
+ *
+ * - `value` is the fused index level with 1e18 precision (the median of the sources that agree);
+ * - `timestamp` is the start of the reference month, in UTC seconds;
+ * - `sources` lists the contributing series as "<adapter>:<seriesId>", sorted;
+ * - `rawHash` is keccak256(abi.encode(bytes32[])) of the keccak256 of each contributing raw
+ *   document, in `sources` order, so anyone holding the files can reproduce it.
+ *
+ * Every validation problem is collected and thrown together as a PipelineValidationError, so a
+ * bad release is reported in full rather than one check at a time.
+ */
+const { ethers } = require("ethers");
+const { SOURCE_ADAPTERS, VALUE_DECIMALS, SourceFormatError } = require("./sources");
+
+const BASIS_POINTS = 10_000n;
+
+const DEFAULT_LIMITS = {
+  // Sources further than this from the cross-source median are dropped as outliers.
+  maxSourceDeviationBps: 50,
+  // Largest accepted move against the previous payload (or the previous month).
+  maxChangeBps: 300,
+  // Fewest agreeing sources a payload may be built from.
+  minSources: 1,
+  // Upper bound on any observation; index levels are in the hundreds.
+  maxValue: ethers.parseUnits("100000", VALUE_DECIMALS),
+};
+
+class PipelineValidationError extends Error {
+  constructor(issues) {
+    super(`CPI pipeline validation failed:\n${issues.map(({ check, message }) => `  - [${check}] ${message}`).join("\n")}`);
+    this.name = "PipelineValidationError";
+    this.issues = issues;
+  }
+}
+
+function periodTimestamp(period) {
+  const [year, month] = period.split("-").map(Number);
+  return Date.UTC(year, month - 1, 1) / 1000;
+}
+
+function seriesKey({ source, seriesId }) {
+  return `${source}:${seriesId}`;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2n;
+}
+
+function deviationBps(reference, value) {
+  const diff = value > reference ? value - reference : reference - value;
+  return (diff * BASIS_POINTS) / reference;
+}
+
+function hashRaw(raw) {
+  return ethers.keccak256(typeof raw === "string" ? ethers.toUtf8Bytes(raw) : raw);
+}
+
+/**
+ * Runs each input through its adapter.
+ *
+ * @param {Array<{source: string, raw: string|Uint8Array, options?: object, file?: string}>} inputs
+ * @returns {{documents: object[], observations: object[], issues: object[]}}
+ */
+function collectObservations(inputs, adapters = SOURCE_ADAPTERS) {
+  const documents = [];
+  const observations = [];
+  const issues = [];
+
+  for (const input of inputs) {
+    const adapter = adapters[input.source];
+    const label = input.file || input.source;
+    if (!adapter) {
+      issues.push({ check: "schema", message: `${label}: no adapter named "${input.source}"` });
+      continue;
+    }
+    try {
+      const text = typeof input.raw === "string" ? input.raw : Buffer.from(input.raw).toString("utf8");
+      const parsed = adapter.parse(text, input.options);
+      const rawHash = hashRaw(input.raw);
+      documents.push({ source: input.source, file: input.file, rawHash, series: [...new Set(parsed.map(seriesKey))] });
+      observations.push(...parsed.map((entry) => ({ ...entry, rawHash })));
+    } catch (error) {
+      // SourceFormatError messages already name their source.
+      const prefix = input.file || !(error instanceof SourceFormatError) ? `${label}: ` : "";
+      issues.push({ check: "schema", message: `${prefix}${error.message}` });
+    }
+  }
+  return { documents, observations, issues };
+}
+
+/**
+ * Checks each series on its own: values in bounds, and periods published in strictly increasing
+ * or strictly decreasing order (a repeated or out-of-order month means a corrupt download).
+ */
+function validateSeries(observations, limits, issues) {
+  const bySeries = new Map();
+  for (const entry of observations) {
+    const key = seriesKey(entry);
+    if (!bySeries.has(key)) bySeries.set(key, []);
+    bySeries.get(key).push(entry);
+
+    if (entry.value <= 0n || entry.value > limits.maxValue) {
+      issues.push({ check: "schema", message: `${key} ${entry.period}: value ${entry.text} is out of bounds` });
+    }
+  }
+
+  for (const [key, entries] of bySeries) {
+    const timestamps = entries.map(({ period }) => periodTimestamp(period));
+    const direction = Math.sign(timestamps[1] - timestamps[0]);
+    for (let i = 1; i < timestamps.length; i++) {
+      if (direction === 0 || Math.sign(timestamps[i] - timestamps[i - 1]) !== direction) {
+        issues.push({
+          check: "timestamps",
+          message: `${key}: ${entries[i].period} breaks the series order after ${entries[i - 1].period}`,
+        });
+        break;
+      }
+    }
+  }
+  return bySeries;
+}
+
+/**
+ * Builds the canonical payload for one region and metric.
+ *
+ * @param {Array<{source: string, raw: string|Uint8Array, options?: object, file?: string}>} inputs
+ * @param {object} options
+ * @param {string} options.region
+ * @param {string} options.metric
+ * @param {string} [options.period] "YYYY-MM"; defaults to the latest month every series has.
+ * @param {object} [options.previous] Last published payload; the new one must be later and
+ *   within maxChangeBps of it.
+ * @param {Partial<typeof DEFAULT_LIMITS>} [options.limits]
+ * @param {Record<string, {parse: Function}>} [options.adapters]
+ * @returns {{payload: object, period: string, accepted: object[], rejected: object[], documents: object[]}}
+ */
+function buildPayload(inputs, { region, metric, period, previous, limits = {}, adapters = SOURCE_ADAPTERS }) {
+  const bounds = { ...DEFAULT_LIMITS, ...limits };
+  const collected = collectObservations(inputs, adapters);
+  const issues = [...collected.issues];
+
+  const selected = collected.observations.filter((entry) => entry.region === region && entry.metric === metric);
+  const bySeries = validateSeries(selected, bounds, issues);
+  if (bySeries.size === 0) {
+    issues.push({ check: "sources", message: `no observations for ${region} ${metric}` });
+    throw new PipelineValidationError(issues);
+  }
+
+  const periodsPerSeries = [...bySeries.values()].map((entries) => new Set(entries.map((entry) => entry.period)));
+  const common = [...periodsPerSeries[0]].filter((candidate) => periodsPerSeries.every((set) => set.has(candidate))).sort();
+  const targetPeriod = period ?? common[common.length - 1];
+  if (!targetPeriod || !periodsPerSeries.every((set) => set.has(targetPeriod))) {
+    issues.push({ check: "sources", message: `not every series has ${period ?? "a common period"} for ${region} ${metric}` });
+    throw new PipelineValidationError(issues);
+  }
+
+  const atPeriod = [...bySeries.values()].map((entries) => entries.find((entry) => entry.period === targetPeriod));
+  const consensus = median(atPeriod.map(({ value }) => value));
+  const accepted = [];
+  const rejected = [];
+  for (const entry of atPeriod) {
+    const deviation = deviationBps(consensus, entry.value);
+    (deviation > BigInt(bounds.maxSourceDeviationBps) ? rejected : accepted).push({ ...entry, deviationBps: deviation });
+  }
+  for (const entry of rejected) {
+    issues.push({
+      check: "outlier",
+      severity: "warning",
+      message: `${seriesKey(entry)} ${targetPeriod}: ${entry.text} is ${entry.deviationBps} bps from the median; dropped`,
+    });
+  }
+  if (accepted.length < bounds.minSources) {
+    issues.push({ check: "sources", message: `${accepted.length} agreeing source(s); at least ${bounds.minSources} required` });
+  }
+
+  const value = accepted.length > 0 ? median(accepted.map((entry) => entry.value)) : consensus;
+  const timestamp = periodTimestamp(targetPeriod);
+
+  if (previous) {
+    if (previous.region !== region || previous.metric !== metric) {
+      issues.push({ check: "schema", message: `previous payload is for ${previous.region} ${previous.metric}` });
+    }
+    if (timestamp <= Number(previous.timestamp)) {
+      issues.push({ check: "timestamps", message: `${targetPeriod} is not after the previous payload (${previous.timestamp})` });
+    }
+  }
+  const reference = previous ? BigInt(previous.value) : priorPeriodMedian(bySeries, targetPeriod);
+  if (reference && deviationBps(reference, value) > BigInt(bounds.maxChangeBps)) {
+    issues.push({
+      check: "outlier",
+      message: `${targetPeriod} moves ${deviationBps(reference, value)} bps from ${previous ? "the previous payload" : "the prior month"}; limit ${bounds.maxChangeBps}`,
+    });
+  }
+
+  if (issues.some(({ severity }) => severity !== "warning")) {
+    throw new PipelineValidationError(issues);
+  }
+
+  const sources = accepted.map(seriesKey).sort();
+  const rawHashes = sources.map((key) => accepted.find((entry) => seriesKey(entry) === key).rawHash);
+  const payload = {
+    region,
+    metric,
+    value,
+    timestamp,
+    sources,
+    rawHash: ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["bytes32[]"], [rawHashes])),
+  };
+  return { payload, period: targetPeriod, accepted, rejected, documents: collected.documents, warnings: issues };
+}
+
+function priorPeriodMedian(bySeries, targetPeriod) {
+  const prior = [];
+  for (const entries of bySeries.values()) {
+    const earlier = entries.filter((entry) => entry.period < targetPeriod).sort((a, b) => (a.period < b.period ? 1 : -1));
+    if (earlier.length > 0) prior.push(earlier[0].value);
+  }
+  return prior.length > 0 ? median(prior) : null;
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  PipelineValidationError,
+  periodTimestamp,
+  collectObservations,
+  buildPayload,
+};
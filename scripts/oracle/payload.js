@@ -0,0 +1,129 @@
+/**
+ * Hashing, signing and verification for canonical index payloads (see ./cpi-pipeline.js).
+ *
+ * The payload hash is its EIP-712 struct hash, so both schemes commit to the same bytes:
+ *
+ * - "eip712" signs the typed payload under an oracle domain (chain and, optionally, the
+ *   IndexOracle address), which wallets display field by field;
+ * - "eip191" signs the 32-byte payload hash as a personal message, for signers without typed
+ *   data support (hardware wallets, KMS).
+ *
+ * Signed payloads are stored as JSON envelopes with BigInts written as decimal strings.
+ */
+const { ethers } = require("ethers");
+
+const PAYLOAD_TYPES = {
+  IndexPayload: [
+    { name: "region", type: "string" },
+    { name: "metric", type: "string" },
+    { name: "value", type: "uint256" },
+    { name: "timestamp", type: "uint64" },
+    { name: "sources", type: "string[]" },
+    { name: "rawHash", type: "bytes32" },
+  ],
+};
+
+const SIGNATURE_SCHEMES = ["eip712", "eip191"];
+
+function oracleDomain({ chainId, verifyingContract }) {
+  const domain = { name: "Inflation Market Index Oracle", version: "1", chainId: BigInt(chainId) };
+  if (verifyingContract) domain.verifyingContract = ethers.getAddress(verifyingContract);
+  return domain;
+}
+
+function normalizePayload(payload) {
+  return {
+    region: payload.region,
+    metric: payload.metric,
+    value: BigInt(payload.value),
+    timestamp: Number(payload.timestamp),
+    sources: [...payload.sources],
+    rawHash: payload.rawHash,
+  };
+}
+
+function hashPayload(payload) {
+  return ethers.TypedDataEncoder.hashStruct("IndexPayload", PAYLOAD_TYPES, normalizePayload(payload));
+}
+
+/**
+ * @param {import("ethers").Signer} signer
+ * @param {object} payload
+ * @param {object} [options]
+ * @param {"eip712"|"eip191"} [options.scheme]
+ * @param {object} [options.domain] Required for eip712; see oracleDomain.
+ * @returns {Promise<object>} Envelope `{ payload, payloadHash, scheme, domain?, signer, signature }`.
+ */
+async function signPayload(signer, payload, { scheme = "eip712", domain } = {}) {
+  if (!SIGNATURE_SCHEMES.includes(scheme)) {
+    throw new Error(`Unknown signature scheme "${scheme}"; use ${SIGNATURE_SCHEMES.join(" or ")}.`);
+  }
+  const normalized = normalizePayload(payload);
+  const payloadHash = hashPayload(normalized);
+
+  let signature;
+  if (scheme === "eip712") {
+    if (!domain) throw new Error("EIP-712 signing needs a domain.");
+    signature = await signer.signTypedData(domain, PAYLOAD_TYPES, normalized);
+  } else {
+    signature = await signer.signMessage(ethers.getBytes(payloadHash));
+  }
+
+  return {
+    payload: normalized,
+    payloadHash,
+    scheme,
+    ...(scheme === "eip712" ? { domain } : {}),
+    signer: await signer.getAddress(),
+    signature,
+  };
+}
+
+/**
+ * Returns the address that produced the envelope's signature. Throws if the envelope's recorded
+ * hash or signer does not match its contents.
+ */
+function recoverPayloadSigner(envelope) {
+  const payload = normalizePayload(envelope.payload);
+  if (hashPayload(payload) !== envelope.payloadHash) {
+    throw new Error("Payload hash does not match the payload; the envelope was modified.");
+  }
+
+  const recovered =
+    envelope.scheme === "eip712"
+      ? ethers.verifyTypedData(normalizeDomain(envelope.domain), PAYLOAD_TYPES, payload, envelope.signature)
+      : ethers.verifyMessage(ethers.getBytes(envelope.payloadHash), envelope.signature);
+
+  if (envelope.signer && ethers.getAddress(envelope.signer) !== recovered) {
+    throw new Error(`Signature was made by ${recovered}, not the recorded signer ${envelope.signer}.`);
+  }
+  return recovered;
+}
+
+function normalizeDomain(domain) {
+  return { ...domain, chainId: BigInt(domain.chainId) };
+}
+
+function toJson(envelope) {
+  return JSON.stringify(envelope, (_, value) => (typeof value === "bigint" ? value.toString() : value), 2);
+}
+
+function fromJson(text) {
+  const envelope = JSON.parse(text);
+  return {
+    ...envelope,
+    payload: normalizePayload(envelope.payload),
+    ...(envelope.domain ? { domain: normalizeDomain(envelope.domain) } : {}),
+  };
+}
+
+module.exports = {
+  PAYLOAD_TYPES,
+  SIGNATURE_SCHEMES,
+  oracleDomain,
+  hashPayload,
+  signPayload,
+  recoverPayloadSigner,
+  toJson,
+  fromJson,
+};
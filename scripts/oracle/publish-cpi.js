@@ -0,0 +1,194 @@
+/**
+ * Builds, signs and optionally submits a CPI index payload.
+ *
+ * Usage:
+ *   node scripts/oracle/publish-cpi.js --network <name> --region US --metric CPI-U \
+ *     --source bls=data/bls.json --source fred:CPIAUCNS=data/fred.json \
+ *     [--period 2024-06] [--previous last.json] [--scheme eip712|eip191] [--out payload.json]
+ *     [--submit [--safe <address> [--batch-out batch.json]] [--max-deviation 500] [--force]]
+ *
+ *   node scripts/oracle/publish-cpi.js --network <name> --payload payload.json --submit \
+ *     [--allowed-signer <address> ...]
+ *
+ * Each --source is `<adapter>[:<seriesId>]=<file>` with an adapter from scripts/oracle/sources.
+ * The payload is signed by the network's configured account and written to --out (or printed).
+ * --submit verifies the signature and calls IndexOracle.setIndexPriceManual(value), refusing a
+ * move of more than --max-deviation bps from the current index price unless --force is given.
+ * With --safe the call is written to a Safe Transaction Builder batch instead of being sent.
+ */
+const { parseScriptArgs, loadDeployments, runScript, errorMessage } = require("../deploy/utils");
+
+const CLI_OPTIONS = {
+  network: { type: "string" },
+  source: { type: "string", multiple: true, default: [] },
+  region: { type: "string" },
+  metric: { type: "string" },
+  period: { type: "string" },
+  previous: { type: "string" },
+  scheme: { type: "string", default: "eip712" },
+  out: { type: "string" },
+  payload: { type: "string" },
+  submit: { type: "boolean", default: false },
+  safe: { type: "string" },
+  "batch-out": { type: "string" },
+  "allowed-signer": { type: "string", multiple: true, default: [] },
+  "max-deviation": { type: "string", default: "500" },
+  force: { type: "boolean", default: false },
+};
+const args = parseScriptArgs(module, CLI_OPTIONS).values;
+
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = require("ethers");
+const { SafeBatch, createAdminExecutor, defaultBatchFile } = require("../admin/safe-batch");
+const { buildPayload } = require("./cpi-pipeline");
+const { oracleDomain, signPayload, recoverPayloadSigner, toJson, fromJson } = require("./payload");
+
+const BASIS_POINTS = 10_000n;
+
+/**
+ * Parses `<adapter>[:<seriesId>]=<file>`.
+ */
+function parseSourceSpec(spec) {
+  const match = /^([a-z0-9-]+)(?::([^=]+))?=(.+)$/i.exec(spec);
+  if (!match) {
+    throw new Error(`Invalid --source "${spec}"; expected <adapter>[:<seriesId>]=<file>.`);
+  }
+  const [, source, seriesId, file] = match;
+  return { source, file, options: seriesId ? { seriesId } : {} };
+}
+
+function readInputs(specs) {
+  return specs.map(parseSourceSpec).map((input) => ({ ...input, raw: fs.readFileSync(input.file) }));
+}
+
+/**
+ * Verifies a signed payload and sets it as the IndexOracle price.
+ *
+ * @param {object} options
+ * @param {import("ethers").BaseContract} options.indexOracle
+ * @param {object} options.envelope Signed payload from signPayload / fromJson.
+ * @param {string[]} [options.allowedSigners] When non-empty, the signer must be one of these.
+ * @param {number} [options.maxDeviationBps] Largest accepted move from the current index price.
+ * @param {boolean} [options.force] Skip the deviation check.
+ * @param {Function} [options.execute] From createAdminExecutor; sends directly by default.
+ * @returns {Promise<{signer: string, currentPrice: bigint|null, price: bigint, deviationBps: bigint|null}>}
+ */
+async function submitPayload({
+  indexOracle,
+  envelope,
+  allowedSigners = [],
+  maxDeviationBps = 500,
+  force = false,
+  execute = createAdminExecutor(),
+  log = console.log,
+}) {
+  const signer = recoverPayloadSigner(envelope);
+  const allowed = allowedSigners.map((address) => ethers.getAddress(address));
+  if (allowed.length > 0 && !allowed.includes(signer)) {
+    throw new Error(`Payload signer ${signer} is not an allowed signer.`);
+  }
+
+  const price = envelope.payload.value;
+  const currentPrice = await indexOracle.getIndexPrice().catch((error) => {
+    // A stale oracle is exactly when a manual update is needed, so it does not block one.
+    log(`Current index price unavailable (${errorMessage(error)}); skipping deviation check.`);
+    return null;
+  });
+
+  let deviationBps = null;
+  if (currentPrice) {
+    const diff = price > currentPrice ? price - currentPrice : currentPrice - price;
+    deviationBps = (diff * BASIS_POINTS) / currentPrice;
+    if (deviationBps > BigInt(maxDeviationBps) && !force) {
+      throw new Error(
+        `Payload moves the index ${deviationBps} bps (from ${ethers.formatEther(currentPrice)} to ` +
+          `${ethers.formatEther(price)}); limit is ${maxDeviationBps}. Re-run with --force if this is intended.`,
+      );
+    }
+  }
+
+  await execute(indexOracle, "setIndexPriceManual", [price]);
+  return { signer, currentPrice, price, deviationBps };
+}
+
+async function main() {
+  const network = hre.network.name;
+  const deployments = loadDeployments(network);
+  const [account] = await hre.ethers.getSigners();
+
+  let envelope;
+  if (args.payload) {
+    envelope = fromJson(fs.readFileSync(args.payload, "utf8"));
+    console.log(`Loaded payload ${envelope.payloadHash} from ${args.payload}.`);
+  } else {
+    if (!args.region || !args.metric || args.source.length === 0) {
+      throw new Error("--region, --metric and at least one --source are required to build a payload.");
+    }
+    const previous = args.previous ? fromJson(fs.readFileSync(args.previous, "utf8")).payload : undefined;
+    const result = buildPayload(readInputs(args.source), {
+      region: args.region,
+      metric: args.metric,
+      period: args.period,
+      previous,
+    });
+    for (const warning of result.warnings) {
+      console.log(`⚠ ${warning.message}`);
+    }
+
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const domain = oracleDomain({ chainId, verifyingContract: deployments.indexOracle });
+    envelope = await signPayload(account, result.payload, { scheme: args.scheme, domain });
+    console.log(
+      `${args.region} ${args.metric} ${result.period}: ${ethers.formatUnits(result.payload.value, 18)} from ` +
+        `${result.payload.sources.join(", ")} (signed ${envelope.scheme} by ${envelope.signer}).`,
+    );
+
+    if (args.out) {
+      fs.mkdirSync(path.dirname(path.resolve(args.out)), { recursive: true });
+      fs.writeFileSync(args.out, `${toJson(envelope)}\n`);
+      console.log(`✓ Wrote payload to ${args.out}`);
+    } else {
+      console.log(toJson(envelope));
+    }
+  }
+
+  if (!args.submit) return;
+  if (!deployments.indexOracle) {
+    throw new Error(`No IndexOracle recorded in deployments/${network}.json.`);
+  }
+
+  const indexOracle = await hre.ethers.getContractAt("IndexOracle", deployments.indexOracle);
+  const batch = args.safe
+    ? new SafeBatch({
+        chainId: (await hre.ethers.provider.getNetwork()).chainId,
+        safeAddress: args.safe,
+        name: `Set index price (${network})`,
+        description: `CPI payload ${envelope.payloadHash}`,
+      })
+    : null;
+
+  const { signer, price, deviationBps } = await submitPayload({
+    indexOracle,
+    envelope,
+    allowedSigners: args["allowed-signer"],
+    maxDeviationBps: Number(args["max-deviation"]),
+    force: args.force,
+    execute: createAdminExecutor(batch),
+  });
+
+  const move = deviationBps === null ? "" : ` (${deviationBps} bps move)`;
+  if (batch) {
+    batch.write(args["batch-out"] || defaultBatchFile(network, "index-price"));
+    console.log(`+ queued: setIndexPriceManual(${ethers.formatEther(price)})${move}, signed by ${signer}`);
+  } else {
+    console.log(`✓ Index price set to ${ethers.formatEther(price)}${move}, signed by ${signer}`);
+  }
+}
+
+module.exports = { parseSourceSpec, readInputs, submitPayload };
+
+if (require.main === module) {
+  runScript(main);
+}
@@ -0,0 +1,40 @@
+/**
+ * U.S. Bureau of Labor Statistics Public Data API (v2) responses, e.g.
+ * POST https://api.bls.gov/publicAPI/v2/timeseries/data/ with { seriesid: ["CUUR0000SA0"] }.
+ *
+ * Monthly rows have periods M01-M12; M13 (annual average) rows are skipped.
+ */
+const { SourceFormatError, parseJson, describeSeries, observation } = require("./common");
+
+const name = "bls";
+
+const KNOWN_SERIES = {
+  CUUR0000SA0: { region: "US", metric: "CPI-U" },
+  CUSR0000SA0: { region: "US", metric: "CPI-U-SA" },
+  CUUR0000SA0L1E: { region: "US", metric: "CORE-CPI-U" },
+};
+
+function parse(raw, options = {}) {
+  const document = parseJson(name, raw);
+  if (document.status !== "REQUEST_SUCCEEDED") {
+    throw new SourceFormatError(name, `request status ${document.status}: ${(document.message || []).join("; ")}`);
+  }
+  const series = document.Results?.series;
+  if (!Array.isArray(series) || series.length === 0) {
+    throw new SourceFormatError(name, "response has no series");
+  }
+
+  const observations = [];
+  for (const { seriesID, data } of series) {
+    if (options.seriesId && seriesID !== options.seriesId) continue;
+    const described = describeSeries(name, seriesID, KNOWN_SERIES, options);
+    for (const row of data || []) {
+      const month = /^M(0[1-9]|1[0-2])$/.exec(row.period);
+      if (!month) continue;
+      observations.push(observation(name, seriesID, described, `${row.year}-${month[1]}`, row.value));
+    }
+  }
+  return observations;
+}
+
+module.exports = { name, KNOWN_SERIES, parse };
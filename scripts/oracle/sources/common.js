@@ -0,0 +1,71 @@
+/**
+ * Helpers shared by the CPI source adapters.
+ *
+ * Every adapter turns one raw document (an API response or a downloaded file, as text) into
+ * observations of the form:
+ *
+ *   { source, seriesId, region, metric, period: "YYYY-MM", value: bigint (1e18), text }
+ *
+ * where `text` is the value exactly as published. Values are parsed from their decimal text so
+ * no float rounding enters the pipeline.
+ */
+const { ethers } = require("ethers");
+
+const VALUE_DECIMALS = 18;
+
+class SourceFormatError extends Error {
+  constructor(source, message) {
+    super(`${source}: ${message}`);
+    this.name = "SourceFormatError";
+    this.source = source;
+  }
+}
+
+function parseJson(source, raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new SourceFormatError(source, `invalid JSON (${error.message})`);
+  }
+}
+
+/**
+ * Resolves a series to its region and metric: explicit options win, then the adapter's table of
+ * known series.
+ */
+function describeSeries(source, seriesId, knownSeries, options = {}) {
+  const known = knownSeries[seriesId] || {};
+  const region = options.region ?? known.region;
+  const metric = options.metric ?? known.metric;
+  if (!region || !metric) {
+    throw new SourceFormatError(source, `unknown series ${seriesId}; pass region and metric explicitly`);
+  }
+  return { region, metric };
+}
+
+function observation(source, seriesId, { region, metric }, period, text) {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(period)) {
+    throw new SourceFormatError(source, `${seriesId} has an invalid period "${period}"`);
+  }
+  const trimmed = String(text).trim();
+  if (!/^\d+(\.\d+)?$/.test(trimmed)) {
+    throw new SourceFormatError(source, `${seriesId} ${period} has a non-numeric value "${text}"`);
+  }
+  return {
+    source,
+    seriesId,
+    region,
+    metric,
+    period,
+    value: ethers.parseUnits(trimmed, VALUE_DECIMALS),
+    text: trimmed,
+  };
+}
+
+module.exports = {
+  VALUE_DECIMALS,
+  SourceFormatError,
+  parseJson,
+  describeSeries,
+  observation,
+};
@@ -0,0 +1,61 @@
+/**
+ * Eurostat JSON-stat 2.0 datasets, e.g. the HICP monthly index
+ * https://ec.europa.eu/eurostat/api/dissemination/statistics/1.0/data/prc_hicp_midx?geo=EA&coicop=CP00&unit=I15.
+ *
+ * The response must be filtered to a single value on every dimension except `geo` and `time`.
+ * Each geo becomes its own series (its code is the region); `options.geo` keeps just one.
+ * `options.dataset` names the dataset in series IDs (default prc_hicp_midx).
+ */
+const { SourceFormatError, parseJson, observation } = require("./common");
+
+const name = "eurostat";
+
+function categoryCodes(dimension) {
+  const index = dimension?.category?.index;
+  if (!index) return [];
+  // JSON-stat allows the index as an array of codes or an object of code -> position.
+  return Array.isArray(index) ? index : Object.keys(index).sort((a, b) => index[a] - index[b]);
+}
+
+function parse(raw, options = {}) {
+  const document = parseJson(name, raw);
+  if (document.class !== "dataset" || !Array.isArray(document.id) || !Array.isArray(document.size)) {
+    throw new SourceFormatError(name, "not a JSON-stat 2.0 dataset");
+  }
+
+  const codes = document.id.map((id) => categoryCodes(document.dimension[id]));
+  document.id.forEach((id, position) => {
+    if (id !== "geo" && id !== "time" && document.size[position] !== 1) {
+      throw new SourceFormatError(name, `dimension ${id} has ${document.size[position]} values; filter the query to one`);
+    }
+  });
+  const geoAt = document.id.indexOf("geo");
+  const timeAt = document.id.indexOf("time");
+  if (geoAt === -1 || timeAt === -1) {
+    throw new SourceFormatError(name, "dataset needs geo and time dimensions");
+  }
+
+  const dataset = options.dataset ?? "prc_hicp_midx";
+  const metric = options.metric ?? "HICP";
+  const observations = [];
+
+  // Row-major strides, so a flat value index can be built from per-dimension positions.
+  const strides = document.size.map((_, position) =>
+    document.size.slice(position + 1).reduce((product, size) => product * size, 1),
+  );
+
+  codes[geoAt].forEach((geo, geoPosition) => {
+    if (options.geo && geo !== options.geo) return;
+    const described = { region: options.region ?? geo, metric };
+    codes[timeAt].forEach((period, timePosition) => {
+      const flat = geoPosition * strides[geoAt] + timePosition * strides[timeAt];
+      // `value` is either a dense array or a sparse object keyed by flat index; both index the same way.
+      const value = document.value[flat];
+      if (value === null || value === undefined) return;
+      observations.push(observation(name, `${dataset}:${geo}`, described, period, String(value)));
+    });
+  });
+  return observations;
+}
+
+module.exports = { name, parse };
@@ -0,0 +1,33 @@
+/**
+ * Federal Reserve Bank of St. Louis FRED observations, as returned by
+ * https://api.stlouisfed.org/fred/series/observations?series_id=CPIAUCNS&file_type=json.
+ *
+ * The response does not name its series, so `options.seriesId` is required. Missing values
+ * (published as ".") are skipped.
+ */
+const { SourceFormatError, parseJson, describeSeries, observation } = require("./common");
+
+const name = "fred";
+
+const KNOWN_SERIES = {
+  CPIAUCNS: { region: "US", metric: "CPI-U" },
+  CPIAUCSL: { region: "US", metric: "CPI-U-SA" },
+  CPILFESL: { region: "US", metric: "CORE-CPI-U-SA" },
+};
+
+function parse(raw, options = {}) {
+  if (!options.seriesId) {
+    throw new SourceFormatError(name, "seriesId is required; FRED responses do not include it");
+  }
+  const document = parseJson(name, raw);
+  if (!Array.isArray(document.observations)) {
+    throw new SourceFormatError(name, "response has no observations");
+  }
+
+  const described = describeSeries(name, options.seriesId, KNOWN_SERIES, options);
+  return document.observations
+    .filter((row) => row.value !== ".")
+    .map((row) => observation(name, options.seriesId, described, String(row.date).slice(0, 7), row.value));
+}
+
+module.exports = { name, KNOWN_SERIES, parse };
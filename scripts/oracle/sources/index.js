@@ -0,0 +1,16 @@
+/**
+ * Source adapters for the CPI pipeline, keyed by name. An adapter is any object with
+ * `parse(raw, options) => observation[]` (see ./common.js); pass extra ones to buildPayload via
+ * its `adapters` option.
+ */
+const bls = require("./bls");
+const fred = require("./fred");
+const eurostat = require("./eurostat");
+const ons = require("./ons");
+
+const SOURCE_ADAPTERS = { bls, fred, eurostat, ons };
+
+module.exports = {
+  SOURCE_ADAPTERS,
+  ...require("./common"),
+};
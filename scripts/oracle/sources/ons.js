@@ -0,0 +1,57 @@
+/**
+ * UK Office for National Statistics time series CSV downloads, e.g.
+ * https://www.ons.gov.uk/generator?format=csv&uri=/economy/inflationandpriceindices/timeseries/d7bt/mm23.
+ *
+ * The file starts with quoted key/value metadata rows (Title, CDID, ...) followed by annual,
+ * quarterly and monthly rows; only monthly rows ("2024 JUN") are kept.
+ */
+const { SourceFormatError, describeSeries, observation } = require("./common");
+
+const name = "ons";
+
+const KNOWN_SERIES = {
+  D7BT: { region: "UK", metric: "CPI" },
+  L522: { region: "UK", metric: "CPIH" },
+  CHAW: { region: "UK", metric: "RPI" },
+};
+
+const MONTHS = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+
+function parseRow(line) {
+  const cells = [];
+  const pattern = /\s*(?:"((?:[^"]|"")*)"|([^,]*))\s*(?:,|$)/g;
+  let match;
+  while ((match = pattern.exec(line)) && match[0] !== "") {
+    cells.push(match[1] !== undefined ? match[1].replace(/""/g, '"') : match[2]);
+  }
+  return cells;
+}
+
+function parse(raw, options = {}) {
+  const rows = String(raw).split(/\r?\n/).filter((line) => line.trim() !== "").map(parseRow);
+  const metadata = {};
+  const observations = [];
+  let described;
+
+  for (const [key, value] of rows) {
+    const month = /^(\d{4}) ([A-Z]{3})$/.exec(key);
+    if (!month) {
+      if (!/^\d{4}( Q[1-4])?$/.test(key)) metadata[key] = value;
+      continue;
+    }
+    const seriesId = metadata.CDID;
+    if (!seriesId) {
+      throw new SourceFormatError(name, "file has no CDID row before its observations");
+    }
+    described = described ?? describeSeries(name, seriesId, KNOWN_SERIES, options);
+    const monthIndex = MONTHS.indexOf(month[2]);
+    if (monthIndex === -1) {
+      throw new SourceFormatError(name, `unknown month in row "${key}"`);
+    }
+    const period = `${month[1]}-${String(monthIndex + 1).padStart(2, "0")}`;
+    observations.push(observation(name, seriesId, described, period, value));
+  }
+  return observations;
+}
+
+module.exports = { name, KNOWN_SERIES, parse };
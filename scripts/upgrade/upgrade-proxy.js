@@ -0,0 +1,254 @@
+/**
+ * Upgrades one of the protocol's UUPS proxies recorded in deployments/<network>.json.
+ *
+ * Usage:
+ *   node scripts/upgrade/upgrade-proxy.js <component> --network <name> [--contract Name]
+ *     [--call fn --args '[...]'] [--dry-run] [--prepare-only] [--safe <address> [--out batch.json]]
+ *
+ * Components: vault, positionManager, vamm, indexOracle, fundingCalculator, liquidator.
+ *
+ * The new implementation is validated against the implementation recorded in the deployments file
+ * (storage layout and upgrade safety). Any incompatibility aborts before a transaction is sent.
+ * --dry-run stops after validation; --prepare-only deploys the implementation and prints the
+ * upgradeToAndCall calldata for an external admin (e.g. a multisig) instead of sending it; --safe
+ * does the same but writes a Safe Transaction Builder batch. A prepared implementation is recorded
+ * under `pendingUpgrades` and adopted into the history by the next run (other than --dry-run) once
+ * the proxy points at it.
+ */
+const { parseScriptArgs, loadDeployments, saveDeployments, verifyContract, runScript } = require("../deploy/utils");
+
+const CLI_OPTIONS = {
+  network: { type: "string" },
+  contract: { type: "string" },
+  call: { type: "string" },
+  args: { type: "string", default: "[]" },
+  "dry-run": { type: "boolean", default: false },
+  "prepare-only": { type: "boolean", default: false },
+  safe: { type: "string" },
+  out: { type: "string" },
+};
+const cli = parseScriptArgs(module, CLI_OPTIONS, { allowPositionals: true });
+const args = cli.values;
+
+const hre = require("hardhat");
+const { SafeBatch, defaultBatchFile } = require("../admin/safe-batch");
+
+const COMPONENTS = {
+  vault: { contract: "Vault", deploymentKey: "vault" },
+  positionManager: { contract: "PositionManager", deploymentKey: "positionManager" },
+  vamm: { contract: "vAMM", deploymentKey: "vamm" },
+  indexOracle: { contract: "IndexOracle", deploymentKey: "indexOracle" },
+  fundingCalculator: { contract: "FundingRateCalculator", deploymentKey: "fundingCalculator" },
+  liquidator: { contract: "Liquidator", deploymentKey: "liquidator" },
+};
+
+class UpgradeRefusedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UpgradeRefusedError";
+  }
+}
+
+function implementationKey(deploymentKey) {
+  return `${deploymentKey}Implementation`;
+}
+
+function sameAddress(a, b) {
+  return Boolean(a) && Boolean(b) && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * History starts with the implementation the proxy was deployed with, so the first upgrade seeds
+ * it from `<key>Implementation` before appending.
+ */
+function appendHistory(deployments, component, entry) {
+  const { contract, deploymentKey } = COMPONENTS[component];
+  deployments.implementationHistory = deployments.implementationHistory || {};
+  const history = deployments.implementationHistory[deploymentKey] || [];
+  if (history.length === 0 && deployments[implementationKey(deploymentKey)]) {
+    history.push({ address: deployments[implementationKey(deploymentKey)], contract, txHash: null, activatedAt: null });
+  }
+  history.push(entry);
+  deployments.implementationHistory[deploymentKey] = history;
+}
+
+/**
+ * An upgrade prepared for an external admin is executed outside this script. Returns the pending
+ * entry once the proxy points at its implementation, or null.
+ */
+function executedPendingUpgrade(deployments, component, liveImplementation) {
+  const pending = deployments.pendingUpgrades?.[COMPONENTS[component].deploymentKey];
+  return pending && sameAddress(pending.address, liveImplementation) ? pending : null;
+}
+
+/**
+ * Records an externally executed upgrade as if this script had sent it.
+ */
+function adoptPendingUpgrade(deployments, component, pending) {
+  const { deploymentKey } = COMPONENTS[component];
+  appendHistory(deployments, component, {
+    address: pending.address,
+    contract: pending.contract,
+    txHash: null,
+    activatedAt: new Date().toISOString(),
+  });
+  deployments[implementationKey(deploymentKey)] = pending.address;
+  delete deployments.pendingUpgrades[deploymentKey];
+  console.log(`ℹ Adopted externally executed ${deploymentKey} upgrade to ${pending.address}`);
+}
+
+function encodeInitializer(factory, call, callArgs = []) {
+  if (!call) return "0x";
+  return factory.interface.encodeFunctionData(call, callArgs);
+}
+
+/**
+ * Validates and (unless dryRun) performs the upgrade. Mutates `deployments` on success; the caller
+ * persists it. A dry run never changes `deployments`.
+ *
+ * @returns {Promise<{status: string, proxy: string, previousImplementation: string,
+ *   newImplementation?: string, data?: string, txHash?: string}>}
+ */
+async function upgradeComponent({ component, deployments, contractName, call, callArgs, dryRun = false, prepareOnly = false }) {
+  const spec = COMPONENTS[component];
+  if (!spec) {
+    throw new Error(`Unknown component "${component}". Expected one of: ${Object.keys(COMPONENTS).join(", ")}.`);
+  }
+
+  const proxy = deployments[spec.deploymentKey];
+  if (!proxy || !deployments[implementationKey(spec.deploymentKey)]) {
+    throw new Error(`No ${spec.deploymentKey} proxy/implementation recorded for this network. Deploy it first.`);
+  }
+
+  const liveImplementation = await hre.upgrades.erc1967.getImplementationAddress(proxy);
+  const executed = executedPendingUpgrade(deployments, component, liveImplementation);
+  if (executed && dryRun) {
+    // A dry run leaves the deployments record alone, but validates against what the proxy runs.
+    console.log(
+      `ℹ ${spec.deploymentKey} runs the prepared upgrade ${executed.address}; a run without --dry-run records it.`,
+    );
+  } else if (executed) {
+    adoptPendingUpgrade(deployments, component, executed);
+  }
+  const recordedImplementation = executed ? executed.address : deployments[implementationKey(spec.deploymentKey)];
+  if (!sameAddress(liveImplementation, recordedImplementation)) {
+    throw new UpgradeRefusedError(
+      `${spec.deploymentKey} proxy points at ${liveImplementation} but the deployments file records ${recordedImplementation}. ` +
+        "Reconcile the deployments file before upgrading.",
+    );
+  }
+
+  const name = contractName || spec.contract;
+  const factory = await hre.ethers.getContractFactory(name);
+  const data = encodeInitializer(factory, call, callArgs);
+
+  try {
+    await hre.upgrades.validateUpgrade(recordedImplementation, factory, { kind: "uups" });
+  } catch (error) {
+    throw new UpgradeRefusedError(
+      `Refusing to upgrade ${spec.deploymentKey} to ${name}: ${error.message}`,
+    );
+  }
+  console.log(`✓ ${name} is upgrade-compatible with ${recordedImplementation}`);
+
+  const result = { proxy, previousImplementation: recordedImplementation };
+  if (dryRun) {
+    return { ...result, status: "validated", data };
+  }
+
+  const newImplementation = await hre.upgrades.prepareUpgrade(proxy, factory, { kind: "uups" });
+  if (sameAddress(newImplementation, recordedImplementation)) {
+    console.log(`ℹ ${spec.deploymentKey} already runs this implementation. Nothing to upgrade.`);
+    return { ...result, status: "unchanged", newImplementation };
+  }
+  console.log(`✓ ${name} implementation deployed at ${newImplementation}`);
+
+  if (prepareOnly) {
+    const proxyInterface = (await hre.ethers.getContractAt(spec.contract, proxy)).interface;
+    const upgradeData = proxyInterface.encodeFunctionData("upgradeToAndCall", [newImplementation, data]);
+    deployments.pendingUpgrades = deployments.pendingUpgrades || {};
+    deployments.pendingUpgrades[spec.deploymentKey] = {
+      address: newImplementation,
+      contract: name,
+      preparedAt: new Date().toISOString(),
+    };
+    return { ...result, status: "prepared", newImplementation, initData: data, data: upgradeData };
+  }
+
+  const proxyContract = await hre.ethers.getContractAt(spec.contract, proxy);
+  const tx = await proxyContract.upgradeToAndCall(newImplementation, data);
+  const receipt = await tx.wait();
+
+  const activeImplementation = await hre.upgrades.erc1967.getImplementationAddress(proxy);
+  if (!sameAddress(activeImplementation, newImplementation)) {
+    throw new Error(`Upgrade transaction ${receipt.hash} mined but proxy still points at ${activeImplementation}.`);
+  }
+
+  appendHistory(deployments, component, {
+    address: newImplementation,
+    contract: name,
+    txHash: receipt.hash,
+    activatedAt: new Date().toISOString(),
+  });
+  deployments[implementationKey(spec.deploymentKey)] = newImplementation;
+
+  return { ...result, status: "upgraded", newImplementation, data, txHash: receipt.hash };
+}
+
+async function main() {
+  const [component] = cli.positionals;
+  if (!component) {
+    throw new Error(`Usage: upgrade-proxy.js <component> --network <name>. Components: ${Object.keys(COMPONENTS).join(", ")}`);
+  }
+
+  const network = hre.network.name;
+  const deployments = loadDeployments(network);
+  const [signer] = await hre.ethers.getSigners();
+  console.log(`Upgrading ${component} on ${network} from ${signer.address}...`);
+
+  const result = await upgradeComponent({
+    component,
+    deployments,
+    contractName: args.contract,
+    call: args.call,
+    callArgs: JSON.parse(args.args),
+    dryRun: args["dry-run"],
+    prepareOnly: args["prepare-only"] || Boolean(args.safe),
+  });
+
+  if (result.status === "validated") {
+    console.log("Dry run: validation passed, no transactions sent.");
+    return;
+  }
+
+  saveDeployments(network, deployments);
+  if (result.status === "prepared") {
+    await verifyContract(hre, result.newImplementation);
+    if (args.safe) {
+      const { chainId } = await hre.ethers.provider.getNetwork();
+      const batch = new SafeBatch({ chainId, safeAddress: args.safe, name: `Upgrade ${component} (${network})` });
+      const proxy = await hre.ethers.getContractAt(COMPONENTS[component].contract, result.proxy);
+      await batch.add(proxy, "upgradeToAndCall", [result.newImplementation, result.initData]);
+      batch.write(args.out || defaultBatchFile(network, `upgrade-${component}`));
+    } else {
+      console.log("Submit from the proxy admin:");
+      console.log(`  to:   ${result.proxy}`);
+      console.log(`  data: ${result.data}`);
+    }
+    return;
+  }
+  if (result.status === "upgraded") {
+    await verifyContract(hre, result.newImplementation);
+    console.log(`✓ ${component} upgraded to ${result.newImplementation} (tx ${result.txHash})`);
+  }
+}
+
+module.exports = {
+  COMPONENTS,
+  UpgradeRefusedError,
+  upgradeComponent,
+};
+
+if (require.main === module) {
+  runScript(main);
+}
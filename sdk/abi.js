@@ -0,0 +1,149 @@
+/**
+ * Minimal human-readable ABIs for the contracts the SDK talks to.
+ *
+ * Kept in source rather than read from artifacts/ so the SDK works in bots and browser bundles
+ * without a Hardhat build. Signatures mirror the deployed contracts (not the interfaces under
+ * contracts/interfaces, whose event definitions predate the current PositionManager).
+ */
+
+const POSITION_TUPLE =
+  "tuple(address trader, uint96 timestamp, uint128 size, uint128 collateral, uint128 leverage, " +
+  "uint128 entryPrice, int128 entryFundingIndex, uint128 liquidationPrice, bool isLong)";
+
+const POSITION_MANAGER_ABI = [
+  "function openPosition(bool isLong, uint256 collateralAmount, uint256 leverage, uint256 minPrice, uint256 maxPrice) returns (bytes32 positionId)",
+  "function closePosition(bytes32 positionId) returns (int256 pnl)",
+  "function addMargin(bytes32 positionId, uint256 amount)",
+  "function removeMargin(bytes32 positionId, uint256 amount)",
+  `function getPosition(bytes32 positionId) view returns (${POSITION_TUPLE})`,
+  "function getUserPositions(address user) view returns (bytes32[])",
+  "function calculatePnL(bytes32 positionId) view returns (int256)",
+  "function isPositionLiquidatable(bytes32 positionId) view returns (bool)",
+  "function liquidatePosition(bytes32 positionId)",
+  "function settleFunding()",
+  "function maintenanceMargin() view returns (uint256)",
+  "function tradingFee() view returns (uint256)",
+  "function maxLeverage() view returns (uint256)",
+  "function minCollateral() view returns (uint256)",
+  "function pnlPoolBalance() view returns (uint256)",
+  "function MIN_LEVERAGE() view returns (uint256)",
+  "function MAX_POSITION_SIZE() view returns (uint256)",
+  "function MAX_POSITIONS_PER_USER() view returns (uint256)",
+  "function vault() view returns (address)",
+  "function vamm() view returns (address)",
+  "function fundingCalculator() view returns (address)",
+  "function oracle() view returns (address)",
+  "function KEEPER_ROLE() view returns (bytes32)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "event PositionOpened(bytes32 indexed positionId, address indexed trader, bool isLong, uint256 collateral, uint256 size, uint256 leverage, uint256 entryPrice, uint256 timestamp)",
+  "event PositionClosed(bytes32 indexed positionId, address indexed trader, int256 pnl, uint256 closingPrice, uint256 timestamp)",
+  "event PositionLiquidated(bytes32 indexed positionId, address indexed trader, address indexed liquidator, uint256 liquidationPrice, uint256 reward, uint256 timestamp)",
+  "event MarginAdded(bytes32 indexed positionId, address indexed trader, uint256 amount, uint256 newCollateral)",
+  "event MarginRemoved(bytes32 indexed positionId, address indexed trader, uint256 amount, uint256 newCollateral)",
+  "event FundingSettled(uint256 markPrice, uint256 indexPrice, int256 fundingRate, uint256 timestamp)",
+  "error ZeroAddress()",
+  "error InvalidLeverage()",
+  "error InsufficientCollateral()",
+  "error PositionNotFound()",
+  "error NotPositionOwner()",
+  "error PositionNotLiquidatable()",
+  "error InvalidAmount()",
+  "error PositionUnhealthy()",
+  "error PositionTooLarge()",
+  "error TooManyPositions()",
+  "error SlippageExceeded()",
+  "error FundingIndexOverflow()",
+  "error InsufficientPnlPool()",
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+  // Bubbled up from FundingRateCalculator and IndexOracle by settleFunding.
+  "error FundingUpdateTooSoon()",
+  "error OracleDataStale()",
+];
+
+const VAULT_ABI = [
+  "function asset() view returns (address)",
+  "function deposit(address token, uint256 amount) returns (uint256 shares)",
+  "function withdraw(address token, uint256 amount) returns (uint256 shares)",
+  "function availableBalance(address user, address token) view returns (uint256)",
+  "function lockedBalance(address user, address token) view returns (uint256)",
+  "function totalBalance(address user, address token) view returns (uint256)",
+  "function getTotalAssets() view returns (uint256)",
+  "function getAvailableLiquidity() view returns (uint256)",
+];
+
+const VAMM_ABI = [
+  "function getMarkPrice() view returns (uint256)",
+  "function getPriceForTrade(int256 size) view returns (uint256 newMarkPrice, uint256 priceImpact)",
+  "function virtualBaseAssetReserve() view returns (uint256)",
+  "function virtualQuoteAssetReserve() view returns (uint256)",
+  "function k() view returns (uint256)",
+  "function lastMarkPrice() view returns (uint256)",
+  "function maxPriceImpact() view returns (uint256)",
+  "function totalLongOpenInterest() view returns (uint256)",
+  "function totalShortOpenInterest() view returns (uint256)",
+  "error PriceImpactTooHigh()",
+  "error InvalidReserves()",
+  "error InsufficientLiquidity()",
+];
+
+const FUNDING_CALCULATOR_ABI = [
+  "function longFundingIndex() view returns (int256)",
+  "function shortFundingIndex() view returns (int256)",
+  "function currentFundingRate() view returns (int256)",
+  "function getFundingRateAPR() view returns (int256)",
+  "function lastFundingTime() view returns (uint256)",
+  "function fundingInterval() view returns (uint256)",
+  "event FundingRateUpdated(int256 rate, uint256 timestamp)",
+  "error FundingUpdateTooSoon()",
+];
+
+const INDEX_ORACLE_ABI = [
+  "function getIndexPrice() view returns (uint256)",
+  "function lastUpdateTime() view returns (uint256)",
+  "function updateInterval() view returns (uint256)",
+  "function getTWAP(uint256 periods) view returns (uint256)",
+  "function priceHistory(uint256 index) view returns (uint256)",
+  "function cpiDataFeed() view returns (address)",
+  "function treasuryYieldFeed() view returns (address)",
+  "function owner() view returns (address)",
+  "function updateIndexPrice()",
+  "function setIndexPriceManual(uint256 price)",
+  "event IndexPriceUpdated(uint256 indexed price, int256 annualRealYield, uint256 timestamp)",
+  "event ManualPriceUpdate(uint256 price, uint256 timestamp)",
+  "error OracleDataStale()",
+  "error UpdateTooSoon()",
+  "error PriceDeviationTooHigh()",
+  "error InvalidPrice()",
+];
+
+const AGGREGATOR_V3_ABI = [
+  "function decimals() view returns (uint8)",
+  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+];
+
+const LIQUIDATOR_ABI = [
+  "function isLiquidatable(bytes32 positionId) view returns (bool)",
+  "function liquidatePosition(bytes32 positionId)",
+  "function batchLiquidate(bytes32[] positionIds)",
+  "function positionManager() view returns (address)",
+  "function insuranceFundBalance() view returns (uint256)",
+  "error PositionNotLiquidatable()",
+];
+
+const ERC20_ABI = [
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function decimals() view returns (uint8)",
+];
+
+module.exports = {
+  POSITION_MANAGER_ABI,
+  VAULT_ABI,
+  VAMM_ABI,
+  FUNDING_CALCULATOR_ABI,
+  INDEX_ORACLE_ABI,
+  AGGREGATOR_V3_ABI,
+  LIQUIDATOR_ABI,
+  ERC20_ABI,
+};
@@ -0,0 +1,76 @@
+/**
+ * Token amount text <-> BigInt conversion for inputs and displays.
+ *
+ * Amounts never pass through Number, so an 18-decimal balance or a billion-USDC position keeps
+ * every digit. The text format is what an amount field accepts: ASCII digits with at most one
+ * "." and no more fraction digits than the token has; no signs, exponents or grouping.
+ */
+
+const AMOUNT_PATTERN = /^(\d*)(?:\.(\d*))?$/;
+
+/**
+ * Checks `text` as partial amount input, i.e. what a field may hold while the user types ("",
+ * "12.", ".5"). Returns the text with leading zeros collapsed, or null if it can never become a
+ * valid amount with `decimals` fraction digits.
+ *
+ * @param {string} text
+ * @param {number} decimals
+ * @returns {string|null}
+ */
+function sanitizeAmountInput(text, decimals) {
+  const match = AMOUNT_PATTERN.exec(text.trim());
+  if (!match) return null;
+  const [, whole, fraction] = match;
+  if (fraction !== undefined && (decimals === 0 || fraction.length > decimals)) return null;
+  const normalizedWhole = whole.replace(/^0+(?=\d)/, "");
+  return fraction === undefined ? normalizedWhole : `${normalizedWhole}.${fraction}`;
+}
+
+/**
+ * Parses amount text into base units. Returns null for empty or incomplete input ("", ".") and
+ * for anything sanitizeAmountInput rejects.
+ *
+ * @param {string} text
+ * @param {number} decimals
+ * @returns {bigint|null}
+ */
+function parseAmount(text, decimals) {
+  const sanitized = sanitizeAmountInput(text, decimals);
+  if (sanitized === null) return null;
+  const [whole, fraction = ""] = sanitized.split(".");
+  if (whole === "" && fraction === "") return null;
+  return BigInt(whole || "0") * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, "0") || "0");
+}
+
+/**
+ * Formats base units as amount text, truncating (never rounding up) to `maxFractionDigits` and
+ * dropping trailing zeros. `grouping` adds "," thousands separators for display; leave it off
+ * for text that goes back into an input.
+ *
+ * @param {bigint} value
+ * @param {number} decimals
+ * @param {{maxFractionDigits?: number, grouping?: boolean}} [options]
+ * @returns {string}
+ */
+function formatAmount(value, decimals, { maxFractionDigits = decimals, grouping = false } = {}) {
+  const amount = BigInt(value);
+  const negative = amount < 0n;
+  const absolute = negative ? -amount : amount;
+  const scale = 10n ** BigInt(decimals);
+
+  let whole = (absolute / scale).toString();
+  const fraction = (absolute % scale)
+    .toString()
+    .padStart(decimals, "0")
+    .slice(0, Math.min(maxFractionDigits, decimals))
+    .replace(/0+$/, "");
+  if (grouping) whole = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+  const sign = negative && (whole !== "0" || fraction !== "") ? "-" : "";
+  return `${sign}${whole}${fraction ? `.${fraction}` : ""}`;
+}
+
+module.exports = {
+  sanitizeAmountInput,
+  parseAmount,
+  formatAmount,
+};
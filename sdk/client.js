@@ -0,0 +1,366 @@
+/**
+ * High-level trading client for PositionManager.
+ *
+ * Wraps the ethers calls that the frontend and bots need for a trading flow: funding the vault,
+ * opening positions with slippage bounds derived from the vAMM, closing with realized PnL read
+ * back from the PositionClosed event, margin changes and decoded position reads.
+ *
+ * Units follow the contracts: collateral and sizes are in collateral token units (6 decimals for
+ * USDC), leverage and prices carry 1e18 precision, fees and tolerances are basis points.
+ */
+const { ethers } = require("ethers");
+const { POSITION_MANAGER_ABI, VAULT_ABI, VAMM_ABI, FUNDING_CALCULATOR_ABI, ERC20_ABI } = require("./abi");
+const { BASIS_POINTS, positionSize, tradingFee, calculateFundingPayment, getPositionHealth } = require("./position-math");
+
+const DEFAULT_SLIPPAGE_BPS = 50n;
+
+/**
+ * @typedef {object} Position
+ * @property {string} id
+ * @property {string} trader
+ * @property {number} timestamp Open time in seconds.
+ * @property {bigint} size Notional in collateral units.
+ * @property {bigint} collateral
+ * @property {bigint} leverage 1e18 = 1x.
+ * @property {bigint} entryPrice 1e18 precision.
+ * @property {bigint} entryFundingIndex
+ * @property {bigint} liquidationPrice 1e18 precision.
+ * @property {boolean} isLong
+ */
+
+/**
+ * @typedef {Position} PositionDetails
+ * @property {bigint} markPrice vAMM mark price the figures below are computed at.
+ * @property {bigint} unrealizedPnl calculatePnL: price PnL net of accrued funding, before fees.
+ * @property {bigint} fundingAccrued Funding owed since entry; negative when the position receives it.
+ * @property {bigint} healthBps Equity over position value in basis points, as the contract computes it.
+ * @property {bigint} maintenanceMarginBps
+ * @property {boolean} liquidatable isPositionLiquidatable.
+ */
+
+/**
+ * @typedef {object} OpenQuote
+ * @property {bigint} size Notional the position will have (collateral * leverage).
+ * @property {bigint} fee Trading fee locked on top of the collateral.
+ * @property {bigint} markPrice Current vAMM mark price.
+ * @property {bigint} expectedPrice vAMM mark price after the trade.
+ * @property {bigint} priceImpactBps
+ * @property {bigint} minPrice Bound passed to openPosition (0 for longs).
+ * @property {bigint} maxPrice Bound passed to openPosition (MaxUint256 for shorts).
+ */
+
+/**
+ * Converts a quoted price and a tolerance into openPosition's (minPrice, maxPrice) pair. Only
+ * one side is enforced by the contract: maxPrice for longs, minPrice for shorts.
+ */
+function priceBounds(isLong, price, slippageBps) {
+  const tolerance = BigInt(slippageBps);
+  if (tolerance < 0n || tolerance > BASIS_POINTS) {
+    throw new RangeError(`Slippage tolerance must be between 0 and ${BASIS_POINTS} bps, got ${slippageBps}`);
+  }
+  if (isLong) {
+    return { minPrice: 0n, maxPrice: (price * (BASIS_POINTS + tolerance)) / BASIS_POINTS };
+  }
+  return { minPrice: (price * (BASIS_POINTS - tolerance)) / BASIS_POINTS, maxPrice: ethers.MaxUint256 };
+}
+
+/**
+ * Turns the ethers Result returned by getPosition into a plain object.
+ * @returns {Position}
+ */
+function decodePosition(id, raw) {
+  return {
+    id,
+    trader: raw.trader,
+    timestamp: Number(raw.timestamp),
+    size: raw.size,
+    collateral: raw.collateral,
+    leverage: raw.leverage,
+    entryPrice: raw.entryPrice,
+    entryFundingIndex: raw.entryFundingIndex,
+    liquidationPrice: raw.liquidationPrice,
+    isLong: raw.isLong,
+  };
+}
+
+/**
+ * Returns the args of the first `eventName` log emitted by `contract` in the receipt.
+ */
+function parseEvent(receipt, contract, eventName) {
+  const target = contract.target.toLowerCase();
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== target) continue;
+    const parsed = contract.interface.parseLog(log);
+    if (parsed && parsed.name === eventName) {
+      return parsed.args;
+    }
+  }
+  throw new Error(`${eventName} not found in transaction ${receipt.hash}`);
+}
+
+class TradingClient {
+  /**
+   * @param {object} options
+   * @param {import("ethers").ContractRunner} options.runner Signer for trading, or a provider for reads only.
+   * @param {{positionManager: string, vault: string, vamm: string}} options.addresses
+   */
+  constructor({ runner, addresses }) {
+    for (const key of ["positionManager", "vault", "vamm"]) {
+      if (!addresses || !ethers.isAddress(addresses[key])) {
+        throw new Error(`Missing or invalid ${key} address`);
+      }
+    }
+    this.runner = runner;
+    this.addresses = { positionManager: addresses.positionManager, vault: addresses.vault, vamm: addresses.vamm };
+    this.positionManager = new ethers.Contract(addresses.positionManager, POSITION_MANAGER_ABI, runner);
+    this.vault = new ethers.Contract(addresses.vault, VAULT_ABI, runner);
+    this.vamm = new ethers.Contract(addresses.vamm, VAMM_ABI, runner);
+    this._collateral = null;
+    this._fundingCalculator = null;
+  }
+
+  /**
+   * Builds a client from a deployments/<network>.json record (or the already-parsed object).
+   */
+  static fromDeployments(runner, deployments) {
+    return new TradingClient({ runner, addresses: deployments });
+  }
+
+  async _trader() {
+    if (!this.runner || typeof this.runner.getAddress !== "function") {
+      throw new Error("This operation needs a signer; the client was created with a read-only runner");
+    }
+    return this.runner.getAddress();
+  }
+
+  /**
+   * The vault's primary collateral token, which PositionManager locks for margin and fees.
+   */
+  async collateralToken() {
+    if (!this._collateral) {
+      this._collateral = new ethers.Contract(await this.vault.asset(), ERC20_ABI, this.runner);
+    }
+    return this._collateral;
+  }
+
+  /**
+   * Collateral the trader can still commit to new positions or margin.
+   */
+  async availableBalance(trader) {
+    const token = await this.collateralToken();
+    return this.vault.availableBalance(trader ?? (await this._trader()), token.target);
+  }
+
+  /**
+   * Vault balances of `trader` (the signer by default) in the primary collateral.
+   *
+   * @returns {Promise<{available: bigint, locked: bigint, total: bigint}>}
+   */
+  async balances(trader) {
+    const account = trader ?? (await this._trader());
+    const token = await this.collateralToken();
+    const [available, locked, total] = await Promise.all([
+      this.vault.availableBalance(account, token.target),
+      this.vault.lockedBalance(account, token.target),
+      this.vault.totalBalance(account, token.target),
+    ]);
+    return { available, locked, total };
+  }
+
+  /**
+   * Deposits collateral into the vault, approving it first when the allowance is short.
+   */
+  async deposit(amount) {
+    const trader = await this._trader();
+    const token = await this.collateralToken();
+    if ((await token.allowance(trader, this.addresses.vault)) < amount) {
+      await (await token.approve(this.addresses.vault, amount)).wait();
+    }
+    return (await this.vault.deposit(token.target, amount)).wait();
+  }
+
+  /**
+   * Withdraws unlocked collateral from the vault back to the trader.
+   */
+  async withdraw(amount) {
+    const token = await this.collateralToken();
+    return (await this.vault.withdraw(token.target, amount)).wait();
+  }
+
+  /**
+   * Quotes an open: size, fee, the vAMM price after the trade and the price bounds that a
+   * `slippageBps` tolerance around it gives.
+   *
+   * PositionManager checks the bounds against the mark price after its own trade (the price the
+   * position enters at), so the tolerance covers trades that land ahead of this one.
+   *
+   * @returns {Promise<OpenQuote>}
+   */
+  async quoteOpen({ isLong, collateral, leverage, slippageBps = DEFAULT_SLIPPAGE_BPS }) {
+    const size = positionSize(collateral, leverage);
+    const [feeBps, markPrice, [expectedPrice, priceImpactBps]] = await Promise.all([
+      this.positionManager.tradingFee(),
+      this.vamm.getMarkPrice(),
+      this.vamm.getPriceForTrade(isLong ? size : -size),
+    ]);
+    return {
+      size,
+      fee: tradingFee(size, feeBps),
+      markPrice,
+      expectedPrice,
+      priceImpactBps,
+      ...priceBounds(isLong, expectedPrice, slippageBps),
+    };
+  }
+
+  /**
+   * Opens a position bounded by `slippageBps` around the quoted vAMM price. The trader's vault
+   * balance must already cover collateral plus fee; see depositAndOpen.
+   *
+   * @returns {Promise<{positionId: string, isLong: boolean, collateral: bigint, size: bigint,
+   *   leverage: bigint, entryPrice: bigint, timestamp: number, quote: OpenQuote,
+   *   receipt: import("ethers").TransactionReceipt}>}
+   */
+  async openPosition({ isLong, collateral, leverage, slippageBps = DEFAULT_SLIPPAGE_BPS }) {
+    const quote = await this.quoteOpen({ isLong, collateral, leverage, slippageBps });
+    const tx = await this.positionManager.openPosition(isLong, collateral, leverage, quote.minPrice, quote.maxPrice);
+    const receipt = await tx.wait();
+    const event = parseEvent(receipt, this.positionManager, "PositionOpened");
+    return {
+      positionId: event.positionId,
+      isLong: event.isLong,
+      collateral: event.collateral,
+      size: event.size,
+      leverage: event.leverage,
+      entryPrice: event.entryPrice,
+      timestamp: Number(event.timestamp),
+      quote,
+      receipt,
+    };
+  }
+
+  /**
+   * Tops the trader's vault balance up to collateral plus fee, then opens the position.
+   * Only the shortfall is deposited.
+   *
+   * @returns {Promise<object>} openPosition's result plus `deposited`.
+   */
+  async depositAndOpen({ isLong, collateral, leverage, slippageBps = DEFAULT_SLIPPAGE_BPS }) {
+    const { fee } = await this.quoteOpen({ isLong, collateral, leverage, slippageBps });
+    const required = BigInt(collateral) + fee;
+    const available = await this.availableBalance();
+    const deposited = available < required ? required - available : 0n;
+    if (deposited > 0n) {
+      await this.deposit(deposited);
+    }
+    return { ...(await this.openPosition({ isLong, collateral, leverage, slippageBps })), deposited };
+  }
+
+  /**
+   * Closes a position and returns the realized PnL reported by PositionClosed.
+   *
+   * @returns {Promise<{positionId: string, pnl: bigint, closingPrice: bigint, timestamp: number,
+   *   receipt: import("ethers").TransactionReceipt}>}
+   */
+  async closePosition(positionId) {
+    const receipt = await (await this.positionManager.closePosition(positionId)).wait();
+    const event = parseEvent(receipt, this.positionManager, "PositionClosed");
+    return {
+      positionId,
+      pnl: event.pnl,
+      closingPrice: event.closingPrice,
+      timestamp: Number(event.timestamp),
+      receipt,
+    };
+  }
+
+  /**
+   * @returns {Promise<{positionId: string, amount: bigint, newCollateral: bigint, receipt: import("ethers").TransactionReceipt}>}
+   */
+  async addMargin(positionId, amount) {
+    const receipt = await (await this.positionManager.addMargin(positionId, amount)).wait();
+    const event = parseEvent(receipt, this.positionManager, "MarginAdded");
+    return { positionId, amount: event.amount, newCollateral: event.newCollateral, receipt };
+  }
+
+  /**
+   * @returns {Promise<{positionId: string, amount: bigint, newCollateral: bigint, receipt: import("ethers").TransactionReceipt}>}
+   */
+  async removeMargin(positionId, amount) {
+    const receipt = await (await this.positionManager.removeMargin(positionId, amount)).wait();
+    const event = parseEvent(receipt, this.positionManager, "MarginRemoved");
+    return { positionId, amount: event.amount, newCollateral: event.newCollateral, receipt };
+  }
+
+  /**
+   * @returns {Promise<Position|null>} null when the position does not exist or has been closed.
+   */
+  async getPosition(positionId) {
+    const raw = await this.positionManager.getPosition(positionId);
+    return raw.size === 0n ? null : decodePosition(positionId, raw);
+  }
+
+  async _fundingCalculatorContract() {
+    if (!this._fundingCalculator) {
+      const address = await this.positionManager.fundingCalculator();
+      this._fundingCalculator = new ethers.Contract(address, FUNDING_CALCULATOR_ABI, this.runner);
+    }
+    return this._fundingCalculator;
+  }
+
+  /**
+   * Open positions of `trader` (the signer by default) with their unrealized PnL, accrued funding
+   * and health at the current mark price. PnL and liquidatability are read from PositionManager;
+   * funding and health come from sdk/position-math against one read of the market.
+   *
+   * @returns {Promise<PositionDetails[]>}
+   */
+  async getPositionDetails(trader) {
+    const positions = await this.getPositions(trader);
+    if (positions.length === 0) return [];
+
+    const funding = await this._fundingCalculatorContract();
+    const [markPrice, longFundingIndex, shortFundingIndex, maintenanceMarginBps] = await Promise.all([
+      this.vamm.getMarkPrice(),
+      funding.longFundingIndex(),
+      funding.shortFundingIndex(),
+      this.positionManager.maintenanceMargin(),
+    ]);
+    return Promise.all(
+      positions.map(async (position) => {
+        const market = { markPrice, fundingIndex: position.isLong ? longFundingIndex : shortFundingIndex };
+        const [unrealizedPnl, liquidatable] = await Promise.all([
+          this.positionManager.calculatePnL(position.id),
+          this.positionManager.isPositionLiquidatable(position.id),
+        ]);
+        return {
+          ...position,
+          markPrice,
+          unrealizedPnl,
+          fundingAccrued: calculateFundingPayment(position, market.fundingIndex),
+          healthBps: getPositionHealth(position, market),
+          maintenanceMarginBps,
+          liquidatable,
+        };
+      }),
+    );
+  }
+
+  /**
+   * Open positions of `trader` (the signer by default).
+   * @returns {Promise<Position[]>}
+   */
+  async getPositions(trader) {
+    const ids = await this.positionManager.getUserPositions(trader ?? (await this._trader()));
+    const positions = await Promise.all(ids.map((id) => this.getPosition(id)));
+    return positions.filter(Boolean);
+  }
+}
+
+module.exports = {
+  TradingClient,
+  DEFAULT_SLIPPAGE_BPS,
+  priceBounds,
+  decodePosition,
+  parseEvent,
+};
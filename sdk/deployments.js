@@ -0,0 +1,23 @@
+/**
+ * Node-only helper for reading deployments/<network>.json. Browser bundles should require
+ * sdk/client directly and pass the imported (or fetched) JSON to TradingClient.fromDeployments.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const defaultDeploymentsDir = path.join(__dirname, "..", "deployments");
+
+/**
+ * @param {string} network Network name, e.g. "sepolia" or "localhost".
+ * @param {object} [options]
+ * @param {string} [options.dir] Directory holding the records; defaults to $DEPLOYMENTS_DIR or deployments/.
+ */
+function loadDeployments(network, { dir } = {}) {
+  const file = path.join(dir || process.env.DEPLOYMENTS_DIR || defaultDeploymentsDir, `${network}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deployments recorded for ${network} (${file})`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf-8"));
+}
+
+module.exports = { loadDeployments };
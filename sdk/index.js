@@ -0,0 +1,33 @@
+/**
+ * JavaScript SDK for Inflation Market trading.
+ *
+ *   const { TradingClient, loadDeployments } = require("./sdk");
+ *   const client = TradingClient.fromDeployments(signer, loadDeployments("sepolia"));
+ *   const { positionId } = await client.depositAndOpen({ isLong: true, collateral: 100_000000n, leverage: 5n * 10n ** 18n });
+ *   const { pnl } = await client.closePosition(positionId);
+ */
+const { TradingClient, DEFAULT_SLIPPAGE_BPS, priceBounds, decodePosition, parseEvent } = require("./client");
+const { loadDeployments } = require("./deployments");
+const positionMath = require("./position-math");
+const vammQuoter = require("./vamm-quoter");
+const oracleMath = require("./oracle-math");
+const protocolHealth = require("./protocol-health");
+const tradePreview = require("./trade-preview");
+const amounts = require("./amounts");
+const abi = require("./abi");
+
+module.exports = {
+  TradingClient,
+  DEFAULT_SLIPPAGE_BPS,
+  priceBounds,
+  decodePosition,
+  parseEvent,
+  loadDeployments,
+  positionMath,
+  vammQuoter,
+  oracleMath,
+  protocolHealth,
+  tradePreview,
+  amounts,
+  abi,
+};
@@ -0,0 +1,169 @@
+/**
+ * Off-chain mirror of IndexOracle.updateIndexPrice.
+ *
+ * previewUpdate reproduces the contract's checks in order, so a keeper can tell whether an
+ * update would succeed, and with what price, before sending it:
+ *
+ * 1. UpdateTooSoon when `updateInterval` has not passed since `lastUpdateTime`;
+ * 2. `_fetchLatestIndex`: InvalidPrice for a non-positive feed answer, OracleDataStale when
+ *    either feed's `updatedAt` is older than two update intervals, otherwise
+ *    price = max(treasury - cpi, 0) with both answers scaled to 1e18;
+ * 3. PriceDeviationTooHigh when the new price moves more than `_maxPriceDeviation` bps from the
+ *    current one.
+ *
+ * `_maxPriceDeviation` has no getter, so callers pass it in (the oracle keeper reads it from
+ * storage).
+ */
+
+const BASIS_POINTS = 10000n;
+
+/**
+ * @typedef {object} FeedRound
+ * @property {bigint} answer
+ * @property {bigint} updatedAt
+ * @property {number|bigint} decimals
+ */
+
+/**
+ * @typedef {object} OracleState
+ * @property {bigint} indexPrice Current index price (1e18).
+ * @property {bigint} lastUpdateTime
+ * @property {bigint} updateInterval
+ * @property {bigint} maxDeviationBps
+ * @property {FeedRound} cpi
+ * @property {FeedRound} treasury
+ */
+
+/**
+ * Mirrors `_scaleTo18`.
+ */
+function scaleTo18(value, decimals) {
+  decimals = BigInt(decimals);
+  if (decimals === 18n) return value;
+  if (decimals < 18n) return value * 10n ** (18n - decimals);
+  return value / 10n ** (decimals - 18n);
+}
+
+/**
+ * Mirrors `_isFeedStale`.
+ */
+function isFeedStale(updatedAt, updateInterval, now) {
+  return BigInt(updatedAt) === 0n || BigInt(now) > BigInt(updatedAt) + BigInt(updateInterval) * 2n;
+}
+
+function deviationBps(reference, price) {
+  if (reference === 0n) return 0n;
+  const diff = reference > price ? reference - price : price - reference;
+  return (diff * BASIS_POINTS) / reference;
+}
+
+/**
+ * Mirrors `_fetchLatestIndex`. The price and real yield are computed even when a feed is stale,
+ * so callers can show what the feeds currently say.
+ *
+ * @returns {{price: bigint|null, realYield: bigint|null, revertReason: string|null, staleFeeds: string[]}}
+ */
+function computeIndex({ cpi, treasury, updateInterval }, now) {
+  if (cpi.answer <= 0n || treasury.answer <= 0n) {
+    return { price: null, realYield: null, revertReason: "InvalidPrice", staleFeeds: [] };
+  }
+  const staleFeeds = [
+    ["cpi", cpi],
+    ["treasury", treasury],
+  ]
+    .filter(([, round]) => isFeedStale(round.updatedAt, updateInterval, now))
+    .map(([name]) => name);
+
+  const realYield = scaleTo18(treasury.answer, treasury.decimals) - scaleTo18(cpi.answer, cpi.decimals);
+  return {
+    price: realYield >= 0n ? realYield : 0n,
+    realYield,
+    revertReason: staleFeeds.length > 0 ? "OracleDataStale" : null,
+    staleFeeds,
+  };
+}
+
+/**
+ * Previews updateIndexPrice at block time `now`.
+ *
+ * @param {OracleState} state
+ * @param {bigint|number} now
+ * @returns {{due: boolean, revertReason: string|null, price: bigint|null, realYield: bigint|null, deviationBps: bigint|null, staleFeeds: string[], nextUpdateTime: bigint}}
+ */
+function previewUpdate(state, now) {
+  now = BigInt(now);
+  const nextUpdateTime = state.lastUpdateTime + state.updateInterval;
+  const index = computeIndex(state, now);
+  const deviation = index.price === null || state.indexPrice === 0n ? null : deviationBps(state.indexPrice, index.price);
+  const preview = { due: now >= nextUpdateTime, nextUpdateTime, ...index, deviationBps: deviation };
+
+  if (!preview.due) return { ...preview, revertReason: "UpdateTooSoon" };
+  if (index.revertReason) return preview;
+  if (deviation !== null && deviation > state.maxDeviationBps) {
+    return { ...preview, revertReason: "PriceDeviationTooHigh" };
+  }
+  return preview;
+}
+
+/**
+ * Name of the custom error a contract call reverted with, or null. ethers decodes it as
+ * `error.revert` from JSON-RPC providers; the in-process Hardhat network only gives `error.data`.
+ *
+ * @param {import("ethers").Interface} iface
+ */
+function revertName(iface, error) {
+  if (error.revert?.name) return error.revert.name;
+  try {
+    return (typeof error.data === "string" && iface.parseError(error.data)?.name) || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reads an OracleState from an IndexOracle contract (the SDK's INDEX_ORACLE_ABI or the full
+ * artifact ABI). The current price comes from getTWAP(1), the latest history entry, which unlike
+ * getIndexPrice does not revert once the oracle is stale.
+ *
+ * @param {import("ethers").Contract} indexOracle
+ * @param {object} options
+ * @param {bigint} options.maxDeviationBps
+ * @param {(address: string) => import("ethers").Contract} options.feedAt Aggregator contract factory.
+ * @param {import("ethers").BlockTag} [options.blockTag]
+ * @returns {Promise<OracleState>}
+ */
+async function readOracleState(indexOracle, { maxDeviationBps, feedAt, blockTag }) {
+  const overrides = blockTag === undefined ? {} : { blockTag };
+  const [indexPrice, lastUpdateTime, updateInterval, cpiAddress, treasuryAddress] = await Promise.all([
+    // An oracle with no price history yet reverts OracleDataStale; the contract's price is 0 then.
+    indexOracle.getTWAP(1, overrides).catch((error) => {
+      if (revertName(indexOracle.interface, error) === "OracleDataStale") return 0n;
+      throw error;
+    }),
+    indexOracle.lastUpdateTime(overrides),
+    indexOracle.updateInterval(overrides),
+    indexOracle.cpiDataFeed(overrides),
+    indexOracle.treasuryYieldFeed(overrides),
+  ]);
+
+  const readFeed = async (address) => {
+    const feed = feedAt(address);
+    const [[roundId, answer, , updatedAt], decimals] = await Promise.all([
+      feed.latestRoundData(overrides),
+      feed.decimals(overrides),
+    ]);
+    return { address, roundId, answer, updatedAt, decimals: Number(decimals) };
+  };
+  const [cpi, treasury] = await Promise.all([readFeed(cpiAddress), readFeed(treasuryAddress)]);
+
+  return { indexPrice, lastUpdateTime, updateInterval, maxDeviationBps: BigInt(maxDeviationBps), cpi, treasury };
+}
+
+module.exports = {
+  scaleTo18,
+  isFeedStale,
+  computeIndex,
+  previewUpdate,
+  revertName,
+  readOracleState,
+};
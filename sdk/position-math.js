@@ -0,0 +1,110 @@
+/**
+ * Off-chain mirror of PositionManager's position math.
+ *
+ * Each function reproduces the corresponding Solidity routine step for step with BigInt, so UI
+ * previews match the contract to the wei: BigInt division truncates toward zero exactly like
+ * Solidity's signed and unsigned division. Inputs use the contract's units: sizes and collateral
+ * in collateral token units (1e6 for USDC), prices, leverage and funding indices at 1e18, margins
+ * and fees in basis points.
+ *
+ * Market inputs (mark price, funding index, maintenance margin) are passed in rather than read,
+ * which keeps the module free of any provider dependency.
+ */
+
+const PRECISION = 10n ** 18n;
+const BASIS_POINTS = 10000n;
+
+/**
+ * Notional size for an open: collateral * leverage / PRECISION.
+ */
+function positionSize(collateral, leverage) {
+  return (BigInt(collateral) * BigInt(leverage)) / PRECISION;
+}
+
+/**
+ * Trading fee charged on `size` at open and again at close.
+ */
+function tradingFee(size, tradingFeeBps) {
+  return (BigInt(size) * BigInt(tradingFeeBps)) / BASIS_POINTS;
+}
+
+/**
+ * Mirrors `_calculateFundingPayment`. Positive means the trader owes funding.
+ *
+ * @param {{size: bigint, entryFundingIndex: bigint, isLong: boolean}} position
+ * @param {bigint} fundingIndex Current funding index for the position's side.
+ */
+function calculateFundingPayment(position, fundingIndex) {
+  const indexDelta = BigInt(fundingIndex) - BigInt(position.entryFundingIndex);
+  return (BigInt(position.size) * indexDelta) / PRECISION;
+}
+
+/**
+ * Mirrors `_calculatePnL`: price PnL against the mark price minus accrued funding. Trading fees
+ * are not included, as on-chain.
+ *
+ * @param {{size: bigint, entryPrice: bigint, entryFundingIndex: bigint, isLong: boolean}} position
+ * @param {{markPrice: bigint, fundingIndex: bigint}} market
+ */
+function calculatePnL(position, { markPrice, fundingIndex }) {
+  const entryPrice = BigInt(position.entryPrice);
+  let priceDelta = BigInt(markPrice) - entryPrice;
+  if (!position.isLong) {
+    priceDelta = -priceDelta;
+  }
+
+  const scaledDelta = (priceDelta * PRECISION) / entryPrice;
+  const pnl = (scaledDelta * BigInt(position.size)) / PRECISION;
+  return pnl - calculateFundingPayment(position, fundingIndex);
+}
+
+/**
+ * Mirrors `_calculateLiquidationPrice`. The on-chain subtraction is unchecked; maintenance
+ * margins are bounded well below BASIS_POINTS by setRiskParameters.
+ */
+function calculateLiquidationPrice(entryPrice, leverage, isLong, maintenanceMarginBps) {
+  const lossThreshold = BASIS_POINTS - BigInt(maintenanceMarginBps);
+  const priceChangePercent = (lossThreshold * PRECISION) / BigInt(leverage);
+
+  if (isLong) {
+    return (BigInt(entryPrice) * (PRECISION - priceChangePercent)) / PRECISION;
+  }
+  return (BigInt(entryPrice) * (PRECISION + priceChangePercent)) / PRECISION;
+}
+
+/**
+ * Mirrors `_getPositionHealth`: equity over the notional size, in basis points. Returns 0 for a
+ * position whose losses exceed its collateral.
+ *
+ * @param {{size: bigint, collateral: bigint, entryPrice: bigint, entryFundingIndex: bigint, isLong: boolean}} position
+ * @param {{markPrice: bigint, fundingIndex: bigint}} market
+ */
+function getPositionHealth(position, market) {
+  const equity = BigInt(position.collateral) + calculatePnL(position, market);
+  if (equity <= 0n) return 0n;
+
+  return (equity * BASIS_POINTS) / BigInt(position.size);
+}
+
+/**
+ * Mirrors `isPositionLiquidatable`: an open position whose health is below maintenance margin.
+ *
+ * @param {object} position
+ * @param {{markPrice: bigint, fundingIndex: bigint, maintenanceMarginBps: bigint}} market
+ */
+function isLiquidatable(position, market) {
+  if (BigInt(position.size) === 0n) return false;
+  return getPositionHealth(position, market) < BigInt(market.maintenanceMarginBps);
+}
+
+module.exports = {
+  PRECISION,
+  BASIS_POINTS,
+  positionSize,
+  tradingFee,
+  calculateFundingPayment,
+  calculatePnL,
+  calculateLiquidationPrice,
+  getPositionHealth,
+  isLiquidatable,
+};
@@ -0,0 +1,118 @@
+/**
+ * Protocol health reads for dashboards: index vs mark price, funding, open interest, vault TVL
+ * and the insurance fund.
+ *
+ * Each reader takes a provider (or any ethers ContractRunner) and the contract addresses from a
+ * deployments/<network>.json record, makes only view calls, and returns plain objects with the
+ * raw on-chain values plus a few derived ratios. Units follow the contracts: prices and rates at
+ * 1e18, amounts in collateral token units, ratios in basis points.
+ */
+const { ethers } = require("ethers");
+const { INDEX_ORACLE_ABI, VAMM_ABI, FUNDING_CALCULATOR_ABI, VAULT_ABI, LIQUIDATOR_ABI } = require("./abi");
+const { BASIS_POINTS } = require("./position-math");
+const { revertName } = require("./oracle-math");
+
+function contract(addresses, key, abi, runner) {
+  if (!addresses || !ethers.isAddress(addresses[key])) {
+    throw new Error(`Missing or invalid ${key} address`);
+  }
+  return new ethers.Contract(addresses[key], abi, runner);
+}
+
+// part / whole in basis points, or null when whole is zero.
+function ratioBps(part, whole) {
+  return whole === 0n ? null : (part * BASIS_POINTS) / whole;
+}
+
+/**
+ * Index price against the vAMM mark price. When the oracle is stale getIndexPrice reverts, so
+ * the last recorded price (getTWAP(1)) is returned with `stale: true` instead.
+ *
+ * @returns {Promise<{indexPrice: bigint, markPrice: bigint, deviationBps: bigint, stale: boolean,
+ *   lastUpdateTime: number}>} deviationBps is (mark - index) / index, negative below the index.
+ */
+async function readIndexPrice(runner, addresses) {
+  const oracle = contract(addresses, "indexOracle", INDEX_ORACLE_ABI, runner);
+  const vamm = contract(addresses, "vamm", VAMM_ABI, runner);
+
+  const [index, markPrice, lastUpdateTime] = await Promise.all([
+    oracle.getIndexPrice().then(
+      (price) => ({ price, stale: false }),
+      async (error) => {
+        if (revertName(oracle.interface, error) !== "OracleDataStale") throw error;
+        return { price: await oracle.getTWAP(1), stale: true };
+      },
+    ),
+    vamm.getMarkPrice(),
+    oracle.lastUpdateTime(),
+  ]);
+  return {
+    indexPrice: index.price,
+    markPrice,
+    deviationBps: ratioBps(markPrice - index.price, index.price) ?? 0n,
+    stale: index.stale,
+    lastUpdateTime: Number(lastUpdateTime),
+  };
+}
+
+/**
+ * Current funding rate per interval and its annualized value from getFundingRateAPR, both at
+ * 1e18 (positive: longs pay shorts).
+ *
+ * @returns {Promise<{rate: bigint, apr: bigint, fundingInterval: number, lastFundingTime: number,
+ *   nextFundingTime: number}>}
+ */
+async function readFundingRate(runner, addresses) {
+  const funding = contract(addresses, "fundingCalculator", FUNDING_CALCULATOR_ABI, runner);
+  const [rate, apr, fundingInterval, lastFundingTime] = await Promise.all([
+    funding.currentFundingRate(),
+    funding.getFundingRateAPR(),
+    funding.fundingInterval(),
+    funding.lastFundingTime(),
+  ]);
+  return {
+    rate,
+    apr,
+    fundingInterval: Number(fundingInterval),
+    lastFundingTime: Number(lastFundingTime),
+    nextFundingTime: Number(lastFundingTime + fundingInterval),
+  };
+}
+
+/**
+ * Long and short open interest as tracked by the vAMM (gross per side, as FundingRateCalculator tracks it).
+ *
+ * @returns {Promise<{long: bigint, short: bigint, total: bigint, longShareBps: bigint|null}>}
+ */
+async function readOpenInterest(runner, addresses) {
+  const vamm = contract(addresses, "vamm", VAMM_ABI, runner);
+  const [long, short] = await Promise.all([vamm.totalLongOpenInterest(), vamm.totalShortOpenInterest()]);
+  return { long, short, total: long + short, longShareBps: ratioBps(long, long + short) };
+}
+
+/**
+ * Vault TVL (collateral held) and the part of it not locked by open positions.
+ *
+ * @returns {Promise<{totalAssets: bigint, availableLiquidity: bigint, utilizationBps: bigint|null}>}
+ */
+async function readVaultTvl(runner, addresses) {
+  const vault = contract(addresses, "vault", VAULT_ABI, runner);
+  const [totalAssets, availableLiquidity] = await Promise.all([vault.getTotalAssets(), vault.getAvailableLiquidity()]);
+  return { totalAssets, availableLiquidity, utilizationBps: ratioBps(totalAssets - availableLiquidity, totalAssets) };
+}
+
+/**
+ * @returns {Promise<{balance: bigint}>} The Liquidator's insurance fund balance.
+ */
+async function readInsuranceFund(runner, addresses) {
+  const liquidator = contract(addresses, "liquidator", LIQUIDATOR_ABI, runner);
+  return { balance: await liquidator.insuranceFundBalance() };
+}
+
+module.exports = {
+  readIndexPrice,
+  readFundingRate,
+  readOpenInterest,
+  readVaultTvl,
+  readInsuranceFund,
+};
@@ -0,0 +1,199 @@
+/**
+ * Open-position preview for trade tickets.
+ *
+ * `readTradeContext` gathers everything an open depends on in one round of reads: vAMM state,
+ * fee and risk parameters, PositionManager's hard limits and the trader's balances. The pure
+ * `previewOpen` then prices a ticket against that context on every keystroke without touching
+ * the chain, using the same off-chain mirrors as the rest of the SDK (vamm-quoter for the trade,
+ * position-math for fee and liquidation price), and reports each check openPosition would fail
+ * as a validation error named after the contract's custom error.
+ */
+const { ethers } = require("ethers");
+const { VAMM_ABI } = require("./abi");
+const { priceBounds } = require("./client");
+const { BASIS_POINTS, positionSize, tradingFee, calculateLiquidationPrice } = require("./position-math");
+const { readVammState, quoteTrade } = require("./vamm-quoter");
+
+/**
+ * @typedef {object} TradeContext
+ * @property {import("./vamm-quoter").VammState} vamm
+ * @property {bigint} tradingFeeBps
+ * @property {bigint} maintenanceMarginBps
+ * @property {bigint} minCollateral
+ * @property {bigint} minLeverage MIN_LEVERAGE, 1e18 = 1x.
+ * @property {bigint} maxLeverage
+ * @property {bigint} maxPositionSize MAX_POSITION_SIZE, in collateral units.
+ * @property {bigint} maxPositionsPerUser MAX_POSITIONS_PER_USER.
+ * @property {bigint} openPositions The trader's current position count.
+ * @property {bigint} available Trader's unlocked vault balance.
+ * @property {bigint} walletBalance Trader's collateral token balance outside the vault.
+ * @property {bigint} allowance Collateral token allowance granted to the vault.
+ * @property {number} decimals Collateral token decimals.
+ */
+
+/**
+ * @typedef {object} ValidationError
+ * @property {"collateral"|"leverage"|"slippage"|"size"|"account"|"market"} field Ticket input the error belongs to.
+ * @property {string} code Contract custom error name, or InsufficientWalletBalance/InvalidSlippage.
+ * @property {string} message
+ */
+
+/**
+ * @typedef {object} OpenPreview
+ * @property {bigint} size
+ * @property {bigint} fee
+ * @property {bigint} entryPrice Mark price the position opens at: the vAMM mark after its own trade.
+ * @property {bigint} expectedPrice Same as entryPrice; the price openPosition's slippage bounds apply to.
+ * @property {bigint} priceImpactBps
+ * @property {bigint} minPrice openPosition bounds from the slippage tolerance (0n/MaxUint256 when invalid).
+ * @property {bigint} maxPrice
+ * @property {bigint} liquidationPrice
+ * @property {bigint} required Collateral plus fee the vault balance must cover.
+ * @property {bigint} deposit Shortfall to deposit from the wallet first.
+ * @property {bigint} approval Allowance to grant the vault before that deposit, or 0n.
+ * @property {ValidationError[]} errors
+ * @property {boolean} valid
+ */
+
+/**
+ * Reads the TradeContext for `trader` through a TradingClient.
+ *
+ * @param {import("./client").TradingClient} client
+ * @param {string} trader
+ * @returns {Promise<TradeContext>}
+ */
+async function readTradeContext(client, trader) {
+  const { positionManager } = client;
+  const token = await client.collateralToken();
+  const vamm = new ethers.Contract(client.addresses.vamm, VAMM_ABI, client.runner);
+  const [vammState, tradingFeeBps, maintenanceMarginBps, minCollateral, minLeverage, maxLeverage, maxPositionSize, maxPositionsPerUser, positions, balances, walletBalance, allowance, decimals] =
+    await Promise.all([
+      readVammState(vamm),
+      positionManager.tradingFee(),
+      positionManager.maintenanceMargin(),
+      positionManager.minCollateral(),
+      positionManager.MIN_LEVERAGE(),
+      positionManager.maxLeverage(),
+      positionManager.MAX_POSITION_SIZE(),
+      positionManager.MAX_POSITIONS_PER_USER(),
+      positionManager.getUserPositions(trader),
+      client.balances(trader),
+      token.balanceOf(trader),
+      token.allowance(trader, client.addresses.vault),
+      token.decimals(),
+    ]);
+  return {
+    vamm: vammState,
+    tradingFeeBps,
+    maintenanceMarginBps,
+    minCollateral,
+    minLeverage,
+    maxLeverage,
+    maxPositionSize,
+    maxPositionsPerUser,
+    openPositions: BigInt(positions.length),
+    available: balances.available,
+    walletBalance,
+    allowance,
+    decimals: Number(decimals),
+  };
+}
+
+function checkOpen(context, { collateral, leverage, size }) {
+  const format = (amount) => ethers.formatUnits(amount, context.decimals);
+  const errors = [];
+  if (context.openPositions >= context.maxPositionsPerUser) {
+    errors.push({
+      field: "account",
+      code: "TooManyPositions",
+      message: `Accounts can hold at most ${context.maxPositionsPerUser} positions; close one first.`,
+    });
+  }
+  if (collateral < context.minCollateral) {
+    errors.push({ field: "collateral", code: "InsufficientCollateral", message: `Minimum collateral is ${format(context.minCollateral)}.` });
+  }
+  if (leverage < context.minLeverage || leverage > context.maxLeverage) {
+    errors.push({
+      field: "leverage",
+      code: "InvalidLeverage",
+      message: `Leverage must be between ${ethers.formatEther(context.minLeverage)}x and ${ethers.formatEther(context.maxLeverage)}x.`,
+    });
+  }
+  if (size > context.maxPositionSize) {
+    errors.push({ field: "size", code: "PositionTooLarge", message: `Position size is capped at ${format(context.maxPositionSize)}.` });
+  }
+  return errors;
+}
+
+/**
+ * Prices an open against `context`. Never throws for an invalid ticket; see `errors`.
+ *
+ * @param {TradeContext} context
+ * @param {{isLong: boolean, collateral: bigint, leverage: bigint, slippageBps: bigint|number}} ticket
+ * @returns {OpenPreview}
+ */
+function previewOpen(context, { isLong, collateral, leverage, slippageBps }) {
+  collateral = BigInt(collateral);
+  leverage = BigInt(leverage);
+  const size = positionSize(collateral, leverage);
+  const fee = tradingFee(size, context.tradingFeeBps);
+  const errors = checkOpen(context, { collateral, leverage, size });
+
+  let expectedPrice = context.vamm.lastMarkPrice;
+  let priceImpactBps = 0n;
+  if (size > 0n) {
+    const quote = quoteTrade(context.vamm, isLong ? size : -size);
+    expectedPrice = quote.markAfter;
+    priceImpactBps = quote.priceImpactBps;
+    if (quote.revertReason) {
+      errors.push({
+        field: "market",
+        code: quote.revertReason,
+        message:
+          quote.revertReason === "PriceImpactTooHigh"
+            ? `Price impact exceeds the vAMM's ${Number(context.vamm.maxPriceImpactBps) / 100}% limit; reduce size.`
+            : `The vAMM cannot fill this trade (${quote.revertReason}).`,
+      });
+    }
+  }
+
+  const required = collateral + fee;
+  const deposit = required > context.available ? required - context.available : 0n;
+  const approval = deposit > 0n && context.allowance < deposit ? deposit : 0n;
+  if (deposit > context.walletBalance) {
+    errors.push({
+      field: "collateral",
+      code: "InsufficientWalletBalance",
+      message: `Needs ${ethers.formatUnits(deposit, context.decimals)} more in the vault but the wallet holds ${ethers.formatUnits(context.walletBalance, context.decimals)}.`,
+    });
+  }
+
+  const tolerance = BigInt(slippageBps);
+  let bounds = { minPrice: 0n, maxPrice: ethers.MaxUint256 };
+  if (tolerance < 0n || tolerance > BASIS_POINTS) {
+    errors.push({ field: "slippage", code: "InvalidSlippage", message: "Slippage tolerance must be between 0% and 100%." });
+  } else {
+    bounds = priceBounds(isLong, expectedPrice, tolerance);
+  }
+
+  const valid = errors.length === 0;
+  return {
+    size,
+    fee,
+    entryPrice: expectedPrice,
+    expectedPrice,
+    priceImpactBps,
+    ...bounds,
+    liquidationPrice: leverage > 0n ? calculateLiquidationPrice(expectedPrice, leverage, isLong, context.maintenanceMarginBps) : 0n,
+    required,
+    deposit,
+    approval,
+    errors,
+    valid,
+  };
+}
+
+module.exports = {
+  readTradeContext,
+  previewOpen,
+};
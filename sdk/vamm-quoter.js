@@ -0,0 +1,236 @@
+/**
+ * Off-chain vAMM trade quoter.
+ *
+ * Reproduces vAMM.sol's constant-product bookkeeping with BigInt so a frontend or bot can show
+ * the execution details of a trade, and whether it would revert, before sending it:
+ *
+ * - a long (size > 0) adds `size` to the quote reserve and takes base out;
+ * - a short (size < 0) adds `|size|` to the base reserve and takes quote out;
+ * - the out-side reserve is `k / in-side reserve`, rounded down, and k itself is unchanged by
+ *   trades (only rebalanceToIndex resets it);
+ * - updateReserves reverts with PriceImpactTooHigh when the new mark moves more than
+ *   maxPriceImpact bps away from `lastMarkPrice`, and _previewReserves reverts with
+ *   InsufficientLiquidity when rounding leaves the out-side reserve unchanged.
+ *
+ * `size` is the signed amount PositionManager passes to updateReserves (the position's notional
+ * in collateral units). Prices carry 1e18 precision.
+ */
+
+const PRECISION = 10n ** 18n;
+const BASIS_POINTS = 10000n;
+// updateReserves takes an int256, which bounds the search in maxTradeSize.
+const MAX_TRADE_SIZE = 2n ** 255n - 1n;
+
+/**
+ * @typedef {object} VammState
+ * @property {bigint} baseReserve
+ * @property {bigint} quoteReserve
+ * @property {bigint} k
+ * @property {bigint} lastMarkPrice Reference price for the max impact check in updateReserves.
+ * @property {bigint} maxPriceImpactBps
+ */
+
+/**
+ * @typedef {object} TradeQuote
+ * @property {bigint} size Signed trade size.
+ * @property {boolean} isLong
+ * @property {bigint} markBefore
+ * @property {bigint} markAfter
+ * @property {bigint} averagePrice Quote per base actually exchanged, 1e18 precision.
+ * @property {bigint} baseAmount Base taken out (long) or put in (short).
+ * @property {bigint} quoteAmount Quote put in (long) or taken out (short).
+ * @property {bigint} priceImpactBps Impact as reported by getPriceForTrade (against the current mark).
+ * @property {bigint} executionImpactBps Impact as checked by updateReserves (against lastMarkPrice).
+ * @property {bigint} newBaseReserve
+ * @property {bigint} newQuoteReserve
+ * @property {string|null} revertReason vAMM custom error the trade would revert with, if any.
+ */
+
+class VammQuoteError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = "VammQuoteError";
+    this.reason = reason;
+  }
+}
+
+/**
+ * Reads the reserves and limits a quote depends on from a vAMM contract (an ethers Contract with
+ * the SDK's VAMM_ABI or the full artifact ABI).
+ *
+ * @returns {Promise<VammState>}
+ */
+async function readVammState(vamm, { blockTag } = {}) {
+  const overrides = blockTag === undefined ? {} : { blockTag };
+  const [baseReserve, quoteReserve, k, lastMarkPrice, maxPriceImpactBps] = await Promise.all([
+    vamm.virtualBaseAssetReserve(overrides),
+    vamm.virtualQuoteAssetReserve(overrides),
+    vamm.k(overrides),
+    vamm.lastMarkPrice(overrides),
+    vamm.maxPriceImpact(overrides),
+  ]);
+  return { baseReserve, quoteReserve, k, lastMarkPrice, maxPriceImpactBps };
+}
+
+/**
+ * Mirrors getMarkPrice.
+ */
+function markPrice({ baseReserve, quoteReserve }) {
+  if (baseReserve === 0n) {
+    throw new VammQuoteError("InvalidReserves", "vAMM base reserve is zero");
+  }
+  return (quoteReserve * PRECISION) / baseReserve;
+}
+
+function impactBps(reference, price) {
+  if (reference === 0n) return 0n;
+  const diff = reference > price ? reference - price : price - reference;
+  return (diff * BASIS_POINTS) / reference;
+}
+
+/**
+ * Mirrors _previewReserves. Throws VammQuoteError("InsufficientLiquidity") where the contract reverts.
+ */
+function previewReserves(state, size) {
+  size = BigInt(size);
+  if (size > 0n) {
+    const newQuote = state.quoteReserve + size;
+    const newBase = state.k / newQuote;
+    if (newBase >= state.baseReserve) {
+      throw new VammQuoteError("InsufficientLiquidity", `Long of ${size} does not move the base reserve`);
+    }
+    return { newBase, newQuote };
+  }
+  const newBase = state.baseReserve - size;
+  const newQuote = state.k / newBase;
+  if (newQuote >= state.quoteReserve) {
+    throw new VammQuoteError("InsufficientLiquidity", `Short of ${-size} does not move the quote reserve`);
+  }
+  return { newBase, newQuote };
+}
+
+/**
+ * Quotes a signed trade against `state`. Never throws for a trade the vAMM would reject; the
+ * outcome is reported in `revertReason` instead.
+ *
+ * @param {VammState} state
+ * @param {bigint} size Positive for a long, negative for a short.
+ * @returns {TradeQuote}
+ */
+function quoteTrade(state, size) {
+  size = BigInt(size);
+  if (size === 0n) {
+    throw new RangeError("Trade size must be non-zero");
+  }
+  const isLong = size > 0n;
+  const markBefore = markPrice(state);
+  const quote = { size, isLong, markBefore };
+
+  let reserves;
+  try {
+    reserves = previewReserves(state, size);
+    if (reserves.newBase === 0n) {
+      // getPriceForTrade reverts here; updateReserves fails dividing by the empty reserve.
+      throw new VammQuoteError("InvalidReserves", `Long of ${size} drains the base reserve`);
+    }
+  } catch (error) {
+    if (!(error instanceof VammQuoteError)) throw error;
+    return {
+      ...quote,
+      markAfter: markBefore,
+      averagePrice: 0n,
+      baseAmount: 0n,
+      quoteAmount: 0n,
+      priceImpactBps: 0n,
+      executionImpactBps: 0n,
+      newBaseReserve: state.baseReserve,
+      newQuoteReserve: state.quoteReserve,
+      revertReason: error.reason,
+    };
+  }
+
+  const { newBase, newQuote } = reserves;
+  const markAfter = (newQuote * PRECISION) / newBase;
+  const baseAmount = isLong ? state.baseReserve - newBase : newBase - state.baseReserve;
+  const quoteAmount = isLong ? newQuote - state.quoteReserve : state.quoteReserve - newQuote;
+  const executionImpactBps = impactBps(state.lastMarkPrice, markAfter);
+
+  return {
+    ...quote,
+    markAfter,
+    averagePrice: (quoteAmount * PRECISION) / baseAmount,
+    baseAmount,
+    quoteAmount,
+    priceImpactBps: impactBps(markBefore, markAfter),
+    executionImpactBps,
+    newBaseReserve: newBase,
+    newQuoteReserve: newQuote,
+    revertReason: executionImpactBps > state.maxPriceImpactBps ? "PriceImpactTooHigh" : null,
+  };
+}
+
+/**
+ * Returns the state after updateReserves(size), for simulating a sequence of trades. Throws
+ * VammQuoteError when the trade would revert.
+ *
+ * @returns {VammState}
+ */
+function applyTrade(state, size) {
+  const quote = quoteTrade(state, size);
+  if (quote.revertReason) {
+    throw new VammQuoteError(quote.revertReason, `Trade of ${size} would revert with ${quote.revertReason}`);
+  }
+  return {
+    ...state,
+    baseReserve: quote.newBaseReserve,
+    quoteReserve: quote.newQuoteReserve,
+    lastMarkPrice: quote.markAfter,
+  };
+}
+
+/**
+ * Largest trade size (unsigned) in the given direction that updateReserves accepts, or 0n if
+ * none is. Impact grows monotonically with size, so this is an exact binary search on the
+ * mirrored contract arithmetic.
+ *
+ * @param {VammState} state
+ * @param {boolean} isLong
+ */
+function maxTradeSize(state, isLong) {
+  const accepts = (size) => quoteTrade(state, isLong ? size : -size).revertReason === null;
+
+  // The smallest sizes can round into InsufficientLiquidity, so find an accepted size first.
+  let low = 1n;
+  while (!accepts(low)) {
+    low *= 2n;
+    if (low > MAX_TRADE_SIZE) return 0n;
+  }
+  let high = low * 2n;
+  while (high <= MAX_TRADE_SIZE && accepts(high)) {
+    low = high;
+    high *= 2n;
+  }
+  if (high > MAX_TRADE_SIZE) {
+    if (accepts(MAX_TRADE_SIZE)) return MAX_TRADE_SIZE;
+    high = MAX_TRADE_SIZE;
+  }
+  while (high - low > 1n) {
+    const mid = (low + high) / 2n;
+    if (accepts(mid)) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+module.exports = {
+  VammQuoteError,
+  readVammState,
+  markPrice,
+  previewReserves,
+  quoteTrade,
+  applyTrade,
+  maxTradeSize,
+};
@@ -0,0 +1,160 @@
+import React from 'react';
+import { formatUnits } from 'ethers';
+import { Activity, AlertTriangle, Landmark, Percent, Scale, ShieldCheck } from 'lucide-react';
+import { Card } from '../ui/primitives';
+import {
+  useFundingRate,
+  useIndexPrice,
+  useInsuranceFund,
+  useOpenInterest,
+  useVaultTvl,
+} from '../../hooks/useProtocolHealth';
+
+// Every card takes the same props: an ethers provider, the deployments/<network>.json record,
+// the collateral token decimals (USDC: 6) and the hook poll interval.
+const USDC_DECIMALS = 6;
+
+const formatAmount = (value, decimals) =>
+  Number(formatUnits(value, decimals)).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+const formatPrice = (wad) =>
+  Number(formatUnits(wad, 18)).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 4 });
+
+const formatBps = (bps, signed = false) => {
+  if (bps === null) return '—';
+  const text = `${(Number(bps) / 100).toFixed(2)}%`;
+  return signed && bps > 0n ? `+${text}` : text;
+};
+
+// 1e18-scaled fraction -> percent.
+const formatRate = (wad, digits = 4) => {
+  const percent = Number(formatUnits(wad, 18)) * 100;
+  return `${percent > 0 ? '+' : ''}${percent.toFixed(digits)}%`;
+};
+
+const HealthCard = ({ title, icon: Icon, query, children }) => (
+  <Card className="space-y-4">
+    <div className="flex items-center justify-between">
+      <h3 className="text-sm font-semibold text-[var(--im-muted)] flex items-center gap-2">
+        <Icon className="w-4 h-4 text-[var(--im-accent)]" />
+        {title}
+      </h3>
+      {query.error && (
+        <span className="text-xs text-[var(--im-danger)] flex items-center gap-1" role="status" title={query.error.message}>
+          <AlertTriangle className="w-3 h-3" />
+          {query.data ? 'Stale' : 'Unavailable'}
+        </span>
+      )}
+    </div>
+    {query.data ? children(query.data) : <div className="h-16 rounded-[var(--im-radius-lg)] bg-[var(--im-surface)] animate-pulse" />}
+  </Card>
+);
+
+const Stat = ({ label, value, tone = 'text-[var(--im-text)]' }) => (
+  <div>
+    <div className="text-xs text-[var(--im-subtle)]">{label}</div>
+    <div className={`text-lg font-bold ${tone}`}>{value}</div>
+  </div>
+);
+
+export const IndexPriceCard = ({ provider, addresses, pollInterval }) => {
+  const query = useIndexPrice(provider, addresses, { pollInterval });
+  return (
+    <HealthCard title="Index vs Mark" icon={Activity} query={query}>
+      {({ indexPrice, markPrice, deviationBps, stale }) => (
+        <div className="grid grid-cols-3 gap-4">
+          <Stat label={stale ? 'Index (stale)' : 'Index'} value={formatPrice(indexPrice)} tone={stale ? 'text-[var(--im-danger)]' : 'text-[var(--im-text)]'} />
+          <Stat label="Mark" value={formatPrice(markPrice)} />
+          <Stat
+            label="Deviation"
+            value={formatBps(deviationBps, true)}
+            tone={deviationBps > 100n || deviationBps < -100n ? 'text-[var(--im-warning)]' : 'text-[var(--im-muted)]'}
+          />
+        </div>
+      )}
+    </HealthCard>
+  );
+};
+
+export const FundingRateCard = ({ provider, addresses, pollInterval }) => {
+  const query = useFundingRate(provider, addresses, { pollInterval });
+  return (
+    <HealthCard title="Funding Rate" icon={Percent} query={query}>
+      {({ rate, apr, nextFundingTime }) => (
+        <div className="grid grid-cols-3 gap-4">
+          <Stat label="Current" value={formatRate(rate)} tone={rate > 0n ? 'text-[var(--im-success)]' : rate < 0n ? 'text-[var(--im-danger)]' : 'text-[var(--im-text)]'} />
+          <Stat label="APR" value={formatRate(apr, 2)} />
+          <Stat label="Next update" value={new Date(nextFundingTime * 1000).toLocaleTimeString()} tone="text-[var(--im-muted)]" />
+        </div>
+      )}
+    </HealthCard>
+  );
+};
+
+export const OpenInterestBar = ({ provider, addresses, decimals = USDC_DECIMALS, pollInterval }) => {
+  const query = useOpenInterest(provider, addresses, { pollInterval });
+  return (
+    <HealthCard title="Open Interest" icon={Scale} query={query}>
+      {({ long, short, longShareBps }) => {
+        const longPercent = longShareBps === null ? 50 : Number(longShareBps) / 100;
+        return (
+          <div className="space-y-2">
+            <div
+              className="flex h-3 rounded-full overflow-hidden bg-[var(--im-surface-hover)]"
+              role="meter"
+              aria-label="Long share of open interest"
+              aria-valuemin={0}
+              aria-valuemax={100}
+              aria-valuenow={longPercent}
+            >
+              {longShareBps !== null && (
+                <>
+                  <div className="bg-[var(--im-success)]" style={{ width: `${longPercent}%` }} />
+                  <div className="bg-[var(--im-danger)] flex-1" />
+                </>
+              )}
+            </div>
+            <div className="flex justify-between text-sm">
+              <span className="text-[var(--im-success)]">Long {formatAmount(long, decimals)} ({formatBps(longShareBps)})</span>
+              <span className="text-[var(--im-danger)]">Short {formatAmount(short, decimals)}</span>
+            </div>
+          </div>
+        );
+      }}
+    </HealthCard>
+  );
+};
+
+export const VaultTvlCard = ({ provider, addresses, decimals = USDC_DECIMALS, pollInterval }) => {
+  const query = useVaultTvl(provider, addresses, { pollInterval });
+  return (
+    <HealthCard title="Vault TVL" icon={Landmark} query={query}>
+      {({ totalAssets, availableLiquidity, utilizationBps }) => (
+        <div className="grid grid-cols-3 gap-4">
+          <Stat label="Total assets" value={formatAmount(totalAssets, decimals)} />
+          <Stat label="Available" value={formatAmount(availableLiquidity, decimals)} tone="text-[var(--im-muted)]" />
+          <Stat label="Utilization" value={formatBps(utilizationBps)} tone="text-[var(--im-muted)]" />
+        </div>
+      )}
+    </HealthCard>
+  );
+};
+
+export const InsuranceFundCard = ({ provider, addresses, decimals = USDC_DECIMALS, pollInterval }) => {
+  const query = useInsuranceFund(provider, addresses, { pollInterval });
+  return (
+    <HealthCard title="Insurance Fund" icon={ShieldCheck} query={query}>
+      {({ balance }) => <Stat label="Balance" value={formatAmount(balance, decimals)} />}
+    </HealthCard>
+  );
+};
+
+export const ProtocolHealthDashboard = (props) => (
+  <div className="grid gap-4 md:grid-cols-2 xl:grid-cols-3">
+    <IndexPriceCard {...props} />
+    <FundingRateCard {...props} />
+    <OpenInterestBar {...props} />
+    <VaultTvlCard {...props} />
+    <InsuranceFundCard {...props} />
+  </div>
+);
@@ -1,23 +1,34 @@
-import React, { createContext, useContext, useState } from 'react';
-import { Check, Info, XCircle } from 'lucide-react';
+import React, { createContext, useCallback, useContext, useMemo, useRef, useState } from 'react';
+import { Check, Info, TriangleAlert, X, XCircle } from 'lucide-react';
+import { focusRing } from '../ui/theme';
 
 const ToastContext = createContext(null);
 
-export const ToastProvider = ({ children }) => {
-  const [toasts, setToasts] = useState([]);
+const DEFAULT_DURATION = 4000;
 
-  const addToast = (message, type = 'info') => {
-    const id = Date.now();
-    setToasts((prev) => [...prev, { id, message, type }]);
-    setTimeout(() => removeToast(id), 4000);
-  };
+export const ToastProvider = ({ children, duration = DEFAULT_DURATION }) => {
+  const [toasts, setToasts] = useState([]);
+  const nextId = useRef(0);
 
-  const removeToast = (id) => {
+  const removeToast = useCallback((id) => {
     setToasts((prev) => prev.filter((toast) => toast.id !== id));
-  };
+  }, []);
+
+  // Errors stay until dismissed; everything else times out after `duration` ms.
+  const addToast = useCallback(
+    (message, type = 'info') => {
+      const id = ++nextId.current;
+      setToasts((prev) => [...prev, { id, message, type }]);
+      if (type !== 'error') setTimeout(() => removeToast(id), duration);
+      return id;
+    },
+    [duration, removeToast],
+  );
+
+  const value = useMemo(() => ({ addToast, removeToast }), [addToast, removeToast]);
 
   return (
-    <ToastContext.Provider value={{ addToast }}>
+    <ToastContext.Provider value={value}>
       {children}
       <ToastContainer toasts={toasts} onClose={removeToast} />
     </ToastContext.Provider>
@@ -32,37 +43,58 @@ export const useToast = () => {
   return context;
 };
 
+// The live regions are always mounted, so the first toast is announced too: errors and warnings
+// interrupt (role="alert"), the rest wait their turn (role="status").
 const ToastContainer = ({ toasts, onClose }) => {
-  if (toasts.length === 0) return null;
+  const urgent = toasts.filter((toast) => toast.type === 'error' || toast.type === 'warning');
+  const polite = toasts.filter((toast) => toast.type !== 'error' && toast.type !== 'warning');
 
   return (
-    <div className="fixed top-4 right-4 z-50 space-y-2">
-      {toasts.map((toast) => (
-        <Toast key={toast.id} {...toast} onClose={() => onClose(toast.id)} />
-      ))}
+    <div className="fixed top-4 right-4 z-50 space-y-2 w-80">
+      <div role="alert" className="space-y-2">
+        {urgent.map((toast) => (
+          <Toast key={toast.id} {...toast} onClose={() => onClose(toast.id)} />
+        ))}
+      </div>
+      <div role="status" aria-live="polite" className="space-y-2">
+        {polite.map((toast) => (
+          <Toast key={toast.id} {...toast} onClose={() => onClose(toast.id)} />
+        ))}
+      </div>
     </div>
   );
 };
 
-const Toast = ({ message, type, onClose }) => {
-  const icons = {
-    success: <Check className="w-5 h-5 text-green-500" />,
-    error: <XCircle className="w-5 h-5 text-red-500" />,
-    info: <Info className="w-5 h-5 text-blue-500" />,
-  };
+const icons = {
+  success: Check,
+  error: XCircle,
+  warning: TriangleAlert,
+  info: Info,
+};
+
+const colors = {
+  success: 'border-[var(--im-success)] text-[var(--im-success)]',
+  error: 'border-[var(--im-danger)] text-[var(--im-danger)]',
+  warning: 'border-[var(--im-warning)] text-[var(--im-warning)]',
+  info: 'border-[var(--im-info)] text-[var(--im-info)]',
+};
 
-  const colors = {
-    success: 'bg-green-500/10 border-green-500/30',
-    error: 'bg-red-500/10 border-red-500/30',
-    info: 'bg-blue-500/10 border-blue-500/30',
-  };
+export const Toast = ({ message, type, onClose }) => {
+  const Icon = icons[type] ?? icons.info;
 
   return (
-    <div className={`border px-4 py-3 rounded-lg flex items-center gap-3 text-sm text-white ${colors[type]}`}>
-      {icons[type] ?? icons.info}
-      <span className="flex-1">{message}</span>
-      <button onClick={onClose} className="text-gray-400 hover:text-white transition">
-        ✕
+    <div
+      className={`border bg-[var(--im-panel)] px-4 py-3 rounded-[var(--im-radius-md)] flex items-center gap-3 text-sm ${colors[type] ?? colors.info}`}
+    >
+      <Icon className="w-5 h-5 shrink-0" aria-hidden="true" />
+      <span className="flex-1 text-[var(--im-text)]">{message}</span>
+      <button
+        type="button"
+        onClick={onClose}
+        aria-label="Dismiss notification"
+        className={`rounded text-[var(--im-muted)] hover:text-[var(--im-text)] transition ${focusRing}`}
+      >
+        <X className="w-4 h-4" aria-hidden="true" />
       </button>
     </div>
   );
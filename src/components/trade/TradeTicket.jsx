@@ -0,0 +1,179 @@
+import React, { useMemo, useState } from 'react';
+import { formatUnits } from 'ethers';
+import { AlertTriangle, TrendingDown, TrendingUp } from 'lucide-react';
+import { Button, Card } from '../ui/primitives';
+import { NumericInput } from '../ui/NumericInput';
+import { useToast } from '../toast/ToastProvider';
+import { usePolledRead } from '../../hooks/useProtocolHealth';
+import { previewOpen, readTradeContext } from '../../../sdk/trade-preview';
+
+const SLIPPAGE_PRESETS = [10, 50, 100];
+const DEFAULT_SLIPPAGE_BPS = 50;
+// The slider steps in tenths of a leverage unit; 1e17 wad each.
+const LEVERAGE_STEP = 10n ** 17n;
+
+const formatAmount = (value, decimals) =>
+  Number(formatUnits(value, decimals)).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+const formatPrice = (wad) =>
+  Number(formatUnits(wad, 18)).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 4 });
+
+const formatBps = (bps) => `${(Number(bps) / 100).toFixed(2)}%`;
+
+const FieldError = ({ errors, field }) =>
+  errors
+    .filter((error) => error.field === field)
+    .map((error) => (
+      <div key={error.code} className="text-xs text-[var(--im-danger)] mt-1 flex items-center gap-1" role="alert">
+        <AlertTriangle className="w-3 h-3" />
+        {error.message}
+      </div>
+    ));
+
+const PreviewRow = ({ label, value, tone = 'text-[var(--im-text)]' }) => (
+  <div className="flex justify-between text-sm">
+    <span className="text-[var(--im-subtle)]">{label}</span>
+    <span className={tone}>{value}</span>
+  </div>
+);
+
+/**
+ * Open-position ticket: side, USDC collateral, leverage and slippage, with a live preview priced
+ * off-chain by sdk/trade-preview against a polled TradeContext. `client` is a TradingClient
+ * connected to the trader's signer; `onOpened` receives depositAndOpen's result.
+ */
+export const TradeTicket = ({ client, account, pollInterval, onOpened }) => {
+  const { addToast } = useToast();
+  const context = usePolledRead(readTradeContext, client, account, { pollInterval });
+  const [isLong, setIsLong] = useState(true);
+  const [collateral, setCollateral] = useState(null);
+  const [leverageTenths, setLeverageTenths] = useState(20);
+  const [slippageBps, setSlippageBps] = useState(DEFAULT_SLIPPAGE_BPS);
+  const [submitting, setSubmitting] = useState(false);
+
+  const decimals = context.data?.decimals ?? 6;
+  const minTenths = context.data ? Number(context.data.minLeverage / LEVERAGE_STEP) : 10;
+  const maxTenths = context.data ? Number(context.data.maxLeverage / LEVERAGE_STEP) : 100;
+  const leverage = BigInt(Math.min(Math.max(leverageTenths, minTenths), maxTenths)) * LEVERAGE_STEP;
+
+  const preview = useMemo(() => {
+    if (!context.data || !collateral) return null;
+    return previewOpen(context.data, { isLong, collateral, leverage, slippageBps });
+  }, [context.data, isLong, collateral, leverage, slippageBps]);
+  const errors = preview?.errors ?? [];
+
+  const submit = async () => {
+    setSubmitting(true);
+    try {
+      const result = await client.depositAndOpen({ isLong, collateral, leverage, slippageBps });
+      addToast(`Opened ${isLong ? 'long' : 'short'} position #${result.positionId}`, 'success');
+      setCollateral(null);
+      context.refresh();
+      onOpened?.(result);
+    } catch (error) {
+      addToast(error.shortMessage ?? error.message, 'error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Card className="space-y-5">
+      <div className="grid grid-cols-2 gap-2" role="group" aria-label="Position side">
+        <Button variant={isLong ? 'success' : 'ghost'} aria-pressed={isLong} onClick={() => setIsLong(true)}>
+          <TrendingUp className="w-4 h-4" />
+          Long
+        </Button>
+        <Button variant={isLong ? 'ghost' : 'danger'} aria-pressed={!isLong} onClick={() => setIsLong(false)}>
+          <TrendingDown className="w-4 h-4" />
+          Short
+        </Button>
+      </div>
+
+      <div>
+        <NumericInput
+          label="Collateral (USDC)"
+          symbol="USDC"
+          decimals={decimals}
+          value={collateral}
+          onChange={setCollateral}
+          helperText={context.data && `Vault ${formatAmount(context.data.available, decimals)} · Wallet ${formatAmount(context.data.walletBalance, decimals)}`}
+        />
+        <FieldError errors={errors} field="collateral" />
+      </div>
+
+      <div>
+        <label htmlFor="trade-leverage" className="text-sm text-[var(--im-muted)] mb-2 flex justify-between">
+          <span>Leverage</span>
+          <span className="text-[var(--im-text)] font-bold">{formatUnits(leverage, 18)}x</span>
+        </label>
+        <input
+          id="trade-leverage"
+          type="range"
+          min={minTenths}
+          max={maxTenths}
+          step={1}
+          value={Number(leverage / LEVERAGE_STEP)}
+          onChange={(event) => setLeverageTenths(Number(event.target.value))}
+          aria-valuetext={`${formatUnits(leverage, 18)}x`}
+          className="w-full accent-[var(--im-accent)]"
+        />
+        <FieldError errors={errors} field="leverage" />
+      </div>
+
+      <div>
+        <div className="text-sm text-[var(--im-muted)] mb-2">Slippage tolerance</div>
+        <div className="flex gap-2">
+          {SLIPPAGE_PRESETS.map((bps) => (
+            <Button
+              key={bps}
+              variant={slippageBps === bps ? 'primary' : 'ghost'}
+              size="sm"
+              aria-pressed={slippageBps === bps}
+              onClick={() => setSlippageBps(bps)}
+            >
+              {formatBps(bps)}
+            </Button>
+          ))}
+        </div>
+        <FieldError errors={errors} field="slippage" />
+      </div>
+
+      {preview && (
+        <div className="space-y-2 border-t border-[var(--im-border)] pt-4" aria-live="polite">
+          <PreviewRow label="Position size" value={formatAmount(preview.size, decimals)} />
+          <PreviewRow label="Entry price" value={formatPrice(preview.entryPrice)} />
+          <PreviewRow
+            label="Price impact"
+            value={formatBps(preview.priceImpactBps)}
+            tone={preview.priceImpactBps > 100n ? 'text-[var(--im-warning)]' : 'text-[var(--im-text)]'}
+          />
+          <PreviewRow label={isLong ? 'Max price' : 'Min price'} value={formatPrice(isLong ? preview.maxPrice : preview.minPrice)} />
+          <PreviewRow label="Trading fee" value={formatAmount(preview.fee, decimals)} />
+          <PreviewRow label="Liquidation price" value={formatPrice(preview.liquidationPrice)} tone="text-[var(--im-danger)]" />
+          {preview.deposit > 0n && <PreviewRow label="Deposit from wallet" value={formatAmount(preview.deposit, decimals)} />}
+          {preview.approval > 0n && (
+            <PreviewRow label="USDC approval" value={formatAmount(preview.approval, decimals)} tone="text-[var(--im-warning)]" />
+          )}
+          <FieldError errors={errors} field="size" />
+          <FieldError errors={errors} field="market" />
+          <FieldError errors={errors} field="account" />
+        </div>
+      )}
+
+      {context.error && !context.data && (
+        <div className="text-sm text-[var(--im-danger)]" role="status">Market data unavailable: {context.error.message}</div>
+      )}
+
+      <Button
+        variant={isLong ? 'success' : 'danger'}
+        className="w-full"
+        loading={submitting}
+        disabled={!preview?.valid || !account}
+        onClick={submit}
+      >
+        {!account ? 'Connect wallet' : preview?.approval > 0n ? 'Approve, deposit & open' : `Open ${isLong ? 'long' : 'short'}`}
+      </Button>
+    </Card>
+  );
+};
@@ -0,0 +1,21 @@
+import React from 'react';
+
+const tones = {
+  neutral: 'border-[var(--im-border-strong)] text-[var(--im-muted)]',
+  accent: 'border-[var(--im-accent)] text-[var(--im-accent)]',
+  success: 'border-[var(--im-success)] text-[var(--im-success)]',
+  danger: 'border-[var(--im-danger)] text-[var(--im-danger)]',
+  warning: 'border-[var(--im-warning)] text-[var(--im-warning)]',
+  info: 'border-[var(--im-info)] text-[var(--im-info)]',
+};
+
+// Status label. Colour is never the only signal: pass text (and `label` for icon-only badges).
+export const Badge = ({ tone = 'neutral', label, icon: Icon, children, className = '' }) => (
+  <span
+    className={`inline-flex items-center gap-1 rounded-full border px-2 py-0.5 text-xs font-semibold ${tones[tone]} ${className}`}
+    aria-label={label}
+  >
+    {Icon && <Icon className="w-3 h-3" aria-hidden="true" />}
+    {children}
+  </span>
+);
@@ -0,0 +1,222 @@
+import React, { useState } from 'react';
+import { Info, ShieldCheck } from 'lucide-react';
+import {
+  Badge,
+  Button,
+  Card,
+  Input,
+  Modal,
+  NumericInput,
+  Select,
+  Table,
+  Tabs,
+  ThemeProvider,
+  Toggle,
+  Tooltip,
+  ToastProvider,
+  createTheme,
+  useToast,
+} from '.';
+import { formatAmount } from '../../../sdk/amounts';
+
+// Storybook-style gallery: every ui component in its main states, under the default theme or a
+// light override to check that nothing hard-codes a colour. Mount it on a dev-only route.
+const lightTheme = createTheme({
+  colors: {
+    background: '#ffffff',
+    surface: 'rgba(0, 0, 0, 0.04)',
+    surfaceHover: 'rgba(0, 0, 0, 0.08)',
+    panel: '#ffffff',
+    overlay: 'rgba(0, 0, 0, 0.4)',
+    border: 'rgba(0, 0, 0, 0.12)',
+    borderStrong: 'rgba(0, 0, 0, 0.24)',
+    accent: '#a16207',
+    accentHover: '#854d0e',
+    onAccent: '#ffffff',
+    text: '#111827',
+    muted: '#4b5563',
+    subtle: '#6b7280',
+    focus: '#a16207',
+  },
+});
+
+const USDC_DECIMALS = 6;
+
+const positions = [
+  { id: '1', side: 'Long', size: 1_500_000000n, pnl: 12_340000n },
+  { id: '2', side: 'Short', size: 500_000000n, pnl: -3_100000n },
+  { id: '3', side: 'Long', size: 25_000_000000n, pnl: 0n },
+];
+
+const Section = ({ title, children }) => (
+  <section aria-labelledby={`gallery-${title}`} className="space-y-3">
+    <h2 id={`gallery-${title}`} className="text-sm font-semibold uppercase tracking-wide text-[var(--im-muted)]">
+      {title}
+    </h2>
+    <Card className="space-y-4">{children}</Card>
+  </section>
+);
+
+const ToastButtons = () => {
+  const { addToast } = useToast();
+  return (
+    <div className="flex flex-wrap gap-2">
+      {['info', 'success', 'warning', 'error'].map((type) => (
+        <Button key={type} size="sm" variant="ghost" onClick={() => addToast(`This is a ${type} toast`, type)}>
+          {type}
+        </Button>
+      ))}
+    </div>
+  );
+};
+
+const compareBigInt = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+const PositionsTable = () => {
+  const [sort, setSort] = useState({ key: 'size', direction: 'descending' });
+  const sign = sort.direction === 'ascending' ? 1 : -1;
+  const rows = [...positions].sort((a, b) => sign * compareBigInt(a[sort.key], b[sort.key]));
+  const usdc = (value) => formatAmount(value, USDC_DECIMALS, { maxFractionDigits: 2, grouping: true });
+
+  return (
+    <Table
+      caption="Example positions"
+      rowKey={(row) => row.id}
+      rows={rows}
+      sort={sort}
+      onSortChange={setSort}
+      columns={[
+        { key: 'id', header: 'ID' },
+        { key: 'side', header: 'Side', render: (row) => <Badge tone={row.side === 'Long' ? 'success' : 'danger'}>{row.side}</Badge> },
+        { key: 'size', header: 'Size', align: 'right', sortable: true, render: (row) => usdc(row.size) },
+        { key: 'pnl', header: 'PnL', align: 'right', sortable: true, render: (row) => usdc(row.pnl) },
+      ]}
+    />
+  );
+};
+
+export const ComponentGallery = () => {
+  const [light, setLight] = useState(false);
+  const [tab, setTab] = useState('buttons');
+  const [modalOpen, setModalOpen] = useState(false);
+  const [amount, setAmount] = useState(null);
+  const [market, setMarket] = useState('');
+  const [notifications, setNotifications] = useState(true);
+
+  const tabs = [
+    {
+      id: 'buttons',
+      label: 'Buttons',
+      content: (
+        <div className="flex flex-wrap items-center gap-2">
+          <Button size="sm">Small</Button>
+          <Button>Primary</Button>
+          <Button size="lg" variant="success">Large success</Button>
+          <Button variant="danger">Danger</Button>
+          <Button variant="ghost">Ghost</Button>
+          <Button loading>Loading</Button>
+          <Button disabled>Disabled</Button>
+        </div>
+      ),
+    },
+    {
+      id: 'badges',
+      label: 'Badges',
+      content: (
+        <div className="flex flex-wrap gap-2">
+          <Badge>Neutral</Badge>
+          <Badge tone="accent">Accent</Badge>
+          <Badge tone="success" icon={ShieldCheck}>Healthy</Badge>
+          <Badge tone="warning">At risk</Badge>
+          <Badge tone="danger">Liquidatable</Badge>
+          <Badge tone="info">Pending</Badge>
+        </div>
+      ),
+    },
+    { id: 'disabled', label: 'Disabled tab', disabled: true, content: null },
+  ];
+
+  return (
+    <ThemeProvider theme={light ? lightTheme : undefined} className="min-h-screen p-8">
+      <ToastProvider>
+        <main className="max-w-3xl mx-auto space-y-8">
+          <header className="flex items-center justify-between">
+            <h1 className="text-2xl font-bold">UI components</h1>
+            <Toggle label="Light theme" checked={light} onChange={setLight} />
+          </header>
+
+          <Section title="Forms">
+            <Input label="Text input" placeholder="Placeholder" helperText="Helper text is linked with aria-describedby." />
+            <Input label="Input with error" defaultValue="abc" error="This field has an error." />
+            <NumericInput
+              label="Collateral"
+              symbol="USDC"
+              decimals={USDC_DECIMALS}
+              value={amount}
+              onChange={setAmount}
+              max={1_234_567_890123n}
+              helperText={`Parsed: ${amount === null ? 'empty' : `${amount.toString()} base units`}`}
+            />
+            <Select
+              label="Market"
+              placeholder="Choose a market"
+              value={market}
+              onChange={setMarket}
+              options={[
+                { value: 'us-cpi', label: 'US CPI' },
+                { value: 'eu-hicp', label: 'EU HICP' },
+                { value: 'uk-cpi', label: 'UK CPI (coming soon)', disabled: true },
+              ]}
+            />
+            <Toggle
+              label="Liquidation alerts"
+              description="Notify when a position's health drops below 120%."
+              checked={notifications}
+              onChange={setNotifications}
+            />
+          </Section>
+
+          <Section title="Tabs">
+            <Tabs label="Gallery sections" tabs={tabs} value={tab} onChange={setTab} />
+          </Section>
+
+          <Section title="Table">
+            <PositionsTable />
+          </Section>
+
+          <Section title="Overlays">
+            <div className="flex flex-wrap items-center gap-2">
+              <Button variant="ghost" onClick={() => setModalOpen(true)}>
+                Open modal
+              </Button>
+              <Tooltip content="Funding is settled every hour">
+                <Button variant="ghost" size="sm" aria-label="About funding">
+                  <Info className="w-4 h-4" aria-hidden="true" />
+                </Button>
+              </Tooltip>
+            </div>
+            <ToastButtons />
+            <Modal
+              open={modalOpen}
+              onClose={() => setModalOpen(false)}
+              title="Close position"
+              description="Closing realizes your PnL and charges the trading fee."
+              footer={
+                <>
+                  <Button variant="ghost" onClick={() => setModalOpen(false)}>
+                    Cancel
+                  </Button>
+                  <Button variant="danger" onClick={() => setModalOpen(false)}>
+                    Close position
+                  </Button>
+                </>
+              }
+            >
+              <Input label="Confirmation" placeholder="Type CLOSE" />
+            </Modal>
+          </Section>
+        </main>
+      </ToastProvider>
+    </ThemeProvider>
+  );
+};
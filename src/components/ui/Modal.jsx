@@ -0,0 +1,92 @@
+import React, { useEffect, useId, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import { X } from 'lucide-react';
+import { focusRing } from './theme';
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Modal dialog rendered into document.body. While open it traps Tab inside the dialog, closes on
+// Escape and backdrop click, focuses the first control (or `initialFocus`) and hands focus back
+// to whatever opened it on close.
+export const Modal = ({ open, onClose, title, description, initialFocus, children, footer }) => {
+  const titleId = useId();
+  const descriptionId = useId();
+  const dialogRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const opener = document.activeElement;
+    const dialog = dialogRef.current;
+    (initialFocus?.current ?? dialog.querySelector(FOCUSABLE) ?? dialog).focus();
+
+    const onKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        event.stopPropagation();
+        onClose();
+        return;
+      }
+      if (event.key !== 'Tab') return;
+      const focusable = [...dialog.querySelectorAll(FOCUSABLE)];
+      if (focusable.length === 0) {
+        event.preventDefault();
+        return;
+      }
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+      }
+    };
+
+    dialog.addEventListener('keydown', onKeyDown);
+    return () => {
+      dialog.removeEventListener('keydown', onKeyDown);
+      opener?.focus?.();
+    };
+  }, [open, onClose, initialFocus]);
+
+  if (!open) return null;
+
+  return createPortal(
+    <div className="fixed inset-0 z-40 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-[var(--im-overlay)]" aria-hidden="true" onClick={onClose} />
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        aria-describedby={description ? descriptionId : undefined}
+        tabIndex={-1}
+        className="relative w-full max-w-lg bg-[var(--im-panel)] border border-[var(--im-border)] rounded-[var(--im-radius-lg)] p-6 space-y-4 focus:outline-none"
+      >
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <h2 id={titleId} className="text-lg font-bold text-[var(--im-text)]">
+              {title}
+            </h2>
+            {description && (
+              <p id={descriptionId} className="text-sm text-[var(--im-muted)] mt-1">
+                {description}
+              </p>
+            )}
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            aria-label="Close dialog"
+            className={`rounded text-[var(--im-muted)] hover:text-[var(--im-text)] ${focusRing}`}
+          >
+            <X className="w-5 h-5" aria-hidden="true" />
+          </button>
+        </div>
+        {children}
+        {footer && <div className="flex justify-end gap-2">{footer}</div>}
+      </div>
+    </div>,
+    document.body,
+  );
+};
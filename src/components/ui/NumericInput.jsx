@@ -0,0 +1,73 @@
+import React, { useEffect, useState } from 'react';
+import { focusRing } from './theme';
+import { Field, controlClassName, fieldDescription, useFieldIds } from './primitives';
+import { formatAmount, parseAmount, sanitizeAmountInput } from '../../../sdk/amounts';
+
+// Token amount input. `value` and `max` are BigInt base units and `onChange` receives BigInt
+// (or null while the field is empty or incomplete); the text never goes through Number, so
+// 18-decimal amounts keep every digit. Keystrokes that cannot form a valid amount are ignored.
+export const NumericInput = ({
+  id,
+  label,
+  value,
+  onChange,
+  decimals,
+  max,
+  symbol,
+  helperText,
+  error,
+  disabled,
+  placeholder = '0.00',
+  ...props
+}) => {
+  const ids = useFieldIds(id);
+  const [text, setText] = useState(value == null ? '' : formatAmount(value, decimals));
+
+  // Follow external value changes (a reset, or the max button) without clobbering partial text
+  // like "12." that already parses to the same value.
+  useEffect(() => {
+    if (value !== parseAmount(text, decimals)) setText(value == null ? '' : formatAmount(value, decimals));
+  }, [value, decimals]);
+
+  const update = (next) => {
+    const sanitized = sanitizeAmountInput(next, decimals);
+    if (sanitized === null) return;
+    setText(sanitized);
+    onChange(parseAmount(sanitized, decimals));
+  };
+
+  const overMax = max != null && value != null && value > max;
+  const shownError = error ?? (overMax ? `Exceeds the maximum of ${formatAmount(max, decimals, { grouping: true })}${symbol ? ` ${symbol}` : ''}.` : undefined);
+
+  return (
+    <Field label={label} helperText={helperText} error={shownError} {...ids}>
+      <div className="relative">
+        <input
+          id={ids.fieldId}
+          type="text"
+          inputMode="decimal"
+          autoComplete="off"
+          spellCheck={false}
+          value={text}
+          onChange={(event) => update(event.target.value)}
+          placeholder={placeholder}
+          disabled={disabled}
+          className={`${controlClassName(shownError)} ${max != null ? 'pr-24' : ''}`}
+          {...fieldDescription({ ...ids, helperText, error: shownError })}
+          {...props}
+        />
+        {max != null && (
+          <button
+            type="button"
+            onClick={() => update(formatAmount(max, decimals))}
+            disabled={disabled}
+            aria-label={`Use maximum${label ? ` ${label}` : ''}`}
+            className={`absolute right-3 top-1/2 -translate-y-1/2 rounded px-2 py-1 text-xs font-bold text-[var(--im-accent)] hover:bg-[var(--im-surface-hover)] ${focusRing}`}
+          >
+            MAX
+          </button>
+        )}
+      </div>
+    </Field>
+  );
+};
@@ -0,0 +1,39 @@
+import React from 'react';
+import { ChevronDown } from 'lucide-react';
+import { Field, controlClassName, fieldDescription, useFieldIds } from './primitives';
+
+// Native <select> so keyboard, type-ahead and screen reader support come from the browser.
+// `options` are `{value, label, disabled}`; values are strings, as the DOM reports them.
+export const Select = ({ id, label, value, onChange, options, placeholder, helperText, error, disabled, ...props }) => {
+  const ids = useFieldIds(id);
+  return (
+    <Field label={label} helperText={helperText} error={error} {...ids}>
+      <div className="relative">
+        <select
+          id={ids.fieldId}
+          value={value}
+          onChange={(event) => onChange(event.target.value)}
+          disabled={disabled}
+          className={`${controlClassName(error)} appearance-none pr-10`}
+          {...fieldDescription({ ...ids, helperText, error })}
+          {...props}
+        >
+          {placeholder && (
+            <option value="" disabled>
+              {placeholder}
+            </option>
+          )}
+          {options.map((option) => (
+            <option key={option.value} value={option.value} disabled={option.disabled}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <ChevronDown
+          className="w-4 h-4 text-[var(--im-muted)] absolute right-4 top-1/2 -translate-y-1/2 pointer-events-none"
+          aria-hidden="true"
+        />
+      </div>
+    </Field>
+  );
+};
@@ -0,0 +1,68 @@
+import React from 'react';
+import { ArrowDown, ArrowUp, ArrowUpDown } from 'lucide-react';
+import { focusRing } from './theme';
+
+const alignments = { left: 'text-left', right: 'text-right', center: 'text-center' };
+
+// Data table. `columns` are `{key, header, align, render(row), sortable}`; cells show
+// `row[key]` unless `render` is given. Sorting is controlled: pass `sort` as `{key, direction}`
+// and sort the rows yourself in `onSortChange`, so BigInt columns can use their own comparator.
+export const Table = ({ caption, columns, rows, rowKey, sort, onSortChange, emptyMessage = 'Nothing to show', className = '' }) => {
+  const nextDirection = (key) => (sort?.key === key && sort.direction === 'ascending' ? 'descending' : 'ascending');
+
+  return (
+    <div className={`overflow-x-auto ${className}`}>
+      <table className="w-full text-sm">
+        {caption && <caption className="sr-only">{caption}</caption>}
+        <thead>
+          <tr className="border-b border-[var(--im-border)] text-[var(--im-muted)]">
+            {columns.map((column) => {
+              const sorted = sort?.key === column.key ? sort.direction : undefined;
+              const SortIcon = sorted === 'ascending' ? ArrowUp : sorted === 'descending' ? ArrowDown : ArrowUpDown;
+              return (
+                <th
+                  key={column.key}
+                  scope="col"
+                  aria-sort={column.sortable ? (sorted ?? 'none') : undefined}
+                  className={`px-3 py-2 font-semibold ${alignments[column.align ?? 'left']}`}
+                >
+                  {column.sortable ? (
+                    <button
+                      type="button"
+                      onClick={() => onSortChange({ key: column.key, direction: nextDirection(column.key) })}
+                      className={`inline-flex items-center gap-1 rounded hover:text-[var(--im-text)] ${focusRing}`}
+                    >
+                      {column.header}
+                      <SortIcon className="w-3 h-3" aria-hidden="true" />
+                    </button>
+                  ) : (
+                    column.header
+                  )}
+                </th>
+              );
+            })}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.length === 0 ? (
+            <tr>
+              <td colSpan={columns.length} className="px-3 py-6 text-center text-[var(--im-subtle)]">
+                {emptyMessage}
+              </td>
+            </tr>
+          ) : (
+            rows.map((row) => (
+              <tr key={rowKey(row)} className="border-b border-[var(--im-border)] last:border-0 hover:bg-[var(--im-surface)]">
+                {columns.map((column) => (
+                  <td key={column.key} className={`px-3 py-2 text-[var(--im-text)] ${alignments[column.align ?? 'left']}`}>
+                    {column.render ? column.render(row) : row[column.key]}
+                  </td>
+                ))}
+              </tr>
+            ))
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+};
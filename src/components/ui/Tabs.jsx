@@ -0,0 +1,75 @@
+import React, { useId, useRef } from 'react';
+import { focusRing } from './theme';
+
+const NAVIGATION_KEYS = ['ArrowLeft', 'ArrowRight', 'Home', 'End'];
+
+// WAI-ARIA tabs with automatic activation: only the selected tab is in the tab order, arrow keys
+// move between enabled tabs (wrapping), Home/End jump to the ends. `tabs` are
+// `{id, label, content, disabled}`; `value` is the selected id.
+export const Tabs = ({ tabs, value, onChange, label, className = '' }) => {
+  const baseId = useId();
+  const tabRefs = useRef({});
+  const enabled = tabs.filter((tab) => !tab.disabled);
+
+  const select = (tab) => {
+    onChange(tab.id);
+    tabRefs.current[tab.id]?.focus();
+  };
+
+  const onKeyDown = (event) => {
+    if (!NAVIGATION_KEYS.includes(event.key) || enabled.length === 0) return;
+    event.preventDefault();
+    const index = enabled.findIndex((tab) => tab.id === value);
+    if (event.key === 'Home') select(enabled[0]);
+    else if (event.key === 'End') select(enabled[enabled.length - 1]);
+    else {
+      const step = event.key === 'ArrowRight' ? 1 : -1;
+      select(enabled[(index + step + enabled.length) % enabled.length]);
+    }
+  };
+
+  const active = tabs.find((tab) => tab.id === value);
+  return (
+    <div className={className}>
+      <div role="tablist" aria-label={label} className="flex gap-1 border-b border-[var(--im-border)]" onKeyDown={onKeyDown}>
+        {tabs.map((tab) => {
+          const selected = tab.id === value;
+          return (
+            <button
+              key={tab.id}
+              ref={(node) => {
+                tabRefs.current[tab.id] = node;
+              }}
+              id={`${baseId}-tab-${tab.id}`}
+              type="button"
+              role="tab"
+              aria-selected={selected}
+              aria-controls={`${baseId}-panel-${tab.id}`}
+              tabIndex={selected ? 0 : -1}
+              disabled={tab.disabled}
+              onClick={() => onChange(tab.id)}
+              className={`px-4 py-2 text-sm font-semibold border-b-2 -mb-px transition-colors disabled:opacity-50 ${focusRing} ${
+                selected
+                  ? 'border-[var(--im-accent)] text-[var(--im-accent)]'
+                  : 'border-transparent text-[var(--im-muted)] hover:text-[var(--im-text)]'
+              }`}
+            >
+              {tab.label}
+            </button>
+          );
+        })}
+      </div>
+      {active && (
+        <div
+          id={`${baseId}-panel-${active.id}`}
+          role="tabpanel"
+          aria-labelledby={`${baseId}-tab-${active.id}`}
+          tabIndex={0}
+          className={`pt-4 ${focusRing}`}
+        >
+          {active.content}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,39 @@
+import React, { useId } from 'react';
+import { focusRing } from './theme';
+
+// A switch: a <button role="switch">, so Space and Enter toggle it without extra key handling.
+export const Toggle = ({ id, label, description, checked, onChange, disabled, className = '' }) => {
+  const generated = useId();
+  const toggleId = id ?? generated;
+  return (
+    <div className={`flex items-center justify-between gap-4 ${className}`}>
+      <div>
+        <label htmlFor={toggleId} className="text-sm text-[var(--im-text)]">
+          {label}
+        </label>
+        {description && (
+          <div id={`${toggleId}-description`} className="text-xs text-[var(--im-muted)]">
+            {description}
+          </div>
+        )}
+      </div>
+      <button
+        id={toggleId}
+        type="button"
+        role="switch"
+        aria-checked={checked}
+        aria-describedby={description ? `${toggleId}-description` : undefined}
+        disabled={disabled}
+        onClick={() => onChange(!checked)}
+        className={`relative inline-flex h-6 w-11 shrink-0 rounded-full transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${focusRing} ${
+          checked ? 'bg-[var(--im-accent)]' : 'bg-[var(--im-surface-hover)]'
+        }`}
+      >
+        <span
+          aria-hidden="true"
+          className={`absolute top-1 h-4 w-4 rounded-full bg-[var(--im-text)] transition-transform ${checked ? 'translate-x-6' : 'translate-x-1'}`}
+        />
+      </button>
+    </div>
+  );
+};
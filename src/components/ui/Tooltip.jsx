@@ -0,0 +1,53 @@
+import React, { cloneElement, useEffect, useId, useState } from 'react';
+
+const placements = {
+  top: 'bottom-full left-1/2 -translate-x-1/2 mb-2',
+  bottom: 'top-full left-1/2 -translate-x-1/2 mt-2',
+  left: 'right-full top-1/2 -translate-y-1/2 mr-2',
+  right: 'left-full top-1/2 -translate-y-1/2 ml-2',
+};
+
+// Shows `content` while the trigger is hovered or focused; Escape dismisses it. The trigger
+// (a single focusable element) is described by the tooltip, so screen readers announce it on
+// focus. Tooltips are supplementary: never put the only copy of essential information here.
+export const Tooltip = ({ content, placement = 'top', children }) => {
+  const tooltipId = useId();
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const onKeyDown = (event) => {
+      if (event.key === 'Escape') setOpen(false);
+    };
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, [open]);
+
+  const show = () => setOpen(true);
+  const hide = () => setOpen(false);
+
+  return (
+    <span className="relative inline-flex" onMouseEnter={show} onMouseLeave={hide}>
+      {cloneElement(children, {
+        'aria-describedby': open ? tooltipId : children.props['aria-describedby'],
+        onFocus: (event) => {
+          children.props.onFocus?.(event);
+          show();
+        },
+        onBlur: (event) => {
+          children.props.onBlur?.(event);
+          hide();
+        },
+      })}
+      {open && (
+        <span
+          id={tooltipId}
+          role="tooltip"
+          className={`absolute z-50 whitespace-nowrap rounded-[var(--im-radius-md)] bg-[var(--im-panel)] border border-[var(--im-border)] px-2 py-1 text-xs text-[var(--im-text)] ${placements[placement]}`}
+        >
+          {content}
+        </span>
+      )}
+    </span>
+  );
+};
@@ -0,0 +1,11 @@
+export { ThemeProvider, createTheme, defaultTheme, focusRing, themeVariables } from './theme';
+export { Button, Card, Field, Input, PyramidLogo } from './primitives';
+export { Badge } from './Badge';
+export { Modal } from './Modal';
+export { NumericInput } from './NumericInput';
+export { Select } from './Select';
+export { Table } from './Table';
+export { Tabs } from './Tabs';
+export { Toggle } from './Toggle';
+export { Tooltip } from './Tooltip';
+export { Toast, ToastProvider, useToast } from '../toast/ToastProvider';
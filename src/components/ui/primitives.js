@@ -1,49 +1,102 @@
-import React from 'react';
+import React, { useId } from 'react';
 import { Loader2 } from 'lucide-react';
+import { focusRing } from './theme';
 
 export const PyramidLogo = ({ className = 'w-6 h-6' }) => (
-  <svg viewBox="0 0 24 24" fill="currentColor" className={className}>
+  <svg viewBox="0 0 24 24" fill="currentColor" className={className} aria-hidden="true">
     <path d="M12 2L2 22h20L12 2z" />
     <path d="M12 8L6 18h12L12 8z" opacity="0.6" />
   </svg>
 );
 
+const buttonVariants = {
+  primary: 'bg-[var(--im-accent)] hover:bg-[var(--im-accent-hover)] text-[var(--im-on-accent)]',
+  success: 'bg-[var(--im-success)] hover:brightness-110 text-[var(--im-text)]',
+  danger: 'bg-[var(--im-danger)] hover:brightness-110 text-[var(--im-text)]',
+  ghost: 'bg-[var(--im-surface)] hover:bg-[var(--im-surface-hover)] text-[var(--im-muted)]',
+};
+
+const buttonSizes = {
+  sm: 'px-3 py-1.5 text-sm',
+  md: 'px-6 py-3',
+  lg: 'px-8 py-4 text-lg',
+};
+
 export const Button = ({
   children,
   variant = 'primary',
+  size = 'md',
   loading = false,
   disabled,
   onClick,
+  type = 'button',
   className = '',
   ...props
-}) => {
-  const variants = {
-    primary: 'bg-yellow-500 hover:bg-yellow-400 text-black',
-    success: 'bg-green-500 hover:bg-green-600 text-white',
-    danger: 'bg-red-500 hover:bg-red-600 text-white',
-    ghost: 'bg-white/5 hover:bg-white/10 text-gray-400',
-  };
+}) => (
+  <button
+    type={type}
+    onClick={onClick}
+    disabled={disabled || loading}
+    aria-busy={loading || undefined}
+    className={`rounded-[var(--im-radius-md)] font-bold transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2 ${focusRing} ${buttonVariants[variant]} ${buttonSizes[size]} ${className}`}
+    {...props}
+  >
+    {loading && <Loader2 className="w-4 h-4 animate-spin" aria-hidden="true" />}
+    {children}
+  </button>
+);
 
-  return (
-    <button
-      onClick={onClick}
-      disabled={disabled || loading}
-      className={`px-6 py-3 rounded-lg font-bold transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2 ${variants[variant]} ${className}`}
-      {...props}
-    >
-      {loading && <Loader2 className="w-4 h-4 animate-spin" />}
-      {children}
-    </button>
-  );
+export const Card = ({ children, className = '', ...props }) => (
+  <div
+    className={`bg-[var(--im-surface)] border border-[var(--im-border)] rounded-[var(--im-radius-lg)] p-6 ${className}`}
+    {...props}
+  >
+    {children}
+  </div>
+);
+
+// Label, helper and error wiring shared by every form control: the label points at the control
+// and the control is described by whichever of helper/error text is showing.
+export const useFieldIds = (id) => {
+  const generated = useId();
+  const fieldId = id ?? generated;
+  return { fieldId, helperId: `${fieldId}-helper`, errorId: `${fieldId}-error` };
 };
 
-export const Card = ({ children, className = '' }) => (
-  <div className={`bg-white/5 border border-yellow-500/20 rounded-xl p-6 ${className}`}>
+export const Field = ({ label, fieldId, helperId, errorId, helperText, error, children }) => (
+  <div>
+    {label && (
+      <label htmlFor={fieldId} className="text-sm text-[var(--im-muted)] mb-2 block">
+        {label}
+      </label>
+    )}
     {children}
+    {error ? (
+      <div id={errorId} className="text-xs text-[var(--im-danger)] mt-1" role="alert">
+        {error}
+      </div>
+    ) : (
+      helperText && (
+        <div id={helperId} className="text-xs text-[var(--im-muted)] mt-1">
+          {helperText}
+        </div>
+      )
+    )}
   </div>
 );
 
+export const fieldDescription = ({ helperId, errorId, helperText, error }) => ({
+  'aria-invalid': error ? true : undefined,
+  'aria-describedby': error ? errorId : helperText ? helperId : undefined,
+});
+
+export const controlClassName = (error) =>
+  `w-full bg-[var(--im-background)] border rounded-[var(--im-radius-md)] px-4 py-3 text-[var(--im-text)] disabled:opacity-50 ${focusRing} ${
+    error ? 'border-[var(--im-danger)]' : 'border-[var(--im-border-strong)] focus:border-[var(--im-accent)]'
+  }`;
+
 export const Input = ({
+  id,
   label,
   value,
   onChange,
@@ -51,19 +104,23 @@ export const Input = ({
   placeholder,
   disabled,
   helperText,
+  error,
   ...props
-}) => (
-  <div>
-    {label && <label className="text-sm text-gray-400 mb-2 block">{label}</label>}
-    <input
-      type={type}
-      value={value}
-      onChange={onChange}
-      placeholder={placeholder}
-      disabled={disabled}
-      className="w-full bg-black border border-yellow-500/30 rounded-lg px-4 py-3 text-white focus:outline-none focus:border-yellow-500 disabled:opacity-50"
-      {...props}
-    />
-    {helperText && <div className="text-xs text-gray-400 mt-1">{helperText}</div>}
-  </div>
-);
+}) => {
+  const ids = useFieldIds(id);
+  return (
+    <Field label={label} helperText={helperText} error={error} {...ids}>
+      <input
+        id={ids.fieldId}
+        type={type}
+        value={value}
+        onChange={onChange}
+        placeholder={placeholder}
+        disabled={disabled}
+        className={controlClassName(error)}
+        {...fieldDescription({ ...ids, helperText, error })}
+        {...props}
+      />
+    </Field>
+  );
+};
@@ -0,0 +1,57 @@
+import React from 'react';
+
+// Design tokens. Components never name a palette colour; they use the `--im-*` CSS variables
+// below through Tailwind arbitrary values (e.g. `bg-[var(--im-accent)]`), so a theme is just a
+// different token object passed to ThemeProvider.
+export const defaultTheme = {
+  colors: {
+    background: '#000000',
+    surface: 'rgba(255, 255, 255, 0.05)',
+    surfaceHover: 'rgba(255, 255, 255, 0.1)',
+    overlay: 'rgba(0, 0, 0, 0.7)',
+    panel: '#0b0b0b',
+    border: 'rgba(234, 179, 8, 0.2)',
+    borderStrong: 'rgba(234, 179, 8, 0.3)',
+    accent: '#eab308',
+    accentHover: '#facc15',
+    onAccent: '#000000',
+    text: '#ffffff',
+    muted: '#9ca3af',
+    subtle: '#6b7280',
+    success: '#22c55e',
+    danger: '#ef4444',
+    warning: '#facc15',
+    info: '#3b82f6',
+    focus: '#facc15',
+  },
+  radius: {
+    md: '0.5rem',
+    lg: '0.75rem',
+  },
+};
+
+const toVariable = (name) => `--im-${name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)}`;
+
+// `{colors: {accentHover: '#fff'}}` -> `{'--im-accent-hover': '#fff'}`; radius tokens get a
+// `radius-` prefix.
+export const themeVariables = (theme = defaultTheme) => ({
+  ...Object.fromEntries(Object.entries(theme.colors).map(([name, value]) => [toVariable(name), value])),
+  ...Object.fromEntries(Object.entries(theme.radius).map(([name, value]) => [toVariable(`radius-${name}`), value])),
+});
+
+// Overrides are merged over the default theme, so a brand theme only lists what it changes.
+export const createTheme = ({ colors = {}, radius = {} } = {}) => ({
+  colors: { ...defaultTheme.colors, ...colors },
+  radius: { ...defaultTheme.radius, ...radius },
+});
+
+// Wrap the app (or a subtree) once; every ui component reads its colours from here.
+export const ThemeProvider = ({ theme = defaultTheme, className = '', children }) => (
+  <div style={themeVariables(theme)} className={`bg-[var(--im-background)] text-[var(--im-text)] ${className}`}>
+    {children}
+  </div>
+);
+
+// Shared focus ring so keyboard focus looks the same on every control.
+export const focusRing =
+  'focus:outline-none focus-visible:ring-2 focus-visible:ring-[var(--im-focus)] focus-visible:ring-offset-2 focus-visible:ring-offset-[var(--im-background)]';
@@ -0,0 +1,62 @@
+import { useCallback, useEffect, useState } from 'react';
+import {
+  readFundingRate,
+  readIndexPrice,
+  readInsuranceFund,
+  readOpenInterest,
+  readVaultTvl,
+} from '../../sdk/protocol-health';
+
+const DEFAULT_POLL_INTERVAL = 15000;
+
+/**
+ * Runs `read(provider, addresses)` on mount, every `pollInterval` ms and on `refresh()`.
+ * A failed poll keeps the last good `data` alongside the `error`, so a card does not blank out
+ * on one bad RPC response. `read` should be a stable function (the sdk readers are).
+ */
+export const usePolledRead = (read, provider, addresses, { pollInterval = DEFAULT_POLL_INTERVAL } = {}) => {
+  const [state, setState] = useState({ data: null, error: null, loading: true });
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    if (!provider || !addresses) {
+      setState({ data: null, error: null, loading: false });
+      return undefined;
+    }
+
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const data = await read(provider, addresses);
+        if (!cancelled) setState({ data, error: null, loading: false });
+      } catch (error) {
+        if (!cancelled) setState((prev) => ({ data: prev.data, error, loading: false }));
+      }
+    };
+
+    load();
+    const timer = pollInterval > 0 ? setInterval(load, pollInterval) : null;
+    return () => {
+      cancelled = true;
+      if (timer) clearInterval(timer);
+    };
+  }, [read, provider, addresses, pollInterval, version]);
+
+  const refresh = useCallback(() => setVersion((value) => value + 1), []);
+  return { ...state, refresh };
+};
+
+export const useIndexPrice = (provider, addresses, options) =>
+  usePolledRead(readIndexPrice, provider, addresses, options);
+
+export const useFundingRate = (provider, addresses, options) =>
+  usePolledRead(readFundingRate, provider, addresses, options);
+
+export const useOpenInterest = (provider, addresses, options) =>
+  usePolledRead(readOpenInterest, provider, addresses, options);
+
+export const useVaultTvl = (provider, addresses, options) =>
+  usePolledRead(readVaultTvl, provider, addresses, options);
+
+export const useInsuranceFund = (provider, addresses, options) =>
+  usePolledRead(readInsuranceFund, provider, addresses, options);
@@ -0,0 +1,63 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { createRandom } = require("./helpers/random");
+const { amounts } = require("../sdk");
+
+const SEED = 0xa3015e7;
+
+/**
+ * sdk/amounts.js, the BigInt-safe parsing and formatting behind the NumericInput component.
+ */
+describe("Amount input", function () {
+  it("accepts partial input while typing and rejects what can never be an amount", function () {
+    expect(["", "0", "12.", ".5", "007.50", "1.000000"].map((text) => amounts.sanitizeAmountInput(text, 6))).to.deep.equal([
+      "",
+      "0",
+      "12.",
+      ".5",
+      "7.50",
+      "1.000000",
+    ]);
+    for (const text of ["-1", "1e6", "1,000", "1.2.3", "abc", "1.0000001", "0x10"]) {
+      expect(amounts.sanitizeAmountInput(text, 6), text).to.equal(null);
+    }
+    expect(amounts.sanitizeAmountInput("5.", 0)).to.equal(null);
+    expect(amounts.sanitizeAmountInput("5", 0)).to.equal("5");
+  });
+
+  it("parses amounts to base units without losing precision", function () {
+    expect(amounts.parseAmount("", 6)).to.equal(null);
+    expect(amounts.parseAmount(".", 6)).to.equal(null);
+    expect(amounts.parseAmount("12.", 6)).to.equal(12_000000n);
+    expect(amounts.parseAmount(".5", 6)).to.equal(500000n);
+    expect(amounts.parseAmount("0.000001", 6)).to.equal(1n);
+    expect(amounts.parseAmount("0.0000001", 6)).to.equal(null);
+    expect(amounts.parseAmount("123456789012345678901234567890.123456789012345678", 18)).to.equal(
+      123456789012345678901234567890123456789012345678n,
+    );
+  });
+
+  it("formats by truncation, with optional grouping", function () {
+    expect(amounts.formatAmount(1_234_567_891_999999n, 6)).to.equal("1234567891.999999");
+    expect(amounts.formatAmount(1_234_567_891_999999n, 6, { maxFractionDigits: 2, grouping: true })).to.equal("1,234,567,891.99");
+    expect(amounts.formatAmount(1_500000n, 6)).to.equal("1.5");
+    expect(amounts.formatAmount(0n, 6)).to.equal("0");
+    expect(amounts.formatAmount(-2_500000n, 6)).to.equal("-2.5");
+    expect(amounts.formatAmount(-1n, 6, { maxFractionDigits: 2 })).to.equal("0");
+    expect(amounts.formatAmount(42n, 0, { grouping: true })).to.equal("42");
+  });
+
+  it("round-trips random amounts and agrees with ethers", function () {
+    const random = createRandom(SEED);
+    for (let i = 0; i < 200; i++) {
+      const decimals = random.bool() ? 6 : 18;
+      const value = random.bigint(0n, 10n ** BigInt(decimals + 12));
+      const text = amounts.formatAmount(value, decimals);
+
+      expect(amounts.parseAmount(text, decimals), text).to.equal(value);
+      expect(amounts.parseAmount(text, decimals)).to.equal(ethers.parseUnits(text, decimals));
+      expect(text).to.equal(ethers.formatUnits(value, decimals).replace(/\.0$/, ""));
+    }
+  });
+});
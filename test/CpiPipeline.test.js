@@ -0,0 +1,233 @@
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { useTemporaryDeploymentsDir, deploySystem } = require("./helpers/system");
+const { SOURCE_ADAPTERS, observation } = require("../scripts/oracle/sources");
+const { buildPayload, PipelineValidationError } = require("../scripts/oracle/cpi-pipeline");
+const { oracleDomain, hashPayload, signPayload, recoverPayloadSigner, toJson, fromJson } = require("../scripts/oracle/payload");
+const { parseSourceSpec, readInputs, submitPayload } = require("../scripts/oracle/publish-cpi");
+
+const FIXTURES = path.join(__dirname, "fixtures", "cpi");
+const BLS = path.join(FIXTURES, "bls-cuur0000sa0.json");
+const FRED = path.join(FIXTURES, "fred-cpiaucns.json");
+const EUROSTAT = path.join(FIXTURES, "eurostat-prc_hicp_midx-ea.json");
+const ONS = path.join(FIXTURES, "ons-d7bt.csv");
+
+const JUNE_2024 = Date.UTC(2024, 5, 1) / 1000;
+
+/**
+ * The CPI pipeline runs on recorded source files under test/fixtures/cpi; nothing is fetched.
+ */
+describe("CPI data pipeline", function () {
+  useTemporaryDeploymentsDir();
+
+  function usInputs() {
+    return readInputs([`bls=${BLS}`, `fred:CPIAUCNS=${FRED}`]);
+  }
+
+  // Rewrites one FRED observation, keeping the rest of the recorded file.
+  function fredWith(date, value) {
+    const document = JSON.parse(fs.readFileSync(FRED, "utf8"));
+    document.observations.find((row) => row.date === date).value = value;
+    return { source: "fred", options: { seriesId: "CPIAUCNS" }, raw: JSON.stringify(document) };
+  }
+
+  describe("source adapters", function () {
+    it("parse every recorded format into monthly observations", function () {
+      const read = (file) => fs.readFileSync(file, "utf8");
+      const bls = SOURCE_ADAPTERS.bls.parse(read(BLS));
+      const fred = SOURCE_ADAPTERS.fred.parse(read(FRED), { seriesId: "CPIAUCNS" });
+      const eurostat = SOURCE_ADAPTERS.eurostat.parse(read(EUROSTAT));
+      const ons = SOURCE_ADAPTERS.ons.parse(read(ONS));
+
+      // BLS annual averages (M13) and FRED's unreleased "." month are skipped.
+      expect(bls.map(({ period }) => period)).to.not.include("2023-13");
+      expect(bls).to.have.length(8);
+      expect(fred).to.have.length(8);
+      const byPeriod = (rows) => Object.fromEntries(rows.map(({ period, value }) => [period, value]));
+      expect(byPeriod(bls)).to.deep.equal(byPeriod(fred));
+      expect(byPeriod(bls)["2024-06"]).to.equal(ethers.parseEther("314.175"));
+
+      expect(eurostat.at(-1)).to.include({ region: "EA", metric: "HICP", period: "2024-06", text: "126.98" });
+      expect(ons.at(-1)).to.include({ region: "UK", metric: "CPI", seriesId: "D7BT", period: "2024-06", text: "134.1" });
+      expect(ons.map(({ period }) => period)).to.not.include("2024-Q1");
+    });
+
+    it("reject documents they cannot read", function () {
+      expect(() => SOURCE_ADAPTERS.bls.parse(JSON.stringify({ status: "REQUEST_NOT_PROCESSED", message: ["daily threshold"] })))
+        .to.throw(/REQUEST_NOT_PROCESSED/);
+      expect(() => SOURCE_ADAPTERS.fred.parse(fs.readFileSync(FRED, "utf8"))).to.throw(/seriesId is required/);
+      expect(() => SOURCE_ADAPTERS.fred.parse(fs.readFileSync(FRED, "utf8"), { seriesId: "XYZ" })).to.throw(/unknown series/);
+    });
+  });
+
+  describe("buildPayload", function () {
+    it("fuses agreeing sources into the canonical payload", function () {
+      const inputs = usInputs();
+      const { payload, period, rejected } = buildPayload(inputs, { region: "US", metric: "CPI-U" });
+
+      expect(period).to.equal("2024-06");
+      expect(rejected).to.deep.equal([]);
+      expect(payload).to.deep.equal({
+        region: "US",
+        metric: "CPI-U",
+        value: ethers.parseEther("314.175"),
+        timestamp: JUNE_2024,
+        sources: ["bls:CUUR0000SA0", "fred:CPIAUCNS"],
+        rawHash: ethers.keccak256(
+          ethers.AbiCoder.defaultAbiCoder().encode(
+            ["bytes32[]"],
+            [inputs.map(({ raw }) => ethers.keccak256(raw))],
+          ),
+        ),
+      });
+
+      // Input order does not change the payload.
+      expect(buildPayload([...inputs].reverse(), { region: "US", metric: "CPI-U" }).payload).to.deep.equal(payload);
+    });
+
+    it("builds payloads for the other regions' formats", function () {
+      const inputs = readInputs([`eurostat=${EUROSTAT}`, `ons=${ONS}`]);
+
+      expect(buildPayload(inputs, { region: "EA", metric: "HICP" }).payload.value).to.equal(ethers.parseEther("126.98"));
+      expect(buildPayload(inputs, { region: "UK", metric: "CPI", period: "2024-03" }).payload).to.include({
+        value: ethers.parseEther("133"),
+        timestamp: Date.UTC(2024, 2, 1) / 1000,
+      });
+    });
+
+    it("drops a source that disagrees with the others", function () {
+      // A pluggable adapter standing in for a vendor feed that misreports the month.
+      const vendor = {
+        parse: () => [observation("vendor", "VNDR-CPI", { region: "US", metric: "CPI-U" }, "2024-06", "320.000")],
+      };
+      const inputs = [...usInputs(), { source: "vendor", raw: "recorded vendor file" }];
+
+      const { payload, rejected, warnings } = buildPayload(inputs, {
+        region: "US",
+        metric: "CPI-U",
+        adapters: { ...SOURCE_ADAPTERS, vendor },
+      });
+
+      expect(payload.value).to.equal(ethers.parseEther("314.175"));
+      expect(payload.sources).to.deep.equal(["bls:CUUR0000SA0", "fred:CPIAUCNS"]);
+      expect(rejected.map(({ source, text }) => `${source} ${text}`)).to.deep.equal(["vendor 320.000"]);
+      expect(warnings.map(({ check }) => check)).to.deep.equal(["outlier"]);
+    });
+
+    it("requires enough agreeing sources", function () {
+      const inputs = [readInputs([`bls=${BLS}`])[0], fredWith("2024-06-01", "320.000")];
+
+      expect(() => buildPayload(inputs, { region: "US", metric: "CPI-U", limits: { minSources: 2 } }))
+        .to.throw(PipelineValidationError, /agreeing source/);
+    });
+
+    it("rejects payloads that do not move forward from the previous one", function () {
+      const { payload } = buildPayload(usInputs(), { region: "US", metric: "CPI-U" });
+
+      try {
+        buildPayload(usInputs(), { region: "US", metric: "CPI-U", previous: payload });
+        expect.fail("expected a validation error");
+      } catch (error) {
+        expect(error).to.be.instanceOf(PipelineValidationError);
+        expect(error.issues.map(({ check }) => check)).to.deep.equal(["timestamps"]);
+      }
+
+      const may = buildPayload(usInputs(), { region: "US", metric: "CPI-U", period: "2024-05" }).payload;
+      expect(buildPayload(usInputs(), { region: "US", metric: "CPI-U", previous: may }).payload.value).to.equal(payload.value);
+    });
+
+    it("rejects moves beyond the outlier bound and out-of-order series", function () {
+      const jump = [fredWith("2024-06-01", "340.000")];
+      expect(() => buildPayload(jump, { region: "US", metric: "CPI-U" })).to.throw(PipelineValidationError, /prior month/);
+
+      const document = JSON.parse(fs.readFileSync(FRED, "utf8"));
+      [document.observations[3], document.observations[4]] = [document.observations[4], document.observations[3]];
+      const shuffled = [{ source: "fred", options: { seriesId: "CPIAUCNS" }, raw: JSON.stringify(document) }];
+      expect(() => buildPayload(shuffled, { region: "US", metric: "CPI-U" })).to.throw(PipelineValidationError, /series order/);
+    });
+
+    it("reports unreadable sources alongside other problems", function () {
+      const inputs = [{ source: "bls", raw: "{not json" }, { source: "imf", raw: "{}" }, ...usInputs()];
+
+      try {
+        buildPayload(inputs, { region: "US", metric: "CPI-U" });
+        expect.fail("expected a validation error");
+      } catch (error) {
+        expect(error.issues).to.have.length(2);
+        expect(error.issues[0].message).to.match(/^bls: invalid JSON/);
+        expect(error.issues[1].message).to.equal('imf: no adapter named "imf"');
+      }
+    });
+  });
+
+  describe("signing", function () {
+    it("signs with EIP-712 and EIP-191 and recovers the signer from a stored envelope", async function () {
+      const [signer] = await ethers.getSigners();
+      const { payload } = buildPayload(usInputs(), { region: "US", metric: "CPI-U" });
+      const domain = oracleDomain({ chainId: 31337, verifyingContract: ethers.ZeroAddress });
+
+      for (const scheme of ["eip712", "eip191"]) {
+        const envelope = fromJson(toJson(await signPayload(signer, payload, { scheme, domain })));
+        expect(envelope.payloadHash).to.equal(hashPayload(payload));
+        expect(recoverPayloadSigner(envelope)).to.equal(signer.address);
+
+        const tampered = { ...envelope, payload: { ...envelope.payload, value: envelope.payload.value + 1n } };
+        expect(() => recoverPayloadSigner(tampered)).to.throw(/modified/);
+      }
+
+      const typed = await signPayload(signer, payload, { domain });
+      expect(() => recoverPayloadSigner({ ...typed, domain: { ...domain, chainId: 1n } })).to.throw(/not the recorded signer/);
+    });
+  });
+
+  describe("submission", function () {
+    async function oracleFixture() {
+      const [owner, outsider] = await ethers.getSigners();
+      const { deployments } = await deploySystem({ only: "indexOracle" });
+      const indexOracle = await ethers.getContractAt("IndexOracle", deployments.indexOracle);
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = oracleDomain({ chainId, verifyingContract: deployments.indexOracle });
+      const { payload } = buildPayload(usInputs(), { region: "US", metric: "CPI-U" });
+      return { owner, outsider, indexOracle, domain, payload };
+    }
+
+    it("sets the index price from a verified payload", async function () {
+      const { owner, indexOracle, domain, payload } = await loadFixture(oracleFixture);
+      await indexOracle.setIndexPriceManual(ethers.parseEther("314.069"));
+      const envelope = await signPayload(owner, payload, { domain });
+
+      const result = await submitPayload({ indexOracle, envelope, allowedSigners: [owner.address], log: () => {} });
+
+      expect(result.deviationBps).to.equal(3n);
+      expect(await indexOracle.getIndexPrice()).to.equal(payload.value);
+    });
+
+    it("refuses large moves and unknown signers", async function () {
+      const { owner, outsider, indexOracle, domain, payload } = await loadFixture(oracleFixture);
+      const envelope = await signPayload(outsider, payload, { domain });
+      const before = await indexOracle.getIndexPrice();
+
+      // The deployed oracle starts from the mock feeds' 2000, far from a CPI level.
+      await expect(submitPayload({ indexOracle, envelope, log: () => {} })).to.be.rejectedWith(/--force/);
+      await expect(submitPayload({ indexOracle, envelope, allowedSigners: [owner.address], force: true, log: () => {} }))
+        .to.be.rejectedWith(/not an allowed signer/);
+      expect(await indexOracle.getIndexPrice()).to.equal(before);
+
+      await submitPayload({ indexOracle, envelope, force: true, log: () => {} });
+      expect(await indexOracle.getIndexPrice()).to.equal(payload.value);
+    });
+  });
+
+  it("parses --source specs", function () {
+    expect(parseSourceSpec("fred:CPIAUCNS=data/fred.json")).to.deep.equal({
+      source: "fred",
+      file: "data/fred.json",
+      options: { seriesId: "CPIAUCNS" },
+    });
+    expect(() => parseSourceSpec("data/fred.json")).to.throw(/Invalid --source/);
+  });
+});
@@ -0,0 +1,185 @@
+const { expect } = require("chai");
+
+const { useTemporaryDeploymentsDir } = require("./helpers/system");
+const { topologicalOrder, selectSteps, executePlan } = require("../scripts/deploy/deploy-system");
+const { loadDeployments } = require("../scripts/deploy/utils");
+
+/**
+ * The orchestrator in scripts/deploy/deploy-system.js, run over stub steps so the graph, step
+ * selection and resume rules are checked without deploying anything.
+ */
+describe("Deployment orchestrator", function () {
+  useTemporaryDeploymentsDir();
+
+  const NETWORK = "orchestrator-test";
+
+  // A stub step; `run` defaults to recording `deploymentKey` the way the deploy-*.js scripts do.
+  function step(name, { dependsOn = [], runsAfter, deploymentKey, run } = {}) {
+    return {
+      name,
+      deploymentKey,
+      dependsOn,
+      runsAfter,
+      resolveArgs: async () => ({}),
+      run:
+        run ||
+        (async ({ deployments }) => {
+          if (deploymentKey) deployments[deploymentKey] = `0x${name}`;
+        }),
+    };
+  }
+
+  // Wraps each step's run so the names of the steps that actually ran collect in `runs`.
+  const tracked = (steps, runs) =>
+    steps.map((original) => ({
+      ...original,
+      run: async (context) => {
+        runs.push(original.name);
+        await original.run(context);
+      },
+    }));
+
+  const names = (steps) => steps.map(({ name }) => name);
+  const planNames = (plan) => plan.map(({ step }) => step.name);
+
+  describe("topologicalOrder", function () {
+    it("puts dependencies first and otherwise keeps declaration order", function () {
+      const steps = [
+        step("positionManager", { dependsOn: ["vault", "vamm"] }),
+        step("vault"),
+        step("vamm", { dependsOn: ["vault"] }),
+        step("oracle"),
+        step("initialize", { dependsOn: ["positionManager"], runsAfter: ["liquidator"] }),
+      ];
+
+      expect(names(topologicalOrder(steps))).to.deep.equal(["vault", "vamm", "positionManager", "oracle", "initialize"]);
+    });
+
+    it("orders by runsAfter but tolerates a runsAfter step that is not in the graph", function () {
+      const withLiquidator = [step("initialize", { runsAfter: ["liquidator"] }), step("liquidator")];
+      expect(names(topologicalOrder(withLiquidator))).to.deep.equal(["liquidator", "initialize"]);
+      expect(names(topologicalOrder([step("initialize", { runsAfter: ["liquidator"] })]))).to.deep.equal(["initialize"]);
+    });
+
+    it("rejects a dependency on an unknown step", function () {
+      const steps = [step("vault"), step("vamm", { dependsOn: ["vault", "oracle"] })];
+
+      expect(() => topologicalOrder(steps)).to.throw("Step vamm depends on unknown step oracle.");
+    });
+
+    it("names the steps caught in a cycle", function () {
+      const steps = [
+        step("vault"),
+        step("vamm", { dependsOn: ["vault", "positionManager"] }),
+        step("positionManager", { dependsOn: ["vamm"] }),
+      ];
+
+      expect(() => topologicalOrder(steps)).to.throw("Deployment graph contains a cycle between: vamm, positionManager");
+    });
+  });
+
+  describe("selectSteps", function () {
+    const ordered = topologicalOrder([
+      step("vault", { deploymentKey: "vault" }),
+      step("vamm", { dependsOn: ["vault"], deploymentKey: "vamm" }),
+      step("initialize", { dependsOn: ["vault", "vamm"] }),
+    ]);
+
+    it("plans every step, none explicitly, without --only or --from", function () {
+      const plan = selectSteps(ordered, {}, {});
+
+      expect(planNames(plan)).to.deep.equal(["vault", "vamm", "initialize"]);
+      expect(plan.every(({ explicit }) => !explicit)).to.equal(true);
+    });
+
+    it("refuses --only together with --from", function () {
+      expect(() => selectSteps(ordered, {}, { only: "vamm", from: "vamm" })).to.throw("--only and --from cannot be combined.");
+    });
+
+    it("rejects unknown step names", function () {
+      expect(() => selectSteps(ordered, {}, { only: "vault,oracle" })).to.throw(
+        'Unknown step "oracle". Available steps: vault, vamm, initialize',
+      );
+      expect(() => selectSteps(ordered, {}, { from: "oracle" })).to.throw('Unknown step "oracle".');
+    });
+
+    it("selects --only steps or the --from suffix explicitly", function () {
+      const deployments = { vault: "0xvault", vamm: "0xvamm" };
+
+      const only = selectSteps(ordered, deployments, { only: " initialize , vault" });
+      expect(planNames(only)).to.deep.equal(["vault", "initialize"]);
+      expect(only.every(({ explicit }) => explicit)).to.equal(true);
+      expect(planNames(selectSteps(ordered, deployments, { from: "vamm" }))).to.deep.equal(["vamm", "initialize"]);
+    });
+
+    it("requires each dependency to be selected or already done", function () {
+      expect(() => selectSteps(ordered, { vault: "0xvault" }, { only: "initialize" })).to.throw(
+        "Step initialize depends on vamm, which is neither deployed nor selected.",
+      );
+      expect(planNames(selectSteps(ordered, { vault: "0xvault" }, { from: "vamm" }))).to.deep.equal(["vamm", "initialize"]);
+    });
+
+    it("does not count a recorded address as done when the step failed", function () {
+      const deployments = {
+        vault: "0xvault",
+        vamm: "0xvamm",
+        steps: { vault: { status: "completed" }, vamm: { status: "failed" } },
+      };
+
+      expect(() => selectSteps(ordered, deployments, { only: "initialize" })).to.throw(
+        "Step initialize depends on vamm, which is neither deployed nor selected.",
+      );
+      expect(planNames(selectSteps(ordered, deployments, { only: "vamm,initialize" }))).to.deep.equal(["vamm", "initialize"]);
+    });
+  });
+
+  describe("executePlan", function () {
+    it("resumes at the failed step even though it saved its address first", async function () {
+      const runs = [];
+      let vammAttempts = 0;
+      const ordered = topologicalOrder([
+        step("vault", { deploymentKey: "vault" }),
+        step("vamm", {
+          dependsOn: ["vault"],
+          deploymentKey: "vamm",
+          // Deploys, then fails configuring what it deployed on the first attempt.
+          run: async ({ deployments }) => {
+            deployments.vamm = "0xvamm";
+            vammAttempts += 1;
+            if (vammAttempts === 1) throw new Error("setPositionManager reverted");
+          },
+        }),
+        step("initialize", { dependsOn: ["vault", "vamm"] }),
+      ]);
+      const steps = tracked(ordered, runs);
+
+      const first = loadDeployments(NETWORK);
+      const firstRun = executePlan({ network: NETWORK, cfg: {}, deployments: first, plan: selectSteps(steps, first, {}) });
+      await expect(firstRun).to.be.rejectedWith("setPositionManager reverted");
+      expect(runs).to.deep.equal(["vault", "vamm"]);
+
+      const saved = loadDeployments(NETWORK);
+      expect(saved).to.include({ vault: "0xvault", vamm: "0xvamm" });
+      expect(saved.steps.vault.status).to.equal("completed");
+      expect(saved.steps.vamm).to.include({ status: "failed", error: "setPositionManager reverted" });
+
+      runs.length = 0;
+      await executePlan({ network: NETWORK, cfg: {}, deployments: saved, plan: selectSteps(steps, saved, {}) });
+      expect(runs).to.deep.equal(["vamm", "initialize"]);
+      const statuses = Object.values(loadDeployments(NETWORK).steps).map(({ status }) => status);
+      expect(statuses).to.deep.equal(["completed", "completed", "completed"]);
+    });
+
+    it("marks a step recorded only by its address as completed and skips it", async function () {
+      const runs = [];
+      const ordered = [step("vault", { deploymentKey: "vault" }), step("vamm", { dependsOn: ["vault"], deploymentKey: "vamm" })];
+      const steps = tracked(ordered, runs);
+      const deployments = { vault: "0xvault" };
+
+      await executePlan({ network: NETWORK, cfg: {}, deployments, plan: selectSteps(steps, deployments, {}) });
+
+      expect(runs).to.deep.equal(["vamm"]);
+      expect(deployments.steps.vault.status).to.equal("completed");
+    });
+  });
+});
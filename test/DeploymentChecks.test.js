@@ -0,0 +1,172 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { useTemporaryDeploymentsDir } = require("./helpers/system");
+const { deployProtocol } = require("./helpers/fixtures");
+const initializeStep = require("../scripts/deploy/initialize-system");
+const { verifySystem } = require("../scripts/deploy/verify-system");
+const { detectDrift, reconciliationCalls } = require("../scripts/deploy/check-drift");
+
+/**
+ * Deploys the system through the orchestrator (into a temporary deployments directory) and checks
+ * the post-deployment tooling against it: verify-system and check-drift.
+ */
+describe("Deployment checks", function () {
+  useTemporaryDeploymentsDir();
+
+  async function protocolFixture() {
+    return deployProtocol();
+  }
+
+  describe("verify-system", function () {
+    it("passes every check on a freshly deployed system", async function () {
+      const { cfg, deployments } = await loadFixture(protocolFixture);
+
+      const report = await verifySystem({ network: network.name, cfg, deployments });
+
+      expect(report.checks.filter((check) => !check.ok)).to.deep.equal([]);
+      expect(report.ok).to.equal(true);
+      expect(report.summary.failed).to.equal(0);
+      expect(report.checks.map((check) => check.id)).to.include.members([
+        "vamm.positionManager",
+        "fundingCalculator.positionManager",
+        "vault.positionManagerRole",
+        "positionManager.liquidatorRole",
+        "liquidator.vault",
+        "indexOracle.cpiFeed",
+        "positionManager.maintenanceMargin",
+        "positionManager.implementation",
+        "positionManager.pnlPool",
+        "positionManager.pnlPoolHeld",
+        "positionManager.liquidationRemainderToPnlPool",
+      ]);
+    });
+
+    it("reports a revoked role and a mismatched parameter", async function () {
+      const { cfg, deployments, vault } = await loadFixture(protocolFixture);
+      await vault.revokeRole(await vault.POSITION_MANAGER_ROLE(), deployments.positionManager);
+
+      const report = await verifySystem({
+        network: network.name,
+        cfg: { ...cfg, positionManager: { ...cfg.positionManager, maintenanceMarginBps: 750 } },
+        deployments,
+      });
+
+      expect(report.ok).to.equal(false);
+      const failed = report.checks.filter((check) => !check.ok);
+      expect(failed.map((check) => check.id)).to.have.members([
+        "vault.positionManagerRole",
+        "positionManager.maintenanceMargin",
+      ]);
+      expect(failed.find((check) => check.id === "positionManager.maintenanceMargin")).to.include({
+        expected: 750,
+        actual: "500",
+      });
+    });
+
+    it("flags a recorded implementation that differs from the ERC1967 slot", async function () {
+      const { cfg, deployments } = await loadFixture(protocolFixture);
+
+      const report = await verifySystem({
+        network: network.name,
+        cfg,
+        deployments: { ...deployments, vammImplementation: ethers.ZeroAddress },
+      });
+
+      expect(report.ok).to.equal(false);
+      expect(report.checks.filter((check) => !check.ok).map((check) => check.id)).to.deep.equal(["vamm.implementation"]);
+    });
+  });
+
+  describe("PnL pool seeding", function () {
+    const USDC = (amount) => ethers.parseUnits(amount, 6);
+    const withTarget = (cfg, target) => ({ ...cfg, positionManager: { ...cfg.positionManager, pnlPoolTarget: target.toString() } });
+
+    it("tops the pool up to its target from the deployer and verifies it", async function () {
+      const { cfg, deployments, usdc, admin, positionManager } = await loadFixture(protocolFixture);
+      const pool = await positionManager.pnlPoolBalance();
+      const target = pool + USDC("50000");
+
+      // The deployer holds no collateral yet.
+      await expect(initializeStep.run({ network: network.name, cfg: withTarget(cfg, target), deployments })).to.be.rejectedWith(
+        `needs ${USDC("50000")} collateral from ${admin.address}, which holds 0`,
+      );
+
+      await usdc.mint(admin.address, USDC("50000"));
+      await initializeStep.run({ network: network.name, cfg: withTarget(cfg, target), deployments });
+      expect(await positionManager.pnlPoolBalance()).to.equal(target);
+      expect(await usdc.balanceOf(admin.address)).to.equal(0n);
+
+      const report = await verifySystem({ network: network.name, cfg: withTarget(cfg, target), deployments });
+      expect(report.checks.filter((check) => !check.ok)).to.deep.equal([]);
+    });
+
+    it("flags a pool below its target", async function () {
+      const { cfg, deployments, positionManager } = await loadFixture(protocolFixture);
+      const target = (await positionManager.pnlPoolBalance()) + 1n;
+
+      const report = await verifySystem({ network: network.name, cfg: withTarget(cfg, target), deployments });
+
+      const failed = report.checks.filter((check) => !check.ok);
+      expect(failed.map((check) => check.id)).to.deep.equal(["positionManager.pnlPool"]);
+      expect(failed[0]).to.include({ expected: target.toString(), actual: (target - 1n).toString() });
+    });
+  });
+
+  describe("liquidation remainder destination", function () {
+    it("sends the remainder to the PnL pool when the config opts in", async function () {
+      const { cfg, deployments, positionManager } = await loadFixture(protocolFixture);
+      const toPool = { ...cfg, positionManager: { ...cfg.positionManager, liquidationRemainderToPnlPool: true } };
+      expect(await positionManager.liquidationRemainderToPnlPool()).to.equal(false);
+
+      const drifted = await detectDrift({ cfg: toPool, deployments });
+      expect(drifted.filter((row) => row.drift).map((row) => row.parameter)).to.deep.equal(["liquidationRemainderToPnlPool"]);
+      const before = await verifySystem({ network: network.name, cfg: toPool, deployments });
+      expect(before.checks.filter((check) => !check.ok).map((check) => check.id)).to.deep.equal([
+        "positionManager.liquidationRemainderToPnlPool",
+      ]);
+
+      await initializeStep.run({ network: network.name, cfg: toPool, deployments });
+      expect(await positionManager.liquidationRemainderToPnlPool()).to.equal(true);
+      const after = await verifySystem({ network: network.name, cfg: toPool, deployments });
+      expect(after.checks.filter((check) => !check.ok)).to.deep.equal([]);
+    });
+  });
+
+  describe("check-drift", function () {
+    it("reports no drift on a freshly initialized system", async function () {
+      const { cfg, deployments } = await loadFixture(protocolFixture);
+
+      const rows = await detectDrift({ cfg, deployments });
+
+      expect(rows.filter((row) => row.drift)).to.deep.equal([]);
+      expect(rows.find((row) => row.parameter === "maxPriceDeviation")).to.include({
+        expected: String(cfg.chainlink.maxDeviation),
+        actual: String(cfg.chainlink.maxDeviation),
+      });
+    });
+
+    it("detects out-of-band changes and emits calldata that reconciles them", async function () {
+      const { cfg, deployments, admin, positionManager, vamm } = await loadFixture(protocolFixture);
+      await positionManager.setRiskParameters(ethers.parseEther("5"), 800, 10, 500);
+      await vamm.setMaxPriceImpact(900);
+
+      const rows = await detectDrift({ cfg, deployments });
+      expect(rows.filter((row) => row.drift).map((row) => row.parameter)).to.have.members([
+        "maxLeverage",
+        "maintenanceMargin",
+        "maxPriceImpact",
+      ]);
+
+      const calls = reconciliationCalls({ cfg, rows });
+      expect(calls.map((call) => call.fn)).to.deep.equal(["setMaxPriceImpact", "setRiskParameters"]);
+
+      for (const call of calls) {
+        await (await admin.sendTransaction({ to: call.to, data: call.data })).wait();
+      }
+      const after = await detectDrift({ cfg, deployments });
+      expect(after.filter((row) => row.drift)).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture, mine, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { useTemporaryDeploymentsDir } = require("./helpers/system");
+const { USDC, tradingSession } = require("./helpers/session");
+const { openDatabase } = require("../scripts/indexer/schema");
+const { INDEXED_CONTRACTS, EventIndexer, artifactSources, deployBlock } = require("../scripts/indexer/index-events");
+
+// Event name -> table holding its rows (with the discriminator column, where a table is shared).
+const EVENT_TABLES = {
+  PositionOpened: ["position_opens"],
+  PositionClosed: ["position_closes"],
+  PositionLiquidated: ["position_liquidations"],
+  MarginAdded: ["margin_changes", "direction = 'add'"],
+  MarginRemoved: ["margin_changes", "direction = 'remove'"],
+  FundingRateUpdated: ["funding_rate_updates"],
+  IndexPriceUpdated: ["index_price_updates", "source = 'feeds'"],
+  ManualPriceUpdate: ["index_price_updates", "source = 'manual'"],
+  Deposit: ["vault_transfers", "direction = 'deposit'"],
+  Withdraw: ["vault_transfers", "direction = 'withdraw'"],
+  FeesCollected: ["vault_fees"],
+};
+
+/**
+ * Indexes the scripted session from test/helpers/session.js and checks the database against the
+ * chain: row counts against queryFilter and position state against getPosition. Reorgs are
+ * produced with snapshots, which rewind the chain so later blocks reuse the same numbers with
+ * different hashes.
+ */
+describe("Event indexer", function () {
+  useTemporaryDeploymentsDir();
+
+  let dbDir;
+  beforeEach(function () {
+    dbDir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+  });
+  afterEach(function () {
+    fs.rmSync(dbDir, { recursive: true, force: true });
+  });
+
+  async function createIndexer(deployments, options = {}) {
+    const db = openDatabase(options.file ?? path.join(dbDir, "index.sqlite"));
+    const indexer = new EventIndexer({
+      provider: ethers.provider,
+      db,
+      sources: await artifactSources(hre, deployments),
+      fromBlock: deployBlock(deployments),
+      confirmations: 0,
+      log: () => {},
+      ...options,
+    });
+    return { indexer, db };
+  }
+
+  function countRows(db, event) {
+    const [table, where] = EVENT_TABLES[event];
+    return db.prepare(`SELECT COUNT(*) AS n FROM ${table}${where ? ` WHERE ${where}` : ""}`).get().n;
+  }
+
+  async function expectMatchesChain(db, { deployments, contracts }, toBlock = "latest") {
+    const fromBlock = deployBlock(deployments);
+    for (const [name, { events }] of Object.entries(INDEXED_CONTRACTS)) {
+      for (const event of events) {
+        const logs = await contracts[name].queryFilter(event, fromBlock, toBlock);
+        expect(countRows(db, event), event).to.equal(logs.length);
+      }
+    }
+  }
+
+  it("backfills every indexed event from the deploy block", async function () {
+    const session = await loadFixture(tradingSession);
+    const { indexer, db } = await createIndexer(session.deployments);
+
+    const { fromBlock, toBlock, counts } = await indexer.sync();
+
+    expect(fromBlock).to.equal(session.deployments.vaultDeployBlock);
+    expect(toBlock).to.equal(await ethers.provider.getBlockNumber());
+    expect(indexer.lastBlock).to.equal(toBlock);
+    await expectMatchesChain(db, session);
+    expect(counts).to.include({ PositionOpened: 5, PositionClosed: 1, PositionLiquidated: 1, MarginAdded: 1 });
+    // Three trader deposits and the admin's, which funds the PnL pool.
+    expect(counts).to.include({ Deposit: 4, Withdraw: 1, FundingRateUpdated: 1, ManualPriceUpdate: 1 });
+    expect(counts.FeesCollected).to.be.greaterThan(0);
+
+    const [manual] = db.prepare("SELECT * FROM index_price_updates WHERE source = 'manual'").all();
+    expect(manual).to.include({ price: ethers.parseEther("2005").toString(), real_yield: null });
+    db.close();
+  });
+
+  it("reconstructs position states that match getPosition", async function () {
+    const { deployments, contracts, ids } = await loadFixture(tradingSession);
+    const { indexer, db } = await createIndexer(deployments);
+    await indexer.sync();
+
+    const rows = db.prepare("SELECT * FROM positions").all();
+    expect(rows).to.have.length(5);
+    const byId = new Map(rows.map((row) => [row.position_id, row]));
+
+    for (const row of rows.filter(({ status }) => status === "open")) {
+      const position = await contracts.positionManager.getPosition(row.position_id);
+      expect({
+        trader: row.trader,
+        isLong: row.is_long === 1,
+        size: BigInt(row.size),
+        collateral: BigInt(row.collateral),
+        leverage: BigInt(row.leverage),
+        entryPrice: BigInt(row.entry_price),
+        timestamp: BigInt(row.opened_at),
+      }).to.deep.equal({
+        trader: position.trader,
+        isLong: position.isLong,
+        size: position.size,
+        collateral: position.collateral,
+        leverage: position.leverage,
+        entryPrice: position.entryPrice,
+        timestamp: position.timestamp,
+      });
+    }
+
+    expect([...byId.values()].filter(({ status }) => status === "open").map(({ position_id: id }) => id))
+      .to.have.members([ids.kept, ids.topped, ids.late]);
+    expect(byId.get(ids.topped).collateral).to.equal(USDC("375").toString());
+    expect(byId.get(ids.closed)).to.include({ status: "closed" });
+    expect(byId.get(ids.closed).pnl).to.be.a("string");
+    expect(byId.get(ids.liquidated)).to.include({ status: "liquidated", liquidator: deployments.liquidator });
+    for (const id of [ids.closed, ids.liquidated]) {
+      expect((await contracts.positionManager.getPosition(id)).trader).to.equal(ethers.ZeroAddress);
+    }
+    db.close();
+  });
+
+  it("resumes from the last indexed block and stays the confirmation depth behind", async function () {
+    const session = await loadFixture(tradingSession);
+    const file = path.join(dbDir, "resume.sqlite");
+    const first = await createIndexer(session.deployments, { file, confirmations: 3 });
+
+    const head = await ethers.provider.getBlockNumber();
+    expect((await first.indexer.sync()).toBlock).to.equal(head - 3);
+    first.db.close();
+
+    await session.clients[0].addMargin(session.ids.kept, USDC("25"));
+    await mine(3);
+
+    const second = await createIndexer(session.deployments, { file, confirmations: 3 });
+    const { fromBlock, counts } = await second.indexer.sync();
+
+    expect(fromBlock).to.equal(head - 2);
+    // The fixture's last three transactions were inside the confirmation depth the first time.
+    expect(counts).to.deep.equal({ IndexPriceUpdated: 1, FundingRateUpdated: 1, ManualPriceUpdate: 1, MarginAdded: 1 });
+    await expectMatchesChain(second.db, session, second.indexer.lastBlock);
+    expect(second.db.prepare("SELECT collateral FROM positions WHERE position_id = ?").get(session.ids.kept).collateral)
+      .to.equal(USDC("225").toString());
+    second.db.close();
+  });
+
+  it("rolls back and re-indexes blocks replaced by a reorg", async function () {
+    const session = await loadFixture(tradingSession);
+    const { clients, ids } = session;
+    const { indexer, db } = await createIndexer(session.deployments);
+    await indexer.sync();
+    const forkPoint = indexer.lastBlock;
+
+    // Chain A: top up a position and open another, then index them.
+    const snapshot = await takeSnapshot();
+    await clients[0].addMargin(ids.kept, USDC("10"));
+    await clients[0].openPosition({ isLong: false, collateral: USDC("120"), leverage: ethers.parseEther("2"), slippageBps: 10000 });
+    await indexer.sync();
+    expect(db.prepare("SELECT COUNT(*) AS n FROM positions").get().n).to.equal(6);
+
+    // Chain B replaces those blocks with a different top-up and no new position.
+    await snapshot.restore();
+    await clients[0].addMargin(ids.kept, USDC("40"));
+    await mine(2);
+    const { rolledBackTo } = await indexer.sync();
+
+    expect(rolledBackTo).to.equal(forkPoint);
+    await expectMatchesChain(db, session);
+    const kept = db.prepare("SELECT * FROM positions WHERE position_id = ?").get(ids.kept);
+    expect(kept).to.include({ status: "open", collateral: USDC("240").toString() });
+    expect(db.prepare("SELECT COUNT(*) AS n FROM positions").get().n).to.equal(5);
+    db.close();
+  });
+});
@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { useTemporaryDeploymentsDir } = require("./helpers/system");
+const { deployProtocol, openAs, movePrice, advanceFunding } = require("./helpers/fixtures");
+
+const USDC = (amount) => ethers.parseUnits(amount, 6);
+
+/**
+ * The shared protocol fixture: its options have to reach the contracts through the deploy scripts,
+ * and its helpers have to drive the deployed system.
+ */
+describe("Protocol fixtures", function () {
+  useTemporaryDeploymentsDir();
+
+  async function defaultFixture() {
+    return deployProtocol();
+  }
+
+  async function customFixture() {
+    return deployProtocol({
+      oracle: "mock",
+      liquidator: false,
+      risk: { maxLeverage: ethers.parseEther("5"), maintenanceMarginBps: 800, tradingFeeBps: 20, minCollateral: USDC("50") },
+      traders: 3,
+      wallet: USDC("5000"),
+      deposit: USDC("2000"),
+    });
+  }
+
+  it("deploys every step with feeds, the Liquidator contract and funded traders by default", async function () {
+    const ctx = await loadFixture(defaultFixture);
+    const { positionManager, vault, indexOracle, liquidatorContract, traders, liquidator, feeRecipient } = ctx;
+
+    expect(Object.keys(ctx.deployments.steps)).to.have.members([
+      "vault", "indexOracle", "vamm", "fundingCalculator", "positionManager", "liquidator", "initialize",
+    ]);
+    expect(await indexOracle.cpiDataFeed()).to.equal(await ctx.cpiFeed.getAddress());
+    expect(await indexOracle.getIndexPrice()).to.equal(ethers.parseEther("2000"));
+
+    const LIQUIDATOR_ROLE = await positionManager.LIQUIDATOR_ROLE();
+    expect(await positionManager.hasRole(LIQUIDATOR_ROLE, await liquidatorContract.getAddress())).to.equal(true);
+    expect(await positionManager.hasRole(LIQUIDATOR_ROLE, liquidator.address)).to.equal(false);
+    expect(await positionManager.feeRecipient()).to.equal(feeRecipient.address);
+    expect(await vault.feeRecipient()).to.equal(feeRecipient.address);
+
+    expect(traders).to.have.length(2);
+    for (const account of [...traders, liquidator]) {
+      expect(await ctx.usdc.balanceOf(account.address)).to.equal(USDC("100000"));
+      expect(await ctx.usdc.allowance(account.address, ctx.deployments.vault)).to.equal(ethers.MaxUint256);
+      expect(await vault.totalBalance(account.address, ctx.token)).to.equal(0n);
+    }
+  });
+
+  it("applies oracle, liquidator, risk and trader options through initialize-system", async function () {
+    const ctx = await loadFixture(customFixture);
+    const { positionManager, vault, indexOracle, traders, liquidator } = ctx;
+
+    expect(ctx.deployments.liquidator).to.equal(undefined);
+    expect(ctx.liquidatorContract).to.equal(null);
+    expect(await positionManager.hasRole(await positionManager.LIQUIDATOR_ROLE(), liquidator.address)).to.equal(true);
+
+    // The mock takes the IndexOracle step's place and initialize-system configures it the same way.
+    expect(ctx.deployments.steps.indexOracle.status).to.equal("completed");
+    expect(await positionManager.oracle()).to.equal(ctx.deployments.indexOracle);
+    expect(await indexOracle.updateInterval()).to.equal(BigInt(ctx.cfg.chainlink.updateInterval));
+
+    expect(await positionManager.maxLeverage()).to.equal(ethers.parseEther("5"));
+    expect(await positionManager.maintenanceMargin()).to.equal(800n);
+    expect(await positionManager.tradingFee()).to.equal(20n);
+    expect(await positionManager.liquidationFee()).to.equal(BigInt(ctx.cfg.positionManager.liquidationFeeBps));
+    expect(await positionManager.minCollateral()).to.equal(USDC("50"));
+
+    expect(traders).to.have.length(3);
+    for (const trader of traders) {
+      expect(await ctx.usdc.balanceOf(trader.address)).to.equal(USDC("3000"));
+      expect(await vault.availableBalance(trader.address, ctx.token)).to.equal(USDC("2000"));
+    }
+    expect(traders.map((trader) => trader.address)).to.not.include(liquidator.address);
+  });
+
+  it("rejects risk options initialize-system does not apply", async function () {
+    await expect(deployProtocol({ risk: { maxLeverge: ethers.parseEther("5") } })).to.be.rejectedWith(
+      "Unknown risk option maxLeverge",
+    );
+  });
+
+  it("opens positions, moves prices and settles funding against either oracle", async function () {
+    for (const fixture of [defaultFixture, customFixture]) {
+      const ctx = await loadFixture(fixture);
+      const { positionManager, vamm, indexOracle, fundingCalculator, traders } = ctx;
+      const [trader] = traders;
+      if (fixture === defaultFixture) await ctx.vault.connect(trader).deposit(ctx.token, USDC("2000"));
+
+      const positionId = await openAs(ctx, trader, { isLong: true, collateral: USDC("100"), leverage: ethers.parseEther("2") });
+      const position = await positionManager.getPosition(positionId);
+      expect(position.trader).to.equal(trader.address);
+      expect(position.size).to.equal(USDC("200"));
+
+      // A 10% move is past the deviation limit setIndexPriceManual enforces on the mock.
+      await movePrice(ctx, ethers.parseEther("2200"));
+      expect(await indexOracle.getIndexPrice()).to.equal(ethers.parseEther("2200"));
+      expect(await vamm.getMarkPrice()).to.be.closeTo(ethers.parseEther("2200"), 10n ** 6n);
+      await movePrice(ctx, ethers.parseEther("2100"), { index: false });
+      expect(await indexOracle.getIndexPrice()).to.equal(ethers.parseEther("2200"));
+
+      // Three intervals outlast the index's two-interval freshness only because each republishes it.
+      await advanceFunding(ctx, 3, ethers.parseEther("2000"));
+      expect(await fundingCalculator.currentFundingRate()).to.be.gt(0n);
+
+      // The long gained on the mark and paid funding for it.
+      const pricePnl = (position.size * (ethers.parseEther("2100") - position.entryPrice)) / position.entryPrice;
+      const pnl = await positionManager.calculatePnL(positionId);
+      expect(pnl).to.be.gt(0n);
+      expect(pnl).to.be.lt(pricePnl);
+    }
+  });
+});
@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  loadFixture,
+  time,
+  impersonateAccount,
+  stopImpersonatingAccount,
+  setBalance,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+const { useTemporaryDeploymentsDir } = require("./helpers/system");
+const { deployProtocol } = require("./helpers/fixtures");
+const { FundingKeeper } = require("../scripts/keepers/funding-keeper");
+
+/**
+ * Runs the funding keeper against a system deployed by the real deploy scripts. The oracle and
+ * funding intervals both default to an hour, and the oracle turns stale after two of them, so the
+ * stale-funding scenario also exercises a settlement that reverts.
+ */
+describe("Funding keeper", function () {
+  useTemporaryDeploymentsDir();
+
+  async function systemFixture() {
+    const ctx = await deployProtocol();
+    const [keeperAccount, outsider] = ctx.traders;
+    await ctx.positionManager.grantRole(await ctx.positionManager.KEEPER_ROLE(), keeperAccount.address);
+    const interval = Number(await ctx.fundingCalculator.fundingInterval());
+
+    return { ...ctx, keeperAccount, outsider, interval };
+  }
+
+  function createKeeper(deployments, signer, options = {}) {
+    const records = [];
+    const alerts = [];
+    const keeper = new FundingKeeper({
+      signer,
+      addresses: deployments,
+      fromBlock: deployments.positionManagerDeployBlock,
+      record: (record) => records.push(record),
+      alert: (alert) => alerts.push(alert),
+      log: () => {},
+      ...options,
+    });
+    return { keeper, records, alerts };
+  }
+
+  it("waits for the funding interval and reports due settlements in dry-run mode", async function () {
+    const { deployments, keeperAccount, fundingCalculator, interval } = await loadFixture(systemFixture);
+    const { keeper } = createKeeper(deployments, keeperAccount, { dryRun: true });
+    const lastFundingTime = await fundingCalculator.lastFundingTime();
+
+    expect((await keeper.tick()).due).to.equal(false);
+
+    await time.increase(interval);
+    const summary = await keeper.tick();
+
+    expect(summary.due).to.equal(true);
+    expect(summary.settled).to.equal(null);
+    expect(await fundingCalculator.lastFundingTime()).to.equal(lastFundingTime);
+  });
+
+  it("settles funding through PositionManager and records the prices it used", async function () {
+    const { deployments, keeperAccount, fundingCalculator, indexOracle, vamm, interval } = await loadFixture(systemFixture);
+    const { keeper, records } = createKeeper(deployments, keeperAccount);
+
+    await time.increase(interval);
+    const summary = await keeper.tick();
+
+    expect(summary.settled).to.be.a("string");
+    expect(summary.records).to.have.length(1);
+    expect(records).to.deep.equal(summary.records);
+
+    const [record] = records;
+    const receipt = await ethers.provider.getTransactionReceipt(summary.settled);
+    expect(record.transactionHash).to.equal(summary.settled);
+    expect(record.source).to.equal("settleFunding");
+    expect(record.timestamp).to.equal(Number(await fundingCalculator.lastFundingTime()));
+    expect(record.fundingRate).to.equal(await fundingCalculator.currentFundingRate());
+    expect(record.markPrice).to.equal(await vamm.getMarkPrice({ blockTag: receipt.blockNumber }));
+    expect(record.indexPrice).to.equal(await indexOracle.getIndexPrice({ blockTag: receipt.blockNumber }));
+
+    const next = await keeper.tick();
+    expect(next.due).to.equal(false);
+    expect(next.records).to.deep.equal([]);
+  });
+
+  it("records funding updates made outside settleFunding with the prices at that block", async function () {
+    const { deployments, keeperAccount, fundingCalculator, indexOracle, vamm, interval } = await loadFixture(systemFixture);
+    const { keeper, records } = createKeeper(deployments, keeperAccount, { dryRun: true });
+
+    await time.increase(interval);
+    await impersonateAccount(deployments.positionManager);
+    await setBalance(deployments.positionManager, ethers.parseEther("1"));
+    const pmSigner = await ethers.getSigner(deployments.positionManager);
+    await fundingCalculator.connect(pmSigner).updateFundingRate(ethers.parseEther("2010"), ethers.parseEther("2000"));
+    await stopImpersonatingAccount(deployments.positionManager);
+
+    const summary = await keeper.tick();
+
+    expect(summary.due).to.equal(false);
+    expect(records).to.have.length(1);
+    expect(records[0].source).to.equal("direct");
+    expect(records[0].markPrice).to.equal(await vamm.getMarkPrice());
+    expect(records[0].indexPrice).to.equal(await indexOracle.getIndexPrice());
+  });
+
+  it("alerts once when funding is more than two intervals old and again when it recovers", async function () {
+    const { deployments, keeperAccount, indexOracle, interval } = await loadFixture(systemFixture);
+    const { keeper, alerts } = createKeeper(deployments, keeperAccount);
+
+    // Long enough for the oracle to go stale as well, so settlement keeps reverting.
+    await time.increase(interval * 2 + 1);
+    const first = await keeper.tick();
+    expect(first.error).to.match(/OracleDataStale/);
+    expect(first.stale).to.equal(true);
+
+    await keeper.tick();
+    expect(alerts.map(({ type }) => type)).to.deep.equal(["funding-stale"]);
+    expect(alerts[0].ageSeconds).to.be.greaterThan(interval * 2);
+
+    await indexOracle.setIndexPriceManual(ethers.parseEther("2000"));
+    const recovered = await keeper.tick();
+    expect(recovered.settled).to.be.a("string");
+    expect(recovered.stale).to.equal(false);
+    expect(alerts.map(({ type }) => type)).to.deep.equal(["funding-stale", "funding-recovered"]);
+  });
+
+  it("requires KEEPER_ROLE to settle funding", async function () {
+    const { deployments, outsider, positionManager, interval } = await loadFixture(systemFixture);
+    const { keeper } = createKeeper(deployments, outsider);
+
+    await time.increase(interval);
+    const summary = await keeper.tick();
+
+    expect(summary.settled).to.equal(null);
+    expect(summary.error).to.match(/AccessControlUnauthorizedAccount/);
+    await expect(positionManager.connect(outsider).settleFunding()).to.be.revertedWithCustomError(
+      positionManager,
+      "AccessControlUnauthorizedAccount",
+    );
+  });
+});
@@ -0,0 +1,221 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { useTemporaryDeploymentsDir } = require("./helpers/system");
+const { deployProtocol, movePrice } = require("./helpers/fixtures");
+const { TradingClient } = require("../sdk");
+const { LiquidationKeeper } = require("../scripts/keepers/liquidation-keeper");
+
+const USDC = (amount) => ethers.parseUnits(amount, 6);
+
+/**
+ * Runs the liquidation keeper against a system deployed by the real deploy scripts. Every
+ * position starts healthy; a 30% drop in the mark then takes the 3x and 4x longs below the 5%
+ * maintenance margin while the 2x long and the shorts stay above it.
+ */
+describe("Liquidation keeper", function () {
+  useTemporaryDeploymentsDir();
+
+  async function openPositionsFixture() {
+    const ctx = await deployProtocol({ traders: 3, deposit: USDC("10000") });
+
+    const opened = [];
+    for (const [index, trader] of ctx.traders.entries()) {
+      const client = TradingClient.fromDeployments(trader, ctx.deployments);
+      for (let i = 0; i < 2; i++) {
+        const isLong = (index + i) % 2 === 0;
+        const leverage = 2 + index;
+        const { positionId } = await client.openPosition({
+          isLong,
+          collateral: USDC(String(100 * (i + 1))),
+          leverage: ethers.parseEther(String(leverage)),
+          slippageBps: 10000,
+        });
+        opened.push({ positionId, client, underwater: isLong && leverage > 2 });
+      }
+    }
+
+    // One position is closed by its owner and must drop out of the keeper's set.
+    const closed = opened.pop();
+    await closed.client.closePosition(closed.positionId);
+
+    const ids = (positions) => positions.map(({ positionId }) => positionId);
+    return {
+      ...ctx,
+      keeperAccount: ctx.liquidator,
+      open: ids(opened),
+      underwater: ids(opened.filter((position) => position.underwater)),
+      healthy: ids(opened.filter((position) => !position.underwater)),
+      closedId: closed.positionId,
+    };
+  }
+
+  // Drops the mark 30%: 3x and 4x longs lose 90% and more of their collateral, a 2x long 60%.
+  async function crash(ctx) {
+    const markPrice = await ctx.vamm.getMarkPrice();
+    await movePrice(ctx, (markPrice * 70n) / 100n, { index: false });
+  }
+
+  function createKeeper(deployments, signer, options = {}) {
+    return new LiquidationKeeper({
+      signer,
+      addresses: deployments,
+      fromBlock: deployments.positionManagerDeployBlock,
+      log: () => {},
+      ...options,
+    });
+  }
+
+  it("rebuilds the open set from lifecycle events and plans without sending in dry-run mode", async function () {
+    const ctx = await loadFixture(openPositionsFixture);
+    const { deployments, keeperAccount, open, underwater, closedId } = ctx;
+    const keeper = createKeeper(deployments, keeperAccount, { dryRun: true });
+    const nonceBefore = await keeperAccount.getNonce();
+
+    const healthy = await keeper.tick();
+    expect(keeper.tracker.ids).to.have.members(open);
+    expect(keeper.tracker.ids).not.to.include(closedId);
+    expect(healthy.liquidatable).to.deep.equal([]);
+    expect(healthy.batches).to.deep.equal([]);
+
+    await crash(ctx);
+    const summary = await keeper.tick();
+
+    expect(summary.liquidatable).to.have.members(underwater);
+    expect(summary.batches).to.have.length(1);
+    expect(summary.batches[0].gas).to.be.greaterThan(0n);
+    expect(await keeperAccount.getNonce()).to.equal(nonceBefore);
+  });
+
+  it("batch-liquidates exactly the underwater positions through the Liquidator", async function () {
+    const ctx = await loadFixture(openPositionsFixture);
+    const { deployments, positionManager, keeperAccount, underwater, healthy } = ctx;
+    const keeper = createKeeper(deployments, keeperAccount);
+
+    const before = await keeper.tick();
+    expect(before.liquidated).to.deep.equal([]);
+    expect(before.transactions).to.equal(undefined);
+
+    await crash(ctx);
+    const summary = await keeper.tick();
+
+    expect(summary.liquidated).to.have.members(underwater);
+    expect(summary.transactions).to.have.length(1);
+    for (const positionId of underwater) {
+      expect((await positionManager.getPosition(positionId)).size).to.equal(0n);
+    }
+    for (const positionId of healthy) {
+      expect((await positionManager.getPosition(positionId)).size).to.be.greaterThan(0n);
+    }
+
+    await mine();
+    const next = await keeper.tick();
+    expect(next.open).to.equal(healthy.length);
+    expect(next.liquidatable).to.deep.equal([]);
+  });
+
+  it("splits batches to fit the gas limit and sends them with consecutive nonces", async function () {
+    const ctx = await loadFixture(openPositionsFixture);
+    const { deployments, keeperAccount, underwater } = ctx;
+    await crash(ctx);
+    const planner = createKeeper(deployments, keeperAccount, { dryRun: true });
+    const [{ gas }] = await planner.planBatches(underwater);
+
+    // Both positions together no longer fit, each on its own does.
+    const keeper = createKeeper(deployments, keeperAccount, { gasLimit: gas - 1n });
+    const nonceBefore = await keeperAccount.getNonce();
+    const summary = await keeper.tick();
+
+    expect(summary.batches).to.have.length(underwater.length);
+    expect(summary.batches.every((batch) => batch.gas < gas)).to.equal(true);
+    expect(summary.liquidated).to.have.members(underwater);
+    expect(await keeperAccount.getNonce()).to.equal(nonceBefore + summary.batches.length);
+  });
+
+  it("puts reverting liquidations in cooldown and retries them later", async function () {
+    const ctx = await loadFixture(openPositionsFixture);
+    const { deployments, positionManager, keeperAccount, underwater } = ctx;
+    await crash(ctx);
+    // Direct liquidation needs LIQUIDATOR_ROLE, which the keeper account does not have yet.
+    const keeper = createKeeper(deployments, keeperAccount, { target: "positionManager", retryAfterBlocks: 3 });
+
+    const first = await keeper.tick();
+    expect(first.failed).to.have.members(underwater);
+    expect(first.batches.every((batch) => batch.ids.length === 1 && batch.error)).to.equal(true);
+
+    await positionManager.grantRole(await positionManager.LIQUIDATOR_ROLE(), keeperAccount.address);
+    const cooling = await keeper.tick();
+    expect(cooling.liquidatable).to.deep.equal([]);
+
+    await mine(3);
+    const retry = await keeper.tick();
+    expect(retry.liquidated).to.have.members(underwater);
+  });
+
+  it("resyncs the nonce when a send fails", async function () {
+    const ctx = await loadFixture(openPositionsFixture);
+    const { deployments, keeperAccount, underwater } = ctx;
+    await crash(ctx);
+    const keeper = createKeeper(deployments, keeperAccount, { retryAfterBlocks: 1 });
+
+    // The node never sees the first transaction, but NonceManager has already counted its nonce.
+    const { sendTransaction } = keeperAccount;
+    keeperAccount.sendTransaction = async () => {
+      keeperAccount.sendTransaction = sendTransaction;
+      throw new Error("socket hang up");
+    };
+    try {
+      const failed = await keeper.tick();
+      expect(failed.failed).to.have.members(underwater);
+    } finally {
+      keeperAccount.sendTransaction = sendTransaction;
+    }
+    expect(await keeper.signer.getNonce("pending")).to.equal(await keeperAccount.getNonce("pending"));
+
+    await mine();
+    const retry = await keeper.tick();
+    expect(retry.liquidated).to.have.members(underwater);
+  });
+
+  it("gives up on a batch that is not mined in time and resyncs the nonce", async function () {
+    const ctx = await loadFixture(openPositionsFixture);
+    const { deployments, keeperAccount, underwater } = ctx;
+    await crash(ctx);
+    const keeper = createKeeper(deployments, keeperAccount, { retryAfterBlocks: 1, confirmTimeoutMs: 500 });
+
+    await network.provider.send("evm_setAutomine", [false]);
+    let stuck;
+    try {
+      stuck = await keeper.tick();
+      // The node drops the transaction, so its nonce is free again.
+      await network.provider.send("hardhat_dropTransaction", [stuck.transactions[0]]);
+    } finally {
+      await network.provider.send("evm_setAutomine", [true]);
+    }
+    expect(stuck.failed).to.have.members(underwater);
+    expect(stuck.liquidated).to.deep.equal([]);
+    expect(await keeper.signer.getNonce("pending")).to.equal(await keeperAccount.getNonce("pending"));
+
+    await mine();
+    const retry = await keeper.tick();
+    expect(retry.liquidated).to.have.members(underwater);
+  });
+
+  it("finds the same positions with the off-chain health math", async function () {
+    const ctx = await loadFixture(openPositionsFixture);
+    const { deployments, keeperAccount, underwater } = ctx;
+    const onchain = createKeeper(deployments, keeperAccount, { dryRun: true });
+    const offchain = createKeeper(deployments, keeperAccount, { dryRun: true, strategy: "offchain" });
+
+    for (const expected of [[], underwater]) {
+      if (expected === underwater) await crash(ctx);
+      const blockNumber = await ethers.provider.getBlockNumber();
+      await onchain.tracker.sync(blockNumber);
+      await offchain.tracker.sync(blockNumber);
+
+      expect(await offchain.findLiquidatable(blockNumber)).to.deep.equal(await onchain.findLiquidatable(blockNumber));
+      expect(await offchain.findLiquidatable(blockNumber)).to.have.members(expected);
+    }
+  });
+});
@@ -0,0 +1,245 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { useTemporaryDeploymentsDir, deploySystem } = require("./helpers/system");
+const { readStorageValue } = require("../scripts/deploy/utils");
+const { oracleDomain, signPayload } = require("../scripts/oracle/payload");
+const { OracleKeeper } = require("../scripts/keepers/oracle-keeper");
+
+const FEED_DECIMALS = 8n;
+const feedAnswer = (value) => ethers.parseUnits(value, FEED_DECIMALS);
+
+/**
+ * Runs the oracle keeper against an IndexOracle deployed by the real deploy scripts, on the mock
+ * feeds from test/helpers/system.js (CPI 300, Treasury 2300, index 2000, hourly updates).
+ */
+describe("Oracle keeper", function () {
+  useTemporaryDeploymentsDir();
+
+  async function oracleFixture() {
+    const [owner, keeperAccount, multisig] = await ethers.getSigners();
+    const system = await deploySystem({ only: "indexOracle" });
+    const indexOracle = await ethers.getContractAt("IndexOracle", system.deployments.indexOracle);
+    const interval = Number(await indexOracle.updateInterval());
+    const maxDeviationBps = await readStorageValue(
+      hre,
+      "contracts/IndexOracle.sol:IndexOracle",
+      "_maxPriceDeviation",
+      system.deployments.indexOracle,
+    );
+    return { ...system, owner, keeperAccount, multisig, indexOracle, interval, maxDeviationBps };
+  }
+
+  function createKeeper({ indexOracle, keeperAccount, maxDeviationBps }, options = {}) {
+    const alerts = [];
+    const batches = [];
+    const keeper = new OracleKeeper({
+      signer: keeperAccount,
+      indexOracle: indexOracle.target,
+      maxDeviationBps,
+      incidentAfter: 3,
+      writeFallback: (batch) => {
+        batches.push(batch.toJSON());
+        return `batch-${batches.length}.json`;
+      },
+      alert: (alert) => alerts.push(alert),
+      log: () => {},
+      ...options,
+    });
+    return { keeper, alerts, batches };
+  }
+
+  // Publishes fresh answers on both feeds, as Chainlink's heartbeat would.
+  async function publish({ cpiFeed, treasuryFeed }, cpi, treasury) {
+    await cpiFeed.updateAnswer(feedAnswer(cpi));
+    await treasuryFeed.updateAnswer(feedAnswer(treasury));
+  }
+
+  async function onChainRevert(indexOracle) {
+    try {
+      await indexOracle.updateIndexPrice.staticCall();
+      return null;
+    } catch (error) {
+      return indexOracle.interface.parseError(error.data)?.name ?? error.message;
+    }
+  }
+
+  it("previews every updateIndexPrice outcome the contract produces", async function () {
+    const context = await loadFixture(oracleFixture);
+    const { indexOracle, interval } = context;
+    const { keeper } = createKeeper(context);
+
+    const scenarios = [
+      ["too soon", async () => {}],
+      ["fresh feeds within the deviation limit", async () => {
+        await time.increase(interval);
+        await publish(context, "300", "2350");
+      }],
+      ["a move beyond the deviation limit", async () => {
+        await time.increase(interval);
+        await publish(context, "300", "2500");
+      }],
+      ["a non-positive CPI answer", async () => {
+        await time.increase(interval);
+        await publish(context, "0", "2300");
+      }],
+      ["a feed older than two intervals", async () => {
+        await time.increase(interval);
+        await publish(context, "300", "2300");
+        await time.increase(interval * 2);
+        await context.cpiFeed.updateAnswer(feedAnswer("300"));
+      }],
+    ];
+
+    const outcomes = [];
+    for (const [name, setup] of scenarios) {
+      await loadFixture(oracleFixture);
+      await setup();
+      const { preview } = await keeper.status("latest");
+      expect(preview.revertReason, name).to.equal(await onChainRevert(indexOracle));
+      outcomes.push(preview.revertReason);
+    }
+    expect(outcomes).to.deep.equal([
+      "UpdateTooSoon",
+      null,
+      "PriceDeviationTooHigh",
+      "InvalidPrice",
+      "OracleDataStale",
+    ]);
+  });
+
+  it("only sends updates that would succeed", async function () {
+    const context = await loadFixture(oracleFixture);
+    const { indexOracle, interval } = context;
+    const { keeper, alerts } = createKeeper(context);
+    const lastUpdateTime = await indexOracle.lastUpdateTime();
+
+    const early = await keeper.tick();
+    expect(early).to.include({ due: false, revertReason: "UpdateTooSoon", updated: null });
+
+    await time.increase(interval);
+    await publish(context, "300", "2340");
+    const summary = await keeper.tick();
+
+    expect(summary.updated).to.be.a("string");
+    expect(summary.deviationBps).to.equal(200n);
+    expect(await indexOracle.getIndexPrice()).to.equal(ethers.parseEther("2040"));
+    expect(await indexOracle.lastUpdateTime()).to.be.greaterThan(lastUpdateTime);
+    expect(alerts).to.deep.equal([]);
+  });
+
+  it("reports due updates without sending in dry-run mode", async function () {
+    const context = await loadFixture(oracleFixture);
+    const { keeper } = createKeeper(context, { dryRun: true });
+    const lastUpdateTime = await context.indexOracle.lastUpdateTime();
+
+    await time.increase(context.interval);
+    await publish(context, "300", "2300");
+    const summary = await keeper.tick();
+
+    expect(summary).to.include({ due: true, revertReason: null, updated: null });
+    expect(await context.indexOracle.lastUpdateTime()).to.equal(lastUpdateTime);
+  });
+
+  it("raises one incident on repeated deviation and prepares an unsent fallback", async function () {
+    const context = await loadFixture(oracleFixture);
+    const { indexOracle, owner, interval } = context;
+    const { keeper, alerts, batches } = createKeeper(context);
+    const indexPrice = await indexOracle.getIndexPrice();
+
+    await time.increase(interval);
+    await publish(context, "300", "2500");
+
+    const summaries = [];
+    for (let i = 0; i < 4; i++) {
+      summaries.push(await keeper.tick());
+    }
+
+    expect(summaries.map(({ revertReason }) => revertReason)).to.deep.equal(Array(4).fill("PriceDeviationTooHigh"));
+    expect(summaries.map(({ failures }) => failures)).to.deep.equal([1, 2, 3, 4]);
+    expect(summaries.map(({ incident }) => Boolean(incident))).to.deep.equal([false, false, true, true]);
+    expect(await indexOracle.getTWAP(1)).to.equal(indexPrice);
+
+    expect(alerts).to.have.length(1);
+    expect(alerts[0]).to.include({
+      type: "oracle-incident",
+      reason: "PriceDeviationTooHigh",
+      fallbackPrice: ethers.parseEther("2200"),
+      fallbackSource: "feeds",
+      fallbackBatch: "batch-1.json",
+    });
+    expect(alerts[0].deviationBps).to.equal(1000n);
+
+    // The batch targets the oracle owner and is only written, never sent.
+    expect(batches).to.have.length(1);
+    const [batch] = batches;
+    expect(batch.meta.createdFromSafeAddress).to.equal(owner.address);
+    expect(batch.transactions).to.have.length(1);
+    expect(batch.transactions[0]).to.include({ to: indexOracle.target });
+    expect(batch.transactions[0].contractMethod.name).to.equal("setIndexPriceManual");
+    expect(batch.transactions[0].contractInputsValues).to.deep.equal({ price: ethers.parseEther("2200").toString() });
+
+    // Executing the fallback unblocks the oracle and resolves the incident.
+    await indexOracle.connect(owner).setIndexPriceManual(ethers.parseEther("2200"));
+    const resolved = await keeper.tick();
+    expect(resolved).to.include({ failures: 0, incident: null });
+    expect(alerts.map(({ type }) => type)).to.deep.equal(["oracle-incident", "oracle-recovered"]);
+  });
+
+  it("falls back to a signed CPI payload when the feeds are stale", async function () {
+    const context = await loadFixture(oracleFixture);
+    const { indexOracle, owner, multisig, interval } = context;
+    const { chainId } = await ethers.provider.getNetwork();
+    const payload = {
+      region: "US",
+      metric: "CPI-U",
+      value: ethers.parseEther("2010"),
+      timestamp: Date.UTC(2024, 5, 1) / 1000,
+      sources: ["bls:CUUR0000SA0"],
+      rawHash: ethers.ZeroHash,
+    };
+    const envelope = await signPayload(owner, payload, { domain: oracleDomain({ chainId, verifyingContract: indexOracle.target }) });
+
+    expect(() => createKeeper(context, { fallbackEnvelope: envelope, allowedSigners: [multisig.address] }))
+      .to.throw(/not an allowed signer/);
+
+    const batchDir = fs.mkdtempSync(path.join(os.tmpdir(), "oracle-keeper-"));
+    const batchFile = path.join(batchDir, "fallback.json");
+    const { keeper, alerts } = createKeeper(context, {
+      fallbackEnvelope: envelope,
+      allowedSigners: [owner.address],
+      safeAddress: multisig.address,
+      writeFallback: (batch) => {
+        batch.write(batchFile);
+        return batchFile;
+      },
+    });
+
+    try {
+      await time.increase(interval * 3);
+      const summaries = [];
+      for (let i = 0; i < 3; i++) {
+        summaries.push(await keeper.tick());
+      }
+
+      expect(summaries.map(({ revertReason }) => revertReason)).to.deep.equal(Array(3).fill("OracleDataStale"));
+      expect(summaries.every(({ updated }) => updated === null)).to.equal(true);
+      expect(alerts).to.have.length(1);
+      expect(alerts[0]).to.include({ reason: "OracleDataStale", fallbackPrice: payload.value, fallbackSource: "payload" });
+      expect(alerts[0].staleFeeds).to.deep.equal(["cpi", "treasury"]);
+
+      const batch = JSON.parse(fs.readFileSync(batchFile, "utf8"));
+      expect(batch.meta.createdFromSafeAddress).to.equal(multisig.address);
+      expect(batch.meta.description).to.include(envelope.payloadHash);
+      expect(batch.transactions[0].contractInputsValues.price).to.equal(payload.value.toString());
+      await expect(indexOracle.getIndexPrice()).to.be.revertedWithCustomError(indexOracle, "OracleDataStale");
+    } finally {
+      fs.rmSync(batchDir, { recursive: true, force: true });
+    }
+  });
+});
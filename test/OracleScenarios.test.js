@@ -0,0 +1,232 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+const { useTemporaryDeploymentsDir } = require("./helpers/system");
+const { deployProtocol } = require("./helpers/fixtures");
+const { feedAnswer, scriptRounds, publishIndex } = require("./helpers/feeds");
+const { setMark } = require("./helpers/market");
+const { TradingClient } = require("../sdk");
+
+const INDEX = ethers.parseEther("2000");
+
+/**
+ * IndexOracle against scripted Chainlink rounds (MockAggregatorV3), end to end through the real
+ * deploy scripts: feed precision, bad answers, delayed feeds, update pacing and deviation limits,
+ * and what PositionManager and the Liquidator do while the oracle is stale or rejecting updates.
+ * The deploy config gives hourly updates and a 5% deviation limit; the index is Treasury - CPI.
+ */
+describe("Oracle delay and stale data scenarios", function () {
+  useTemporaryDeploymentsDir();
+
+  async function oracleFixture() {
+    const ctx = await deployProtocol({ traders: 1, wallet: ethers.parseUnits("10000", 6) });
+    const client = TradingClient.fromDeployments(ctx.traders[0], ctx.deployments);
+    await client.deposit(ethers.parseUnits("10000", 6));
+
+    return { ...ctx, client, interval: await ctx.indexOracle.updateInterval() };
+  }
+
+  const open = (client, isLong) =>
+    client.openPosition({ isLong, collateral: ethers.parseUnits("500", 6), leverage: ethers.parseEther("2"), slippageBps: 10000 });
+
+  describe("IndexOracle", function () {
+    it("scales feed answers of any precision to the same index", async function () {
+      const { indexOracle, interval } = await loadFixture(oracleFixture);
+      const MockAggregatorV3 = await ethers.getContractFactory("MockAggregatorV3");
+
+      for (const decimals of [0, 6, 18, 20]) {
+        const cpiFeed = await MockAggregatorV3.deploy(decimals, "CPI", feedAnswer(300, decimals));
+        const treasuryFeed = await MockAggregatorV3.deploy(decimals, "Treasury", feedAnswer(2300, decimals));
+        await indexOracle.setOracleFeeds(cpiFeed, treasuryFeed);
+        await time.increase(interval);
+
+        await indexOracle.updateIndexPrice();
+        expect(await indexOracle.getIndexPrice(), `${decimals} decimals`).to.equal(INDEX);
+        expect(await indexOracle.lastAnnualRealYield()).to.equal(INDEX);
+      }
+    });
+
+    it("rejects a feed whose decimals change until its answers are rescaled", async function () {
+      const { indexOracle, interval, cpiFeed, treasuryFeed } = await loadFixture(oracleFixture);
+      await time.increase(interval);
+
+      // Treasury 2300e8 read at 9 decimals is 230, below CPI: a negative real yield, floored to
+      // an index of 0, which the deviation limit catches.
+      await treasuryFeed.setDecimals(9);
+      await expect(indexOracle.updateIndexPrice()).to.be.revertedWithCustomError(indexOracle, "PriceDeviationTooHigh");
+
+      await scriptRounds(treasuryFeed, [{ answer: feedAnswer(2310, 9) }]);
+      await scriptRounds(cpiFeed, [{ answer: feedAnswer(300) }]);
+      await indexOracle.updateIndexPrice();
+      expect(await indexOracle.getIndexPrice()).to.equal(ethers.parseEther("2010"));
+    });
+
+    it("rejects zero and negative answers on either feed with InvalidPrice", async function () {
+      const { indexOracle, interval, cpiFeed, treasuryFeed } = await loadFixture(oracleFixture);
+      await time.increase(interval);
+
+      for (const [feed, good] of [
+        [cpiFeed, feedAnswer(300)],
+        [treasuryFeed, feedAnswer(2300)],
+      ]) {
+        for (const answer of [0n, -1n, -good]) {
+          await scriptRounds(feed, [{ answer }]);
+          await expect(indexOracle.updateIndexPrice()).to.be.revertedWithCustomError(indexOracle, "InvalidPrice");
+        }
+        await scriptRounds(feed, [{ answer: good }]);
+      }
+
+      await indexOracle.updateIndexPrice();
+      expect(await indexOracle.getIndexPrice()).to.equal(INDEX);
+    });
+
+    it("treats feed rounds older than two update intervals, or never stamped, as OracleDataStale", async function () {
+      const { indexOracle, interval, cpiFeed, treasuryFeed } = await loadFixture(oracleFixture);
+      await time.increase(interval);
+
+      // A delayed treasury feed: its latest round is exactly two intervals old when the update
+      // lands, the oldest the oracle accepts.
+      const delayedAt = BigInt(await time.latest()) - interval;
+      await scriptRounds(treasuryFeed, [{ answer: feedAnswer(2300), updatedAt: delayedAt }]);
+      await scriptRounds(cpiFeed, [{ answer: feedAnswer(300) }]);
+      await time.setNextBlockTimestamp(delayedAt + 2n * interval);
+      await indexOracle.updateIndexPrice();
+
+      // One interval later the same round is too old, however fresh the CPI feed is.
+      await time.increase(interval);
+      await scriptRounds(cpiFeed, [{ answer: feedAnswer(300) }]);
+      await expect(indexOracle.updateIndexPrice()).to.be.revertedWithCustomError(indexOracle, "OracleDataStale");
+
+      await scriptRounds(treasuryFeed, [{ answer: feedAnswer(2300), updatedAt: 0 }]);
+      await expect(indexOracle.updateIndexPrice()).to.be.revertedWithCustomError(indexOracle, "OracleDataStale");
+
+      await scriptRounds(treasuryFeed, [{ answer: feedAnswer(2300) }]);
+      await indexOracle.updateIndexPrice();
+    });
+
+    it("paces updates from the last feed or manual update with UpdateTooSoon", async function () {
+      const { indexOracle, interval, cpiFeed, treasuryFeed } = await loadFixture(oracleFixture);
+      await expect(indexOracle.updateIndexPrice()).to.be.revertedWithCustomError(indexOracle, "UpdateTooSoon");
+
+      await time.increase(interval);
+      await publishIndex({ cpiFeed, treasuryFeed }, 300, 2300);
+      await indexOracle.updateIndexPrice();
+      const updatedAt = await indexOracle.lastUpdateTime();
+
+      await time.setNextBlockTimestamp(updatedAt + interval - 1n);
+      await expect(indexOracle.updateIndexPrice()).to.be.revertedWithCustomError(indexOracle, "UpdateTooSoon");
+      await time.setNextBlockTimestamp(updatedAt + interval);
+      await indexOracle.updateIndexPrice();
+
+      // A manual price restarts the clock too.
+      await time.increase(interval);
+      await indexOracle.setIndexPriceManual(INDEX);
+      await expect(indexOracle.updateIndexPrice()).to.be.revertedWithCustomError(indexOracle, "UpdateTooSoon");
+    });
+
+    it("accepts moves up to the deviation limit and rejects larger ones", async function () {
+      const { indexOracle, interval, cpiFeed, treasuryFeed } = await loadFixture(oracleFixture);
+
+      // 2000 -> 2101 is 5.05%, over the 5% limit; 2000 -> 2100 is exactly at it.
+      await time.increase(interval);
+      await publishIndex({ cpiFeed, treasuryFeed }, 300, 2401);
+      await expect(indexOracle.updateIndexPrice()).to.be.revertedWithCustomError(indexOracle, "PriceDeviationTooHigh");
+      await publishIndex({ cpiFeed, treasuryFeed }, 300, 2400);
+      await indexOracle.updateIndexPrice();
+      expect(await indexOracle.getIndexPrice()).to.equal(ethers.parseEther("2100"));
+
+      // A negative real yield floors the index at 0, a 100% move.
+      await time.increase(interval);
+      await publishIndex({ cpiFeed, treasuryFeed }, 2400, 2300);
+      await expect(indexOracle.updateIndexPrice()).to.be.revertedWithCustomError(indexOracle, "PriceDeviationTooHigh");
+
+      // Rejected rounds leave the last accepted price in place until the owner re-anchors it.
+      expect(await indexOracle.getIndexPrice()).to.equal(ethers.parseEther("2100"));
+      await indexOracle.setIndexPriceManual(ethers.parseEther("2500"));
+      await time.increase(interval);
+      await publishIndex({ cpiFeed, treasuryFeed }, 300, 2800);
+      await indexOracle.updateIndexPrice();
+      expect(await indexOracle.getIndexPrice()).to.equal(ethers.parseEther("2500"));
+    });
+
+    it("goes stale two intervals after the last accepted update and recovers on the next one", async function () {
+      const { indexOracle, interval, cpiFeed, treasuryFeed } = await loadFixture(oracleFixture);
+      const updatedAt = await indexOracle.lastUpdateTime();
+
+      await time.increaseTo(updatedAt + 2n * interval);
+      expect(await indexOracle.getIndexPrice()).to.equal(INDEX);
+      await time.increase(1);
+      await expect(indexOracle.getIndexPrice()).to.be.revertedWithCustomError(indexOracle, "OracleDataStale");
+      // History, and the TWAP over it, stay readable.
+      expect(await indexOracle.getTWAP(1)).to.equal(INDEX);
+
+      // The feeds stopped with the oracle, so only fresh rounds bring it back.
+      await expect(indexOracle.updateIndexPrice()).to.be.revertedWithCustomError(indexOracle, "OracleDataStale");
+      await publishIndex({ cpiFeed, treasuryFeed }, 300, 2300);
+      await indexOracle.updateIndexPrice();
+      expect(await indexOracle.getIndexPrice()).to.equal(INDEX);
+    });
+  });
+
+  describe("PositionManager while the oracle is down", function () {
+    it("keeps opening, closing and liquidating on the vAMM mark while the oracle is stale", async function () {
+      const ctx = await loadFixture(oracleFixture);
+      const { client, indexOracle, interval, positionManager, liquidatorContract } = ctx;
+      const { positionId: kept } = await open(client, true);
+
+      await time.increase(3n * interval);
+      await expect(indexOracle.getIndexPrice()).to.be.revertedWithCustomError(indexOracle, "OracleDataStale");
+
+      // Trading only reads the vAMM mark.
+      const { positionId: closed } = await open(client, false);
+      await client.closePosition(closed);
+      // 48% down costs the 2x long 96% of its collateral.
+      await setMark(ctx, ethers.parseEther("1040"));
+      expect(await liquidatorContract.isLiquidatable(kept)).to.equal(true);
+      await expect(liquidatorContract.liquidatePosition(kept)).to.emit(positionManager, "PositionLiquidated");
+
+      // Funding settlement is the one path that needs the index.
+      await expect(positionManager.settleFunding()).to.be.revertedWithCustomError(indexOracle, "OracleDataStale");
+    });
+
+    it("settles funding against the last accepted index while updates are rejected", async function () {
+      const { indexOracle, interval, cpiFeed, treasuryFeed, positionManager } = await loadFixture(oracleFixture);
+
+      await time.increase(interval);
+      await publishIndex({ cpiFeed, treasuryFeed }, 300, 2500);
+      await expect(indexOracle.updateIndexPrice()).to.be.revertedWithCustomError(indexOracle, "PriceDeviationTooHigh");
+
+      await expect(positionManager.settleFunding())
+        .to.emit(positionManager, "FundingSettled")
+        .withArgs(anyValue, INDEX, anyValue, anyValue);
+    });
+
+    it("keeps charging the last funding rate through an outage and settles the gap on recovery", async function () {
+      const { client, indexOracle, interval, cpiFeed, treasuryFeed, positionManager, fundingCalculator } = await loadFixture(oracleFixture);
+
+      // Index 2.5% under the mark: longs pay.
+      await time.increase(interval);
+      await indexOracle.setIndexPriceManual(ethers.parseEther("1950"));
+      await positionManager.settleFunding();
+      const rate = await fundingCalculator.currentFundingRate();
+      const settledAt = await fundingCalculator.lastFundingTime();
+      const settledIndex = await fundingCalculator.longFundingIndex();
+      expect(rate).to.be.greaterThan(0n);
+      const { positionId } = await open(client, true);
+      const pnlAtOpen = await positionManager.calculatePnL(positionId);
+
+      await time.increase(3n * interval);
+      await expect(positionManager.settleFunding()).to.be.revertedWithCustomError(indexOracle, "OracleDataStale");
+      expect(await positionManager.calculatePnL(positionId)).to.be.lessThan(pnlAtOpen);
+
+      await publishIndex({ cpiFeed, treasuryFeed }, 300, 2300);
+      await indexOracle.updateIndexPrice();
+      await positionManager.settleFunding();
+      const elapsed = (await fundingCalculator.lastFundingTime()) - settledAt;
+      expect(await fundingCalculator.longFundingIndex()).to.equal(settledIndex + (rate * elapsed) / interval);
+    });
+  });
+});
+
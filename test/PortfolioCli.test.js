@@ -0,0 +1,131 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { useTemporaryDeploymentsDir } = require("./helpers/system");
+const { deployProtocol } = require("./helpers/fixtures");
+const { TradingClient } = require("../sdk");
+const { PortfolioCli, UsageError } = require("../scripts/cli/im");
+
+const USDC = (amount) => ethers.parseUnits(amount, 6);
+
+/**
+ * The `im` portfolio CLI against a system deployed by the real deploy scripts, with output
+ * captured instead of printed.
+ */
+describe("Portfolio CLI", function () {
+  useTemporaryDeploymentsDir();
+
+  async function cliFixture() {
+    const ctx = await deployProtocol({ wallet: USDC("10000") });
+    const [trader, other] = ctx.traders;
+
+    const client = TradingClient.fromDeployments(trader, ctx.deployments);
+    await client.deposit(USDC("2000"));
+    const long = await client.openPosition({ isLong: true, collateral: USDC("500"), leverage: ethers.parseEther("3") });
+    const short = await client.openPosition({ isLong: false, collateral: USDC("250"), leverage: ethers.parseEther("2"), slippageBps: 10000 });
+
+    return { ...ctx, client, trader, other, ids: [long.positionId, short.positionId] };
+  }
+
+  function createCli(client, options = {}) {
+    const output = [];
+    const cli = new PortfolioCli({ client, network: "hardhat", print: (text) => output.push(text), ...options });
+    return { cli, output };
+  }
+
+  it("lists a wallet's positions with the on-chain PnL, balances and health", async function () {
+    const { client, positionManager, vault, usdc, trader, other, ids } = await loadFixture(cliFixture);
+    // Read another wallet's portfolio from a client signed by someone else.
+    const { cli, output } = createCli(TradingClient.fromDeployments(other, client.addresses), { json: true });
+
+    const data = await cli.run(["positions", trader.address.toLowerCase()]);
+
+    const parsed = JSON.parse(output[0]);
+    expect(parsed.trader).to.equal(trader.address);
+    expect(parsed.positions.map(({ id }) => id)).to.deep.equal(ids);
+    expect(parsed.balances.available).to.equal((await vault.availableBalance(trader.address, usdc.target)).toString());
+    expect(parsed.collateral).to.deep.equal({ address: usdc.target, decimals: 6 });
+
+    for (const position of data.positions) {
+      const onChain = await positionManager.getPosition(position.id);
+      expect(position).to.include({
+        size: onChain.size,
+        leverage: onChain.leverage,
+        entryPrice: onChain.entryPrice,
+        liquidationPrice: onChain.liquidationPrice,
+        unrealizedPnl: await positionManager.calculatePnL(position.id),
+        liquidatable: await positionManager.isPositionLiquidatable(position.id),
+      });
+      expect(position.fundingAccrued).to.equal(0n);
+      expect(position.healthBps).to.be.a("bigint");
+    }
+  });
+
+  it("prints a table and an empty portfolio in text mode", async function () {
+    const { client, other } = await loadFixture(cliFixture);
+    const { cli, output } = createCli(client);
+
+    await cli.run(["positions"]);
+    const [header, columns, long, short] = output[0].split("\n");
+    // 2000 deposited: 750 locked as collateral and 2 paid in 0.1% fees on 2000 of notional.
+    expect(header).to.equal(`${client.runner.address} on hardhat: 1248.0 available, 750.0 locked in the vault.`);
+    expect(columns).to.match(/^POSITION\s+SIDE\s+SIZE\s+COLLATERAL\s+LEVERAGE\s+ENTRY\s+LIQ\. PRICE\s+MARK\s+UNREALIZED PNL\s+FUNDING\s+HEALTH$/);
+    expect(long).to.match(/long\s+1500\.0\s+500\.0\s+3\.0x/);
+    expect(short).to.match(/short\s+500\.0\s+250\.0\s+2\.0x/);
+
+    await cli.run(["positions", other.address]);
+    expect(output[1]).to.match(/No open positions\.$/);
+  });
+
+  it("deposits, opens, adds margin, closes and withdraws", async function () {
+    const { client, positionManager, vault, usdc, other } = await loadFixture(cliFixture);
+    const { cli, output } = createCli(TradingClient.fromDeployments(other, client.addresses));
+
+    const deposited = await cli.run(["deposit", "300"]);
+    expect(deposited.available).to.equal(USDC("300"));
+
+    const opened = await cli.run(["open"], { side: "short", collateral: "400", leverage: "2", slippage: "10000", deposit: true });
+    expect(opened.deposited).to.equal(USDC("100.8"));
+    expect(output[1]).to.match(/^Opened short 0x[0-9a-f]{64}: size 800\.0 at .*, fee 0\.8, deposited 100\.8\.$/);
+
+    // depositAndOpen only deposits the shortfall, so margin needs another deposit.
+    await cli.run(["deposit", "50"]);
+    const added = await cli.run(["margin", "add", opened.positionId, "50"]);
+    expect(added.newCollateral).to.equal(USDC("450"));
+    expect((await positionManager.getPosition(opened.positionId)).collateral).to.equal(USDC("450"));
+
+    const closed = await cli.run(["close", opened.positionId]);
+    expect(closed.pnl).to.be.a("bigint");
+    expect(output[4]).to.match(/^Closed 0x[0-9a-f]{64} at .*: realized PnL [+-]/);
+    expect(await positionManager.getUserPositions(other.address)).to.deep.equal([]);
+
+    const available = await vault.availableBalance(other.address, usdc.target);
+    const wallet = await usdc.balanceOf(other.address);
+    const withdrawn = await cli.run(["withdraw", ethers.formatUnits(available, 6)]);
+    expect(withdrawn.available).to.equal(0n);
+    expect(await usdc.balanceOf(other.address)).to.equal(wallet + available);
+  });
+
+  it("rejects bad input before sending and names contract reverts", async function () {
+    const { client, ids } = await loadFixture(cliFixture);
+    const { cli, output } = createCli(client);
+
+    const rejected = [
+      [["transfer"], {}],
+      [["positions", "0x1234"], {}],
+      [["open"], { side: "sideways", collateral: "10", leverage: "2" }],
+      [["open"], { side: "long", collateral: "-5", leverage: "2" }],
+      [["margin", "take", ids[0], "1"], {}],
+      [["close", "42"], {}],
+    ];
+    for (const [positionals, options] of rejected) {
+      await expect(cli.run(positionals, options), positionals.join(" ")).to.be.rejectedWith(UsageError);
+    }
+
+    // 50 USDC left on the 3x long's 1500 notional is under the 5% maintenance margin.
+    await expect(cli.run(["margin", "remove", ids[0], "450"])).to.be.rejectedWith("margin reverted with PositionUnhealthy.");
+    await expect(cli.run(["close", ethers.ZeroHash])).to.be.rejectedWith("close reverted with PositionNotFound.");
+    expect(output).to.deep.equal([]);
+  });
+});
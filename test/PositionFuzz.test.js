@@ -0,0 +1,177 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, takeSnapshot, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { useTemporaryDeploymentsDir } = require("./helpers/system");
+const { deployProtocol } = require("./helpers/fixtures");
+const { setMark, moveMark, updateFunding } = require("./helpers/market");
+const { fc, checkChainProperty, collateral, leverage, pricePath, fundingIntervals } = require("./helpers/property");
+const { TradingClient, positionMath } = require("../sdk");
+
+const BALANCE = ethers.parseUnits("5000000", 6);
+const MAX_COLLATERAL = ethers.parseUnits("1000000", 6);
+
+/**
+ * Property-based tests of PositionManager's leverage, PnL and funding math against the deployed
+ * contracts. See test/helpers/property.js for seeds, shrinking and replaying a failure.
+ */
+describe("Position properties", function () {
+  useTemporaryDeploymentsDir();
+
+  async function marketFixture() {
+    const ctx = await deployProtocol({ wallet: BALANCE, deposit: BALANCE });
+    const clients = ctx.traders.map((trader) => TradingClient.fromDeployments(trader, ctx.deployments));
+    const { positionManager, fundingCalculator } = ctx;
+    const limits = {
+      minCollateral: await positionManager.minCollateral(),
+      minLeverage: await positionManager.MIN_LEVERAGE(),
+      maxLeverage: await positionManager.maxLeverage(),
+      tradingFeeBps: await positionManager.tradingFee(),
+      fundingInterval: await fundingCalculator.fundingInterval(),
+    };
+    return { ...ctx, clients, limits };
+  }
+
+  const open = (client, isLong, ticket) => client.openPosition({ isLong, ...ticket, slippageBps: 10000 });
+
+  async function settleFundingPath(ctx, intervals) {
+    for (const { elapsed, premiumBps } of intervals) {
+      await time.increase(elapsed);
+      await updateFunding(ctx, BigInt(premiumBps));
+    }
+  }
+
+  it("records size = collateral × leverage and rejects leverage outside [MIN_LEVERAGE, maxLeverage]", async function () {
+    const ctx = await loadFixture(marketFixture);
+    const { minCollateral, minLeverage, maxLeverage, tradingFeeBps } = ctx.limits;
+    const [client] = ctx.clients;
+    const anyLeverage = fc.oneof(leverage(minLeverage, maxLeverage), fc.bigInt({ min: 1n, max: 2n * maxLeverage }));
+
+    await checkChainProperty(
+      fc.record({ isLong: fc.boolean(), collateral: collateral(minCollateral, MAX_COLLATERAL), leverage: anyLeverage }),
+      async ({ isLong, collateral: amount, leverage: lev }) => {
+        if (lev < minLeverage || lev > maxLeverage) {
+          // Straight to the contract: the client's vAMM quote would fail first on a zero size.
+          const trade = ctx.positionManager.connect(client.runner).openPosition(isLong, amount, lev, 0n, ethers.MaxUint256);
+          await expect(trade).to.be.revertedWithCustomError(ctx.positionManager, "InvalidLeverage");
+          return;
+        }
+        const before = await client.balances();
+        const { positionId } = await open(client, isLong, { collateral: amount, leverage: lev });
+        const raw = await ctx.positionManager.getPosition(positionId);
+        const size = positionMath.positionSize(amount, lev);
+
+        expect(raw.size).to.equal(size);
+        expect(raw.collateral).to.equal(amount);
+        expect(raw.leverage).to.equal(lev);
+        expect(raw.isLong).to.equal(isLong);
+        expect(before.available - (await client.balances()).available).to.equal(amount + positionMath.tradingFee(size, tradingFeeBps));
+      },
+    );
+  });
+
+  it("never returns more than collateral minus fees when closing immediately", async function () {
+    const ctx = await loadFixture(marketFixture);
+    const { minCollateral, minLeverage, maxLeverage, tradingFeeBps } = ctx.limits;
+    const [client] = ctx.clients;
+
+    // No funding has been settled, so the round trip is all price and fees (funding received
+    // could legitimately return more; it is covered below).
+    await checkChainProperty(
+      fc.record({
+        isLong: fc.boolean(),
+        collateral: collateral(minCollateral, MAX_COLLATERAL),
+        leverage: leverage(minLeverage, maxLeverage),
+        history: pricePath({ minLength: 0 }),
+      }),
+      async ({ isLong, collateral: amount, leverage: lev, history }) => {
+        for (const moveBps of history) await moveMark(ctx, BigInt(moveBps));
+
+        const before = (await client.balances()).available;
+        const { positionId } = await open(client, isLong, { collateral: amount, leverage: lev });
+        const raw = await ctx.positionManager.getPosition(positionId);
+        await client.closePosition(positionId);
+        const returned = (await client.balances()).available - before;
+
+        expect(returned).to.be.at.most(-2n * positionMath.tradingFee(raw.size, tradingFeeBps));
+      },
+    );
+  });
+
+  it("gives a long and a short opposite PnL for the same price move", async function () {
+    const ctx = await loadFixture(marketFixture);
+    const { minCollateral, minLeverage, maxLeverage } = ctx.limits;
+    const [client] = ctx.clients;
+
+    await checkChainProperty(
+      fc.record({
+        collateral: collateral(minCollateral, MAX_COLLATERAL),
+        leverage: leverage(minLeverage, maxLeverage),
+        path: pricePath(),
+      }),
+      async ({ collateral: amount, leverage: lev, path }) => {
+        // Each side trades from the same starting state and then sees the same relative moves
+        // from its own entry (the entries differ by each trade's own price impact).
+        const pnl = {};
+        const initial = await takeSnapshot();
+        for (const isLong of [true, false]) {
+          const { positionId, entryPrice } = await open(client, isLong, { collateral: amount, leverage: lev });
+          let cumulativeBps = 0n;
+          for (const moveBps of path) {
+            cumulativeBps += BigInt(moveBps);
+            await setMark(ctx, (entryPrice * (10000n + cumulativeBps)) / 10000n);
+          }
+          pnl[isLong ? "long" : "short"] = await ctx.positionManager.calculatePnL(positionId);
+          await initial.restore();
+        }
+
+        // calculatePnL truncates twice (price ratio, then size), so the two sides can land one
+        // unit apart in either direction, never more.
+        const gap = pnl.long + pnl.short;
+        expect(gap >= -1n && gap <= 1n, `long ${pnl.long}, short ${pnl.short}`).to.equal(true);
+        const move = path.reduce((sum, moveBps) => sum + moveBps, 0);
+        if (move > 0) expect(pnl.long).to.be.at.least(0n);
+        if (move < 0) expect(pnl.long).to.be.at.most(0n);
+      },
+    );
+  });
+
+  it("has longs pay exactly the funding shorts receive", async function () {
+    const ctx = await loadFixture(marketFixture);
+    const { minCollateral, minLeverage, maxLeverage, fundingInterval } = ctx.limits;
+    const [longClient, shortClient] = ctx.clients;
+
+    await checkChainProperty(
+      fc.record({
+        collateral: collateral(minCollateral, MAX_COLLATERAL),
+        leverage: leverage(minLeverage, maxLeverage),
+        funding: fundingIntervals(fundingInterval),
+        tail: fc.bigInt({ min: 1n, max: fundingInterval }),
+      }),
+      async ({ collateral: amount, leverage: lev, funding, tail }) => {
+        const { positionId: longId } = await open(longClient, true, { collateral: amount, leverage: lev });
+        const { positionId: shortId } = await open(shortClient, false, { collateral: amount, leverage: lev });
+        await settleFundingPath(ctx, funding);
+        // Leave funding accruing part way into the next interval.
+        await time.increase(tail);
+
+        const blockTag = await ethers.provider.getBlockNumber();
+        const markPrice = await ctx.vamm.getMarkPrice({ blockTag });
+        const sides = [];
+        for (const positionId of [longId, shortId]) {
+          const raw = await ctx.positionManager.getPosition(positionId, { blockTag });
+          const payment = await ctx.fundingCalculator.calculateFundingPayment(raw.isLong, raw.size, raw.entryFundingIndex, { blockTag });
+          const pnl = await ctx.positionManager.calculatePnL(positionId, { blockTag });
+          // PositionManager's PnL minus the price-only PnL is the funding it charges the position.
+          const pricePnl = positionMath.calculatePnL(raw, { markPrice, fundingIndex: raw.entryFundingIndex });
+          sides.push({ payment, charged: pricePnl - pnl });
+        }
+
+        const [long, short] = sides;
+        expect(long.payment).to.equal(-short.payment);
+        expect(long.charged).to.equal(long.payment);
+        expect(short.charged).to.equal(short.payment);
+      },
+    );
+  });
+});
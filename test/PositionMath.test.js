@@ -0,0 +1,116 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { useTemporaryDeploymentsDir } = require("./helpers/system");
+const { deployProtocol } = require("./helpers/fixtures");
+const { createRandom } = require("./helpers/random");
+const { moveMark, updateFunding } = require("./helpers/market");
+const { TradingClient, positionMath } = require("../sdk");
+
+const SEED = 0x1f2e3d4c;
+const POSITIONS = 16;
+
+/**
+ * Differential checks of sdk/position-math.js against PositionManager: randomized positions are
+ * opened across funding updates and every off-chain result must equal the contract's exactly.
+ */
+describe("Position math", function () {
+  useTemporaryDeploymentsDir();
+
+  async function marketFixture() {
+    const ctx = await deployProtocol({ traders: 3, deposit: ethers.parseUnits("100000", 6) });
+    const clients = ctx.traders.map((trader) => TradingClient.fromDeployments(trader, ctx.deployments));
+    return { ...ctx, clients };
+  }
+
+  async function openRandomPositionsFixture() {
+    const ctx = await loadFixture(marketFixture);
+    const random = createRandom(SEED);
+    const interval = await ctx.fundingCalculator.fundingInterval();
+    const ids = [];
+
+    for (let i = 0; i < POSITIONS; i++) {
+      if (i % 4 === 0) {
+        await time.increase(interval);
+        await updateFunding(ctx, random.bigint(-300n, 300n));
+      }
+      await moveMark(ctx, random.bigint(-500n, 500n));
+      const client = ctx.clients[Number(random.bigint(0n, BigInt(ctx.clients.length - 1)))];
+      const { positionId } = await client.openPosition({
+        isLong: random.bool(),
+        collateral: random.bigint(10_000000n, 5_000_000000n),
+        leverage: random.bigint(10n ** 18n, 10n * 10n ** 18n),
+        slippageBps: 10000,
+      });
+      ids.push(positionId);
+    }
+
+    // Let funding accrue past the last settlement so every entry index lags the current one.
+    await time.increase(interval / 2n);
+    await moveMark(ctx, random.bigint(-500n, 500n));
+    return { ...ctx, ids };
+  }
+
+  // Reads market inputs and on-chain results at one block so previews use the same timestamp.
+  async function readAtBlock({ positionManager, fundingCalculator, vamm }, positionId) {
+    const blockTag = await ethers.provider.getBlockNumber();
+    const raw = await positionManager.getPosition(positionId, { blockTag });
+    const [markPrice, fundingIndex, maintenanceMarginBps, pnl, liquidatable, funding] = await Promise.all([
+      vamm.getMarkPrice({ blockTag }),
+      raw.isLong ? fundingCalculator.longFundingIndex({ blockTag }) : fundingCalculator.shortFundingIndex({ blockTag }),
+      positionManager.maintenanceMargin({ blockTag }),
+      positionManager.calculatePnL(positionId, { blockTag }),
+      positionManager.isPositionLiquidatable(positionId, { blockTag }),
+      fundingCalculator.calculateFundingPayment(raw.isLong, raw.size, raw.entryFundingIndex, { blockTag }),
+    ]);
+    return { raw, market: { markPrice, fundingIndex, maintenanceMarginBps }, onChain: { pnl, liquidatable, funding } };
+  }
+
+  it("matches calculatePnL, funding and isPositionLiquidatable for randomized positions", async function () {
+    const ctx = await loadFixture(openRandomPositionsFixture);
+    let accruedFunding = 0;
+
+    for (const positionId of ctx.ids) {
+      const { raw, market, onChain } = await readAtBlock(ctx, positionId);
+      const funding = positionMath.calculateFundingPayment(raw, market.fundingIndex);
+
+      expect(funding, `funding ${positionId}`).to.equal(onChain.funding);
+      expect(positionMath.calculatePnL(raw, market), `pnl ${positionId}`).to.equal(onChain.pnl);
+      expect(positionMath.isLiquidatable(raw, market), `liquidatable ${positionId}`).to.equal(onChain.liquidatable);
+      if (funding !== 0n) accruedFunding++;
+    }
+
+    // Guard against a vacuous run where funding never moved.
+    expect(accruedFunding).to.be.greaterThan(0);
+  });
+
+  it("reproduces the liquidation price stored at open", async function () {
+    const ctx = await loadFixture(openRandomPositionsFixture);
+    const maintenanceMarginBps = await ctx.positionManager.maintenanceMargin();
+
+    for (const positionId of ctx.ids) {
+      const raw = await ctx.positionManager.getPosition(positionId);
+      expect(
+        positionMath.calculateLiquidationPrice(raw.entryPrice, raw.leverage, raw.isLong, maintenanceMarginBps),
+      ).to.equal(raw.liquidationPrice);
+    }
+  });
+
+  it("tracks a mark move on both sides of the book", async function () {
+    const ctx = await loadFixture(marketFixture);
+    const [longTrader, shortTrader] = ctx.clients;
+    const collateral = ethers.parseUnits("1000", 6);
+    const leverage = ethers.parseEther("5");
+    const { positionId: longId } = await longTrader.openPosition({ isLong: true, collateral, leverage, slippageBps: 10000 });
+    const { positionId: shortId } = await shortTrader.openPosition({ isLong: false, collateral, leverage, slippageBps: 10000 });
+
+    await moveMark(ctx, 1000n);
+
+    for (const positionId of [longId, shortId]) {
+      const { raw, market, onChain } = await readAtBlock(ctx, positionId);
+      expect(positionMath.calculatePnL(raw, market)).to.equal(onChain.pnl);
+      expect(onChain.pnl > 0n).to.equal(raw.isLong);
+    }
+  });
+});
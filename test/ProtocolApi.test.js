@@ -0,0 +1,210 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const Ajv2020 = require("ajv/dist/2020");
+
+const { useTemporaryDeploymentsDir } = require("./helpers/system");
+const { USDC, tradingSession } = require("./helpers/session");
+const { openDatabase } = require("../scripts/indexer/schema");
+const { EventIndexer, artifactSources, deployBlock } = require("../scripts/indexer/index-events");
+const { createApiServer } = require("../scripts/api/server");
+
+/**
+ * Serves the indexed trading session from test/helpers/session.js over HTTP and checks every
+ * response against the served JSON Schema, the chain, and the GraphQL endpoint.
+ */
+describe("Protocol API", function () {
+  useTemporaryDeploymentsDir();
+
+  let dbDir;
+  let db;
+  let server;
+  let baseUrl;
+  let validators;
+
+  async function serve(session) {
+    dbDir = fs.mkdtempSync(path.join(os.tmpdir(), "api-"));
+    db = openDatabase(path.join(dbDir, "index.sqlite"));
+    const indexer = new EventIndexer({
+      provider: ethers.provider,
+      db,
+      sources: await artifactSources(hre, session.deployments),
+      fromBlock: deployBlock(session.deployments),
+      confirmations: 0,
+      log: () => {},
+    });
+    await indexer.sync();
+
+    server = createApiServer({ db, provider: ethers.provider, deployments: session.deployments, log: () => {} });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const schema = await (await fetch(`${baseUrl}/v1/schema`)).json();
+    const ajv = new Ajv2020({ strict: false });
+    ajv.addSchema(schema);
+    validators = new Map(
+      Object.entries(schema.endpoints).map(([route, { response }]) => [
+        route,
+        ajv.compile({ $defs: schema.$defs, ...response }),
+      ]),
+    );
+    validators.set("error", ajv.compile({ $ref: `${schema.$id}#/$defs/Error` }));
+  }
+
+  afterEach(async function () {
+    if (server) await new Promise((resolve) => server.close(resolve));
+    db?.close();
+    if (dbDir) fs.rmSync(dbDir, { recursive: true, force: true });
+    server = db = dbDir = undefined;
+  });
+
+  // GETs `url` and validates the body against the schema for `route` (or the error schema).
+  async function get(route, url = route, expectedStatus = 200) {
+    const res = await fetch(`${baseUrl}${url}`);
+    const body = await res.json();
+    expect(res.status, `${url}: ${JSON.stringify(body)}`).to.equal(expectedStatus);
+    const validate = validators.get(expectedStatus === 200 ? route : "error");
+    expect(validate(body), `${url}: ${JSON.stringify(validate.errors)}`).to.equal(true);
+    return body;
+  }
+
+  async function graphqlQuery(query, variables) {
+    const res = await fetch(`${baseUrl}/graphql`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ query, variables }),
+    });
+    return res.json();
+  }
+
+  it("serves positions by trader and by id, matching the chain", async function () {
+    const session = await loadFixture(tradingSession);
+    await serve(session);
+    const { traders, ids, contracts } = session;
+
+    const all = await get("/v1/positions");
+    expect(all.data).to.have.length(5);
+    expect(all.page).to.deep.equal({ limit: 50, hasMore: false, nextCursor: null });
+
+    const route = "/v1/traders/{address}/positions";
+    const own = await get(route, `/v1/traders/${traders[0].address.toLowerCase()}/positions?order=asc`);
+    expect(own.data.every(({ trader }) => trader === traders[0].address)).to.equal(true);
+    const openedBlocks = own.data.map(({ openedBlock }) => openedBlock);
+    expect(openedBlocks).to.deep.equal([...openedBlocks].sort((a, b) => a - b));
+
+    const open = await get("/v1/positions", "/v1/positions?status=open");
+    expect(open.data.map(({ positionId }) => positionId)).to.have.members([ids.kept, ids.topped, ids.late]);
+
+    const { data: topped } = await get("/v1/positions/{positionId}", `/v1/positions/${ids.topped}`);
+    const onChain = await contracts.positionManager.getPosition(ids.topped);
+    expect(topped).to.include({
+      trader: onChain.trader,
+      isLong: onChain.isLong,
+      size: onChain.size.toString(),
+      collateral: USDC("375").toString(),
+      status: "open",
+    });
+    expect(topped.collateral).to.equal(onChain.collateral.toString());
+
+    const { data: liquidated } = await get("/v1/positions/{positionId}", `/v1/positions/${ids.liquidated}`);
+    expect(liquidated).to.include({ status: "liquidated", liquidator: session.deployments.liquidator });
+
+    await get("/v1/positions/{positionId}", `/v1/positions/${ethers.ZeroHash}`, 404);
+    await get("/v1/positions/{positionId}", "/v1/positions/%E0%A4%A", 400);
+    await get("/v1/positions", "/v1/positions?trader=0x1234", 400);
+    await get("/v1/positions", "/v1/positions?limit=501", 400);
+  });
+
+  it("pages every list with stable cursors in both directions", async function () {
+    await serve(await loadFixture(tradingSession));
+
+    for (const route of ["/v1/positions", "/v1/open-interest", "/v1/vault/flows"]) {
+      for (const order of ["asc", "desc"]) {
+        const full = await get(route, `${route}?order=${order}&limit=500`);
+        const paged = [];
+        let cursor = null;
+        do {
+          const page = await get(route, `${route}?order=${order}&limit=2${cursor ? `&cursor=${cursor}` : ""}`);
+          expect(page.data.length).to.be.at.most(2);
+          paged.push(...page.data);
+          cursor = page.page.nextCursor;
+          expect(page.page.hasMore).to.equal(cursor !== null);
+        } while (cursor);
+        expect(paged, `${route} ${order}`).to.deep.equal(full.data);
+      }
+    }
+    await get("/v1/positions", "/v1/positions?cursor=bogus", 400);
+  });
+
+  it("serves open interest, funding, index price, liquidation and vault history", async function () {
+    const session = await loadFixture(tradingSession);
+    await serve(session);
+    const { contracts, deployments, traders, ids } = session;
+
+    // Open interest after the last event equals the sizes of the positions still open.
+    const { data: positions } = await get("/v1/positions", "/v1/positions?status=open");
+    const sum = (isLong) =>
+      positions.filter((p) => p.isLong === isLong).reduce((total, { size }) => total + BigInt(size), 0n).toString();
+    const { data: [latest] } = await get("/v1/open-interest", "/v1/open-interest?limit=1");
+    expect(latest).to.include({ longOpenInterest: sum(true), shortOpenInterest: sum(false) });
+
+    const { data: [funding] } = await get("/v1/funding-rates");
+    expect(funding.rate).to.equal((await contracts.fundingCalculator.currentFundingRate()).toString());
+
+    const { data: prices } = await get("/v1/index-prices");
+    // Newest first: the manual price, the session's feed update, then the one made at deployment.
+    expect(prices.map(({ source }) => source)).to.deep.equal(["manual", "feeds", "feeds"]);
+    expect(prices[0].price).to.equal(ethers.parseEther("2005").toString());
+    const { data: feeds } = await get("/v1/index-prices", "/v1/index-prices?source=feeds");
+    expect(feeds).to.deep.equal(prices.slice(1));
+
+    const { data: onchain } = await get("/v1/index-prices/onchain", "/v1/index-prices/onchain?periods=2");
+    expect(onchain.history[onchain.history.length - 1]).to.equal(prices[0].price);
+    expect(onchain.twap).to.equal((await contracts.indexOracle.getTWAP(2)).toString());
+    await get("/v1/index-prices/onchain", "/v1/index-prices/onchain?periods=91", 400);
+
+    const { data: liquidations } = await get("/v1/liquidations", `/v1/liquidations?liquidator=${deployments.liquidator}`);
+    expect(liquidations).to.have.length(1);
+    expect(liquidations[0]).to.include({ positionId: ids.liquidated, liquidator: deployments.liquidator });
+
+    const { data: flows } = await get("/v1/vault/flows", `/v1/vault/flows?user=${traders[0].address}`);
+    expect(flows.map(({ direction }) => direction)).to.deep.equal(["withdraw", "deposit"]);
+    const { data: tvl } = await get("/v1/vault/tvl");
+    expect(tvl.totalAssets).to.equal((await contracts.vault.getTotalAssets()).toString());
+    expect(tvl.netDeposits).to.equal(tvl.totalAssets);
+    expect(tvl.asOfBlock).to.equal(await ethers.provider.getBlockNumber());
+  });
+
+  it("answers GraphQL queries with the REST data", async function () {
+    const session = await loadFixture(tradingSession);
+    await serve(session);
+
+    const rest = await get("/v1/positions", `/v1/positions?trader=${session.traders[1].address}&limit=1`);
+    const { data, errors } = await graphqlQuery(
+      `query ($trader: String, $after: String) {
+        positions(trader: $trader, first: 1, after: $after) {
+          nodes { positionId trader size status }
+          pageInfo { endCursor hasNextPage }
+        }
+        vaultTvl { netDeposits totalAssets }
+        onchainIndexPrices(periods: 1) { twap }
+      }`,
+      { trader: session.traders[1].address },
+    );
+
+    expect(errors).to.equal(undefined);
+    expect(data.positions.nodes).to.deep.equal(
+      rest.data.map(({ positionId, trader, size, status }) => ({ positionId, trader, size, status })),
+    );
+    expect(data.positions.pageInfo).to.deep.equal({ endCursor: rest.page.nextCursor, hasNextPage: rest.page.hasMore });
+    expect(data.vaultTvl.totalAssets).to.equal((await session.contracts.vault.getTotalAssets()).toString());
+    expect(data.onchainIndexPrices.twap).to.equal((await session.contracts.indexOracle.getTWAP(1)).toString());
+
+    const invalid = await graphqlQuery("{ positions(first: 0) { nodes { positionId } } }");
+    expect(invalid.errors[0].message).to.match(/limit must be/);
+  });
+});
@@ -0,0 +1,153 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { useTemporaryDeploymentsDir } = require("./helpers/system");
+const { tradingSession } = require("./helpers/session");
+const { MockProvider, revert } = require("./helpers/mock-provider");
+const { protocolHealth, abi } = require("../sdk");
+
+const USDC = (amount) => ethers.parseUnits(amount, 6);
+
+/**
+ * The dashboard readers behind src/hooks/useProtocolHealth.js: unit tests against a mocked
+ * provider, then one pass against a deployed system to check the ABIs match the contracts.
+ */
+describe("Protocol health reads", function () {
+  const addresses = {
+    indexOracle: "0x0000000000000000000000000000000000000001",
+    vamm: "0x0000000000000000000000000000000000000002",
+    fundingCalculator: "0x0000000000000000000000000000000000000003",
+    vault: "0x0000000000000000000000000000000000000004",
+    liquidator: "0x0000000000000000000000000000000000000005",
+  };
+
+  function mockProtocol({ indexOracle = {}, vamm = {}, fundingCalculator = {}, vault = {}, liquidator = {} } = {}) {
+    return new MockProvider()
+      .mock(addresses.indexOracle, abi.INDEX_ORACLE_ABI, {
+        getIndexPrice: ethers.parseEther("2000"),
+        getTWAP: ethers.parseEther("1990"),
+        lastUpdateTime: 1_700_000_000n,
+        ...indexOracle,
+      })
+      .mock(addresses.vamm, abi.VAMM_ABI, {
+        getMarkPrice: ethers.parseEther("2040"),
+        totalLongOpenInterest: USDC("3000"),
+        totalShortOpenInterest: USDC("1000"),
+        ...vamm,
+      })
+      .mock(addresses.fundingCalculator, abi.FUNDING_CALCULATOR_ABI, {
+        currentFundingRate: ethers.parseEther("0.0001"),
+        getFundingRateAPR: ethers.parseEther("0.876"),
+        fundingInterval: 3600n,
+        lastFundingTime: 1_700_000_000n,
+        ...fundingCalculator,
+      })
+      .mock(addresses.vault, abi.VAULT_ABI, {
+        getTotalAssets: USDC("50000"),
+        getAvailableLiquidity: USDC("40000"),
+        ...vault,
+      })
+      .mock(addresses.liquidator, abi.LIQUIDATOR_ABI, { insuranceFundBalance: USDC("1234.5"), ...liquidator });
+  }
+
+  it("reports the mark's deviation from the index in signed basis points", async function () {
+    const above = await protocolHealth.readIndexPrice(mockProtocol(), addresses);
+    expect(above).to.deep.equal({
+      indexPrice: ethers.parseEther("2000"),
+      markPrice: ethers.parseEther("2040"),
+      deviationBps: 200n,
+      stale: false,
+      lastUpdateTime: 1_700_000_000,
+    });
+
+    const below = await protocolHealth.readIndexPrice(mockProtocol({ vamm: { getMarkPrice: ethers.parseEther("1950") } }), addresses);
+    expect(below.deviationBps).to.equal(-250n);
+  });
+
+  it("falls back to the last recorded price when the oracle is stale", async function () {
+    const provider = mockProtocol({ indexOracle: { getIndexPrice: revert("OracleDataStale") } });
+
+    const reading = await protocolHealth.readIndexPrice(provider, addresses);
+
+    expect(reading).to.include({ indexPrice: ethers.parseEther("1990"), stale: true, deviationBps: 251n });
+    expect(provider.calls.find(({ name }) => name === "getTWAP").args).to.deep.equal([1n]);
+
+    const broken = mockProtocol({ indexOracle: { getIndexPrice: revert("InvalidPrice") } });
+    await expect(protocolHealth.readIndexPrice(broken, addresses)).to.be.rejectedWith(/InvalidPrice/);
+  });
+
+  it("reads funding, open interest, vault TVL and the insurance fund", async function () {
+    const provider = mockProtocol();
+
+    expect(await protocolHealth.readFundingRate(provider, addresses)).to.deep.equal({
+      rate: ethers.parseEther("0.0001"),
+      apr: ethers.parseEther("0.876"),
+      fundingInterval: 3600,
+      lastFundingTime: 1_700_000_000,
+      nextFundingTime: 1_700_003_600,
+    });
+    expect(await protocolHealth.readOpenInterest(provider, addresses)).to.deep.equal({
+      long: USDC("3000"),
+      short: USDC("1000"),
+      total: USDC("4000"),
+      longShareBps: 7500n,
+    });
+    expect(await protocolHealth.readVaultTvl(provider, addresses)).to.deep.equal({
+      totalAssets: USDC("50000"),
+      availableLiquidity: USDC("40000"),
+      utilizationBps: 2000n,
+    });
+    expect(await protocolHealth.readInsuranceFund(provider, addresses)).to.deep.equal({ balance: USDC("1234.5") });
+  });
+
+  it("leaves ratios empty for an empty market and rejects missing addresses", async function () {
+    const empty = mockProtocol({
+      vamm: { totalLongOpenInterest: 0n, totalShortOpenInterest: 0n },
+      vault: { getTotalAssets: 0n, getAvailableLiquidity: 0n },
+    });
+
+    expect((await protocolHealth.readOpenInterest(empty, addresses)).longShareBps).to.equal(null);
+    expect((await protocolHealth.readVaultTvl(empty, addresses)).utilizationBps).to.equal(null);
+    await expect(protocolHealth.readInsuranceFund(empty, { ...addresses, liquidator: undefined })).to.be.rejectedWith(
+      "Missing or invalid liquidator address",
+    );
+  });
+
+  describe("against a deployed system", function () {
+    useTemporaryDeploymentsDir();
+
+    it("matches the contract getters", async function () {
+      const { deployments, contracts } = await loadFixture(tradingSession);
+      const vamm = await ethers.getContractAt("vAMM", deployments.vamm);
+      const provider = ethers.provider;
+
+      const index = await protocolHealth.readIndexPrice(provider, deployments);
+      expect(index).to.include({
+        indexPrice: await contracts.indexOracle.getIndexPrice(),
+        markPrice: await vamm.getMarkPrice(),
+        stale: false,
+      });
+
+      const funding = await protocolHealth.readFundingRate(provider, deployments);
+      expect(funding.apr).to.equal(await contracts.fundingCalculator.getFundingRateAPR());
+      expect(funding.rate).to.equal(await contracts.fundingCalculator.currentFundingRate());
+
+      const openInterest = await protocolHealth.readOpenInterest(provider, deployments);
+      expect(openInterest).to.include({
+        long: await vamm.totalLongOpenInterest(),
+        short: await vamm.totalShortOpenInterest(),
+      });
+      expect(openInterest.total).to.be.greaterThan(0n);
+
+      const tvl = await protocolHealth.readVaultTvl(provider, deployments);
+      expect(tvl).to.include({
+        totalAssets: await contracts.vault.getTotalAssets(),
+        availableLiquidity: await contracts.vault.getAvailableLiquidity(),
+      });
+
+      const fund = await protocolHealth.readInsuranceFund(provider, deployments);
+      expect(fund.balance).to.equal(await contracts.liquidator.insuranceFundBalance());
+    });
+  });
+});
@@ -0,0 +1,233 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const FakeTimers = require("@sinonjs/fake-timers");
+
+const { useDom } = require("./helpers/dom");
+const { MockProvider } = require("./helpers/mock-provider");
+const { abi } = require("../sdk");
+
+const USDC = (amount) => ethers.parseUnits(amount, 6);
+const POLL = 1000;
+
+/**
+ * src/hooks/useProtocolHealth.js and the dashboard cards in
+ * src/components/dashboard/ProtocolHealthCards.jsx, rendered in jsdom against a mocked provider
+ * with fake timers driving the polling.
+ */
+describe("Protocol health cards", function () {
+  const dom = useDom();
+  const addresses = {
+    indexOracle: "0x0000000000000000000000000000000000000001",
+    vamm: "0x0000000000000000000000000000000000000002",
+    fundingCalculator: "0x0000000000000000000000000000000000000003",
+    vault: "0x0000000000000000000000000000000000000004",
+    liquidator: "0x0000000000000000000000000000000000000005",
+  };
+
+  let hooks;
+  let cards;
+  let clock;
+
+  before(function () {
+    hooks = dom.load("hooks/useProtocolHealth.js");
+    cards = dom.load("components/dashboard/ProtocolHealthCards.jsx");
+  });
+
+  beforeEach(function () {
+    clock = FakeTimers.install({ toFake: ["setTimeout", "clearTimeout", "setInterval", "clearInterval"] });
+  });
+
+  afterEach(function () {
+    clock.uninstall();
+  });
+
+  // Lets `ms` of polling time pass and settles the reads it started.
+  const advance = (ms) => dom.act(() => clock.tickAsync(ms));
+
+  function mockProtocol({ vamm = {}, vault = {} } = {}) {
+    return new MockProvider()
+      .mock(addresses.indexOracle, abi.INDEX_ORACLE_ABI, {
+        getIndexPrice: ethers.parseEther("2000"),
+        getTWAP: ethers.parseEther("1990"),
+        lastUpdateTime: 1_700_000_000n,
+      })
+      .mock(addresses.vamm, abi.VAMM_ABI, {
+        getMarkPrice: ethers.parseEther("2040"),
+        totalLongOpenInterest: USDC("3000"),
+        totalShortOpenInterest: USDC("1000"),
+        ...vamm,
+      })
+      .mock(addresses.fundingCalculator, abi.FUNDING_CALCULATOR_ABI, {
+        currentFundingRate: ethers.parseEther("0.0001"),
+        getFundingRateAPR: ethers.parseEther("0.876"),
+        fundingInterval: 3600n,
+        lastFundingTime: 1_700_000_000n,
+      })
+      .mock(addresses.vault, abi.VAULT_ABI, {
+        getTotalAssets: USDC("50000"),
+        getAvailableLiquidity: USDC("40000"),
+        ...vault,
+      })
+      .mock(addresses.liquidator, abi.LIQUIDATOR_ABI, { insuranceFundBalance: USDC("1234.5") });
+  }
+
+  // A reader returning (or throwing) the next of `results` on each call.
+  function scriptedRead(results) {
+    const read = async () => {
+      const result = results[Math.min(read.calls.length, results.length - 1)];
+      read.calls.push(result);
+      if (result instanceof Error) throw result;
+      return result;
+    };
+    read.calls = [];
+    return read;
+  }
+
+  describe("usePolledRead", function () {
+    const provider = {};
+
+    it("reads on mount and again every poll interval", async function () {
+      const read = scriptedRead([{ n: 1 }, { n: 2 }, { n: 3 }]);
+      const { result } = dom.renderHook(() => hooks.usePolledRead(read, provider, addresses, { pollInterval: POLL }));
+      expect(result.current).to.include({ data: null, error: null, loading: true });
+
+      await advance(0);
+      expect(read.calls).to.have.length(1);
+      expect(result.current).to.deep.include({ data: { n: 1 }, error: null, loading: false });
+
+      await advance(POLL - 1);
+      expect(read.calls).to.have.length(1);
+      await advance(1);
+      expect(read.calls).to.have.length(2);
+      expect(result.current.data).to.deep.equal({ n: 2 });
+
+      await advance(POLL);
+      expect(result.current.data).to.deep.equal({ n: 3 });
+    });
+
+    it("reads immediately on refresh and restarts the interval from there", async function () {
+      const read = scriptedRead([{ n: 1 }, { n: 2 }, { n: 3 }]);
+      const { result } = dom.renderHook(() => hooks.usePolledRead(read, provider, addresses, { pollInterval: POLL }));
+      await advance(POLL / 2);
+
+      await dom.act(async () => {
+        result.current.refresh();
+        await clock.tickAsync(0);
+      });
+      expect(read.calls).to.have.length(2);
+      expect(result.current.data).to.deep.equal({ n: 2 });
+
+      // The old interval would have fired at POLL; the new one fires a full interval after refresh.
+      await advance(POLL / 2);
+      expect(read.calls).to.have.length(2);
+      await advance(POLL / 2);
+      expect(read.calls).to.have.length(3);
+    });
+
+    it("keeps the last good data alongside the error when a poll fails", async function () {
+      const failure = new Error("RPC timeout");
+      const read = scriptedRead([{ n: 1 }, failure, { n: 3 }]);
+      const { result } = dom.renderHook(() => hooks.usePolledRead(read, provider, addresses, { pollInterval: POLL }));
+      await advance(0);
+
+      await advance(POLL);
+      expect(result.current).to.deep.include({ data: { n: 1 }, error: failure, loading: false });
+
+      // The next good poll clears the error.
+      await advance(POLL);
+      expect(result.current).to.deep.include({ data: { n: 3 }, error: null });
+    });
+
+    it("stops polling on unmount and does not read without a provider", async function () {
+      const read = scriptedRead([{ n: 1 }]);
+      const { unmount } = dom.renderHook(() => hooks.usePolledRead(read, provider, addresses, { pollInterval: POLL }));
+      await advance(0);
+      unmount();
+      await advance(3 * POLL);
+      expect(read.calls).to.have.length(1);
+
+      const idle = scriptedRead([{ n: 1 }]);
+      const { result } = dom.renderHook(() => hooks.usePolledRead(idle, null, addresses, { pollInterval: POLL }));
+      await advance(POLL);
+      expect(idle.calls).to.have.length(0);
+      expect(result.current).to.include({ data: null, error: null, loading: false });
+    });
+  });
+
+  describe("cards", function () {
+    it("render every reading from the provider", async function () {
+      const provider = mockProtocol();
+      dom.render(dom.h(cards.ProtocolHealthDashboard, { provider, addresses, pollInterval: POLL }));
+      await advance(0);
+      const { screen, within } = dom;
+
+      const indexCard = within(screen.getByRole("heading", { name: "Index vs Mark" }).closest("div").parentElement);
+      expect(indexCard.getByText("Index").nextElementSibling.textContent).to.equal("2,000.00");
+      expect(indexCard.getByText("Mark").nextElementSibling.textContent).to.equal("2,040.00");
+      expect(indexCard.getByText("Deviation").nextElementSibling.textContent).to.equal("+2.00%");
+
+      const meter = screen.getByRole("meter", { name: "Long share of open interest" });
+      expect(meter.getAttribute("aria-valuenow")).to.equal("75");
+      expect(screen.getByText("Long 3,000 (75.00%)")).to.exist;
+      expect(screen.getByText("Utilization").nextElementSibling.textContent).to.equal("20.00%");
+      expect(screen.getByText("Balance").nextElementSibling.textContent).to.equal("1,234.5");
+      expect(screen.getByText("Current").nextElementSibling.textContent).to.equal("+0.0100%");
+      expect(screen.queryByRole("status")).to.equal(null);
+    });
+
+    it("poll the provider at the interval and show the new values", async function () {
+      let total = USDC("50000");
+      const provider = mockProtocol({ vault: { getTotalAssets: () => total } });
+      dom.render(dom.h(cards.VaultTvlCard, { provider, addresses, pollInterval: POLL }));
+      await advance(0);
+      const reads = () => provider.calls.filter((call) => call.name === "getTotalAssets").length;
+      expect(reads()).to.equal(1);
+      expect(dom.screen.getByText("Total assets").nextElementSibling.textContent).to.equal("50,000");
+
+      total = USDC("80000");
+      await advance(POLL);
+      expect(reads()).to.equal(2);
+      expect(dom.screen.getByText("Total assets").nextElementSibling.textContent).to.equal("80,000");
+    });
+
+    it("mark a card stale but keep its figures when a poll fails", async function () {
+      let failing = false;
+      const provider = mockProtocol({
+        vamm: {
+          getMarkPrice: () => {
+            if (failing) throw new Error("RPC timeout");
+            return ethers.parseEther("2040");
+          },
+        },
+      });
+      dom.render(dom.h(cards.IndexPriceCard, { provider, addresses, pollInterval: POLL }));
+      await advance(0);
+
+      failing = true;
+      await advance(POLL);
+      const status = dom.screen.getByRole("status");
+      expect(status.textContent).to.equal("Stale");
+      expect(status.getAttribute("title")).to.equal("RPC timeout");
+      expect(dom.screen.getByText("Mark").nextElementSibling.textContent).to.equal("2,040.00");
+
+      failing = false;
+      await advance(POLL);
+      expect(dom.screen.queryByRole("status")).to.equal(null);
+    });
+
+    it("show a card as unavailable when it has never loaded", async function () {
+      const provider = mockProtocol({
+        vamm: {
+          totalLongOpenInterest: () => {
+            throw new Error("RPC timeout");
+          },
+        },
+      });
+      dom.render(dom.h(cards.OpenInterestBar, { provider, addresses, pollInterval: POLL }));
+      await advance(0);
+
+      expect(dom.screen.getByRole("status").textContent).to.equal("Unavailable");
+      expect(dom.screen.queryByRole("meter")).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { useTemporaryDeploymentsDir, deploySystem } = require("./helpers/system");
+const { SafeBatch, checksum } = require("../scripts/admin/safe-batch");
+const { simulateBatch } = require("../scripts/admin/simulate-batch");
+const initializeStep = require("../scripts/deploy/initialize-system");
+const { verifySystem } = require("../scripts/deploy/verify-system");
+
+/**
+ * Admin operations exported as Safe Transaction Builder batches and rehearsed on the local chain,
+ * with the deployer standing in for the Safe.
+ */
+describe("Safe batch export", function () {
+  useTemporaryDeploymentsDir();
+
+  async function deployedUninitializedFixture() {
+    const [deployer] = await ethers.getSigners();
+    const system = await deploySystem({ only: "vault,indexOracle,vamm,fundingCalculator,positionManager,liquidator" });
+    return { ...system, deployer };
+  }
+
+  // `positionManager` overrides config values under positionManager.
+  async function buildInitializationBatch(safeAddress, positionManager = {}) {
+    const fixture = await loadFixture(deployedUninitializedFixture);
+    const { deployments } = fixture;
+    const cfg = { ...fixture.cfg, positionManager: { ...fixture.cfg.positionManager, ...positionManager } };
+    const { chainId } = await ethers.provider.getNetwork();
+    const batch = new SafeBatch({ chainId, safeAddress, name: "Initialize protocol" });
+    await initializeStep.run({ network: network.name, cfg, deployments, batch });
+    return { cfg, deployments, batch: batch.toJSON() };
+  }
+
+  it("queues initialization in Transaction Builder format without sending anything", async function () {
+    const { deployer } = await loadFixture(deployedUninitializedFixture);
+    const blockBefore = await ethers.provider.getBlockNumber();
+
+    const { deployments, batch } = await buildInitializationBatch(deployer.address);
+
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+    expect(batch.meta.createdFromSafeAddress).to.equal(deployer.address);
+    const { checksum: recorded, ...meta } = batch.meta;
+    expect(recorded).to.equal(checksum({ ...batch, meta }));
+
+    const grant = batch.transactions.find(
+      (tx) => tx.contractMethod.name === "grantRole" && tx.to === deployments.vault,
+    );
+    expect(grant.value).to.equal("0");
+    expect(grant.contractMethod.inputs.map((input) => input.type)).to.deep.equal(["bytes32", "address"]);
+    expect(grant.contractInputsValues.account).to.equal(deployments.positionManager);
+    expect(batch.transactions.map((tx) => tx.contractMethod.name)).to.include.members([
+      "addCollateral",
+      "setPositionManager",
+      "setMaxPriceImpact",
+    ]);
+  });
+
+  it("simulates the batch as the Safe and leaves a verifiable system", async function () {
+    const { deployer } = await loadFixture(deployedUninitializedFixture);
+    const { cfg, deployments, batch } = await buildInitializationBatch(deployer.address);
+
+    const simulation = await simulateBatch(batch);
+
+    expect(simulation.ok).to.equal(true);
+    expect(simulation.results).to.have.length(batch.transactions.length);
+    const report = await verifySystem({ network: network.name, cfg, deployments });
+    expect(report.checks.filter((check) => !check.ok)).to.deep.equal([]);
+  });
+
+  it("queues the PnL pool top-up for the Safe to fund from its own wallet", async function () {
+    const { deployer, usdc } = await loadFixture(deployedUninitializedFixture);
+    const target = ethers.parseUnits("50000", 6);
+    const { cfg, deployments, batch } = await buildInitializationBatch(deployer.address, { pnlPoolTarget: target.toString() });
+
+    const [approve, fund] = batch.transactions.slice(-2);
+    expect(approve.contractMethod.name).to.equal("approve");
+    expect(approve.to).to.equal(await usdc.getAddress());
+    expect(approve.contractInputsValues).to.deep.equal({ spender: deployments.positionManager, value: target.toString() });
+    expect(fund.contractMethod.name).to.equal("fundPnlPool");
+    expect(fund.to).to.equal(deployments.positionManager);
+
+    await usdc.mint(deployer.address, target);
+    expect((await simulateBatch(batch)).ok).to.equal(true);
+    const positionManager = await ethers.getContractAt("PositionManager", deployments.positionManager);
+    expect(await positionManager.pnlPoolBalance()).to.equal(target);
+    const report = await verifySystem({ network: network.name, cfg, deployments });
+    expect(report.checks.find((check) => check.id === "positionManager.pnlPool")).to.include({
+      ok: true,
+      expected: target.toString(),
+    });
+  });
+
+  it("stops at the first revert when the Safe lacks admin rights", async function () {
+    const outsider = ethers.Wallet.createRandom().address;
+    const { batch } = await buildInitializationBatch(outsider);
+
+    const simulation = await simulateBatch(batch);
+
+    expect(simulation.ok).to.equal(false);
+    expect(simulation.results).to.have.length(1);
+    expect(simulation.results[0].ok).to.equal(false);
+    expect(simulation.results[0].error).to.be.a("string");
+  });
+});
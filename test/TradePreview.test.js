@@ -0,0 +1,131 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { useTemporaryDeploymentsDir } = require("./helpers/system");
+const { deployProtocol } = require("./helpers/fixtures");
+const { TradingClient, tradePreview } = require("../sdk");
+
+const USDC = (amount) => ethers.parseUnits(amount, 6);
+
+/**
+ * The trade ticket's preview (sdk/trade-preview.js, behind src/components/trade/TradeTicket.jsx):
+ * validation against a synthetic context, then preview vs. an actual open on a deployed system.
+ */
+describe("Trade preview", function () {
+  const context = {
+    vamm: {
+      baseReserve: ethers.parseEther("1000000"),
+      quoteReserve: ethers.parseEther("2000000000"),
+      k: ethers.parseEther("1000000") * ethers.parseEther("2000000000"),
+      lastMarkPrice: ethers.parseEther("2000"),
+      maxPriceImpactBps: 1000n,
+    },
+    tradingFeeBps: 10n,
+    maintenanceMarginBps: 500n,
+    minCollateral: USDC("10"),
+    minLeverage: ethers.parseEther("1"),
+    maxLeverage: ethers.parseEther("10"),
+    maxPositionSize: USDC("1000000000"),
+    maxPositionsPerUser: 50n,
+    openPositions: 0n,
+    available: USDC("100"),
+    walletBalance: USDC("1000"),
+    allowance: 0n,
+    decimals: 6,
+  };
+  const ticket = { isLong: true, collateral: USDC("500"), leverage: ethers.parseEther("3"), slippageBps: 100 };
+  const codes = (preview) => preview.errors.map(({ code }) => code);
+
+  it("prices a valid ticket and works out the deposit and approval it needs", function () {
+    const preview = tradePreview.previewOpen(context, ticket);
+
+    expect(preview.valid).to.equal(true);
+    expect(preview.size).to.equal(USDC("1500"));
+    expect(preview.fee).to.equal(USDC("1.5"));
+    expect(preview.expectedPrice).to.be.greaterThan(context.vamm.lastMarkPrice);
+    expect(preview.entryPrice).to.equal(preview.expectedPrice);
+    expect(preview.maxPrice).to.equal((preview.expectedPrice * 10100n) / 10000n);
+    expect(preview.minPrice).to.equal(0n);
+    expect(preview).to.include({ required: USDC("501.5"), deposit: USDC("401.5"), approval: USDC("401.5") });
+
+    const funded = tradePreview.previewOpen({ ...context, available: USDC("600") }, ticket);
+    expect(funded).to.include({ deposit: 0n, approval: 0n });
+    const approved = tradePreview.previewOpen({ ...context, allowance: USDC("500") }, ticket);
+    expect(approved.approval).to.equal(0n);
+  });
+
+  it("reports every check openPosition would fail", function () {
+    expect(codes(tradePreview.previewOpen(context, { ...ticket, collateral: USDC("9.99") }))).to.deep.equal(["InsufficientCollateral"]);
+    expect(codes(tradePreview.previewOpen(context, { ...ticket, leverage: ethers.parseEther("0.5") }))).to.deep.equal(["InvalidLeverage"]);
+    expect(codes(tradePreview.previewOpen(context, { ...ticket, leverage: ethers.parseEther("10.1") }))).to.deep.equal(["InvalidLeverage"]);
+    expect(codes(tradePreview.previewOpen({ ...context, openPositions: 50n }, ticket))).to.deep.equal(["TooManyPositions"]);
+    expect(codes(tradePreview.previewOpen(context, { ...ticket, slippageBps: 10001 }))).to.deep.equal(["InvalidSlippage"]);
+    expect(codes(tradePreview.previewOpen({ ...context, walletBalance: USDC("400") }, ticket))).to.deep.equal(["InsufficientWalletBalance"]);
+
+    const whale = tradePreview.previewOpen(
+      { ...context, available: USDC("1000000000") },
+      { ...ticket, collateral: USDC("200000000"), leverage: ethers.parseEther("10") },
+    );
+    expect(codes(whale)).to.include("PositionTooLarge");
+    expect(whale.valid).to.equal(false);
+
+    // A shallow pool where the 1500 USDC ticket moves the mark by several percent.
+    const shallow = { baseReserve: 10_000_000n, quoteReserve: USDC("20000"), lastMarkPrice: ethers.parseEther("2000"), maxPriceImpactBps: 500n };
+    shallow.k = shallow.baseReserve * shallow.quoteReserve;
+    const impact = tradePreview.previewOpen({ ...context, vamm: shallow }, { ...ticket, isLong: false });
+    expect(impact.priceImpactBps).to.be.greaterThan(500n);
+    expect(impact.errors).to.deep.equal([
+      { field: "market", code: "PriceImpactTooHigh", message: "Price impact exceeds the vAMM's 5% limit; reduce size." },
+    ]);
+  });
+
+  describe("against a deployed system", function () {
+    useTemporaryDeploymentsDir();
+
+    async function ticketFixture() {
+      const ctx = await deployProtocol({ traders: 1, wallet: USDC("10000") });
+      const [trader] = ctx.traders;
+      // The ticket works out the approval itself, so take back the one the fixture gives.
+      await ctx.usdc.connect(trader).approve(ctx.deployments.vault, 0n);
+      const client = TradingClient.fromDeployments(trader, ctx.deployments);
+      return { ...ctx, client, trader };
+    }
+
+    it("reads the contract limits and previews the position the ticket opens", async function () {
+      const { client, positionManager, usdc, trader } = await loadFixture(ticketFixture);
+
+      const live = await tradePreview.readTradeContext(client, trader.address);
+      expect(live).to.include({
+        minCollateral: await positionManager.minCollateral(),
+        minLeverage: await positionManager.MIN_LEVERAGE(),
+        maxLeverage: await positionManager.maxLeverage(),
+        maxPositionSize: await positionManager.MAX_POSITION_SIZE(),
+        maxPositionsPerUser: await positionManager.MAX_POSITIONS_PER_USER(),
+        openPositions: 0n,
+        available: 0n,
+        walletBalance: USDC("10000"),
+        allowance: 0n,
+        decimals: 6,
+      });
+
+      const preview = tradePreview.previewOpen(live, ticket);
+      expect(preview.valid).to.equal(true);
+      expect(preview.approval).to.equal(preview.required);
+
+      const opened = await client.depositAndOpen(ticket);
+      const position = await positionManager.getPosition(opened.positionId);
+      expect(opened.deposited).to.equal(preview.deposit);
+      expect(opened.quote).to.include({ fee: preview.fee, minPrice: preview.minPrice, maxPrice: preview.maxPrice });
+      expect(position.size).to.equal(preview.size);
+      expect(position.entryPrice).to.equal(preview.entryPrice);
+      expect(position.liquidationPrice).to.equal(preview.liquidationPrice);
+      expect((await client.balances()).available).to.equal(0n);
+      expect(await usdc.balanceOf(trader.address)).to.equal(USDC("10000") - preview.required);
+
+      const after = await tradePreview.readTradeContext(client, trader.address);
+      expect(after.openPositions).to.equal(1n);
+      expect(after.vamm.lastMarkPrice).to.equal(preview.expectedPrice);
+    });
+  });
+});
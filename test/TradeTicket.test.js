@@ -0,0 +1,198 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const FakeTimers = require("@sinonjs/fake-timers");
+
+const { useDom } = require("./helpers/dom");
+const { MockProvider } = require("./helpers/mock-provider");
+const { TradingClient, abi } = require("../sdk");
+
+const USDC = (amount) => ethers.parseUnits(amount, 6);
+
+/**
+ * src/components/trade/TradeTicket.jsx rendered in jsdom with a TradingClient over a mocked
+ * provider. Reads come from the mocks; the client's depositAndOpen is replaced per test, since
+ * the ticket only hands it the ticket and reports what it returns.
+ */
+describe("Trade ticket", function () {
+  const dom = useDom();
+  const trader = "0x00000000000000000000000000000000000000aa";
+  const addresses = {
+    positionManager: "0x0000000000000000000000000000000000000001",
+    vault: "0x0000000000000000000000000000000000000002",
+    vamm: "0x0000000000000000000000000000000000000003",
+  };
+  const token = "0x0000000000000000000000000000000000000004";
+
+  let TradeTicket;
+  let ToastProvider;
+  let clock;
+
+  before(function () {
+    ({ TradeTicket } = dom.load("components/trade/TradeTicket.jsx"));
+    ({ ToastProvider } = dom.load("components/toast/ToastProvider.jsx"));
+  });
+
+  // The clock follows real time, so Testing Library's async helpers still run, and uninstalling it
+  // drops a toast's dismiss timer that would otherwise fire once the window is gone.
+  beforeEach(function () {
+    clock = FakeTimers.install({ toFake: ["setTimeout", "clearTimeout"], shouldAdvanceTime: true });
+  });
+
+  afterEach(function () {
+    clock.uninstall();
+  });
+
+  // 2000 USDC mark on a deep pool; the trader has 100 USDC free in the vault and 1000 in the wallet.
+  function mockMarket({ available = USDC("100") } = {}) {
+    return new MockProvider()
+      .mock(addresses.positionManager, abi.POSITION_MANAGER_ABI, {
+        tradingFee: 10n,
+        maintenanceMargin: 500n,
+        minCollateral: USDC("10"),
+        MIN_LEVERAGE: ethers.parseEther("1"),
+        maxLeverage: ethers.parseEther("10"),
+        MAX_POSITION_SIZE: USDC("1000000000"),
+        MAX_POSITIONS_PER_USER: 50n,
+        getUserPositions: [],
+      })
+      .mock(addresses.vault, abi.VAULT_ABI, {
+        asset: token,
+        availableBalance: available,
+        lockedBalance: 0n,
+        totalBalance: available,
+      })
+      .mock(addresses.vamm, abi.VAMM_ABI, {
+        virtualBaseAssetReserve: ethers.parseEther("1000000"),
+        virtualQuoteAssetReserve: ethers.parseEther("2000000000"),
+        k: ethers.parseEther("1000000") * ethers.parseEther("2000000000"),
+        lastMarkPrice: ethers.parseEther("2000"),
+        maxPriceImpact: 1000n,
+      })
+      .mock(token, abi.ERC20_ABI, { balanceOf: USDC("1000"), allowance: 0n, decimals: 6n });
+  }
+
+  // Renders the ticket for `trader` and waits for its first read of the market.
+  async function renderTicket({ provider = mockMarket(), account = trader, depositAndOpen, onOpened } = {}) {
+    const client = new TradingClient({ runner: provider, addresses });
+    client.depositAndOpen = depositAndOpen;
+    dom.render(dom.h(ToastProvider, null, dom.h(TradeTicket, { client, account, pollInterval: 0, onOpened })));
+    if (account) await dom.screen.findByText(/^Vault .* · Wallet /);
+    return { provider, collateral: dom.screen.getByRole("textbox", { name: "Collateral (USDC)" }) };
+  }
+
+  const previewValue = (label) => dom.screen.getByText(label).nextSibling.textContent;
+  const submitButton = () => dom.screen.getByRole("button", { name: /^(Open|Approve|Connect)/ });
+
+  it("picks the side with toggle buttons a keyboard can reach", async function () {
+    const user = dom.userEvent.setup();
+    await renderTicket();
+    const long = dom.screen.getByRole("button", { name: "Long" });
+    const short = dom.screen.getByRole("button", { name: "Short" });
+    expect(dom.screen.getByRole("group", { name: "Position side" }).contains(long)).to.equal(true);
+    expect(long.getAttribute("aria-pressed")).to.equal("true");
+    expect(short.getAttribute("aria-pressed")).to.equal("false");
+
+    await user.tab();
+    expect(document.activeElement).to.equal(long);
+    await user.tab();
+    expect(document.activeElement).to.equal(short);
+    await user.keyboard(" ");
+    expect(short.getAttribute("aria-pressed")).to.equal("true");
+    expect(long.getAttribute("aria-pressed")).to.equal("false");
+
+    await user.keyboard("{Shift>}{Tab}{/Shift}{Enter}");
+    expect(long.getAttribute("aria-pressed")).to.equal("true");
+  });
+
+  it("validates the collateral against the market limits and the trader's funds", async function () {
+    const user = dom.userEvent.setup();
+    const { collateral } = await renderTicket();
+    dom.screen.getByText("Vault 100 · Wallet 1,000");
+    expect(submitButton().disabled).to.equal(true);
+
+    await user.type(collateral, "5");
+    expect(dom.screen.getByText("Minimum collateral is 10.0.").closest('[role="alert"]')).to.not.equal(null);
+    expect(submitButton().disabled).to.equal(true);
+
+    await user.clear(collateral);
+    await user.type(collateral, "2000");
+    dom.screen.getByText("Needs 1904.0 more in the vault but the wallet holds 1000.0.");
+    expect(submitButton().disabled).to.equal(true);
+
+    // Keystrokes that cannot form an amount are dropped.
+    await user.clear(collateral);
+    await user.type(collateral, "12.5x");
+    expect(collateral.value).to.equal("12.5");
+    expect(dom.screen.queryByText(/Minimum collateral|Needs/)).to.equal(null);
+    expect(submitButton().disabled).to.equal(false);
+  });
+
+  it("previews size, fee and the wallet deposit the ticket needs", async function () {
+    const user = dom.userEvent.setup();
+    const { collateral } = await renderTicket();
+
+    await user.type(collateral, "500");
+    // 500 USDC at the default 2x.
+    expect(previewValue("Position size")).to.equal("1,000");
+    expect(previewValue("Trading fee")).to.equal("1");
+    expect(previewValue("Deposit from wallet")).to.equal("401");
+    expect(previewValue("USDC approval")).to.equal("401");
+    expect(previewValue("Entry price")).to.match(/^2,000\.\d+$/);
+    expect(dom.screen.getByText("Max price")).to.not.equal(null);
+    expect(submitButton().textContent).to.equal("Approve, deposit & open");
+
+    await user.click(dom.screen.getByRole("button", { name: "Short" }));
+    expect(dom.screen.getByText("Min price")).to.not.equal(null);
+    expect(dom.screen.queryByText("Max price")).to.equal(null);
+  });
+
+  it("opens the position, reports it and rereads the market", async function () {
+    const user = dom.userEvent.setup();
+    const tickets = [];
+    const opened = [];
+    const { provider, collateral } = await renderTicket({
+      provider: mockMarket({ available: USDC("1000") }),
+      depositAndOpen: async (ticket) => {
+        tickets.push(ticket);
+        return { positionId: 7n };
+      },
+      onOpened: (result) => opened.push(result),
+    });
+    const reads = () => provider.calls.filter((call) => call.name === "getUserPositions").length;
+    const readsBefore = reads();
+
+    await user.click(dom.screen.getByRole("button", { name: "Short" }));
+    await user.type(collateral, "500");
+    expect(dom.screen.queryByText("Deposit from wallet")).to.equal(null);
+    await user.click(submitButton());
+
+    await dom.screen.findByText("Opened short position #7");
+    expect(tickets).to.deep.equal([{ isLong: false, collateral: USDC("500"), leverage: ethers.parseEther("2"), slippageBps: 50 }]);
+    expect(opened).to.deep.equal([{ positionId: 7n }]);
+    expect(collateral.value).to.equal("");
+    expect(reads()).to.be.greaterThan(readsBefore);
+  });
+
+  it("keeps the ticket and shows the error when the open fails", async function () {
+    const user = dom.userEvent.setup();
+    const { collateral } = await renderTicket({
+      provider: mockMarket({ available: USDC("1000") }),
+      depositAndOpen: async () => {
+        throw Object.assign(new Error("transaction failed"), { shortMessage: 'execution reverted: "SlippageExceeded()"' });
+      },
+    });
+
+    await user.type(collateral, "500");
+    await user.click(submitButton());
+
+    await dom.screen.findByText('execution reverted: "SlippageExceeded()"');
+    expect(collateral.value).to.equal("500");
+    expect(submitButton().disabled).to.equal(false);
+  });
+
+  it("asks for a wallet before it reads the market", async function () {
+    await renderTicket({ account: null });
+    expect(submitButton().textContent).to.equal("Connect wallet");
+    expect(submitButton().disabled).to.equal(true);
+  });
+});
@@ -0,0 +1,94 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { useTemporaryDeploymentsDir } = require("./helpers/system");
+const { deployProtocol } = require("./helpers/fixtures");
+const { TradingClient, priceBounds } = require("../sdk");
+
+const USDC = (amount) => ethers.parseUnits(amount, 6);
+const LEVERAGE_5X = ethers.parseEther("5");
+
+/**
+ * The SDK trading client driven against a system deployed by the real deploy scripts.
+ */
+describe("TradingClient", function () {
+  useTemporaryDeploymentsDir();
+
+  async function clientFixture() {
+    const ctx = await deployProtocol({ wallet: USDC("10000") });
+    const [trader, other] = ctx.traders;
+    const client = TradingClient.fromDeployments(trader, ctx.deployments);
+    return { ...ctx, client, trader, other };
+  }
+
+  it("derives one-sided price bounds from a tolerance", function () {
+    const price = ethers.parseEther("2000");
+
+    expect(priceBounds(true, price, 50)).to.deep.equal({ minPrice: 0n, maxPrice: ethers.parseEther("2010") });
+    expect(priceBounds(false, price, 50)).to.deep.equal({
+      minPrice: ethers.parseEther("1990"),
+      maxPrice: ethers.MaxUint256,
+    });
+    expect(() => priceBounds(true, price, 10001)).to.throw(RangeError);
+  });
+
+  it("deposits only the shortfall and opens a position read back as a decoded struct", async function () {
+    const { client, vault, usdc, trader } = await loadFixture(clientFixture);
+    const collateral = USDC("1000");
+
+    const opened = await client.depositAndOpen({ isLong: true, collateral, leverage: LEVERAGE_5X });
+
+    // 5x on 1000 USDC is 5000 notional; the 0.1% fee is deposited on top of the collateral.
+    expect(opened.size).to.equal(USDC("5000"));
+    expect(opened.deposited).to.equal(collateral + opened.quote.fee);
+    expect(opened.quote.fee).to.equal(USDC("5"));
+    expect(opened.entryPrice).to.equal(opened.quote.expectedPrice);
+    expect(await vault.availableBalance(trader.address, await usdc.getAddress())).to.equal(0n);
+
+    const position = await client.getPosition(opened.positionId);
+    expect(position).to.include({ id: opened.positionId, trader: trader.address, isLong: true });
+    expect(position.collateral).to.equal(collateral);
+    expect(position.leverage).to.equal(LEVERAGE_5X);
+    expect(await client.getPositions()).to.deep.equal([position]);
+  });
+
+  it("reverts with SlippageExceeded when the mark moves past the tolerance", async function () {
+    const { client, positionManager, other } = await loadFixture(clientFixture);
+    const params = { isLong: true, collateral: USDC("100"), leverage: LEVERAGE_5X, slippageBps: 0 };
+    await client.deposit(USDC("1000"));
+    const quote = await client.quoteOpen(params);
+
+    // Another trader's large long lands first and lifts the mark above the zero-tolerance bound.
+    const front = TradingClient.fromDeployments(other, client.addresses);
+    await front.depositAndOpen({ isLong: true, collateral: USDC("5000"), leverage: LEVERAGE_5X, slippageBps: 10000 });
+
+    await expect(
+      positionManager.connect(client.runner).openPosition(true, params.collateral, params.leverage, quote.minPrice, quote.maxPrice),
+    ).to.be.revertedWithCustomError(positionManager, "SlippageExceeded");
+    const requoted = await client.openPosition(params);
+    expect(requoted.entryPrice).to.be.greaterThan(quote.maxPrice);
+  });
+
+  it("adds margin, decodes margin reverts and returns realized PnL on close", async function () {
+    const { client, positionManager } = await loadFixture(clientFixture);
+    const { positionId } = await client.depositAndOpen({ isLong: false, collateral: USDC("1000"), leverage: LEVERAGE_5X });
+    await client.deposit(USDC("100"));
+
+    expect((await client.addMargin(positionId, USDC("100"))).newCollateral).to.equal(USDC("1100"));
+    expect((await client.removeMargin(positionId, USDC("50"))).newCollateral).to.equal(USDC("1050"));
+    // 100 USDC of equity on 5000 notional is under the 5% maintenance margin.
+    await expect(client.removeMargin(positionId, USDC("950"))).to.be.revertedWithCustomError(
+      client.positionManager,
+      "PositionUnhealthy",
+    );
+
+    const expectedPnl = await positionManager.calculatePnL(positionId);
+    const closed = await client.closePosition(positionId);
+
+    expect(closed.pnl).to.equal(expectedPnl);
+    expect(closed.closingPrice).to.be.greaterThan(0n);
+    expect(await client.getPosition(positionId)).to.equal(null);
+    expect(await client.getPositions()).to.deep.equal([]);
+  });
+});
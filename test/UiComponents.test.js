@@ -0,0 +1,509 @@
+const { expect } = require("chai");
+const FakeTimers = require("@sinonjs/fake-timers");
+
+const { useDom } = require("./helpers/dom");
+
+/**
+ * The component library in src/components/ui and the toasts in src/components/toast, rendered in
+ * jsdom and driven the way a keyboard or screen reader user would: through user-event and the
+ * accessible roles and names the components expose.
+ */
+describe("UI components", function () {
+  const dom = useDom();
+  let ui;
+
+  before(function () {
+    ui = dom.load("components/ui/index.js");
+  });
+
+  // Renders `Component` with its `prop` held in state, as a parent form would; `changes` records
+  // every value the component reports.
+  function renderControlled(Component, { prop = "value", initial, props = {} } = {}) {
+    const changes = [];
+    const Harness = () => {
+      const [value, setValue] = dom.React.useState(initial);
+      const onChange = (next) => {
+        changes.push(next);
+        setValue(next);
+      };
+      return dom.h(Component, { ...props, [prop]: value, onChange });
+    };
+    return { ...dom.render(dom.h(Harness)), changes };
+  }
+
+  describe("Select", function () {
+    const options = [
+      { value: "long", label: "Long" },
+      { value: "short", label: "Short" },
+      { value: "hedge", label: "Hedge", disabled: true },
+    ];
+
+    it("is a labelled native select that reports the chosen value", async function () {
+      const user = dom.userEvent.setup();
+      const { changes } = renderControlled(ui.Select, {
+        initial: "",
+        props: { label: "Side", options, placeholder: "Choose a side", helperText: "Direction of the trade" },
+      });
+
+      const select = dom.screen.getByRole("combobox", { name: "Side" });
+      expect(select.value).to.equal("");
+      expect(dom.screen.getByRole("option", { name: "Choose a side" }).disabled).to.equal(true);
+      expect(dom.screen.getByRole("option", { name: "Hedge" }).disabled).to.equal(true);
+      expect(document.getElementById(select.getAttribute("aria-describedby")).textContent).to.equal(
+        "Direction of the trade",
+      );
+
+      await user.selectOptions(select, "short");
+      expect(changes).to.deep.equal(["short"]);
+      expect(select.value).to.equal("short");
+    });
+
+    it("announces an error in place of the helper text", function () {
+      dom.render(dom.h(ui.Select, { label: "Side", options, value: "long", onChange: () => {}, helperText: "Help", error: "Pick a side" }));
+
+      const select = dom.screen.getByRole("combobox", { name: "Side" });
+      const alert = dom.screen.getByRole("alert");
+      expect(select.getAttribute("aria-invalid")).to.equal("true");
+      expect(select.getAttribute("aria-describedby")).to.equal(alert.id);
+      expect(alert.textContent).to.equal("Pick a side");
+      expect(dom.screen.queryByText("Help")).to.equal(null);
+    });
+  });
+
+  describe("Toggle", function () {
+    it("is a labelled switch that Space and Enter flip", async function () {
+      const user = dom.userEvent.setup();
+      const { changes } = renderControlled(ui.Toggle, {
+        prop: "checked",
+        initial: false,
+        props: { label: "Reduce only", description: "Never increase the position" },
+      });
+
+      const toggle = dom.screen.getByRole("switch", { name: "Reduce only" });
+      expect(toggle.getAttribute("aria-checked")).to.equal("false");
+      expect(document.getElementById(toggle.getAttribute("aria-describedby")).textContent).to.equal(
+        "Never increase the position",
+      );
+
+      await user.tab();
+      expect(document.activeElement).to.equal(toggle);
+      await user.keyboard(" ");
+      expect(toggle.getAttribute("aria-checked")).to.equal("true");
+      await user.keyboard("{Enter}");
+      expect(toggle.getAttribute("aria-checked")).to.equal("false");
+      expect(changes).to.deep.equal([true, false]);
+    });
+
+    it("ignores clicks while disabled", async function () {
+      const user = dom.userEvent.setup();
+      const changes = [];
+      dom.render(dom.h(ui.Toggle, { label: "Reduce only", checked: false, disabled: true, onChange: (next) => changes.push(next) }));
+
+      await user.click(dom.screen.getByRole("switch", { name: "Reduce only" }));
+      expect(changes).to.deep.equal([]);
+    });
+  });
+
+  describe("Tabs", function () {
+    const tabs = [
+      { id: "positions", label: "Positions", content: "Open positions" },
+      { id: "orders", label: "Orders", content: "Open orders" },
+      { id: "history", label: "History", content: "Trade history", disabled: true },
+      { id: "funding", label: "Funding", content: "Funding payments" },
+    ];
+
+    it("keeps only the selected tab in the tab order and labels its panel with it", async function () {
+      const user = dom.userEvent.setup();
+      renderControlled(ui.Tabs, { initial: "orders", props: { tabs, label: "Account" } });
+
+      expect(dom.screen.getByRole("tablist", { name: "Account" })).to.exist;
+      const selected = dom.screen.getByRole("tab", { selected: true });
+      expect(selected.textContent).to.equal("Orders");
+      for (const tab of dom.screen.getAllByRole("tab")) {
+        expect(tab.tabIndex, tab.textContent).to.equal(tab === selected ? 0 : -1);
+      }
+
+      const panel = dom.screen.getByRole("tabpanel", { name: "Orders" });
+      expect(panel.textContent).to.equal("Open orders");
+      expect(selected.getAttribute("aria-controls")).to.equal(panel.id);
+
+      await user.tab();
+      expect(document.activeElement).to.equal(selected);
+      await user.tab();
+      expect(document.activeElement).to.equal(panel);
+    });
+
+    it("moves between enabled tabs with the arrow keys, Home and End", async function () {
+      const user = dom.userEvent.setup();
+      const { changes } = renderControlled(ui.Tabs, { initial: "positions", props: { tabs, label: "Account" } });
+      const focused = () => document.activeElement.textContent;
+
+      await user.tab();
+      await user.keyboard("{ArrowRight}");
+      expect(focused()).to.equal("Orders");
+      // History is disabled, so it is skipped.
+      await user.keyboard("{ArrowRight}");
+      expect(focused()).to.equal("Funding");
+      // And the arrows wrap.
+      await user.keyboard("{ArrowRight}");
+      expect(focused()).to.equal("Positions");
+      await user.keyboard("{ArrowLeft}");
+      expect(focused()).to.equal("Funding");
+      await user.keyboard("{Home}");
+      expect(focused()).to.equal("Positions");
+      await user.keyboard("{End}");
+      expect(focused()).to.equal("Funding");
+
+      expect(changes).to.deep.equal(["orders", "funding", "positions", "funding", "positions", "funding"]);
+      expect(dom.screen.getByRole("tab", { selected: true }).textContent).to.equal("Funding");
+      expect(dom.screen.getByRole("tabpanel", { name: "Funding" }).textContent).to.equal("Funding payments");
+    });
+  });
+
+  describe("Modal", function () {
+    // An opener button and a modal it toggles, so focus has somewhere to return to.
+    function renderModal(props = {}) {
+      const Harness = () => {
+        const [open, setOpen] = dom.React.useState(false);
+        const close = dom.React.useCallback(() => setOpen(false), []);
+        return dom.h(
+          "div",
+          null,
+          dom.h("button", { type: "button", onClick: () => setOpen(true) }, "Close position"),
+          dom.h(
+            ui.Modal,
+            {
+              open,
+              onClose: close,
+              title: "Confirm close",
+              description: "The position is closed at the mark price.",
+              footer: dom.h("button", { type: "button", onClick: close }, "Confirm"),
+              ...props,
+            },
+            dom.h("input", { "aria-label": "Note" }),
+          ),
+        );
+      };
+      return dom.render(dom.h(Harness));
+    }
+
+    it("opens as a labelled dialog with focus inside and traps Tab there", async function () {
+      const user = dom.userEvent.setup();
+      renderModal();
+      expect(dom.screen.queryByRole("dialog")).to.equal(null);
+
+      await user.click(dom.screen.getByRole("button", { name: "Close position" }));
+      const dialog = dom.screen.getByRole("dialog", { name: "Confirm close" });
+      expect(dialog.getAttribute("aria-modal")).to.equal("true");
+      expect(document.getElementById(dialog.getAttribute("aria-describedby")).textContent).to.equal(
+        "The position is closed at the mark price.",
+      );
+
+      const close = dom.within(dialog).getByRole("button", { name: "Close dialog" });
+      const note = dom.within(dialog).getByRole("textbox", { name: "Note" });
+      const confirm = dom.within(dialog).getByRole("button", { name: "Confirm" });
+      expect(document.activeElement).to.equal(close);
+
+      await user.tab();
+      expect(document.activeElement).to.equal(note);
+      await user.tab();
+      expect(document.activeElement).to.equal(confirm);
+      await user.tab();
+      expect(document.activeElement).to.equal(close);
+      await user.tab({ shift: true });
+      expect(document.activeElement).to.equal(confirm);
+    });
+
+    it("closes on Escape and on the backdrop, handing focus back to the opener", async function () {
+      const user = dom.userEvent.setup();
+      renderModal();
+      const opener = dom.screen.getByRole("button", { name: "Close position" });
+
+      await user.click(opener);
+      await user.keyboard("{Escape}");
+      expect(dom.screen.queryByRole("dialog")).to.equal(null);
+      expect(document.activeElement).to.equal(opener);
+
+      await user.click(opener);
+      const backdrop = dom.screen.getByRole("dialog").previousElementSibling;
+      expect(backdrop.getAttribute("aria-hidden")).to.equal("true");
+      await user.click(backdrop);
+      expect(dom.screen.queryByRole("dialog")).to.equal(null);
+      expect(document.activeElement).to.equal(opener);
+    });
+
+    it("focuses initialFocus when given", function () {
+      const initialFocus = { current: null };
+      const Harness = () =>
+        dom.h(
+          ui.Modal,
+          { open: true, onClose: () => {}, title: "Deposit", initialFocus },
+          dom.h("input", { "aria-label": "First" }),
+          dom.h("input", { "aria-label": "Amount", ref: initialFocus }),
+        );
+      dom.render(dom.h(Harness));
+
+      expect(document.activeElement).to.equal(dom.screen.getByRole("textbox", { name: "Amount" }));
+    });
+  });
+
+  describe("Tooltip", function () {
+    function renderTooltip(trigger = {}) {
+      return dom.render(
+        dom.h(
+          ui.Tooltip,
+          { content: "Liquidation happens below the maintenance margin" },
+          dom.h("button", { type: "button", ...trigger }, "Margin"),
+        ),
+      );
+    }
+
+    it("describes its trigger while it has keyboard focus and hides on Escape", async function () {
+      const user = dom.userEvent.setup();
+      const focusEvents = [];
+      renderTooltip({ onFocus: () => focusEvents.push("focus"), onBlur: () => focusEvents.push("blur") });
+      const trigger = dom.screen.getByRole("button", { name: "Margin" });
+      expect(dom.screen.queryByRole("tooltip")).to.equal(null);
+      expect(trigger.hasAttribute("aria-describedby")).to.equal(false);
+
+      await user.tab();
+      const tooltip = dom.screen.getByRole("tooltip");
+      expect(tooltip.textContent).to.equal("Liquidation happens below the maintenance margin");
+      expect(trigger.getAttribute("aria-describedby")).to.equal(tooltip.id);
+
+      await user.keyboard("{Escape}");
+      expect(dom.screen.queryByRole("tooltip")).to.equal(null);
+      expect(trigger.hasAttribute("aria-describedby")).to.equal(false);
+      expect(document.activeElement).to.equal(trigger);
+
+      await user.tab();
+      // The trigger's own handlers still run.
+      expect(focusEvents).to.deep.equal(["focus", "blur"]);
+    });
+
+    it("shows while hovered", async function () {
+      const user = dom.userEvent.setup();
+      renderTooltip();
+      const trigger = dom.screen.getByRole("button", { name: "Margin" });
+
+      await user.hover(trigger);
+      expect(dom.screen.getByRole("tooltip")).to.exist;
+      await user.unhover(trigger);
+      expect(dom.screen.queryByRole("tooltip")).to.equal(null);
+    });
+  });
+
+  describe("Toast", function () {
+    const DURATION = 1000;
+    let clock;
+
+    // Auto-dismiss timers run on a fake clock, so none fire once the window is gone.
+    beforeEach(function () {
+      clock = FakeTimers.install({ toFake: ["setTimeout", "clearTimeout"] });
+    });
+
+    // Testing Library's async helpers, which user-event runs through, wait on a real timer.
+    function useRealTimers() {
+      clock.uninstall();
+      clock = null;
+    }
+
+    afterEach(function () {
+      clock?.uninstall();
+    });
+
+    // Renders a ToastProvider and returns its context for posting toasts.
+    function renderToasts() {
+      const toasts = {};
+      const Capture = () => {
+        Object.assign(toasts, ui.useToast());
+        return null;
+      };
+      dom.render(dom.h(ui.ToastProvider, { duration: DURATION }, dom.h(Capture)));
+      return toasts;
+    }
+
+    it("announces errors and warnings as alerts and the rest politely", function () {
+      const toasts = renderToasts();
+      // Both live regions exist before the first toast, so it is announced.
+      const alert = dom.screen.getByRole("alert");
+      const status = dom.screen.getByRole("status");
+      expect(status.getAttribute("aria-live")).to.equal("polite");
+
+      dom.act(() => {
+        toasts.addToast("Position closed", "success");
+        toasts.addToast("Transaction reverted", "error");
+        toasts.addToast("Index price is stale", "warning");
+        toasts.addToast("Funding settles soon");
+      });
+      expect(dom.within(alert).queryByText("Transaction reverted")).to.exist;
+      expect(dom.within(alert).queryByText("Index price is stale")).to.exist;
+      expect(dom.within(status).queryByText("Position closed")).to.exist;
+      expect(dom.within(status).queryByText("Funding settles soon")).to.exist;
+    });
+
+    it("times out everything but errors, which wait to be dismissed", async function () {
+      const toasts = renderToasts();
+      dom.act(() => {
+        toasts.addToast("Position closed", "success");
+        toasts.addToast("Transaction reverted", "error");
+      });
+
+      await dom.act(() => clock.tickAsync(DURATION));
+      expect(dom.screen.queryByText("Position closed")).to.equal(null);
+      expect(dom.screen.getByText("Transaction reverted")).to.exist;
+
+      useRealTimers();
+      const user = dom.userEvent.setup();
+      await user.tab();
+      const dismiss = dom.screen.getByRole("button", { name: "Dismiss notification" });
+      expect(document.activeElement).to.equal(dismiss);
+      await user.keyboard("{Enter}");
+      expect(dom.screen.queryByText("Transaction reverted")).to.equal(null);
+    });
+
+    it("refuses useToast outside a ToastProvider", function () {
+      const Orphan = () => {
+        ui.useToast();
+        return null;
+      };
+      // React logs the error it rethrows; keep the test output clean.
+      const consoleError = console.error;
+      console.error = () => {};
+      try {
+        expect(() => dom.render(dom.h(Orphan))).to.throw("useToast must be used within ToastProvider");
+      } finally {
+        console.error = consoleError;
+      }
+    });
+  });
+
+  describe("Table", function () {
+    const columns = [
+      { key: "market", header: "Market" },
+      { key: "size", header: "Size", align: "right", sortable: true },
+      { key: "pnl", header: "PnL", align: "right", sortable: true, render: (row) => `${row.pnl} USDC` },
+    ];
+    const rows = [
+      { id: 1, market: "INF-PERP", size: 300n, pnl: 12n },
+      { id: 2, market: "INF-PERP", size: 100n, pnl: -4n },
+    ];
+
+    it("captions the table and marks the sorted column for screen readers", async function () {
+      const user = dom.userEvent.setup();
+      const sorts = [];
+      const Harness = () => {
+        const [sort, setSort] = dom.React.useState({ key: "size", direction: "ascending" });
+        const onSortChange = (next) => {
+          sorts.push(next);
+          setSort(next);
+        };
+        return dom.h(ui.Table, { caption: "Open positions", columns, rows, rowKey: (row) => row.id, sort, onSortChange });
+      };
+      dom.render(dom.h(Harness));
+
+      const table = dom.screen.getByRole("table", { name: "Open positions" });
+      const header = (name) => dom.within(table).getByRole("columnheader", { name });
+      expect(header("Market").hasAttribute("aria-sort")).to.equal(false);
+      expect(header("Size").getAttribute("aria-sort")).to.equal("ascending");
+      expect(header("PnL").getAttribute("aria-sort")).to.equal("none");
+      expect(dom.within(table).getAllByRole("row")).to.have.length(3);
+      expect(dom.within(table).getByRole("cell", { name: "-4 USDC" })).to.exist;
+
+      // Header buttons are reachable and flip the direction of the sorted column.
+      await user.tab();
+      expect(document.activeElement).to.equal(dom.within(header("Size")).getByRole("button"));
+      await user.keyboard("{Enter}");
+      expect(header("Size").getAttribute("aria-sort")).to.equal("descending");
+      await user.tab();
+      await user.keyboard(" ");
+      expect(header("Size").getAttribute("aria-sort")).to.equal("none");
+      expect(header("PnL").getAttribute("aria-sort")).to.equal("ascending");
+
+      expect(sorts).to.deep.equal([
+        { key: "size", direction: "descending" },
+        { key: "pnl", direction: "ascending" },
+      ]);
+    });
+
+    it("shows the empty message across every column", function () {
+      dom.render(dom.h(ui.Table, { caption: "Open positions", columns, rows: [], rowKey: (row) => row.id, emptyMessage: "No open positions" }));
+
+      const cell = dom.screen.getByRole("cell", { name: "No open positions" });
+      expect(cell.colSpan).to.equal(columns.length);
+    });
+  });
+
+  describe("Badge", function () {
+    it("names icon-only badges and hides the icon itself", function () {
+      const Icon = (props) => dom.h("svg", props);
+      const { container } = dom.render(dom.h(ui.Badge, { tone: "danger", label: "Liquidatable", icon: Icon }));
+
+      const badge = container.firstChild;
+      expect(badge.getAttribute("aria-label")).to.equal("Liquidatable");
+      expect(badge.querySelector("svg").getAttribute("aria-hidden")).to.equal("true");
+    });
+
+    it("reads as its text when it has no label", function () {
+      const { container } = dom.render(dom.h(ui.Badge, { tone: "success" }, "Healthy"));
+
+      expect(container.firstChild.hasAttribute("aria-label")).to.equal(false);
+      expect(dom.screen.getByText("Healthy")).to.equal(container.firstChild);
+    });
+  });
+
+  describe("NumericInput", function () {
+    const DECIMALS = 6;
+
+    function renderAmount(props = {}) {
+      return renderControlled(ui.NumericInput, {
+        initial: null,
+        props: { label: "Collateral", decimals: DECIMALS, symbol: "USDC", ...props },
+      });
+    }
+
+    it("reports exact base units and ignores keystrokes that cannot form an amount", async function () {
+      const user = dom.userEvent.setup();
+      const { changes } = renderAmount();
+      const input = dom.screen.getByRole("textbox", { name: "Collateral" });
+      expect(input.getAttribute("inputmode")).to.equal("decimal");
+
+      await user.type(input, "12a.5-");
+      expect(input.value).to.equal("12.5");
+      expect(changes).to.deep.equal([1_000_000n, 12_000_000n, 12_000_000n, 12_500_000n]);
+
+      // No more fraction digits than the token has.
+      await user.type(input, "000019");
+      expect(input.value).to.equal("12.500001");
+      expect(changes.at(-1)).to.equal(12_500_001n);
+
+      await user.clear(input);
+      expect(changes.at(-1)).to.equal(null);
+    });
+
+    it("keeps 18-decimal amounts exact", async function () {
+      const user = dom.userEvent.setup();
+      const { changes } = renderAmount({ decimals: 18, symbol: "ETH" });
+
+      await user.type(dom.screen.getByRole("textbox", { name: "Collateral" }), "123456789.123456789123456789");
+      expect(changes.at(-1)).to.equal(123456789123456789123456789n);
+    });
+
+    it("fills the maximum from a labelled button and flags amounts above it", async function () {
+      const user = dom.userEvent.setup();
+      const { changes } = renderAmount({ max: 1_234_500_000n });
+      const input = dom.screen.getByRole("textbox", { name: "Collateral" });
+
+      await user.click(dom.screen.getByRole("button", { name: "Use maximum Collateral" }));
+      expect(input.value).to.equal("1234.5");
+      expect(changes.at(-1)).to.equal(1_234_500_000n);
+      expect(input.hasAttribute("aria-invalid")).to.equal(false);
+
+      await user.type(input, "1");
+      const alert = dom.screen.getByRole("alert");
+      expect(alert.textContent).to.equal("Exceeds the maximum of 1,234.5 USDC.");
+      expect(input.getAttribute("aria-invalid")).to.equal("true");
+      expect(input.getAttribute("aria-describedby")).to.equal(alert.id);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { upgradeComponent, UpgradeRefusedError } = require("../scripts/upgrade/upgrade-proxy");
+
+/**
+ * Exercises scripts/upgrade/upgrade-proxy.js against an in-memory deployments record.
+ */
+describe("Upgrade scripts", function () {
+  async function deployVaultFixture() {
+    const [admin, feeRecipient] = await ethers.getSigners();
+
+    const Vault = await ethers.getContractFactory("Vault");
+    const vault = await upgrades.deployProxy(Vault, [admin.address, feeRecipient.address, 10], { kind: "uups" });
+    await vault.waitForDeployment();
+
+    const proxy = await vault.getAddress();
+    const implementation = await upgrades.erc1967.getImplementationAddress(proxy);
+    return { vault, proxy, implementation };
+  }
+
+  // upgradeComponent mutates the record it is given, so each test gets its own copy.
+  async function loadDeploymentsFixture() {
+    const { proxy, implementation } = await loadFixture(deployVaultFixture);
+    return { proxy, deployments: { vault: proxy, vaultImplementation: implementation } };
+  }
+
+  it("upgrades to a compatible implementation and records history", async function () {
+    const { proxy, deployments } = await loadDeploymentsFixture();
+    const original = deployments.vaultImplementation;
+
+    const result = await upgradeComponent({
+      component: "vault",
+      deployments,
+      contractName: "VaultV2Mock",
+      call: "initializeV2",
+      callArgs: [42],
+    });
+
+    expect(result.status).to.equal("upgraded");
+    expect(await upgrades.erc1967.getImplementationAddress(proxy)).to.equal(result.newImplementation);
+    expect(deployments.vaultImplementation).to.equal(result.newImplementation);
+    expect(deployments.implementationHistory.vault.map((entry) => entry.address)).to.deep.equal([
+      original,
+      result.newImplementation,
+    ]);
+
+    const upgraded = await ethers.getContractAt("VaultV2Mock", proxy);
+    expect(await upgraded.upgradeMarker()).to.equal(42n);
+    expect(await upgraded.tradingFeeRate()).to.equal(10n);
+  });
+
+  it("refuses a storage-incompatible implementation", async function () {
+    const { proxy, deployments } = await loadDeploymentsFixture();
+    const original = deployments.vaultImplementation;
+
+    await expect(
+      upgradeComponent({ component: "vault", deployments, contractName: "vAMM" }),
+    ).to.be.rejectedWith(UpgradeRefusedError, /Refusing to upgrade vault/);
+
+    expect(await upgrades.erc1967.getImplementationAddress(proxy)).to.equal(original);
+    expect(deployments.vaultImplementation).to.equal(original);
+    expect(deployments.implementationHistory).to.equal(undefined);
+  });
+
+  it("refuses when the recorded implementation does not match the proxy", async function () {
+    const { deployments } = await loadDeploymentsFixture();
+    deployments.vaultImplementation = ethers.Wallet.createRandom().address;
+
+    await expect(
+      upgradeComponent({ component: "vault", deployments, contractName: "VaultV2Mock" }),
+    ).to.be.rejectedWith(UpgradeRefusedError, /Reconcile the deployments file/);
+  });
+
+  it("adopts a prepared upgrade once an external admin has executed it", async function () {
+    const { proxy, deployments } = await loadDeploymentsFixture();
+    const original = deployments.vaultImplementation;
+
+    const prepared = await upgradeComponent({
+      component: "vault",
+      deployments,
+      contractName: "VaultV2Mock",
+      prepareOnly: true,
+    });
+    expect(prepared.status).to.equal("prepared");
+    expect(deployments.vaultImplementation).to.equal(original);
+    expect(deployments.pendingUpgrades.vault.address).to.equal(prepared.newImplementation);
+
+    const [admin] = await ethers.getSigners();
+    await admin.sendTransaction({ to: proxy, data: prepared.data });
+
+    // A dry run validates against the executed upgrade but leaves the record for the real run.
+    const recorded = JSON.parse(JSON.stringify(deployments));
+    const dryRun = await upgradeComponent({ component: "vault", deployments, contractName: "VaultV2Mock", dryRun: true });
+    expect(dryRun).to.include({ status: "validated", previousImplementation: prepared.newImplementation });
+    expect(deployments).to.deep.equal(recorded);
+
+    const result = await upgradeComponent({ component: "vault", deployments, contractName: "VaultV2Mock" });
+    expect(result.status).to.equal("unchanged");
+    expect(deployments.vaultImplementation).to.equal(prepared.newImplementation);
+    expect(deployments.pendingUpgrades.vault).to.equal(undefined);
+    expect(deployments.implementationHistory.vault.map((entry) => entry.address)).to.deep.equal([
+      original,
+      prepared.newImplementation,
+    ]);
+  });
+
+  it("validates without sending transactions in dry-run mode", async function () {
+    const { proxy, deployments } = await loadDeploymentsFixture();
+    const original = deployments.vaultImplementation;
+
+    const result = await upgradeComponent({
+      component: "vault",
+      deployments,
+      contractName: "VaultV2Mock",
+      dryRun: true,
+    });
+
+    expect(result.status).to.equal("validated");
+    expect(await upgrades.erc1967.getImplementationAddress(proxy)).to.equal(original);
+  });
+});
@@ -0,0 +1,99 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { useTemporaryDeploymentsDir } = require("./helpers/system");
+const { deployProtocol, openAs } = require("./helpers/fixtures");
+
+const BASE_RESERVE = ethers.parseEther("1000000");
+const QUOTE_RESERVE = ethers.parseEther("2000000000");
+const USDC = (amount) => ethers.parseUnits(amount, 6);
+
+/**
+ * vAMM reserve and open interest bookkeeping. The standalone fixture lets the test signer stand in
+ * for PositionManager; the last test drives the vAMM through a deployed PositionManager.
+ */
+describe("vAMM", function () {
+  useTemporaryDeploymentsDir();
+
+  async function deployVammFixture() {
+    const [owner, other] = await ethers.getSigners();
+    const VAMM = await ethers.getContractFactory("vAMM");
+    const vamm = await upgrades.deployProxy(VAMM, [BASE_RESERVE, QUOTE_RESERVE], { kind: "uups" });
+    await vamm.waitForDeployment();
+    await vamm.setPositionManager(owner.address);
+    await vamm.setMaxPriceImpact(1500);
+    return { vamm, owner, other };
+  }
+
+  async function protocolFixture() {
+    return deployProtocol({ deposit: USDC("10000") });
+  }
+
+  it("keeps k through trades and resets it only on rebalanceToIndex", async function () {
+    const { vamm } = await loadFixture(deployVammFixture);
+    const k = await vamm.k();
+
+    // Sizes that leave a remainder when the out-side reserve is rounded down from k.
+    for (const size of [7n, -13n, ethers.parseEther("12345.678"), -ethers.parseEther("999.999")]) {
+      await vamm.updateReserves(size);
+      expect(await vamm.k(), `size ${size}`).to.equal(k);
+    }
+
+    await vamm.rebalanceToIndex(ethers.parseEther("2100"));
+    expect(await vamm.k()).to.equal((await vamm.virtualBaseAssetReserve()) * (await vamm.virtualQuoteAssetReserve()));
+  });
+
+  it("tracks open interest gross per side, apart from the reserves", async function () {
+    const { vamm } = await loadFixture(deployVammFixture);
+    const openInterest = async () => [await vamm.totalLongOpenInterest(), await vamm.totalShortOpenInterest()];
+
+    // Trades move only the reserves.
+    await vamm.updateReserves(USDC("500"));
+    expect(await openInterest()).to.deep.equal([0n, 0n]);
+
+    await expect(vamm.updateOpenInterest(true, USDC("500"), true))
+      .to.emit(vamm, "OpenInterestUpdated")
+      .withArgs(USDC("500"), 0n);
+    // A short opening does not net off the long.
+    await vamm.updateOpenInterest(false, USDC("300"), true);
+    expect(await openInterest()).to.deep.equal([USDC("500"), USDC("300")]);
+
+    await vamm.updateOpenInterest(true, USDC("200"), false);
+    expect(await openInterest()).to.deep.equal([USDC("300"), USDC("300")]);
+
+    // Closing more than is open floors the side at zero, as FundingRateCalculator does.
+    await vamm.updateOpenInterest(false, USDC("400"), false);
+    expect(await openInterest()).to.deep.equal([USDC("300"), 0n]);
+
+    await expect(vamm.updateOpenInterest(true, 0n, true)).not.to.emit(vamm, "OpenInterestUpdated");
+  });
+
+  it("only lets PositionManager trade or change open interest", async function () {
+    const { vamm, other } = await loadFixture(deployVammFixture);
+
+    await expect(vamm.connect(other).updateReserves(USDC("1"))).to.be.revertedWith("not position manager");
+    await expect(vamm.connect(other).updateOpenInterest(true, USDC("1"), true)).to.be.revertedWith("not position manager");
+  });
+
+  it("matches FundingRateCalculator's open interest as PositionManager opens and closes", async function () {
+    const ctx = await loadFixture(protocolFixture);
+    const { positionManager, vamm, fundingCalculator, traders } = ctx;
+    const [alice, bob] = traders;
+    const matches = async () => {
+      expect(await vamm.totalLongOpenInterest()).to.equal(await fundingCalculator.totalLongOpenInterest());
+      expect(await vamm.totalShortOpenInterest()).to.equal(await fundingCalculator.totalShortOpenInterest());
+    };
+
+    const longId = await openAs(ctx, alice, { isLong: true, collateral: USDC("1000"), leverage: ethers.parseEther("3") });
+    await openAs(ctx, bob, { isLong: false, collateral: USDC("500"), leverage: ethers.parseEther("2") });
+    await matches();
+    expect(await vamm.totalLongOpenInterest()).to.equal(USDC("3000"));
+    expect(await vamm.totalShortOpenInterest()).to.equal(USDC("1000"));
+
+    await positionManager.connect(alice).closePosition(longId);
+    await matches();
+    expect(await vamm.totalLongOpenInterest()).to.equal(0n);
+    expect(await vamm.totalShortOpenInterest()).to.equal(USDC("1000"));
+  });
+});
@@ -0,0 +1,99 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { createRandom } = require("./helpers/random");
+const { vammQuoter } = require("../sdk");
+
+const SEED = 0x5eed0010;
+const BASE_RESERVE = ethers.parseEther("1000000");
+const QUOTE_RESERVE = ethers.parseEther("2000000000");
+
+/**
+ * Compares sdk/vamm-quoter.js with a deployed vAMM. The test signer stands in for PositionManager
+ * so trades can be applied with updateReserves directly.
+ */
+describe("vAMM quoter", function () {
+  async function deployVammFixture() {
+    const [owner] = await ethers.getSigners();
+    const VAMM = await ethers.getContractFactory("vAMM");
+    const vamm = await upgrades.deployProxy(VAMM, [BASE_RESERVE, QUOTE_RESERVE], { kind: "uups" });
+    await vamm.waitForDeployment();
+    await vamm.setPositionManager(owner.address);
+    await vamm.setMaxPriceImpact(1500);
+    return { vamm };
+  }
+
+  // Log-spread sizes from 1 unit up to half the quote reserve, so rounding and impact limits both show up.
+  function randomSize(random) {
+    const magnitude = random.bigint(1n, 10n ** BigInt(Math.floor(random.next() * 26) + 1));
+    return random.bool() ? magnitude : -magnitude;
+  }
+
+  it("matches getPriceForTrade and updateReserves across random trades", async function () {
+    const { vamm } = await loadFixture(deployVammFixture);
+    const random = createRandom(SEED);
+    let state = await vammQuoter.readVammState(vamm);
+    let reverted = 0;
+
+    for (let i = 0; i < 40; i++) {
+      const size = randomSize(random);
+      const quote = vammQuoter.quoteTrade(state, size);
+
+      if (quote.revertReason === "InsufficientLiquidity") {
+        await expect(vamm.getPriceForTrade(size)).to.be.revertedWithCustomError(vamm, "InsufficientLiquidity");
+      } else {
+        const [markAfter, priceImpact] = await vamm.getPriceForTrade(size);
+        expect(quote.markAfter, `mark after ${size}`).to.equal(markAfter);
+        expect(quote.priceImpactBps, `impact ${size}`).to.equal(priceImpact);
+      }
+
+      if (quote.revertReason) {
+        await expect(vamm.updateReserves(size)).to.be.revertedWithCustomError(vamm, quote.revertReason);
+        reverted++;
+        continue;
+      }
+
+      await vamm.updateReserves(size);
+      state = vammQuoter.applyTrade(state, size);
+      expect(state).to.deep.equal(await vammQuoter.readVammState(vamm));
+      expect(quote.markAfter).to.equal(await vamm.getMarkPrice());
+    }
+
+    expect(reverted).to.be.greaterThan(0);
+    expect(reverted).to.be.lessThan(40);
+  });
+
+  it("reports the average fill between the marks before and after", async function () {
+    const { vamm } = await loadFixture(deployVammFixture);
+    const state = await vammQuoter.readVammState(vamm);
+    const notional = ethers.parseEther("20000000");
+
+    const long = vammQuoter.quoteTrade(state, notional);
+    const short = vammQuoter.quoteTrade(state, -ethers.parseEther("10000"));
+
+    expect(long.quoteAmount).to.equal(notional);
+    expect(long.averagePrice).to.be.greaterThan(long.markBefore).and.lessThan(long.markAfter);
+    expect(short.baseAmount).to.equal(ethers.parseEther("10000"));
+    expect(short.averagePrice).to.be.lessThan(short.markBefore).and.greaterThan(short.markAfter);
+    expect(long.revertReason).to.equal(null);
+  });
+
+  for (const isLong of [true, false]) {
+    it(`solves the largest ${isLong ? "long" : "short"} updateReserves accepts`, async function () {
+      const { vamm } = await loadFixture(deployVammFixture);
+      const state = await vammQuoter.readVammState(vamm);
+
+      const maxSize = vammQuoter.maxTradeSize(state, isLong);
+      const sign = isLong ? 1n : -1n;
+
+      expect(maxSize).to.be.greaterThan(0n);
+      await expect(vamm.updateReserves.staticCall((maxSize + 1n) * sign)).to.be.revertedWithCustomError(
+        vamm,
+        "PriceImpactTooHigh",
+      );
+      await vamm.updateReserves(maxSize * sign);
+      expect(vammQuoter.quoteTrade(state, maxSize * sign).markAfter).to.equal(await vamm.getMarkPrice());
+    });
+  }
+});
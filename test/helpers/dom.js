@@ -0,0 +1,79 @@
+const path = require("path");
+
+const SRC = path.join(__dirname, "..", "..", "src");
+
+let registered = false;
+
+/**
+ * Compiles src/ (ESM and JSX) on require, leaving every other file to Node as it is.
+ */
+function registerSource() {
+  if (registered) return;
+  require("@babel/register")({
+    babelrc: false,
+    configFile: false,
+    extensions: [".js", ".jsx"],
+    only: [(filename) => filename.startsWith(SRC + path.sep)],
+    presets: [["@babel/preset-env", { targets: { node: "current" } }], "@babel/preset-react"],
+  });
+  registered = true;
+}
+
+/**
+ * Gives the enclosing describe block a jsdom window for its tests and removes it afterwards, so
+ * the Hardhat suites never see a `window`. React and Testing Library read the DOM globals when
+ * they are first loaded, so take them (and the src/ modules under test) from the returned
+ * object's `load()` inside a hook or test, never at the top of the file:
+ *
+ *   const dom = useDom();
+ *   let Select;
+ *   before(() => ({ Select } = dom.load("components/ui/Select.jsx")));
+ *   it("...", () => dom.render(dom.h(Select, props)));
+ *
+ * Also on the object once the block starts: `React`, `h` (React.createElement), and `act`,
+ * `render`, `renderHook`, `screen`, `within` and `userEvent` from Testing Library.
+ */
+function useDom() {
+  const dom = {
+    load: (file) => {
+      registerSource();
+      return require(path.join(SRC, file));
+    },
+  };
+  let removeWindow;
+
+  before(function () {
+    removeWindow = require("global-jsdom")(undefined, { url: "http://localhost/", pretendToBeVisual: true });
+    globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+    const React = require("react");
+    const { act, render, renderHook, within, cleanup } = require("@testing-library/react");
+    const userEvent = require("@testing-library/user-event").default;
+    Object.assign(dom, {
+      React,
+      h: React.createElement,
+      act,
+      render,
+      renderHook,
+      within,
+      cleanup,
+      // user-event's default document, like Testing Library's own `screen`, is the one it first
+      // loaded under, which a later suite's window replaces.
+      userEvent: { ...userEvent, setup: (options) => userEvent.setup({ document, ...options }) },
+    });
+    Object.defineProperty(dom, "screen", { get: () => within(document.body), configurable: true });
+  });
+
+  afterEach(function () {
+    dom.cleanup();
+  });
+
+  after(function () {
+    delete globalThis.IS_REACT_ACT_ENVIRONMENT;
+    removeWindow();
+  });
+
+  return dom;
+}
+
+module.exports = { useDom };
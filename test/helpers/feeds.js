@@ -0,0 +1,36 @@
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+/**
+ * Scripted Chainlink rounds for the MockAggregatorV3 feeds deployed by test/helpers/system.js
+ * (8 decimals; CPI 300 and Treasury 2300, so the index starts at 2000).
+ */
+const FEED_DECIMALS = 8;
+
+const feedAnswer = (value, decimals = FEED_DECIMALS) => ethers.parseUnits(String(value), decimals);
+
+/**
+ * Publishes `rounds` on `feed` in order. Each round is `{answer, age}` or `{answer, updatedAt}`:
+ * `answer` in feed units (see feedAnswer; zero and negative answers are allowed), `age` the
+ * number of seconds before the latest block it was last updated (0, a fresh round, by default)
+ * and `updatedAt` an absolute timestamp, 0 for a round that never completed.
+ */
+async function scriptRounds(feed, rounds) {
+  for (const { answer, age = 0, updatedAt } of rounds) {
+    const stamp = updatedAt ?? BigInt(await time.latest()) - BigInt(age);
+    await feed.pushRound(answer, stamp, stamp);
+  }
+}
+
+// Fresh rounds on both feeds, as Chainlink's heartbeat would publish them.
+async function publishIndex({ cpiFeed, treasuryFeed }, cpi, treasury) {
+  await cpiFeed.updateAnswer(feedAnswer(cpi));
+  await treasuryFeed.updateAnswer(feedAnswer(treasury));
+}
+
+module.exports = {
+  FEED_DECIMALS,
+  feedAnswer,
+  scriptRounds,
+  publishIndex,
+};
@@ -0,0 +1,166 @@
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { deploySystem } = require("./system");
+const { setMark } = require("./market");
+const { parseEvent } = require("../../sdk");
+
+const DEFAULT_WALLET = ethers.parseUnits("100000", 6);
+const DEFAULT_PNL_POOL = ethers.parseUnits("100000", 6);
+
+// Risk options and the config paths initialize-system.js applies them from.
+const RISK_CONFIG = {
+  maxLeverage: "positionManager.maxLeverage",
+  maintenanceMarginBps: "positionManager.maintenanceMarginBps",
+  tradingFeeBps: "positionManager.tradingFeeBps",
+  liquidationFeeBps: "positionManager.liquidationFeeBps",
+  minCollateral: "positionManager.minCollateral",
+};
+
+/**
+ * The full protocol for a test suite, deployed and wired by scripts/deploy (every deploy step plus
+ * initialize-system.js, through deploySystem) so a broken deploy script fails the suites built on
+ * it. Call from a named fixture passed to loadFixture, in a suite that calls
+ * useTemporaryDeploymentsDir().
+ *
+ * Signers: `admin` is the deployer (owner, ADMIN_ROLE and KEEPER_ROLE), followed by `traders`,
+ * then `liquidator` and `feeRecipient`, which receives the vault and PositionManager fees. Traders
+ * and the liquidator are funded and have approved the vault. The Liquidator contract, when
+ * deployed, is `liquidatorContract`.
+ *
+ * @param {object} [options]
+ * @param {"feeds"|"mock"} [options.oracle] IndexOracle over Chainlink-style feeds (default) or a
+ *   MockIndexOracle whose price tests set directly.
+ * @param {boolean} [options.liquidator] Deploy the Liquidator contract (default). When false it is
+ *   left out and the `liquidator` signer holds LIQUIDATOR_ROLE on PositionManager instead.
+ * @param {object} [options.risk] Any of maxLeverage, maintenanceMarginBps, tradingFeeBps,
+ *   liquidationFeeBps and minCollateral, applied by initialize-system.js.
+ * @param {object} [options.config] Further config values keyed by schema path.
+ * @param {number} [options.traders] Number of funded traders (default 2).
+ * @param {bigint} [options.wallet] Collateral each trader is funded with (default 100k USDC).
+ * @param {bigint} [options.deposit] Collateral each trader deposits into the vault (default none).
+ * @param {bigint} [options.pnlPool] Collateral admin puts into PositionManager's PnL pool, which
+ *   pays out trader profits (default 100k USDC).
+ * @param {import("ethers").Contract} [options.collateral] Existing token to trade with instead of mock USDC.
+ * @param {{cpiFeed: string, treasuryFeed: string}} [options.feeds] Existing feeds instead of the mocks.
+ * @param {(recipient: string, amount: bigint) => Promise<void>} [options.fund] How wallets get
+ *   collateral; mints mock USDC by default.
+ */
+async function deployProtocol({
+  oracle = "feeds",
+  liquidator: withLiquidator = true,
+  risk = {},
+  config = {},
+  traders: traderCount = 2,
+  wallet = DEFAULT_WALLET,
+  deposit = 0n,
+  pnlPool = DEFAULT_PNL_POOL,
+  collateral,
+  feeds,
+  fund,
+} = {}) {
+  const signers = await ethers.getSigners();
+  const [admin] = signers;
+  const traders = signers.slice(1, 1 + traderCount);
+  const liquidator = signers[1 + traderCount];
+  const feeRecipient = signers[2 + traderCount];
+
+  const overrides = { "vault.feeRecipient": feeRecipient.address, ...config };
+  for (const [key, value] of Object.entries(risk)) {
+    if (!RISK_CONFIG[key]) throw new Error(`Unknown risk option ${key}; expected one of ${Object.keys(RISK_CONFIG).join(", ")}.`);
+    overrides[RISK_CONFIG[key]] = value;
+  }
+  const only = withLiquidator ? undefined : "vault,indexOracle,vamm,fundingCalculator,positionManager,initialize";
+  const system = await deploySystem({ only, collateral, feeds, oracle, config: overrides });
+  const { deployments, usdc } = system;
+
+  const contracts = {
+    vault: await ethers.getContractAt("Vault", deployments.vault),
+    indexOracle: await ethers.getContractAt(oracle === "mock" ? "MockIndexOracle" : "IndexOracle", deployments.indexOracle),
+    vamm: await ethers.getContractAt("vAMM", deployments.vamm),
+    fundingCalculator: await ethers.getContractAt("FundingRateCalculator", deployments.fundingCalculator),
+    positionManager: await ethers.getContractAt("PositionManager", deployments.positionManager),
+    liquidatorContract: withLiquidator ? await ethers.getContractAt("Liquidator", deployments.liquidator) : null,
+  };
+  if (!withLiquidator) {
+    await contracts.positionManager.grantRole(await contracts.positionManager.LIQUIDATOR_ROLE(), liquidator.address);
+  }
+
+  const sendCollateral = fund || ((recipient, amount) => usdc.mint(recipient, amount));
+  for (const account of [...traders, liquidator]) {
+    await sendCollateral(account.address, wallet);
+    await usdc.connect(account).approve(deployments.vault, ethers.MaxUint256);
+  }
+  if (deposit > 0n) {
+    for (const trader of traders) {
+      await contracts.vault.connect(trader).deposit(usdc, deposit);
+    }
+  }
+  if (pnlPool > 0n) {
+    await sendCollateral(admin.address, pnlPool);
+    await usdc.connect(admin).approve(deployments.positionManager, pnlPool);
+    await contracts.positionManager.connect(admin).fundPnlPool(pnlPool);
+  }
+
+  return {
+    ...system,
+    ...contracts,
+    token: await usdc.getAddress(),
+    admin,
+    traders,
+    liquidator,
+    feeRecipient,
+  };
+}
+
+/**
+ * Opens a position for `trader` with no price bounds and returns its id.
+ *
+ * @param {object} ctx A deployProtocol result.
+ * @param {import("ethers").Signer} trader
+ * @param {{isLong: boolean, collateral: bigint, leverage: bigint, minPrice?: bigint, maxPrice?: bigint}} ticket
+ */
+async function openAs(ctx, trader, { isLong, collateral, leverage, minPrice = 0n, maxPrice = ethers.MaxUint256 }) {
+  const tx = await ctx.positionManager.connect(trader).openPosition(isLong, collateral, leverage, minPrice, maxPrice);
+  return parseEvent(await tx.wait(), ctx.positionManager, "PositionOpened").positionId;
+}
+
+/**
+ * Publishes `price` (1e18) as the index and re-pegs the vAMM mark to it. Pass `{ mark: false }` or
+ * `{ index: false }` to move only one of them, e.g. to open a premium for funding.
+ */
+async function movePrice(ctx, price, { index = true, mark = true } = {}) {
+  if (index) {
+    // MockIndexOracle's setPrice skips the deviation guard initialize-system.js turns on.
+    const { indexOracle } = ctx;
+    await (indexOracle.setPrice ? indexOracle.setPrice(price) : indexOracle.connect(ctx.admin).setIndexPriceManual(price));
+  }
+  if (mark) {
+    await setMark(ctx, price);
+  }
+}
+
+/**
+ * Lets `intervals` funding intervals pass and settles funding at the end of each as the funding
+ * keeper would (admin holds KEEPER_ROLE). Each settlement accrues the interval just ended at the
+ * rate the previous one set, then sets the next rate from the mark and index. With `indexPrice`
+ * the index is republished first each time, which also keeps it from going stale.
+ */
+async function advanceFunding(ctx, intervals, indexPrice) {
+  const interval = await ctx.fundingCalculator.fundingInterval();
+  for (let i = 0; i < intervals; i++) {
+    await time.increase(interval);
+    if (indexPrice !== undefined) {
+      await movePrice(ctx, indexPrice, { mark: false });
+    }
+    await ctx.positionManager.connect(ctx.admin).settleFunding();
+  }
+}
+
+module.exports = {
+  deployProtocol,
+  openAs,
+  movePrice,
+  advanceFunding,
+  parseEvent,
+};
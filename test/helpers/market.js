@@ -0,0 +1,43 @@
+const { ethers, network } = require("hardhat");
+
+/**
+ * Market movers for tests against a deployed system. Funding settlement and vAMM rebalancing are
+ * PositionManager-only, and trades barely move the mark at collateral-unit sizes against the
+ * default reserves, so these impersonate PositionManager and drive the contracts directly.
+ * `ctx` needs `positionManager`, `vamm` and (for funding) `fundingCalculator` contracts.
+ */
+async function asPositionManager({ positionManager }, action) {
+  const pmAddress = await positionManager.getAddress();
+  await network.provider.request({ method: "hardhat_setBalance", params: [pmAddress, "0xDE0B6B3A7640000"] });
+  await network.provider.request({ method: "hardhat_impersonateAccount", params: [pmAddress] });
+  try {
+    await action(await ethers.getSigner(pmAddress));
+  } finally {
+    await network.provider.request({ method: "hardhat_stopImpersonatingAccount", params: [pmAddress] });
+  }
+}
+
+// Sets the vAMM mark to `price` (1e18).
+async function setMark(ctx, price) {
+  await asPositionManager(ctx, (pm) => ctx.vamm.connect(pm).rebalanceToIndex(price));
+}
+
+// Moves the vAMM mark by `moveBps` from where it is.
+async function moveMark(ctx, moveBps) {
+  const markPrice = await ctx.vamm.getMarkPrice();
+  await setMark(ctx, (markPrice * (10000n + BigInt(moveBps))) / 10000n);
+}
+
+// Settles funding with the index price `premiumBps` below the mark so each side's index moves.
+async function updateFunding(ctx, premiumBps) {
+  const markPrice = await ctx.vamm.getMarkPrice();
+  const indexPrice = (markPrice * (10000n - BigInt(premiumBps))) / 10000n;
+  await asPositionManager(ctx, (pm) => ctx.fundingCalculator.connect(pm).updateFundingRate(markPrice, indexPrice));
+}
+
+module.exports = {
+  asPositionManager,
+  setMark,
+  moveMark,
+  updateFunding,
+};
@@ -0,0 +1,48 @@
+const { ethers } = require("ethers");
+
+/**
+ * A read-only ethers ContractRunner that answers eth_call from canned responses instead of a
+ * chain. Register contracts with `mock(address, abi, responses)`, where each response is a value,
+ * a function of the decoded call args returning one, or `revert(name, ...args)` for a custom
+ * error declared in `abi`.
+ */
+class MockProvider {
+  constructor() {
+    this.provider = null;
+    this.contracts = new Map();
+    this.calls = [];
+  }
+
+  mock(address, abi, responses) {
+    this.contracts.set(ethers.getAddress(address), { iface: new ethers.Interface(abi), responses });
+    return this;
+  }
+
+  async call(tx) {
+    const entry = this.contracts.get(ethers.getAddress(tx.to));
+    if (!entry) throw new Error(`No mocked contract at ${tx.to}`);
+    const fragment = entry.iface.getFunction(tx.data.slice(0, 10));
+    const args = entry.iface.decodeFunctionData(fragment, tx.data);
+    this.calls.push({ to: tx.to, name: fragment.name, args: [...args] });
+
+    if (!(fragment.name in entry.responses)) throw new Error(`No mocked response for ${fragment.name}`);
+    const response = entry.responses[fragment.name];
+    const value = typeof response === "function" ? await response(...args) : response;
+    if (value instanceof MockRevert) {
+      const data = entry.iface.encodeErrorResult(value.name, value.args);
+      throw ethers.makeError("execution reverted", "CALL_EXCEPTION", { action: "call", data, transaction: tx, reason: null, revert: null, invocation: null });
+    }
+    return entry.iface.encodeFunctionResult(fragment, fragment.outputs.length === 1 ? [value] : value);
+  }
+}
+
+class MockRevert {
+  constructor(name, args) {
+    this.name = name;
+    this.args = args;
+  }
+}
+
+const revert = (name, ...args) => new MockRevert(name, args);
+
+module.exports = { MockProvider, revert };
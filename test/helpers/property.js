@@ -0,0 +1,109 @@
+const fc = require("fast-check");
+const { takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+
+/**
+ * Property-based testing against a hardhat chain, on fast-check.
+ *
+ * `checkChainProperty` runs a property from one chain snapshot: every generated case (and every
+ * shrink attempt) starts from the same state and is rolled back afterwards, so a counterexample
+ * replays exactly. Runs are seeded; a failure prints its seed and shrink path, which reproduce it
+ * through the environment:
+ *
+ *   FUZZ_SEED=<seed> FUZZ_PATH=<path> npx hardhat test test/PositionFuzz.test.js
+ *
+ * FUZZ_RUNS raises or lowers the number of cases per property (default 20; chain cases cost a
+ * handful of transactions each).
+ */
+const DEFAULT_SEED = 0x1eaf5eed;
+const DEFAULT_RUNS = 20;
+
+function fuzzOptions(overrides = {}) {
+  const options = {
+    seed: process.env.FUZZ_SEED === undefined ? DEFAULT_SEED : Number(process.env.FUZZ_SEED),
+    numRuns: process.env.FUZZ_RUNS === undefined ? DEFAULT_RUNS : Number(process.env.FUZZ_RUNS),
+    ...overrides,
+  };
+  if (process.env.FUZZ_PATH !== undefined) options.path = process.env.FUZZ_PATH;
+  return options;
+}
+
+/**
+ * Asserts `predicate(input)` for inputs drawn from `arbitrary`. The predicate may throw (chai
+ * assertions) or return false to fail.
+ *
+ * @param {fc.Arbitrary<any>} arbitrary
+ * @param {(input: any) => Promise<boolean|void>} predicate
+ * @param {fc.Parameters<any>} [overrides] Passed to fc.assert over the seeded defaults.
+ */
+async function checkChainProperty(arbitrary, predicate, overrides) {
+  const snapshot = await takeSnapshot();
+  try {
+    await fc.assert(
+      fc.asyncProperty(arbitrary, async (input) => {
+        try {
+          return await predicate(input);
+        } finally {
+          await snapshot.restore();
+        }
+      }),
+      fuzzOptions(overrides),
+    );
+  } finally {
+    await snapshot.restore();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Arbitraries. Amounts use the contracts' units: collateral in 1e6 (USDC), leverage in 1e18.
+// ---------------------------------------------------------------------------
+
+const USDC_UNIT = 10n ** 6n;
+
+/**
+ * Collateral from `min` (minCollateral) up to `max`, weighted so small and large amounts both
+ * show up rather than clustering near the top of the range.
+ */
+function collateral(min, max = 1_000_000n * USDC_UNIT) {
+  return fc.oneof(
+    fc.bigInt({ min, max: min + 100n * USDC_UNIT > max ? max : min + 100n * USDC_UNIT }),
+    fc.bigInt({ min, max }),
+  );
+}
+
+// Any leverage in [min, max], plus the bounds themselves.
+function leverage(min, max) {
+  return fc.oneof(fc.constantFrom(min, max), fc.bigInt({ min, max }));
+}
+
+// A walk of mark moves in basis points, each within ±maxStepBps.
+function pricePath({ maxStepBps = 1000, minLength = 1, maxLength = 6 } = {}) {
+  return fc.array(fc.integer({ min: -maxStepBps, max: maxStepBps }), { minLength, maxLength });
+}
+
+/**
+ * Funding settlements: each waits `elapsed` seconds (at least one interval, so the update is
+ * allowed) and settles with the index `premiumBps` below the mark.
+ */
+function fundingIntervals(interval, { maxPremiumBps = 300, minLength = 1, maxLength = 4 } = {}) {
+  return fc.array(
+    fc.record({
+      elapsed: fc.bigInt({ min: interval, max: 3n * interval }),
+      premiumBps: fc.integer({ min: -maxPremiumBps, max: maxPremiumBps }),
+    }),
+    { minLength, maxLength },
+  );
+}
+
+// Formats a counterexample's BigInts for assertion messages.
+const describeInput = (input) => JSON.stringify(input, (_, value) => (typeof value === "bigint" ? value.toString() : value));
+
+module.exports = {
+  fc,
+  checkChainProperty,
+  fuzzOptions,
+  collateral,
+  leverage,
+  pricePath,
+  fundingIntervals,
+  describeInput,
+};
@@ -0,0 +1,22 @@
+/**
+ * Small deterministic PRNG (mulberry32) for randomized tests, so a failing run can be replayed
+ * from its seed.
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    // Uniform in [min, max].
+    bigint: (min, max) => min + (BigInt(Math.floor(next() * 2 ** 32)) * (max - min + 1n)) / 2n ** 32n,
+    bool: () => next() < 0.5,
+  };
+}
+
+module.exports = { createRandom };
@@ -0,0 +1,68 @@
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { deployProtocol } = require("./fixtures");
+const { setMark } = require("./market");
+const { TradingClient } = require("../../sdk");
+
+const USDC = (amount) => ethers.parseUnits(amount, 6);
+
+/**
+ * Fixture: deployProtocol plus a short scripted trading session that emits every event the
+ * indexer follows. Three traders deposit 5000 USDC and open five positions, one gets a margin
+ * top-up, one is closed and one liquidated after a rally, a trader withdraws, and finally the oracle updates
+ * from the feeds, funding is settled and the admin sets a manual index price (in that order, in
+ * the last three blocks).
+ *
+ * `ids` names the positions by what happened to them: kept, topped, closed, liquidated, late.
+ */
+async function tradingSession() {
+  const ctx = await deployProtocol({ traders: 3, wallet: USDC("5000") });
+  const { admin, traders, deployments, usdc, cpiFeed, treasuryFeed } = ctx;
+  const contracts = {
+    positionManager: ctx.positionManager,
+    fundingCalculator: ctx.fundingCalculator,
+    indexOracle: ctx.indexOracle,
+    vault: ctx.vault,
+    vamm: ctx.vamm,
+    liquidator: ctx.liquidatorContract,
+  };
+
+  const clients = [];
+  for (const trader of traders) {
+    const client = TradingClient.fromDeployments(trader, deployments);
+    await client.deposit(USDC("5000"));
+    clients.push(client);
+  }
+
+  const open = async (client, isLong, collateral, leverage) =>
+    (await client.openPosition({ isLong, collateral: USDC(collateral), leverage: ethers.parseEther(leverage), slippageBps: 10000 }))
+      .positionId;
+  const ids = {
+    kept: await open(clients[0], true, "200", "2"),
+    topped: await open(clients[1], false, "300", "3"),
+    closed: await open(clients[1], true, "150", "2"),
+    liquidated: await open(clients[2], false, "100", "5"),
+    late: await open(clients[2], true, "250", "4"),
+  };
+  await clients[1].addMargin(ids.topped, USDC("75"));
+  await clients[1].closePosition(ids.closed);
+  // A 16% rally takes the 5x short below maintenance margin; the mark goes back once it is gone.
+  const markPrice = await contracts.vamm.getMarkPrice();
+  await setMark(contracts, (markPrice * 116n) / 100n);
+  await contracts.liquidator.connect(admin).liquidatePosition(ids.liquidated);
+  await setMark(contracts, markPrice);
+  await contracts.vault.connect(traders[0]).withdraw(await usdc.getAddress(), USDC("100"));
+
+  const interval = Number(await contracts.indexOracle.updateInterval());
+  await time.increase(interval);
+  await cpiFeed.updateAnswer(300n * 10n ** 8n);
+  await treasuryFeed.updateAnswer(2310n * 10n ** 8n);
+  await contracts.indexOracle.updateIndexPrice();
+  await contracts.positionManager.connect(admin).settleFunding();
+  await contracts.indexOracle.setIndexPriceManual(ethers.parseEther("2005"));
+
+  return { ...ctx, clients, contracts, ids };
+}
+
+module.exports = { USDC, tradingSession };
@@ -0,0 +1,302 @@
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { fc } = require("./property");
+const { setMark } = require("./market");
+
+/**
+ * Stateful solvency testing: random sequences of trader, liquidator, oracle and clock actions run
+ * against a deployed system, with the vault's accounting invariants checked after every step.
+ *
+ * Actions are plain data so a sequence can be printed, pasted back into a test and replayed.
+ * Positions are addressed by `slot` (an index into the trader's open positions, modulo their
+ * count) rather than by id, so a sequence still means something after shrinking removes steps.
+ * An action that finds nothing to act on is skipped.
+ */
+
+const USDC_UNIT = 10n ** 6n;
+const BASIS_POINTS = 10000n;
+
+// Rejections a step may hit without the sequence failing: the contracts refusing a request they
+// cannot honour from the current state. Anything else (InsufficientLocked, panics) is a failure.
+const EXPECTED_REVERTS = new Set([
+  "InsufficientBalance",
+  "InvalidAmount",
+  "InsufficientCollateral",
+  "InvalidLeverage",
+  "PositionTooLarge",
+  "TooManyPositions",
+  "PositionUnhealthy",
+  "PositionNotLiquidatable",
+  "SlippageExceeded",
+  "PriceImpactTooHigh",
+  "InsufficientLiquidity",
+  "OracleDataStale",
+  "FundingUpdateTooSoon",
+]);
+
+let errorInterface;
+
+// One interface over every protocol contract's errors, since reverts bubble up from the vault,
+// vAMM, calculator and oracle through PositionManager.
+async function protocolErrors() {
+  if (!errorInterface) {
+    const names = ["PositionManager", "Vault", "vAMM", "FundingRateCalculator", "IndexOracle", "Liquidator"];
+    const fragments = new Map();
+    for (const name of names) {
+      const { interface: iface } = await ethers.getContractFactory(name);
+      iface.forEachError((fragment) => fragments.set(fragment.selector, fragment));
+    }
+    errorInterface = new ethers.Interface([...fragments.values()]);
+  }
+  return errorInterface;
+}
+
+/**
+ * Name of the custom error (or `Panic(0x..)`) a failed transaction reverted with; rethrows
+ * errors that are not reverts.
+ */
+async function revertName(error) {
+  const data = error.data ?? error.error?.data;
+  if (typeof data !== "string" || data === "0x") throw error;
+  if (data.startsWith("0x4e487b71")) return `Panic(0x${BigInt(`0x${data.slice(10)}`).toString(16)})`;
+  const parsed = (await protocolErrors()).parseError(data);
+  if (!parsed) throw error;
+  return parsed.name;
+}
+
+// ---------------------------------------------------------------------------
+// Actions
+// ---------------------------------------------------------------------------
+
+/**
+ * Arbitrary action sequences for `traders` traders within the market's `limits`
+ * ({minCollateral, minLeverage, maxLeverage, fundingInterval}).
+ */
+function actionSequence({ traders, limits, minLength = 1, maxLength = 25 }) {
+  const trader = fc.integer({ min: 0, max: traders - 1 });
+  const slot = fc.integer({ min: 0, max: 9 });
+  const shareBps = fc.integer({ min: 1, max: 10000 });
+  const usdc = (min, max) => fc.bigInt({ min: min * USDC_UNIT, max: max * USDC_UNIT });
+
+  const action = fc.oneof(
+    fc.record({ type: fc.constant("deposit"), trader, amount: usdc(1n, 20_000n) }),
+    fc.record({ type: fc.constant("withdraw"), trader, shareBps }),
+    {
+      weight: 4,
+      arbitrary: fc.record({
+        type: fc.constant("open"),
+        trader,
+        isLong: fc.boolean(),
+        collateral: fc.bigInt({ min: limits.minCollateral, max: 5_000n * USDC_UNIT }),
+        leverage: fc.bigInt({ min: limits.minLeverage, max: limits.maxLeverage }),
+      }),
+    },
+    { weight: 3, arbitrary: fc.record({ type: fc.constant("close"), trader, slot }) },
+    fc.record({ type: fc.constant("addMargin"), trader, slot, amount: usdc(1n, 2_000n) }),
+    fc.record({ type: fc.constant("removeMargin"), trader, slot, shareBps: fc.integer({ min: 1, max: 9999 }) }),
+    fc.record({ type: fc.constant("liquidate"), trader, slot }),
+    { weight: 2, arbitrary: fc.record({ type: fc.constant("oracle"), moveBps: fc.integer({ min: -1500, max: 1500 }) }) },
+    fc.record({
+      type: fc.constant("time"),
+      seconds: fc.bigInt({ min: 1n, max: 2n * limits.fundingInterval }),
+      settle: fc.boolean(),
+    }),
+  );
+  // Lengths spread over the whole range: positions need a few steps to build up before closes,
+  // margin changes and liquidations have anything to act on.
+  return fc.array(action, { minLength, maxLength, size: "max" });
+}
+
+// Returned by a step that found nothing to act on.
+const SKIPPED = Symbol("skipped");
+
+async function positionAt(ctx, trader, slot) {
+  const ids = await ctx.positionManager.getUserPositions(ctx.traders[trader].address);
+  return ids.length === 0 ? null : ids[slot % ids.length];
+}
+
+// Each step sends its transaction and returns it (or SKIPPED), so reverts surface in runAction.
+const STEPS = {
+  deposit: (ctx, { trader, amount }) => ctx.vault.connect(ctx.traders[trader]).deposit(ctx.token, amount),
+  async withdraw(ctx, { trader, shareBps }) {
+    const signer = ctx.traders[trader];
+    const available = await ctx.vault.availableBalance(signer.address, ctx.token);
+    return ctx.vault.connect(signer).withdraw(ctx.token, (available * BigInt(shareBps)) / BASIS_POINTS);
+  },
+  open: (ctx, { trader, isLong, collateral, leverage }) =>
+    ctx.positionManager.connect(ctx.traders[trader]).openPosition(isLong, collateral, leverage, 0n, ethers.MaxUint256),
+  async close(ctx, { trader, slot }) {
+    const positionId = await positionAt(ctx, trader, slot);
+    return positionId ? ctx.positionManager.connect(ctx.traders[trader]).closePosition(positionId) : SKIPPED;
+  },
+  async addMargin(ctx, { trader, slot, amount }) {
+    const positionId = await positionAt(ctx, trader, slot);
+    return positionId ? ctx.positionManager.connect(ctx.traders[trader]).addMargin(positionId, amount) : SKIPPED;
+  },
+  async removeMargin(ctx, { trader, slot, shareBps }) {
+    const positionId = await positionAt(ctx, trader, slot);
+    if (!positionId) return SKIPPED;
+    const { collateral } = await ctx.positionManager.getPosition(positionId);
+    return ctx.positionManager.connect(ctx.traders[trader]).removeMargin(positionId, (collateral * BigInt(shareBps)) / BASIS_POINTS);
+  },
+  async liquidate(ctx, { trader, slot }) {
+    const positionId = await positionAt(ctx, trader, slot);
+    return positionId ? ctx.liquidatorContract.connect(ctx.keeper).liquidatePosition(positionId) : SKIPPED;
+  },
+  // The admin moves the index `moveBps` from the mark and the vAMM is re-pegged to it: the one
+  // step allowed to change k.
+  async oracle(ctx, { moveBps }) {
+    const indexPrice = ((await ctx.vamm.getMarkPrice()) * (BASIS_POINTS + BigInt(moveBps))) / BASIS_POINTS;
+    await (await ctx.indexOracle.connect(ctx.keeper).setIndexPriceManual(indexPrice)).wait();
+    await setMark(ctx, indexPrice);
+    return null;
+  },
+  async time(ctx, { seconds, settle }) {
+    await time.increase(seconds);
+    return settle ? ctx.positionManager.connect(ctx.keeper).settleFunding() : null;
+  },
+};
+
+/**
+ * Runs one action. Returns "ok", "skipped", or the name of the expected error it reverted with;
+ * throws on an unexpected revert.
+ */
+async function runAction(ctx, action) {
+  try {
+    const tx = await STEPS[action.type](ctx, action);
+    if (tx === SKIPPED) return "skipped";
+    if (tx) await tx.wait();
+    return "ok";
+  } catch (error) {
+    const name = await revertName(error);
+    if (EXPECTED_REVERTS.has(name)) return name;
+    throw new Error(`${action.type} reverted with ${name}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Invariants
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads the quantities the invariants compare. `accounts` must cover every address that can hold
+ * a vault balance: the traders, the fee recipient, the liquidator contract and PositionManager,
+ * whose balance is the PnL pool.
+ */
+async function snapshotAccounts(ctx) {
+  let claims = 0n;
+  let locked = 0n;
+  for (const account of ctx.accounts) {
+    const held = await ctx.vault.lockedBalance(account, ctx.token);
+    claims += (await ctx.vault.availableBalance(account, ctx.token)) + held;
+    locked += held;
+  }
+
+  let positionCollateral = 0n;
+  for (const trader of ctx.traders) {
+    for (const positionId of await ctx.positionManager.getUserPositions(trader.address)) {
+      positionCollateral += (await ctx.positionManager.getPosition(positionId)).collateral;
+    }
+  }
+
+  return {
+    vaultTokens: await ctx.usdc.balanceOf(ctx.vault),
+    claims,
+    pnlPool: await ctx.positionManager.pnlPoolBalance(),
+    pnlPoolHeld: await ctx.vault.totalBalance(ctx.positionManager, ctx.token),
+    locked,
+    positionCollateral,
+    vammOpenInterest: [await ctx.vamm.totalLongOpenInterest(), await ctx.vamm.totalShortOpenInterest()],
+    fundingOpenInterest: [await ctx.fundingCalculator.totalLongOpenInterest(), await ctx.fundingCalculator.totalShortOpenInterest()],
+    k: await ctx.vamm.k(),
+  };
+}
+
+/**
+ * The invariants broken by `state` after `action`, given the state before it. Empty when all hold.
+ */
+function brokenInvariants(before, state, action) {
+  const broken = [];
+  if (state.vaultTokens < state.claims) {
+    broken.push(`vault holds ${state.vaultTokens} but owes ${state.claims} (available + locked)`);
+  }
+  if (state.pnlPool !== state.pnlPoolHeld) {
+    broken.push(`PnL pool records ${state.pnlPool} but PositionManager holds ${state.pnlPoolHeld} in the vault`);
+  }
+  if (state.locked !== state.positionCollateral) {
+    broken.push(`locked collateral ${state.locked} != open position collateral ${state.positionCollateral}`);
+  }
+  const [vammLong, vammShort] = state.vammOpenInterest;
+  const [fundingLong, fundingShort] = state.fundingOpenInterest;
+  if (vammLong !== fundingLong || vammShort !== fundingShort) {
+    broken.push(`vAMM open interest ${vammLong}/${vammShort} != FundingRateCalculator ${fundingLong}/${fundingShort} (long/short)`);
+  }
+  if (action.type !== "oracle" && state.k !== before.k) {
+    broken.push(`k changed from ${before.k} to ${state.k} outside rebalanceToIndex`);
+  }
+  return broken;
+}
+
+/**
+ * Runs `actions` in order, checking the invariants after each. Throws on the first broken
+ * invariant or unexpected revert, naming the step. Returns each step's outcome.
+ */
+async function runSequence(ctx, actions) {
+  const outcomes = [];
+  let before = await snapshotAccounts(ctx);
+  for (const [step, action] of actions.entries()) {
+    let state;
+    try {
+      outcomes.push(await runAction(ctx, action));
+      state = await snapshotAccounts(ctx);
+    } catch (error) {
+      error.message = `step ${step} (${action.type}): ${error.message}`;
+      error.step = step;
+      throw error;
+    }
+    const broken = brokenInvariants(before, state, action);
+    if (broken.length > 0) {
+      throw Object.assign(new Error(`step ${step} (${action.type}) broke:\n  ${broken.join("\n  ")}`), { step });
+    }
+    before = state;
+  }
+  return outcomes;
+}
+
+// Renders a sequence as a JavaScript array literal that `runSequence` accepts.
+function formatSequence(actions) {
+  const value = (v) => (typeof v === "bigint" ? `${v}n` : JSON.stringify(v));
+  const lines = actions.map(
+    (action) =>
+      `  { ${Object.entries(action)
+        .map(([key, v]) => `${key}: ${value(v)}`)
+        .join(", ")} },`,
+  );
+  return `[\n${lines.join("\n")}\n]`;
+}
+
+/**
+ * fast-check reporter for sequence properties: on failure, adds the shrunk sequence, cut at the
+ * failing step, as a script to fast-check's usual report (seed, path, error).
+ */
+function sequenceReporter(details) {
+  if (!details.failed) return;
+  const [actions] = details.counterexample ?? [];
+  const failingStep = details.errorInstance?.step;
+  const minimal = actions && failingStep !== undefined ? actions.slice(0, failingStep + 1) : actions;
+  const script = minimal ? `\n\nMinimal failing sequence, replayable with runSequence:\n${formatSequence(minimal)}` : "";
+  throw new Error(`${fc.defaultReportMessage(details)}\n\n${details.errorInstance}${script}`);
+}
+
+module.exports = {
+  EXPECTED_REVERTS,
+  actionSequence,
+  runAction,
+  runSequence,
+  snapshotAccounts,
+  brokenInvariants,
+  formatSequence,
+  sequenceReporter,
+  revertName,
+};
@@ -0,0 +1,76 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, network, upgrades } = require("hardhat");
+
+const { getNetworkConfig } = require("../../scripts/deploy/config");
+const { STEPS, topologicalOrder, selectSteps, executePlan } = require("../../scripts/deploy/deploy-system");
+
+/**
+ * Points scripts/deploy/utils.js at a throwaway deployments directory for the enclosing suite, so
+ * running the real deploy steps never touches deployments/ in the repository.
+ */
+function useTemporaryDeploymentsDir() {
+  let deploymentsDir;
+
+  before(function () {
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    process.env.DEPLOYMENTS_DIR = deploymentsDir;
+  });
+
+  after(function () {
+    delete process.env.DEPLOYMENTS_DIR;
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+}
+
+/**
+ * Deploys mock USDC and feeds, then runs the orchestrator's steps (all of them by default).
+ * Feeds read CPI 300 / Treasury 2300 so the index starts at 2000, matching the default vAMM.
+ *
+ * @param {object} [options]
+ * @param {string} [options.only] Comma-separated step names to run, as accepted by --only.
+ * @param {import("ethers").Contract} [options.collateral] Existing 6-decimal token to use instead of mock USDC.
+ * @param {{cpiFeed: string, treasuryFeed: string}} [options.feeds] Existing feeds to use instead of the mocks.
+ * @param {"feeds"|"mock"} [options.oracle] "mock" puts a MockIndexOracle at 2000 in place of the
+ *   IndexOracle step, the way a resumed deployment keeps an oracle it already has.
+ * @param {object} [options.config] Config values keyed by schema path (see scripts/deploy/config.js).
+ */
+async function deploySystem({ only, collateral, feeds, oracle = "feeds", config = {} } = {}) {
+  let usdc = collateral;
+  if (!usdc) {
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+  }
+  let cpiFeed;
+  let treasuryFeed;
+  if (!feeds) {
+    const MockAggregatorV3 = await ethers.getContractFactory("MockAggregatorV3");
+    cpiFeed = await MockAggregatorV3.deploy(8, "CPI", 300n * 10n ** 8n);
+    treasuryFeed = await MockAggregatorV3.deploy(8, "Treasury", 2300n * 10n ** 8n);
+  }
+
+  const cfg = getNetworkConfig(network.name, {
+    overrides: {
+      "collateral.token": await usdc.getAddress(),
+      "chainlink.cpiFeed": feeds ? feeds.cpiFeed : await cpiFeed.getAddress(),
+      "chainlink.treasuryFeed": feeds ? feeds.treasuryFeed : await treasuryFeed.getAddress(),
+      ...config,
+    },
+  });
+
+  const deployments = {};
+  if (oracle === "mock") {
+    const MockIndexOracle = await ethers.getContractFactory("MockIndexOracle");
+    const mockOracle = await upgrades.deployProxy(MockIndexOracle, [ethers.parseEther("2000")], { kind: "uups" });
+    deployments.indexOracle = await mockOracle.getAddress();
+  }
+  const plan = selectSteps(topologicalOrder(STEPS), deployments, { only });
+  await executePlan({ network: network.name, cfg, deployments, plan });
+  return { cfg, deployments, usdc, cpiFeed, treasuryFeed };
+}
+
+module.exports = {
+  useTemporaryDeploymentsDir,
+  deploySystem,
+};
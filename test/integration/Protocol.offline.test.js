@@ -0,0 +1,18 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { useTemporaryDeploymentsDir } = require("../helpers/system");
+const { deployScenarioProtocol, describeScenarios } = require("./scenarios");
+
+/**
+ * The mainnet-fork journeys (see Protocol.integration.test.js) on a plain local chain: MockERC20
+ * stands in for USDC and MockAggregatorV3 feeds for Chainlink, so they run without network access.
+ */
+describe("Integration: Protocol Ecosystem (Offline)", function () {
+  useTemporaryDeploymentsDir();
+
+  async function deploySuite() {
+    return deployScenarioProtocol();
+  }
+
+  describeScenarios(() => loadFixture(deploySuite));
+});
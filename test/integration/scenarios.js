@@ -0,0 +1,203 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+const { deployProtocol, openAs, movePrice, advanceFunding, parseEvent } = require("../helpers/fixtures");
+const { positionMath } = require("../../sdk");
+
+/**
+ * Protocol journeys shared by the mainnet-fork and offline integration suites. Each suite supplies
+ * only its environment (collateral token, oracle feeds and how wallets get funded); deployment,
+ * steps and assertions live here so both variants run exactly the same journeys.
+ */
+
+const WALLET = ethers.parseUnits("200000", 6);
+const INITIAL_INDEX = ethers.parseEther("2000");
+
+/**
+ * Deploys the protocol through the deploy scripts (see helpers/fixtures.js) in `env` for the
+ * journeys: two traders, `userA` and `userB`, and a `liquidator` account holding LIQUIDATOR_ROLE.
+ *
+ * @param {object} [env] deployProtocol's `collateral`, `feeds` and `fund`; mocks by default.
+ */
+async function deployScenarioProtocol(env = {}) {
+  const ctx = await deployProtocol({ ...env, liquidator: false, wallet: WALLET });
+  // Anchor the index where the vAMM starts whatever the feeds read.
+  await movePrice(ctx, INITIAL_INDEX, { mark: false });
+  const [userA, userB] = ctx.traders;
+  return { ...ctx, userA, userB };
+}
+
+/**
+ * Declares the journeys against the protocol `load` returns (normally loadFixture over a suite's
+ * deployScenarioProtocol call), inside the caller's describe block.
+ *
+ * @param {() => Promise<object>} load
+ */
+function describeScenarios(load) {
+  describe("Scenario 1: Complete User Journey", function () {
+    it("should execute full lifecycle and realize profits", async function () {
+      const ctx = await load();
+      const { userA, usdc: token, vault, positionManager } = ctx;
+
+      const depositAmount = ethers.parseUnits("20000", 6);
+      await vault.connect(userA).deposit(ctx.token, depositAmount);
+
+      const collateral = ethers.parseUnits("2000", 6);
+      const leverage = ethers.parseEther("5"); // 5x
+
+      const positionId = await openAs(ctx, userA, { isLong: true, collateral, leverage });
+
+      // Push mark price upward by placing an additional long
+      await openAs(ctx, userA, { isLong: true, collateral: collateral / 2n, leverage });
+
+      // Index above the mark: the first settlement prices it, the second accrues an interval of
+      // funding that longs receive
+      await advanceFunding(ctx, 2, ethers.parseEther("2100"));
+
+      const pnlBeforeClose = await positionManager.calculatePnL(positionId);
+      expect(pnlBeforeClose).to.be.gt(0n);
+
+      const walletBefore = await token.balanceOf(userA.address);
+      const availableBefore = await vault.availableBalance(userA.address, ctx.token);
+      const closeTx = await positionManager.connect(userA).closePosition(positionId);
+      const { pnl } = parseEvent(await closeTx.wait(), positionManager, "PositionClosed");
+      expect(pnl).to.be.gt(0n);
+
+      // The collateral comes back with the realized PnL, less the closing fee.
+      const size = positionMath.positionSize(collateral, leverage);
+      const closingFee = positionMath.tradingFee(size, await positionManager.tradingFee());
+      const availableAfterClose = await vault.availableBalance(userA.address, ctx.token);
+      expect(availableAfterClose - availableBefore).to.equal(collateral - closingFee + pnl);
+
+      await vault.connect(userA).withdraw(ctx.token, availableAfterClose);
+      expect(await token.balanceOf(userA.address)).to.equal(walletBefore + availableAfterClose);
+    });
+  });
+
+  describe("Scenario 2: Liquidation Flow", function () {
+    it("should liquidate underwater position and distribute collateral", async function () {
+      const ctx = await load();
+      const { userA, liquidator, feeRecipient, vault, positionManager } = ctx;
+
+      const userDeposit = ethers.parseUnits("50000", 6);
+      await vault.connect(userA).deposit(ctx.token, userDeposit);
+
+      const collateral = ethers.parseUnits("5000", 6);
+      const leverage = await positionManager.maxLeverage();
+      const positionId = await openAs(ctx, userA, { isLong: true, collateral, leverage });
+      const { entryPrice } = await positionManager.getPosition(positionId);
+
+      // Trades at collateral-unit sizes barely move the mark, so drop it straight to 8% under the
+      // entry: at max leverage that wipes out 80% of the collateral.
+      await movePrice(ctx, (entryPrice * 92n) / 100n, { index: false });
+
+      // Equity is below the maintenance margin of the position's notional.
+      const equity = collateral + (await positionManager.calculatePnL(positionId));
+      const size = positionMath.positionSize(collateral, leverage);
+      expect(equity * 10_000n).to.be.lt(size * (await positionManager.maintenanceMargin()));
+      expect(await positionManager.isPositionLiquidatable(positionId)).to.equal(true);
+
+      const traderBalanceBefore = await vault.totalBalance(userA.address, ctx.token);
+      const feeRecipientBalanceBefore = await vault.totalBalance(feeRecipient.address, ctx.token);
+      const liquidatorBalanceBefore = await vault.totalBalance(liquidator.address, ctx.token);
+      const poolBefore = await positionManager.pnlPoolBalance();
+
+      const reward = (collateral * (await positionManager.liquidationFee())) / 10_000n;
+      await expect(positionManager.connect(liquidator).liquidatePosition(positionId))
+        .to.emit(positionManager, "PositionLiquidated")
+        .withArgs(positionId, userA.address, liquidator.address, anyValue, reward, anyValue);
+
+      const feeRecipientBalanceAfter = await vault.totalBalance(feeRecipient.address, ctx.token);
+      const liquidatorBalanceAfter = await vault.totalBalance(liquidator.address, ctx.token);
+
+      // The whole collateral is forfeited: the liquidation fee to the liquidator, the rest to the
+      // fee recipient. The PnL pool only takes it when liquidationRemainderToPnlPool is set.
+      expect(liquidatorBalanceAfter - liquidatorBalanceBefore).to.equal(reward);
+      expect(feeRecipientBalanceAfter - feeRecipientBalanceBefore).to.equal(collateral - reward);
+      expect(await positionManager.pnlPoolBalance()).to.equal(poolBefore);
+      expect(traderBalanceBefore - (await vault.totalBalance(userA.address, ctx.token))).to.equal(collateral);
+      expect(await vault.lockedBalance(userA.address, ctx.token)).to.equal(0n);
+      expect(await positionManager.getUserPositions(userA.address)).to.deep.equal([]);
+    });
+  });
+
+  describe("Scenario 3: Funding Accrual", function () {
+    it("should charge an open position the funding its side accrues each interval", async function () {
+      const ctx = await load();
+      const { userA, vault, positionManager, fundingCalculator, vamm } = ctx;
+
+      await vault.connect(userA).deposit(ctx.token, ethers.parseUnits("20000", 6));
+      const positionId = await openAs(ctx, userA, {
+        isLong: true,
+        collateral: ethers.parseUnits("4000", 6),
+        leverage: ethers.parseEther("5"),
+      });
+      const raw = await positionManager.getPosition(positionId);
+
+      // Index below the mark: once a settlement has priced it, longs pay every interval, so their
+      // funding charge only grows.
+      await advanceFunding(ctx, 1, ethers.parseEther("1950"));
+      let charged = 0n;
+      for (let interval = 1; interval <= 3; interval++) {
+        await advanceFunding(ctx, 1, ethers.parseEther("1950"));
+
+        const payment = await fundingCalculator.calculateFundingPayment(raw.isLong, raw.size, raw.entryFundingIndex);
+        const pricePnl = positionMath.calculatePnL(raw, {
+          markPrice: await vamm.getMarkPrice(),
+          fundingIndex: raw.entryFundingIndex,
+        });
+        // PositionManager's PnL minus the price-only PnL is the funding it charges the position.
+        const pnl = await positionManager.calculatePnL(positionId);
+        expect(pricePnl - pnl, `interval ${interval}`).to.equal(payment);
+        expect(payment, `interval ${interval}`).to.be.gt(charged);
+        charged = payment;
+      }
+
+      await positionManager.connect(userA).closePosition(positionId);
+      expect(await positionManager.getUserPositions(userA.address)).to.deep.equal([]);
+    });
+  });
+
+  describe("Scenario 4: Multi-User Funding Interactions", function () {
+    it("should settle longs and shorts with zero-sum P&L (excluding fees)", async function () {
+      const ctx = await load();
+      const { userA, userB, feeRecipient, vault, positionManager } = ctx;
+
+      const deposit = ethers.parseUnits("30000", 6);
+      await vault.connect(userA).deposit(ctx.token, deposit);
+      await vault.connect(userB).deposit(ctx.token, deposit);
+
+      const collateral = ethers.parseUnits("3000", 6);
+      const leverage = ethers.parseEther("8");
+
+      const poolBefore = await positionManager.pnlPoolBalance();
+      const longId = await openAs(ctx, userA, { isLong: true, collateral, leverage });
+      const shortId = await openAs(ctx, userB, { isLong: false, collateral, leverage });
+
+      // Adjust oracle and time to accrue funding payments between the two sides
+      await advanceFunding(ctx, 2, ethers.parseEther("2050")); // two funding intervals
+
+      const pnlLong = await positionManager.calculatePnL(longId);
+      const pnlShort = await positionManager.calculatePnL(shortId);
+
+      // PnLs should offset within a tolerance of combined trading fees
+      const tolerance = ethers.parseUnits("50", 6); // $50 tolerance
+      expect((pnlLong + pnlShort)).to.be.within(-tolerance, tolerance);
+
+      await positionManager.connect(userA).closePosition(longId);
+      await positionManager.connect(userB).closePosition(shortId);
+
+      // Settlement only moves collateral between the traders, the fee recipient and the PnL pool.
+      const accounts = [userA.address, userB.address, feeRecipient.address, await positionManager.getAddress()];
+      let total = 0n;
+      for (const account of accounts) total += await vault.totalBalance(account, ctx.token);
+      expect(total).to.equal(2n * deposit + poolBefore);
+    });
+  });
+}
+
+module.exports = {
+  deployScenarioProtocol,
+  describeScenarios,
+};